@@ -0,0 +1,569 @@
+// API Configuration
+const API_BASE_URL = (() => {
+  const hostname = window.location.hostname;
+  // Use localhost for local development
+  if (hostname === 'localhost' || hostname === '127.0.0.1') {
+    return 'http://localhost:5000';
+  }
+  // Use render backend for all other environments (production, Builder.io preview, etc)
+  return 'https://shivam-codessite.onrender.com';
+})();
+
+const TOKEN_KEY = 'adminApiToken';
+
+const LEAD_ACTIONS = {
+  new: [['contacted', 'Mark contacted'], ['closed', 'Close']],
+  contacted: [['closed', 'Close'], ['new', 'Reopen']],
+  closed: [['new', 'Reopen']],
+};
+
+// The order open in the detail view
+let currentOrderId = null;
+
+$(document).ready(function () {
+
+  $('#menu').click(function () {
+    $(this).toggleClass('fa-times');
+    $('.navbar').toggleClass('nav-toggle');
+  });
+
+  $('#tokenForm').on('submit', function (event) {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, $('#adminToken').val().trim());
+    $('#adminToken').val('');
+    signIn();
+  });
+
+  $('#signOutBtn').click(signOut);
+
+  $('.admin-tab').click(function () {
+    $('.admin-tab').removeClass('active');
+    $(this).addClass('active');
+    $('.admin-tab-panel').prop('hidden', true);
+    $(`#${this.dataset.tab}`).prop('hidden', false);
+    if (this.dataset.tab === 'leadsPanel') loadLeads();
+    if (this.dataset.tab === 'couponsPanel') loadCoupons();
+  });
+
+  $('#orderFilters').on('submit', function (event) {
+    event.preventDefault();
+    loadOrders();
+  });
+  $('#exportCsvBtn').click(exportOrders);
+  $('#closeOrderBtn').click(closeOrder);
+  $('#reverifyBtn').click(reverifyOrder);
+  $('#captureBtn').click(captureOrder);
+  $('#refundForm').on('submit', function (event) {
+    event.preventDefault();
+    refundOrder(this);
+  });
+  $('#invoiceBtn').click(function () {
+    downloadFile(`/api/invoices/${encodeURIComponent(this.dataset.invoiceId)}`, 'invoice');
+  });
+
+  $('#leadStatusFilter').on('change', loadLeads);
+
+  $('#couponForm').on('submit', function (event) {
+    event.preventDefault();
+    createCoupon(this);
+  });
+
+  signIn();
+});
+
+// Admins send the API token when they have one; otherwise their login session cookie
+function adminFetch(path, options = {}) {
+  const token = sessionStorage.getItem(TOKEN_KEY);
+
+  return fetch(`${API_BASE_URL}${path}`, {
+    credentials: 'include',
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...options.headers,
+    },
+  })
+    .then(response => {
+      if (response.status === 401) {
+        const hadToken = !!token;
+        sessionStorage.removeItem(TOKEN_KEY);
+        showTokenForm(hadToken ? 'That token was not accepted.' : '');
+        throw new Error('Not authorized');
+      }
+      return response;
+    });
+}
+
+function adminJson(path, options) {
+  return adminFetch(path, options)
+    .then(response => response.json().then(data => {
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      return data;
+    }));
+}
+
+// For HTML text and attribute values (like utils/format.js on the server)
+function escapeHtml(value) {
+  return (value == null ? '' : String(value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDateTime(iso) {
+  return iso
+    ? new Date(iso).toLocaleString('en-IN', {
+      day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit',
+    })
+    : '-';
+}
+
+function showTokenForm(error) {
+  $('#consolePanels, #signOutBtn, #adminIdentity').prop('hidden', true);
+  $('#tokenForm').prop('hidden', false);
+  $('#tokenError').text(error || '').prop('hidden', !error);
+}
+
+function signIn() {
+  adminJson('/api/admin/me')
+    .then(me => {
+      $('#tokenForm').prop('hidden', true);
+      $('#adminIdentity').text(me.email ? `Signed in as ${me.email}` : 'Signed in with the API token').prop('hidden', false);
+      $('#consolePanels, #signOutBtn').prop('hidden', false);
+      $('#signOutBtn').data('session', !!me.email);
+      loadOrders();
+    })
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      console.error('Error signing in:', error);
+      showTokenForm(error.message);
+    });
+}
+
+function signOut() {
+  sessionStorage.removeItem(TOKEN_KEY);
+
+  if (!$('#signOutBtn').data('session')) {
+    showTokenForm();
+    return;
+  }
+
+  fetch(`${API_BASE_URL}/api/auth/logout`, { method: 'POST', credentials: 'include' })
+    .catch(error => console.error('Logout failed:', error))
+    .finally(() => showTokenForm());
+}
+
+function downloadFile(path, label) {
+  adminFetch(path)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = (disposition.match(/filename="?([^"]+)"?/) || [])[1] || label;
+      return response.blob().then(blob => ({ blob, filename }));
+    })
+    .then(({ blob, filename }) => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    })
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      console.error(`Error downloading ${label}:`, error);
+      alert(`Could not download the ${label}. Please try again.`);
+    });
+}
+
+/* orders */
+
+function orderFilterQuery() {
+  const params = new URLSearchParams();
+  new FormData(document.getElementById('orderFilters')).forEach((value, key) => {
+    if (String(value).trim()) params.set(key, String(value).trim());
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+function loadOrders() {
+  adminJson(`/api/admin/orders${orderFilterQuery()}`)
+    .then(data => displayOrders(data))
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      console.error('Error loading orders:', error);
+      $('#ordersCount').text('');
+      $('#ordersTable').html(`<tr><td colspan="6" class="dashboard-empty">${escapeHtml(error.message)}</td></tr>`);
+    });
+}
+
+function displayOrders({ orders, total }) {
+  const tbody = document.getElementById('ordersTable');
+
+  $('#ordersCount').text(total > orders.length ? `Showing ${orders.length} of ${total} orders` : `${total} orders`);
+
+  if (orders.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="dashboard-empty">No orders match.</td></tr>';
+    return;
+  }
+
+  let html = '';
+
+  orders.forEach(order => {
+    const refunded = order.refundedAmount > 0 ? ` <small>(₹${order.refundedAmount} refunded)</small>` : '';
+
+    html += `
+      <tr onclick="openOrder('${order.id}')">
+        <td>${formatDateTime(order.createdAt)}</td>
+        <td>
+          ${escapeHtml(order.customer.name)}
+          <span class="admin-muted">${escapeHtml(order.customer.email)}</span>
+        </td>
+        <td>${escapeHtml(order.courseName)}</td>
+        <td>₹${order.amount}${refunded}</td>
+        <td>${escapeHtml(order.gateway)}</td>
+        <td><span class="order-status-badge ${order.status}">${order.status}</span></td>
+      </tr>
+    `;
+  });
+
+  tbody.innerHTML = html;
+}
+
+function exportOrders() {
+  downloadFile(`/api/admin/orders/export${orderFilterQuery()}`, 'orders.csv');
+}
+
+function openOrder(orderId) {
+  currentOrderId = orderId;
+  $('#orderActionStatus').text('');
+
+  adminJson(`/api/admin/orders/${encodeURIComponent(orderId)}`)
+    .then(data => {
+      displayOrder(data);
+      document.getElementById('orderDetail').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    })
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      console.error('Error loading order:', error);
+      alert(`Could not load the order: ${error.message}`);
+    });
+}
+
+function displayOrder({ order, timeline, invoice, canCapture, notifications }) {
+  const customer = order.customer;
+  const facts = [
+    ['Status', `<span class="order-status-badge ${order.status}">${order.status}</span>`],
+    [order.courseIds.length > 1 ? 'Courses' : 'Course', escapeHtml(order.courseName)],
+    ['Amount', `₹${order.amount}${order.refundedAmount ? ` (₹${order.refundedAmount} refunded)` : ''}`],
+    ...(order.bundleDiscount || order.couponCode ? [['List price', `₹${order.originalAmount}`]] : []),
+    ...(order.bundleDiscount ? [['Bundle', `₹${order.bundleDiscount} off`]] : []),
+    ...(order.couponCode ? [['Coupon', `${escapeHtml(order.couponCode)}: ₹${order.discount} off`]] : []),
+    ...(order.installment ? [['Installment', `${order.installment.number} of ${order.installment.count} (${escapeHtml(order.installment.subscriptionId)})`]] : []),
+    ['Customer', `${escapeHtml(customer.name)} &lt;${escapeHtml(customer.email)}&gt; ${escapeHtml(customer.phone)}`],
+    ...(customer.gstin ? [['Business', `${escapeHtml(customer.businessName)} (${escapeHtml(customer.gstin)})`]] : []),
+    ['Gateway', escapeHtml(order.gateway)],
+    ['Gateway order', escapeHtml(order.gatewayOrderId || '-')],
+    ['Gateway payment', escapeHtml(order.gatewayPaymentId || '-')],
+    ['Created', formatDateTime(order.createdAt)],
+    ['Paid', formatDateTime(order.paidAt)],
+  ];
+
+  $('#orderDetailTitle').text(`Order ${order.id}`);
+  $('#orderFacts').html(facts.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join(''));
+
+  // Only paid orders have anything left to refund
+  $('#refundForm').prop('hidden', order.status !== 'paid');
+  $('#captureBtn').prop('hidden', !canCapture);
+  $('#invoiceBtn').prop('hidden', !invoice).attr('data-invoice-id', invoice ? invoice.id : '');
+
+  $('#orderTimeline').html(timeline.map(entry => `
+    <li class="admin-timeline-${entry.type}">
+      <span class="admin-muted">${formatDateTime(entry.at)} &middot; ${entry.type}</span>
+      <strong>${escapeHtml(entry.title)}</strong>
+      ${entry.detail ? `<span class="admin-muted">${escapeHtml(entry.detail)}</span>` : ''}
+    </li>
+  `).join(''));
+
+  $('#orderNotifications').html(notifications.length === 0
+    ? '<tr><td colspan="4" class="dashboard-empty">No emails for this order.</td></tr>'
+    : notifications.map(notification => `
+      <tr>
+        <td>${escapeHtml(notification.subject)}</td>
+        <td>${escapeHtml(notification.to)}</td>
+        <td>
+          ${escapeHtml(notification.status)}
+          ${notification.lastError ? `<span class="admin-muted">${escapeHtml(notification.lastError)}</span>` : ''}
+        </td>
+        <td><button class="receipt-btn" onclick="resendNotification('${notification.id}')">Resend</button></td>
+      </tr>
+    `).join(''));
+
+  $('#orderDetail').prop('hidden', false);
+}
+
+function closeOrder() {
+  currentOrderId = null;
+  $('#orderDetail').prop('hidden', true);
+}
+
+// Reload the open order and the list after an action changed them
+function refreshOrder(message) {
+  openOrder(currentOrderId);
+  loadOrders();
+  $('#orderActionStatus').text(message);
+}
+
+function reverifyOrder() {
+  const button = document.getElementById('reverifyBtn');
+  button.disabled = true;
+
+  adminJson(`/api/admin/orders/${encodeURIComponent(currentOrderId)}/reverify`, { method: 'POST' })
+    .then(data => refreshOrder(`Gateway reports ${data.gatewayStatus}; order is ${data.order.status}.`))
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      $('#orderActionStatus').text(`Re-verify failed: ${error.message}`);
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
+function captureOrder() {
+  if (!confirm(`Capture the payment for order ${currentOrderId}? The learner is enrolled and charged.`)) return;
+
+  const button = document.getElementById('captureBtn');
+  button.disabled = true;
+
+  adminJson(`/api/admin/orders/${encodeURIComponent(currentOrderId)}/capture`, { method: 'POST' })
+    .then(data => refreshOrder(`Payment ${data.gatewayStatus}; order is ${data.order.status}.`))
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      $('#orderActionStatus').text(`Capture failed: ${error.message}`);
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
+function refundOrder(form) {
+  const amount = form.amount.value.trim();
+  const reason = form.reason.value.trim();
+  const label = amount ? `₹${amount}` : 'the full remaining amount';
+
+  if (!confirm(`Refund ${label} on order ${currentOrderId}?`)) return;
+
+  const button = form.querySelector('button[type="submit"]');
+  button.disabled = true;
+
+  adminJson('/api/payment/refund', {
+    method: 'POST',
+    body: JSON.stringify({
+      orderId: currentOrderId,
+      ...(amount && { amount: Number(amount) }),
+      reason,
+      overridePolicy: form.overridePolicy.checked,
+    }),
+  })
+    .then(data => {
+      form.reset();
+      refreshOrder(`Refund ${data.refund.id} is ${data.refund.status}.`);
+    })
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      $('#orderActionStatus').text(`Refund failed: ${error.message}`);
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
+function resendNotification(notificationId) {
+  adminJson(`/api/admin/notifications/${encodeURIComponent(notificationId)}/resend`, { method: 'POST' })
+    .then(data => refreshOrder(data.status === 'sent'
+      ? 'Email sent again.'
+      : `Email could not be sent (${data.lastError}); it will be retried.`))
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      $('#orderActionStatus').text(`Resend failed: ${error.message}`);
+    });
+}
+
+/* leads */
+
+function loadLeads() {
+  const status = $('#leadStatusFilter').val();
+  const query = status ? `?status=${encodeURIComponent(status)}` : '';
+
+  adminJson(`/api/contact/leads${query}`)
+    .then(data => displayLeads(data.leads))
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      console.error('Error loading leads:', error);
+      $('#leadsTable').html('<tr><td colspan="5" class="dashboard-empty">Error loading leads. Please try again later.</td></tr>');
+    });
+}
+
+function displayLeads(leads) {
+  const tbody = document.getElementById('leadsTable');
+
+  if (leads.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="dashboard-empty">No leads here.</td></tr>';
+    return;
+  }
+
+  let html = '';
+
+  leads.forEach(lead => {
+    const actions = (LEAD_ACTIONS[lead.status] || [])
+      .map(([status, label]) =>
+        `<button class="receipt-btn" onclick="setLeadStatus('${lead.id}', '${status}')">${label}</button>`)
+      .join('');
+
+    html += `
+      <tr>
+        <td>${formatDateTime(lead.createdAt)}</td>
+        <td>
+          ${escapeHtml(lead.name)}
+          <a class="admin-muted" href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a>
+          ${lead.phone ? `<span class="admin-muted">${escapeHtml(lead.phone)}</span>` : ''}
+        </td>
+        <td class="admin-lead-message">${escapeHtml(lead.message)}</td>
+        <td>${escapeHtml(lead.source)}</td>
+        <td class="admin-actions">
+          <span class="lead-status-badge ${lead.status}">${lead.status}</span>
+          ${actions}
+        </td>
+      </tr>
+    `;
+  });
+
+  tbody.innerHTML = html;
+}
+
+function setLeadStatus(leadId, status) {
+  adminJson(`/api/contact/leads/${encodeURIComponent(leadId)}/status`, {
+    method: 'POST',
+    body: JSON.stringify({ status }),
+  })
+    .then(loadLeads)
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      console.error('Error updating lead:', error);
+      alert(`Could not update the lead: ${error.message}`);
+    });
+}
+
+/* coupons */
+
+function loadCoupons() {
+  adminJson('/api/coupons')
+    .then(data => displayCoupons(data.coupons))
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      console.error('Error loading coupons:', error);
+      $('#couponsTable').html('<tr><td colspan="6" class="dashboard-empty">Error loading coupons. Please try again later.</td></tr>');
+    });
+}
+
+function couponState(coupon) {
+  const now = new Date().toISOString();
+  if (!coupon.active) return 'off';
+  if (coupon.expiresAt && now > coupon.expiresAt) return 'expired';
+  if (coupon.startsAt && now < coupon.startsAt) return 'scheduled';
+  if (coupon.maxUses && coupon.uses >= coupon.maxUses) return 'used up';
+  return 'live';
+}
+
+function displayCoupons(coupons) {
+  const tbody = document.getElementById('couponsTable');
+
+  if (coupons.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="dashboard-empty">No coupons yet.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = coupons.map(coupon => {
+    const state = couponState(coupon);
+
+    return `
+      <tr>
+        <td>
+          <strong>${escapeHtml(coupon.code)}</strong>
+          ${coupon.description ? `<span class="admin-muted">${escapeHtml(coupon.description)}</span>` : ''}
+        </td>
+        <td>${coupon.type === 'percent' ? `${coupon.value}%` : `₹${coupon.value}`}</td>
+        <td>${coupon.courseIds ? escapeHtml(coupon.courseIds.join(', ')) : 'All'}</td>
+        <td>${formatDateTime(coupon.startsAt)} &ndash; ${formatDateTime(coupon.expiresAt)}</td>
+        <td>
+          ${coupon.uses}${coupon.maxUses ? ` / ${coupon.maxUses}` : ''}
+          ${coupon.maxUsesPerEmail ? `<span class="admin-muted">${coupon.maxUsesPerEmail} per buyer</span>` : ''}
+        </td>
+        <td class="admin-actions">
+          <span class="order-status-badge ${state === 'live' ? 'paid' : ''}">${state}</span>
+          <button class="receipt-btn" onclick="setCouponActive('${escapeHtml(coupon.code)}', ${!coupon.active})">
+            ${coupon.active ? 'Switch off' : 'Switch on'}
+          </button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function createCoupon(form) {
+  const field = name => form[name].value.trim();
+  const courseIds = field('courseIds')
+    ? field('courseIds').split(',').map(id => Number(id.trim())).filter(Boolean)
+    : undefined;
+
+  const button = form.querySelector('button[type="submit"]');
+  button.disabled = true;
+
+  adminJson('/api/coupons', {
+    method: 'POST',
+    body: JSON.stringify({
+      code: field('code'),
+      type: field('type'),
+      value: Number(field('value')),
+      description: field('description') || undefined,
+      courseIds,
+      startsAt: field('startsAt') || undefined,
+      expiresAt: field('expiresAt') || undefined,
+      maxUses: field('maxUses') ? Number(field('maxUses')) : undefined,
+      maxUsesPerEmail: field('maxUsesPerEmail') ? Number(field('maxUsesPerEmail')) : undefined,
+    }),
+  })
+    .then(data => {
+      form.reset();
+      $('#couponStatus').text(`Coupon ${data.coupon.code} created.`);
+      loadCoupons();
+    })
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      $('#couponStatus').text(`Could not create the coupon: ${error.message}`);
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
+function setCouponActive(code, active) {
+  adminJson(`/api/coupons/${encodeURIComponent(code)}`, {
+    method: 'POST',
+    body: JSON.stringify({ active }),
+  })
+    .then(loadCoupons)
+    .catch(error => {
+      if (error.message === 'Not authorized') return;
+      console.error('Error updating coupon:', error);
+      alert(`Could not update the coupon: ${error.message}`);
+    });
+}
@@ -0,0 +1,63 @@
+// Course cart, kept in localStorage so it survives page loads and tabs.
+// Only course IDs are stored: the checkout asks the backend what they cost,
+// bundle savings included.
+const Cart = (() => {
+  const STORAGE_KEY = 'cart_course_ids';
+  // Same limit as the backend
+  const MAX_ITEMS = 10;
+
+  function getIds() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+      return Array.isArray(ids) ? ids.map(Number).filter(Boolean) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function save(ids) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+    updateBadges();
+  }
+
+  function has(courseId) {
+    return getIds().includes(Number(courseId));
+  }
+
+  // Returns false when the cart is full
+  function add(courseId) {
+    const ids = getIds();
+    if (ids.includes(Number(courseId))) return true;
+    if (ids.length >= MAX_ITEMS) return false;
+
+    save([...ids, Number(courseId)]);
+    return true;
+  }
+
+  function remove(courseIds) {
+    const removed = [].concat(courseIds).map(Number);
+    save(getIds().filter(id => !removed.includes(id)));
+  }
+
+  function clear() {
+    save([]);
+  }
+
+  // Every ".cart-count" on the page shows the number of courses in the cart
+  function updateBadges() {
+    const count = getIds().length;
+    document.querySelectorAll('.cart-count').forEach(badge => {
+      badge.textContent = count;
+      badge.hidden = count === 0;
+    });
+  }
+
+  return { MAX_ITEMS, getIds, has, add, remove, clear, updateBadges };
+})();
+
+document.addEventListener('DOMContentLoaded', Cart.updateBadges);
+
+// Keep badges right when the cart changes in another tab
+window.addEventListener('storage', event => {
+  if (event.key === 'cart_course_ids') Cart.updateBadges();
+});
@@ -13,17 +13,50 @@ $(document).ready(function () {
   loadCheckoutData();
   setupFormHandlers();
   setupPaymentMethodSelection();
+  setupCouponHandlers();
 });
 
-function getCourseIdFromUrl() {
+// Backend price of the courses being bought (/api/payment/quote), bundles included
+window.cartQuote = null;
+// The same quote with a coupon applied: adds { coupon, discount }
+window.appliedCoupon = null;
+// Installment plans for a single-course checkout, and the one picked (null pays in full)
+window.installmentPlans = [];
+window.selectedPlan = null;
+// What the backend says about each gateway for this order (/api/payment/gateways)
+window.gatewayRoutes = null;
+// Way of paying the buyer picked (upi, card, netbanking, wallet; '' for any)
+window.selectedPaymentMethod = '';
+
+function formatRupees(amount) {
+  return `₹${Number(amount).toLocaleString('en-IN')}`;
+}
+
+// "₹4,999" -> 4999
+function parseRupees(priceText) {
+  return parseFloat(String(priceText).replace('₹', '').replace(/,/g, '').trim());
+}
+
+// /checkout?id=1 buys one course, /checkout?id=6,4 several, /checkout?cart=1 the cart
+function getCourseIdsFromUrl() {
   const urlParams = new URLSearchParams(window.location.search);
-  return parseInt(urlParams.get('id')) || null;
+
+  if (urlParams.has('cart')) {
+    return Cart.getIds();
+  }
+
+  const ids = (urlParams.get('id') || '').split(',').map(id => parseInt(id)).filter(Boolean);
+  return [...new Set(ids)];
+}
+
+function isCartCheckout() {
+  return new URLSearchParams(window.location.search).has('cart');
 }
 
 function loadCheckoutData() {
-  const courseId = getCourseIdFromUrl();
+  const courseIds = getCourseIdsFromUrl();
 
-  if (!courseId) {
+  if (!courseIds.length) {
     window.location.href = '/courses';
     return;
   }
@@ -36,9 +69,9 @@ function loadCheckoutData() {
       return response.json();
     })
     .then(courses => {
-      const course = courses.find(c => c.id === courseId);
-      if (course) {
-        displayCheckoutData(course);
+      const selected = courseIds.map(id => courses.find(c => c.id === id)).filter(Boolean);
+      if (selected.length) {
+        displayCheckoutData(selected);
       } else {
         window.location.href = '/courses';
       }
@@ -49,22 +82,258 @@ function loadCheckoutData() {
     });
 }
 
-function displayCheckoutData(course) {
+function displayCheckoutData(courses) {
   // Store course data for later use
-  window.currentCourseForPayment = course;
+  window.checkoutCourses = courses;
 
   // Update page title
-  document.title = `Checkout: ${course.name} | Design Byte`;
+  document.title = courses.length === 1
+    ? `Checkout: ${courses[0].name} | Design Byte`
+    : `Checkout: ${courses.length} courses | Design Byte`;
+
+  renderCartItems();
+  updatePriceSummary();
+  refreshQuote();
+  loadInstallmentPlans();
+
+  // Launch offer links carry the code, e.g. /checkout?id=1&coupon=LAUNCH50
+  const couponFromUrl = new URLSearchParams(window.location.search).get('coupon');
+  if (couponFromUrl) {
+    document.getElementById('couponCode').value = couponFromUrl;
+    applyCoupon();
+  }
+}
+
+// One summary row per course, with its price after bundles once the quote is in
+function renderCartItems() {
+  const quote = window.appliedCoupon || window.cartQuote;
+  const canRemove = isCartCheckout() && window.checkoutCourses.length > 1;
+
+  const html = window.checkoutCourses.map(course => {
+    const item = quote && quote.items.find(i => i.courseId === course.id);
+    const bundle = item && item.bundleId && quote.bundles.find(b => b.id === item.bundleId);
+    const price = item && item.amount !== item.price
+      ? `${formatRupees(item.amount)}<s>${formatRupees(item.price)}</s>`
+      : course.price;
+
+    return `
+      <div class="course-summary">
+        <img src="${course.image}" alt="${course.name}">
+        <div class="course-info">
+          <h4>${course.name}</h4>
+          <div class="author">${course.instructor}</div>
+          <div class="duration">${course.duration}</div>
+          <div class="course-price">${price}</div>
+          ${bundle ? `<span class="course-bundle">${bundle.name}</span>` : ''}
+        </div>
+        ${canRemove ? `<button type="button" class="cart-remove" title="Remove from cart" onclick="removeCartItem(${course.id})"><i class="fas fa-times"></i></button>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  document.getElementById('cartItems').innerHTML = html;
+}
+
+function removeCartItem(courseId) {
+  Cart.remove(courseId);
+  window.checkoutCourses = window.checkoutCourses.filter(course => course.id !== courseId);
+  window.cartQuote = null;
+
+  renderCartItems();
+  updatePriceSummary();
+  refreshQuote().then(() => {
+    // The coupon may cover different courses now
+    if (window.appliedCoupon) applyCoupon();
+  });
+  loadInstallmentPlans();
+}
+
+// Long courses can be paid in monthly installments; only offered when buying one course
+async function loadInstallmentPlans() {
+  window.installmentPlans = [];
+
+  if (window.checkoutCourses.length === 1) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/subscriptions/plans?courseId=${window.checkoutCourses[0].id}`);
+      const data = await response.json();
+      window.installmentPlans = data.success ? data.plans : [];
+    } catch (error) {
+      console.error('Error loading installment plans:', error);
+    }
+  }
+
+  renderInstallmentPlans();
+}
+
+function renderInstallmentPlans() {
+  const plans = window.installmentPlans;
+
+  if (window.selectedPlan && !plans.some(plan => plan.id === window.selectedPlan.id)) {
+    selectPaymentPlan('');
+  }
+
+  $('#planSection').prop('hidden', !plans.length);
+  if (!plans.length) return;
+
+  const options = [
+    `<label class="plan-option">
+      <input type="radio" name="paymentPlan" value="" ${window.selectedPlan ? '' : 'checked'}>
+      <span>Pay in full</span>
+    </label>`,
+    ...plans.map(plan => `
+      <label class="plan-option">
+        <input type="radio" name="paymentPlan" value="${plan.id}" ${window.selectedPlan && window.selectedPlan.id === plan.id ? 'checked' : ''}>
+        <span>
+          ${plan.installments} monthly payments of ${formatRupees(plan.amount)}
+          <small>${formatRupees(plan.totalAmount)} in total, paid by card or UPI AutoPay through Razorpay</small>
+        </span>
+      </label>
+    `)
+  ];
+
+  $('#planOptions').html(options.join(''));
+  $('input[name="paymentPlan"]').on('change', function () {
+    selectPaymentPlan(this.value);
+  });
+}
 
-  // Populate order summary
-  document.getElementById('courseSummaryImage').src = course.image;
-  document.getElementById('courseSummaryName').textContent = course.name;
-  document.getElementById('courseSummaryInstructor').textContent = course.instructor;
-  document.getElementById('courseSummaryDuration').textContent = course.duration;
-  document.getElementById('summaryTotal').textContent = course.price;
+// Installments are charged through Razorpay and take no coupon
+function selectPaymentPlan(planId) {
+  window.selectedPlan = window.installmentPlans.find(plan => plan.id === planId) || null;
+  const installments = Boolean(window.selectedPlan);
+
+  if (installments && window.appliedCoupon) {
+    $('#removeCouponBtn').click();
+  }
+  $('#couponSection').prop('hidden', installments);
+
+  updateMethodAvailability();
+  if (installments) {
+    $('.method[data-gateway="razorpay"]').click();
+  }
+
+  updatePriceSummary();
+}
+
+// Ask the backend what the courses cost together; without an answer the
+// page shows the list prices and create-order prices the cart anyway
+async function requestQuote(couponCode) {
+  const response = await fetch(`${API_BASE_URL}/api/payment/quote`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      courseIds: window.checkoutCourses.map(course => course.id),
+      couponCode,
+      email: document.getElementById('customerEmail').value.trim() || undefined
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Could not price your cart');
+  }
+  return data;
+}
+
+async function refreshQuote() {
+  try {
+    window.cartQuote = await requestQuote();
+  } catch (error) {
+    console.error('Error pricing cart:', error);
+    window.cartQuote = null;
+  }
+  renderCartItems();
+  updatePriceSummary();
+  loadGatewayRoutes();
+}
+
+// Show the total, and the list price, bundle saving and coupon discount behind it
+function updatePriceSummary() {
+  const applied = window.appliedCoupon;
+  const quote = applied || window.cartQuote;
+  const listTotal = window.checkoutCourses.reduce((sum, course) => sum + parseRupees(course.price), 0);
+  const total = formatRupees(quote ? quote.amount : listTotal);
+  const bundleDiscount = quote ? quote.bundleDiscount : 0;
+
+  $('#originalPriceRow').prop('hidden', !applied && !bundleDiscount);
+  $('#bundleRow').prop('hidden', !bundleDiscount);
+  $('#discountRow').prop('hidden', !applied);
+  $('#couponApplied').prop('hidden', !applied);
+
+  $('#summaryOriginalLabel').text(window.checkoutCourses.length > 1 ? `${window.checkoutCourses.length} Courses` : 'Course Price');
+  $('#summaryOriginal').text(formatRupees(quote ? quote.originalAmount : listTotal));
+
+  if (bundleDiscount) {
+    $('#summaryBundleLabel').text(quote.bundles.length === 1 ? `Bundle: ${quote.bundles[0].name}` : 'Bundle Discounts');
+    $('#summaryBundle').text(`-${formatRupees(bundleDiscount)}`);
+  }
+
+  if (applied) {
+    $('#summaryDiscount').text(`-${formatRupees(applied.discount)}`);
+    $('#couponAppliedText').text(`${applied.coupon.code} applied${applied.coupon.description ? `: ${applied.coupon.description}` : ''}`);
+  }
+
+  const plan = window.selectedPlan;
+  const dueNow = plan ? formatRupees(plan.amount) : total;
+
+  $('#summaryTotalLabel').text(plan ? 'Due Today' : 'Total Amount');
+  $('#planNote').prop('hidden', !plan);
+  if (plan) {
+    $('#planNote').text(`Then ${formatRupees(plan.amount)} a month for ${plan.installments - 1} more ${plan.installments === 2 ? 'month' : 'months'} (${formatRupees(plan.totalAmount)} in total)`);
+  }
+
+  document.getElementById('summaryTotal').textContent = dueNow;
 
   // Update pay button with lock icon and price
-  document.getElementById('payNowBtn').innerHTML = `<i class="fas fa-lock"></i> Pay ${course.price}`;
+  document.getElementById('payNowBtn').innerHTML = `<i class="fas fa-lock"></i> Pay ${dueNow}${plan ? ' now' : ''}`;
+}
+
+function setupCouponHandlers() {
+  $('#applyCouponBtn').click(applyCoupon);
+  $('#couponCode').on('keydown', function (event) {
+    // Enter applies the coupon instead of submitting the payment form
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      applyCoupon();
+    }
+  });
+  $('#removeCouponBtn').click(function () {
+    window.appliedCoupon = null;
+    $('#couponCode').val('');
+    renderCartItems();
+    updatePriceSummary();
+    loadGatewayRoutes();
+  });
+}
+
+async function applyCoupon() {
+  const input = document.getElementById('couponCode');
+  const couponError = document.getElementById('couponError');
+  const button = document.getElementById('applyCouponBtn');
+  const code = input.value.trim();
+
+  couponError.textContent = '';
+  couponError.classList.remove('show-error');
+
+  if (!code || !window.checkoutCourses) return;
+
+  button.disabled = true;
+
+  try {
+    window.appliedCoupon = await requestQuote(code);
+  } catch (error) {
+    window.appliedCoupon = null;
+    couponError.textContent = error.message;
+    couponError.classList.add('show-error');
+  } finally {
+    button.disabled = false;
+    renderCartItems();
+    updatePriceSummary();
+    loadGatewayRoutes();
+  }
 }
 
 function setupFormHandlers() {
@@ -88,6 +357,15 @@ function setupFormHandlers() {
 
     phoneInput.addEventListener('blur', validatePhoneField);
     phoneInput.addEventListener('input', handlePhoneInput);
+
+    const businessNameInput = document.getElementById('businessName');
+    const gstinInput = document.getElementById('customerGstin');
+
+    businessNameInput.addEventListener('blur', validateGstFields);
+    gstinInput.addEventListener('blur', validateGstFields);
+    gstinInput.addEventListener('input', () => {
+      gstinInput.value = gstinInput.value.toUpperCase().replace(/\s/g, '');
+    });
   }
 }
 
@@ -101,30 +379,160 @@ function handlePhoneInput(e) {
   validatePhoneField();
 }
 
+// Logos for the gateways the backend may offer; others show their name
+const GATEWAY_LOGOS = {
+  razorpay: 'https://cdn.builder.io/api/v1/image/assets%2F54f73cbdda5d4fe2a9f22d6014626e18%2F1cbc1f23d71a40f9b35a1ebedb0f99ee?format=webp&width=800&height=1200',
+  phonepe: 'https://cdn.builder.io/api/v1/image/assets%2F54f73cbdda5d4fe2a9f22d6014626e18%2F7e99265aac174b67b3b925208ca4937b?format=webp&width=800&height=1200',
+  cashfree: 'https://cdn.builder.io/api/v1/image/assets%2Fa8305d2e4e7542a5ba3e92e7f3385d81%2F2150e92314a74762ba8bb36c694ac724?format=webp&width=800&height=1200'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  upi: 'UPI',
+  card: 'Cards',
+  netbanking: 'Netbanking',
+  wallet: 'Wallets'
+};
+
 function setupPaymentMethodSelection() {
-  const methods = document.querySelectorAll('.method');
+  // Delegated, so options rendered from the backend work too
+  $('.methods').on('click', '.method', function () {
+    document.querySelectorAll('.method').forEach(m => m.classList.remove('active'));
+    this.classList.add('active');
+    // Store selected gateway
+    window.selectedGateway = this.getAttribute('data-gateway');
+    console.log('Selected gateway:', window.selectedGateway);
+  });
+
+  // UPI, card, netbanking or wallet; routing rules can depend on it
+  $('#paymentMethodType').on('change', function () {
+    window.selectedPaymentMethod = this.value;
+    loadGatewayRoutes();
+  });
 
   // Select first method (Razorpay) by default
-  if (methods.length > 0) {
-    methods[0].classList.add('active');
-    window.selectedGateway = methods[0].getAttribute('data-gateway');
+  selectFirstMethod();
+  loadPaymentMethods();
+}
+
+function selectFirstMethod() {
+  const first = document.querySelector('.method:not(.unavailable)');
+  if (first) first.click();
+}
+
+// Offer only the gateways the backend has switched on and configured; the
+// options in the page stay if it cannot be reached
+async function loadPaymentMethods() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/payment/methods`);
+    const data = await response.json();
+    if (!data.success) return;
+
+    window.paymentMode = data.mode;
+    window.paymentGateways = data.gateways;
+    $('#testModeBanner').prop('hidden', data.mode !== 'test');
+    renderPaymentMethods(data.gateways);
+  } catch (error) {
+    console.error('Error loading payment methods:', error);
   }
+}
+
+function renderPaymentMethods(gateways) {
+  const selected = window.selectedGateway;
+
+  $('.methods').html(gateways.map(gateway => {
+    const logo = GATEWAY_LOGOS[gateway.id]
+      ? `<img src="${GATEWAY_LOGOS[gateway.id]}" alt="${gateway.name}">`
+      : `<span class="method-name">${gateway.name}</span>`;
+    const methods = gateway.methods.map(method => PAYMENT_METHOD_LABELS[method] || method).join(' · ');
+
+    return `
+      <div class="method" data-pay="${gateway.id}" data-gateway="${gateway.id}">
+        <div class="logo-box">${logo}</div>
+        <span class="method-caption">${methods}</span>
+      </div>
+    `;
+  }).join(''));
+
+  window.selectedGateway = null;
+  const previous = $(`.method[data-gateway="${selected}"]`);
+  if (previous.length) {
+    previous.click();
+  } else {
+    selectFirstMethod();
+  }
+
+  updateMethodAvailability();
+}
+
+// Ask the backend which gateways can take an order of this amount and payment
+// method; without an answer every method stays on offer and create-order routes
+// the order anyway
+async function loadGatewayRoutes() {
+  const quote = window.appliedCoupon || window.cartQuote;
+  const params = new URLSearchParams();
+  if (quote) params.set('amount', quote.amount);
+  if (window.selectedPaymentMethod) params.set('method', window.selectedPaymentMethod);
+  const query = params.toString() ? `?${params}` : '';
+  const request = (window.gatewayRoutesRequest = fetch(`${API_BASE_URL}/api/payment/gateways${query}`)
+    .then(response => response.json()));
+
+  try {
+    const data = await request;
+    // A newer request (e.g. after a coupon) has taken over
+    if (request !== window.gatewayRoutesRequest) return;
+    window.gatewayRoutes = data.success ? data.gateways : null;
+  } catch (error) {
+    console.error('Error loading payment gateways:', error);
+    window.gatewayRoutes = null;
+  }
+
+  updateMethodAvailability();
+}
+
+// Hide gateways that cannot take the order (not configured, routing rules, no
+// support for the chosen payment method, or installments, which only Razorpay
+// charges) and flag ones having trouble
+function updateMethodAvailability() {
+  const methods = document.querySelectorAll('.method');
+  const routes = window.gatewayRoutes || [];
+  const paymentMethod = window.selectedPaymentMethod;
 
   methods.forEach(method => {
-    method.addEventListener('click', function() {
-      // Remove active class from all methods
-      methods.forEach(m => m.classList.remove('active'));
-      // Add active class to clicked method
-      this.classList.add('active');
-      // Store selected gateway
-      window.selectedGateway = this.getAttribute('data-gateway');
-      console.log('Selected gateway:', window.selectedGateway);
-    });
+    const gateway = method.getAttribute('data-gateway');
+    const route = routes.find(candidate => candidate.id === gateway);
+    const offered = (window.paymentGateways || []).find(candidate => candidate.id === gateway);
+
+    const unavailable = (route && !route.available) ||
+      (paymentMethod && offered && !offered.methods.includes(paymentMethod)) ||
+      (window.selectedPlan && gateway !== 'razorpay');
+    const degraded = Boolean(route && route.available && route.health === 'degraded');
+
+    method.classList.toggle('unavailable', Boolean(unavailable));
+    method.classList.toggle('degraded', degraded);
+    method.title = degraded ? 'This payment method is having trouble right now. You can still try it.' : '';
   });
+
+  const available = [...methods].filter(method => !method.classList.contains('unavailable'));
+  const gatewayError = document.getElementById('gatewayError');
+
+  if (!available.length) {
+    window.selectedGateway = null;
+    methods.forEach(method => method.classList.remove('active'));
+    gatewayError.textContent = 'Online payment is unavailable right now. Please try again in a few minutes.';
+    gatewayError.classList.add('show-error');
+    return;
+  }
+  gatewayError.textContent = '';
+  gatewayError.classList.remove('show-error');
+
+  // Move off a gateway that was just hidden, preferring one that is healthy
+  if (!available.some(method => method.getAttribute('data-gateway') === window.selectedGateway)) {
+    (available.find(method => !method.classList.contains('degraded')) || available[0]).click();
+  }
 }
 
 async function handleCheckoutSubmit() {
-  if (!window.currentCourseForPayment) {
+  if (!window.checkoutCourses || !window.checkoutCourses.length) {
     showPaymentStatus('error', 'Course Not Found', 'Course information was not found. Please try again.');
     return;
   }
@@ -148,34 +556,55 @@ async function handleCheckoutSubmit() {
 
   const customerDetails = { name, email, phone };
 
+  // Optional business details for a GST invoice
+  const businessName = document.getElementById('businessName').value.trim();
+  const gstin = document.getElementById('customerGstin').value.trim();
+  if (businessName || gstin) {
+    Object.assign(customerDetails, { businessName, gstin });
+  }
+
+  if (window.selectedPlan) {
+    await handleInstallmentCheckout(customerDetails);
+    return;
+  }
+
   try {
     showPaymentStatus('pending', 'Processing Payment', 'Please wait while we initialize your payment...');
 
-    // Get course price
-    const priceText = window.currentCourseForPayment.price;
-    // Remove ₹ symbol AND commas (e.g., "₹2,999" -> "2999")
-    const amount = parseFloat(priceText.replace('₹', '').replace(/,/g, '').trim());
+    const courseIds = window.checkoutCourses.map(course => course.id);
+
+    // Displayed cart price before any coupon - the backend charges its own
+    // catalog price and rejects the order if this one is out of date
+    const displayedAmount = window.cartQuote
+      ? window.cartQuote.amount
+      : window.checkoutCourses.reduce((sum, course) => sum + parseRupees(course.price), 0);
 
     console.log('Payment details:', {
-      coursePrice: priceText,
-      parsedAmount: amount,
+      courseIds,
+      parsedAmount: displayedAmount,
       gateway: gateway,
-      customerEmail: email,
-      courseName: window.currentCourseForPayment.name
+      method: window.selectedPaymentMethod,
+      customerEmail: email
     });
 
-    // Store for later verification
-    localStorage.setItem('current_amount', amount);
-    localStorage.setItem('current_customer_email', email);
-
     // Call backend API to create order
     const payload = {
-      amount: amount,
+      courseIds,
+      amount: displayedAmount,
       gateway: gateway,
-      customer: customerDetails,
-      description: `Payment for ${window.currentCourseForPayment.name}`
+      customer: customerDetails
     };
 
+    // Lets the backend apply its routing rules for this way of paying
+    if (window.selectedPaymentMethod) {
+      payload.method = window.selectedPaymentMethod;
+    }
+
+    // The backend works out the discount itself (and checks the per-email limit)
+    if (window.appliedCoupon) {
+      payload.couponCode = window.appliedCoupon.coupon.code;
+    }
+
     console.log('Sending to backend:', payload);
 
     const response = await fetch(`${API_BASE_URL}/api/payment/create-order`, {
@@ -186,18 +615,38 @@ async function handleCheckoutSubmit() {
       body: JSON.stringify(payload)
     });
 
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `API error: ${response.status}`);
     }
 
-    const data = await response.json();
+    // Amount confirmed by the backend catalog, after any coupon
+    const amount = data.amount;
+
+    // Store for later verification
+    localStorage.setItem('current_amount', amount);
+    localStorage.setItem('current_customer_email', email);
 
-    if (!data.success) {
-      throw new Error(data.error || 'Failed to create order');
+    // Ledger order ID - what the status page polls for redirect-based gateways
+    localStorage.setItem('ledger_order_id', data.ledgerOrderId);
+
+    // Taken out of the cart once the payment is confirmed, here or on the status page
+    localStorage.setItem('checkout_course_ids', JSON.stringify(data.courseIds));
+
+    // The backend may have routed the order to another gateway, e.g. when the chosen one was
+    // down; tell the buyer before the other gateway's page opens
+    if (data.gateway !== gateway) {
+      showPaymentStatus(
+        'pending',
+        'Switching Payment Gateway',
+        `${getGatewayName(gateway)} can't take this payment right now, so you'll pay with ${getGatewayName(data.gateway)} instead.`
+      );
+      await new Promise(resolve => setTimeout(resolve, GATEWAY_SWITCH_NOTICE_MS));
     }
 
     // Handle different gateways
-    handleGatewayPayment(gateway, data.order, amount, customerDetails);
+    handleGatewayPayment(data.gateway, data.order, amount, customerDetails);
 
   } catch (error) {
     console.error('Payment error:', error);
@@ -258,6 +707,40 @@ function validatePhoneField() {
   }
 }
 
+// Both fields are optional, but a GST invoice needs both
+function validateGstFields() {
+  const businessNameInput = document.getElementById('businessName');
+  const businessNameError = document.getElementById('businessNameError');
+  const gstinInput = document.getElementById('customerGstin');
+  const gstinError = document.getElementById('gstinError');
+  const businessName = businessNameInput.value.trim();
+  const gstin = gstinInput.value.trim();
+  const gstinRegex = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+  clearFieldError(businessNameInput, businessNameError);
+  clearFieldError(gstinInput, gstinError);
+
+  if (!businessName && !gstin) {
+    return true;
+  }
+
+  let valid = true;
+  if (!businessName) {
+    setFieldError(businessNameInput, businessNameError, 'Business name is required for a GST invoice');
+    valid = false;
+  }
+  if (!gstinRegex.test(gstin)) {
+    setFieldError(gstinInput, gstinError, 'Enter a valid 15-character GSTIN');
+    valid = false;
+  }
+
+  // Make sure the buyer can see what is wrong
+  if (!valid) {
+    document.getElementById('gstDetails').open = true;
+  }
+  return valid;
+}
+
 function setFieldError(inputElement, errorElement, message) {
   inputElement.classList.add('input-error');
   errorElement.textContent = message;
@@ -274,6 +757,7 @@ function validateCheckoutForm() {
   const nameValid = validateNameField();
   const emailValid = validateEmailField();
   const phoneValid = validatePhoneField();
+  const gstValid = validateGstFields();
 
   const gateway = window.selectedGateway;
   const gatewayError = document.getElementById('gatewayError');
@@ -288,7 +772,16 @@ function validateCheckoutForm() {
     gatewayError.classList.remove('show-error');
   }
 
-  return nameValid && emailValid && phoneValid && gatewayValid;
+  return nameValid && emailValid && phoneValid && gstValid && gatewayValid;
+}
+
+// How long the buyer sees that their payment moved to another gateway
+const GATEWAY_SWITCH_NOTICE_MS = 2500;
+
+// Display name from /api/payment/methods, falling back to the ID
+function getGatewayName(gatewayId) {
+  const gateway = (window.paymentGateways || []).find(candidate => candidate.id === gatewayId);
+  return gateway ? gateway.name : gatewayId;
 }
 
 function handleGatewayPayment(gateway, order, amount, customer) {
@@ -302,18 +795,109 @@ function handleGatewayPayment(gateway, order, amount, customer) {
     case 'cashfree':
       handleCashfreePayment(order);
       break;
+    case 'mock':
+      handleMockPayment(order);
+      break;
   }
 }
 
-function handleRazorpayPayment(order, amount, customer) {
-  // Load Razorpay script if not loaded
+// Load Razorpay script if not loaded
+function loadRazorpayScript(callback) {
   if (!window.Razorpay) {
     const script = document.createElement('script');
     script.src = 'https://checkout.razorpay.com/v1/checkout.js';
-    script.onload = () => openRazorpayCheckout(order, amount, customer);
+    script.onload = callback;
     document.head.appendChild(script);
   } else {
-    openRazorpayCheckout(order, amount, customer);
+    callback();
+  }
+}
+
+function handleRazorpayPayment(order, amount, customer) {
+  loadRazorpayScript(() => openRazorpayCheckout(order, amount, customer));
+}
+
+// Installments: Razorpay charges the first one now and the rest every month
+async function handleInstallmentCheckout(customer) {
+  const plan = window.selectedPlan;
+
+  try {
+    showPaymentStatus('pending', 'Processing Payment', 'Please wait while we set up your installments...');
+
+    const response = await fetch(`${API_BASE_URL}/api/subscriptions/create`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ planId: plan.id, gateway: 'razorpay', customer })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `API error: ${response.status}`);
+    }
+
+    localStorage.setItem('current_customer_email', customer.email);
+    localStorage.setItem('checkout_course_ids', JSON.stringify([data.subscription.courseId]));
+
+    loadRazorpayScript(() => openRazorpaySubscriptionCheckout(data.subscription, data.checkout, customer));
+  } catch (error) {
+    console.error('Installment error:', error);
+    showPaymentStatus('error', 'Payment Initialization Failed', error.message);
+  }
+}
+
+function openRazorpaySubscriptionCheckout(subscription, checkout, customer) {
+  const rzp = new Razorpay({
+    key: checkout.razorpayKey,
+    subscription_id: checkout.subscriptionId,
+    description: `${subscription.courseName}: ${subscription.installments} monthly payments of ₹${subscription.amount}`,
+    handler: async function(response) {
+      await verifyInstallmentPayment(subscription.id, response.razorpay_payment_id, response.razorpay_signature);
+    },
+    prefill: {
+      name: customer.name,
+      email: customer.email,
+      contact: customer.phone
+    },
+    theme: {
+      color: '#6366f1'
+    },
+    modal: {
+      ondismiss: function() {
+        closePaymentStatus();
+      }
+    }
+  });
+  rzp.open();
+}
+
+async function verifyInstallmentPayment(subscriptionId, paymentId, signature) {
+  try {
+    showPaymentStatus('pending', 'Verifying Payment', 'Please wait while we confirm your payment...');
+
+    const response = await fetch(`${API_BASE_URL}/api/subscriptions/verify`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ subscriptionId, paymentId, signature })
+    });
+
+    const data = await response.json();
+
+    if (data.success && data.paymentStatus === 'completed') {
+      showPaymentSuccess('Razorpay', data);
+    } else if (data.success) {
+      // Charged by Razorpay but not confirmed yet; the webhook enrolls the learner
+      showPaymentPending('Razorpay', data);
+    } else {
+      showPaymentStatus('error', 'Payment Verification Failed', data.error || 'Please contact support if the issue persists.');
+    }
+  } catch (error) {
+    console.error('Verification error:', error);
+    showPaymentStatus('error', 'Payment Verification Failed', 'An error occurred during verification. Please contact support.');
   }
 }
 
@@ -369,8 +953,11 @@ async function verifyRazorpayPayment(orderId, paymentId, signature) {
 
     const data = await response.json();
 
-    if (data.success) {
+    if (data.success && data.paymentStatus === 'completed') {
       showPaymentSuccess('Razorpay', data);
+    } else if (data.success && data.paymentStatus === 'pending') {
+      // Authorized but not captured yet: the money is held, enrollment follows the capture
+      showPaymentPending('Razorpay', data);
     } else {
       showPaymentStatus('error', 'Payment Verification Failed', data.error || 'Please contact support if the issue persists.');
     }
@@ -382,10 +969,9 @@ async function verifyRazorpayPayment(orderId, paymentId, signature) {
 
 function handlePhonePePayment(order) {
   if (order.redirectUrl) {
-    // Store transaction ID for later verification
-    localStorage.setItem('phonepe_transaction_id', order.transactionId);
+    // PhonePe status is looked up by our merchantOrderId (the ledger order ID)
     localStorage.setItem('phonepe_amount', localStorage.getItem('current_amount'));
-    localStorage.setItem('phonepe_order_id', order.orderId);
+    localStorage.setItem('phonepe_order_id', localStorage.getItem('ledger_order_id'));
     localStorage.setItem('payment_gateway', 'phonepe');
 
     // Redirect to PhonePe - backend will handle return_url callback
@@ -408,6 +994,18 @@ function handleCashfreePayment(order) {
   }
 }
 
+// The mock gateway (development only) has its own payment page on the backend
+function handleMockPayment(order) {
+  if (order.paymentLink) {
+    localStorage.setItem('mock_order_id', order.orderId);
+    localStorage.setItem('payment_gateway', 'mock');
+
+    window.location.href = order.paymentLink;
+  } else {
+    showPaymentStatus('error', 'Payment Gateway Error', 'Failed to initialize the mock payment. Please try again.');
+  }
+}
+
 // Show payment status modal
 function showPaymentStatus(type, title, message, details = null) {
   const overlay = document.getElementById('paymentStatusOverlay');
@@ -445,8 +1043,8 @@ function showPaymentStatus(type, title, message, details = null) {
 
   if (type === 'success') {
     html += `
-      <button class="btn-status btn-status-primary" onclick="window.location.href='/courses'">
-        Back to Courses
+      <button class="btn-status btn-status-primary" onclick="window.location.href='/dashboard'">
+        Go to My Courses
       </button>
     `;
   } else if (type === 'error') {
@@ -471,23 +1069,65 @@ function closePaymentStatus() {
   overlay.classList.remove('active');
 }
 
+// The courses just paid for are no longer in the cart
+function removePaidCoursesFromCart() {
+  try {
+    Cart.remove(JSON.parse(localStorage.getItem('checkout_course_ids')) || []);
+  } catch (error) {
+    console.error('Error updating cart:', error);
+  }
+  localStorage.removeItem('checkout_course_ids');
+}
+
 function showPaymentSuccess(gateway, paymentData) {
+  removePaidCoursesFromCart();
+
   const details = {
     'Gateway': gateway,
     'Amount': `₹${paymentData.amount}`,
-    'Status': paymentData.status
+    'Status': paymentData.paymentStatus
   };
 
+  if (paymentData.method) {
+    details['Method'] = paymentData.method;
+  }
+  if (paymentData.ledgerOrderId) {
+    details['Order ID'] = paymentData.ledgerOrderId;
+  }
+
   showPaymentStatus('success', 'Payment Successful!',
-    'Your payment has been confirmed. You will be enrolled in the course shortly. Check your email for further instructions.',
+    `Your payment has been confirmed and you are now enrolled in ${window.checkoutCourses.length > 1 ? 'your courses' : 'the course'}. Check your email for further instructions.`,
     details);
 
-  // Redirect to courses page after 3 seconds
+  // Redirect to the student dashboard after 3 seconds
   setTimeout(() => {
-    window.location.href = '/courses';
+    window.location.href = '/dashboard';
   }, 3000);
 }
 
+function showPaymentPending(gateway, paymentData) {
+  // Paid for, just not captured yet
+  removePaidCoursesFromCart();
+
+  const details = {
+    'Gateway': gateway,
+    'Amount': `₹${paymentData.amount}`,
+    'Status': 'Authorized'
+  };
+
+  if (paymentData.ledgerOrderId) {
+    details['Order ID'] = paymentData.ledgerOrderId;
+  }
+
+  showPaymentStatus('pending', 'Payment Received',
+    'Your payment is authorized and waiting to be confirmed. You will be enrolled and emailed as soon as it is; no need to pay again.',
+    details);
+
+  setTimeout(() => {
+    window.location.href = '/dashboard';
+  }, 6000);
+}
+
 // Spinner animation for pending status
 const style = document.createElement('style');
 style.textContent = `
@@ -1,31 +1,148 @@
+// API Configuration
+const API_BASE_URL = (() => {
+    const hostname = window.location.hostname;
+    // Use localhost for local development
+    if (hostname === 'localhost' || hostname === '127.0.0.1') {
+        return 'http://localhost:5000';
+    }
+    // Use render backend for all other environments (production, Builder.io preview, etc)
+    return 'https://shivam-codessite.onrender.com';
+})();
+
 document.addEventListener('DOMContentLoaded', function() {
     const loginForm = document.getElementById('login-page-form');
+    const codeForm = document.getElementById('login-code-form');
     const loginError = document.getElementById('login-page-error');
+    const loginInfo = document.getElementById('login-page-info');
     const emailInput = document.getElementById('login-email');
-    const passwordInput = document.getElementById('login-password');
-
-    if (loginForm) {
-        loginForm.addEventListener('submit', function(e) {
-            e.preventDefault();
-            
-            const email = emailInput.value.trim();
-            const password = passwordInput.value.trim();
-
-            // Clear previous error message
-            loginError.textContent = '';
-
-            // Validate inputs
-            if (!email || !password) {
-                loginError.textContent = "This email doesn't associated to any course";
-                return;
-            }
-
-            // Show error message for any login attempt
-            loginError.textContent = "This email doesn't associated to any course";
-            
-            // Clear form
-            loginForm.reset();
-            emailInput.focus();
+    const codeInput = document.getElementById('login-code');
+
+    if (!loginForm) return;
+
+    // Session cookie lives on the API domain, so every call must send credentials
+    const api = async (path, options = {}) => {
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            ...options,
         });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        return data;
+    };
+
+    const showError = (message) => {
+        loginError.textContent = message || '';
+    };
+
+    const showInfo = (message) => {
+        loginInfo.textContent = message || '';
+        loginInfo.hidden = !message;
+    };
+
+    const setBusy = (form, busy) => {
+        form.querySelector('button[type="submit"]').disabled = busy;
+    };
+
+    const showStep = (step) => {
+        loginForm.hidden = step !== 'email';
+        codeForm.hidden = step !== 'code';
+    };
+
+    // /login?next=/admin comes back to that page; only paths on this site are followed
+    const nextPage = (() => {
+        const next = new URLSearchParams(window.location.search).get('next');
+        return next && /^\/(?![\/\\])/.test(next) ? next : '/dashboard';
+    })();
+
+    const goToNextPage = () => {
+        window.location.href = nextPage;
+    };
+
+    // Step 1: ask for a login code
+    loginForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const email = emailInput.value.trim();
+        showError('');
+
+        if (!email) {
+            showError('Please enter your email');
+            return;
+        }
+
+        setBusy(loginForm, true);
+        try {
+            const data = await api('/api/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({ email }),
+            });
+            showInfo(`${data.message}. Enter the code or open the link in the email.`);
+            showStep('code');
+            codeInput.focus();
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            setBusy(loginForm, false);
+        }
+    });
+
+    // Step 2: exchange the code for a session
+    codeForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const code = codeInput.value.trim();
+        showError('');
+
+        if (!/^\d{6}$/.test(code)) {
+            showError('Login code must be 6 digits');
+            return;
+        }
+
+        setBusy(codeForm, true);
+        try {
+            await api('/api/auth/verify', {
+                method: 'POST',
+                body: JSON.stringify({ email: emailInput.value.trim(), code }),
+            });
+            goToNextPage();
+        } catch (error) {
+            showError(error.message);
+            codeInput.focus();
+        } finally {
+            setBusy(codeForm, false);
+        }
+    });
+
+    document.getElementById('login-change-email').addEventListener('click', function(e) {
+        e.preventDefault();
+        codeForm.reset();
+        showInfo('');
+        showError('');
+        showStep('email');
+        emailInput.focus();
+    });
+
+    // Magic link: /login?token=...
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (token) {
+        // Drop the token from the address bar so it is not bookmarked or shared
+        window.history.replaceState(null, '', window.location.pathname);
+
+        api('/api/auth/verify', {
+            method: 'POST',
+            body: JSON.stringify({ token }),
+        })
+            .then(goToNextPage)
+            .catch((error) => {
+                showStep('email');
+                showError(`${error.message}. Request a new code below.`);
+            });
+        return;
     }
+
+    // Already logged in?
+    api('/api/me').then(goToNextPage).catch(() => {});
 });
@@ -80,22 +80,59 @@ $(document).ready(function () {
         }
     });
 
-    // <!-- emailjs to mail contact form data -->
+    // <!-- contact form starts -->
+    const contactApiBaseUrl = (() => {
+        const hostname = window.location.hostname;
+        // Use localhost for local development
+        if (hostname === 'localhost' || hostname === '127.0.0.1') {
+            return 'http://localhost:5000';
+        }
+        return 'https://shivam-codessite.onrender.com';
+    })();
+
     $("#contact-form").submit(function (event) {
-        emailjs.init("8E5B41l0zgZgR_hZu");
-
-        emailjs.sendForm('service_52qp9pb', 'template_hn5wlrm', '#contact-form')
-            .then(function (response) {
-                console.log('SUCCESS!', response.status, response.text);
-                document.getElementById("contact-form").reset();
-                alert("Form Submitted Successfully");
-            }, function (error) {
-                console.log('FAILED...', error);
-                alert("Form Submission Failed! Try Again");
-            });
         event.preventDefault();
+
+        const form = this;
+        const status = form.querySelector('.contact-form-status');
+        const button = form.querySelector('button[type="submit"]');
+        const showStatus = (type, message) => {
+            status.textContent = message;
+            status.className = `contact-form-status ${type}`;
+            status.hidden = false;
+        };
+
+        const data = Object.fromEntries(new FormData(form));
+        data.source = form.dataset.source;
+
+        button.disabled = true;
+        status.hidden = true;
+
+        fetch(`${contactApiBaseUrl}/api/contact`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data),
+        })
+            .then(response => response.json().then(body => ({ ok: response.ok, body })))
+            .then(({ ok, body }) => {
+                if (!ok) {
+                    throw new Error(body.error || 'Could not send your message');
+                }
+                form.reset();
+                showStatus('success', body.message);
+            })
+            .catch(error => {
+                console.error('Contact form error:', error);
+                // fetch() itself only fails when the server could not be reached
+                showStatus('error', error instanceof TypeError
+                    ? 'Could not send your message. Please check your connection and try again.'
+                    : error.message);
+            })
+            .finally(() => {
+                button.disabled = false;
+            });
     });
-    // <!-- emailjs to mail contact form data -->
+    // <!-- contact form ends -->
 
     // <!-- typed js effect starts -->
     if (document.querySelector(".typing-text")) {
@@ -0,0 +1,42 @@
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { createJsonStore } from './jsonStore.js';
+
+/**
+ * Storage layer
+ * Services talk to collections through this interface only, so the JSON
+ * files can be swapped for SQLite or Postgres without touching routes.
+ *
+ * @typedef {object} Store
+ * @property {(id: string) => Promise<object|null>} get
+ * @property {(predicate: Function) => Promise<Array<object>>} find
+ * @property {(predicate: Function) => Promise<object|null>} findOne
+ * @property {() => Promise<Array<object>>} all
+ * @property {(record: object) => Promise<object>} insert
+ * @property {(id: string, patch: object) => Promise<object>} update
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Directory that holds the collections (and other local data such as the mail outbox)
+ * A relative STORAGE_DIR is taken from backend/, wherever the process was started.
+ * @returns {string}
+ */
+export const getStorageDir = () => resolve(__dirname, '..', process.env.STORAGE_DIR || 'storage');
+
+const stores = new Map();
+
+/**
+ * Get (or open) a named collection
+ * @param {string} name - Collection name, e.g. 'orders'
+ * @returns {Store}
+ */
+export const getStore = (name) => {
+  if (!stores.has(name)) {
+    stores.set(name, createJsonStore({ name, dir: getStorageDir() }));
+  }
+  return stores.get(name);
+};
+
+export default getStore;
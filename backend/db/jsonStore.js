@@ -0,0 +1,81 @@
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { rename, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * File-backed JSON store
+ * Keeps one collection in memory and persists it to <dir>/<name>.json.
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a half-written collection behind.
+ * @param {object} params - { name, dir }
+ * @returns {object} Store implementing get, find, all, insert, update
+ */
+export const createJsonStore = ({ name, dir }) => {
+  const filePath = join(dir, `${name}.json`);
+  let records = null;
+  let writeQueue = Promise.resolve();
+
+  const load = () => {
+    if (!records) {
+      if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+      }
+      records = existsSync(filePath)
+        ? new Map(Object.entries(JSON.parse(readFileSync(filePath, 'utf8'))))
+        : new Map();
+      logger.debug('JSON store loaded', { name, records: records.size });
+    }
+    return records;
+  };
+
+  // Serialize writes so two requests never interleave on the same file
+  const persist = () => {
+    const snapshot = JSON.stringify(Object.fromEntries(load()), null, 2);
+    writeQueue = writeQueue.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await writeFile(tempPath, snapshot);
+      await rename(tempPath, filePath);
+    });
+    return writeQueue;
+  };
+
+  const clone = (record) => (record ? structuredClone(record) : null);
+
+  return {
+    name,
+
+    get: async (id) => clone(load().get(id)),
+
+    find: async (predicate) => [...load().values()].filter(predicate).map(clone),
+
+    findOne: async (predicate) => clone([...load().values()].find(predicate)),
+
+    all: async () => [...load().values()].map(clone),
+
+    insert: async (record) => {
+      if (!record.id) {
+        throw new Error(`Cannot insert into ${name}: record has no id`);
+      }
+      if (load().has(record.id)) {
+        throw new Error(`Cannot insert into ${name}: duplicate id ${record.id}`);
+      }
+      load().set(record.id, clone(record));
+      await persist();
+      return clone(record);
+    },
+
+    update: async (id, patch) => {
+      const existing = load().get(id);
+      if (!existing) {
+        throw new Error(`Cannot update ${name}: no record with id ${id}`);
+      }
+      const updated = { ...existing, ...patch, id };
+      load().set(id, updated);
+      await persist();
+      return clone(updated);
+    },
+  };
+};
+
+export default createJsonStore;
@@ -1,11 +1,18 @@
 import axios from 'axios';
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { hmacSha256, safeEqual } from '../utils/signatures.js';
+import { defineGateway } from './contract.js';
+import { PAYMENT_MODE, getPaymentMode } from './mode.js';
 
 // Cashfree API configuration
-const CASHFREE_API_URL = process.env.CASHFREE_API_URL || 'https://api.cashfree.com/pg';
-const CASHFREE_APP_ID = process.env.CASHFREE_APP_ID;
-const CASHFREE_APP_SECRET = process.env.CASHFREE_APP_SECRET;
+const CASHFREE_API_URLS = {
+  test: 'https://sandbox.cashfree.com/pg',
+  live: 'https://api.cashfree.com/pg',
+};
+// Read on use, so the keys follow .env however late it loads
+const getAppId = () => process.env.CASHFREE_APP_ID;
+const getAppSecret = () => process.env.CASHFREE_APP_SECRET;
 
 /**
  * Generate Cashfree request signature
@@ -18,26 +25,50 @@ const generateCashfreeSignature = (data) => {
 
 /**
  * Create axios instance for Cashfree API
+ * Sandbox in test mode, production in live mode (PAYMENT_MODE)
  */
 const cashfreeAPI = axios.create({
-  baseURL: CASHFREE_API_URL,
   headers: {
     'Content-Type': 'application/json',
     'x-api-version': '2023-08-01',
-    'x-client-id': CASHFREE_APP_ID,
   },
 });
 
+cashfreeAPI.interceptors.request.use((config) => ({
+  ...config,
+  baseURL: CASHFREE_API_URLS[getPaymentMode()],
+  headers: { ...config.headers, 'x-client-id': getAppId() },
+}));
+
+/**
+ * Check the Cashfree credentials
+ * Looks up an order that does not exist: Cashfree answers 404 to valid
+ * credentials and 401 to anything else.
+ * @returns {Promise<void>} Rejects if Cashfree refuses the app ID and secret
+ */
+export const checkCashfreeCredentials = async () => {
+  try {
+    await cashfreeAPI.get('/orders/credentials_check', {
+      headers: {
+        'x-api-key': getAppSecret(),
+      },
+    });
+  } catch (error) {
+    if (error.response?.status === 404) return;
+    throw new Error(error.response?.data?.message || error.message);
+  }
+};
+
 /**
  * Create Cashfree order
- * @param {object} params - { amount, currency, customer, orderId }
+ * @param {object} params - { amount, currency, customer, orderId, description }
  * @returns {Promise<object>} Order details with payment link
  */
 export const createCashfreeOrder = async (params) => {
   try {
-    const { amount, currency = 'INR', customer, orderId } = params;
+    const { amount, currency = 'INR', customer, orderId, description } = params;
 
-    const orderIdUnique = `ORD_${CASHFREE_APP_ID}_${Date.now()}`;
+    const orderIdUnique = `ORD_${getAppId()}_${Date.now()}`;
 
     logger.info('Creating Cashfree order', {
       amount,
@@ -59,18 +90,18 @@ export const createCashfreeOrder = async (params) => {
         return_url: `${process.env.FRONTEND_URL}/payment-status?orderId=${orderIdUnique}`,
         notify_url: `${process.env.BACKEND_URL || 'https://your-backend-url.com'}/api/webhook/cashfree`,
       },
-      order_note: 'Payment for courses',
+      order_note: description || 'Payment for courses',
       order_tags: ['course', 'payment'],
     };
 
     // Create signature
-    const signatureData = orderIdUnique + parseFloat(amount) + currency + CASHFREE_APP_SECRET;
+    const signatureData = orderIdUnique + parseFloat(amount) + currency + getAppSecret();
     const signature = generateCashfreeSignature(signatureData);
 
     const response = await cashfreeAPI.post('/orders', orderData, {
       headers: {
         'x-idempotency-key': `${Date.now()}`,
-        'x-api-key': CASHFREE_APP_SECRET,
+        'x-api-key': getAppSecret(),
       },
     });
 
@@ -119,7 +150,7 @@ export const getCashfreeOrderDetails = async (orderId) => {
 
     const response = await cashfreeAPI.get(`/orders/${orderId}`, {
       headers: {
-        'x-api-key': CASHFREE_APP_SECRET,
+        'x-api-key': getAppSecret(),
       },
     });
 
@@ -148,29 +179,21 @@ export const getCashfreeOrderDetails = async (orderId) => {
 
 /**
  * Verify Cashfree webhook signature
- * @param {object} webhookData 
- * @param {string} signature 
+ * signature = Base64(HMAC-SHA256(timestamp + rawBody, appSecret))
+ * @param {string} rawBody - Request body as received
+ * @param {string} timestamp - X-Webhook-Timestamp header
+ * @param {string} signature - X-Webhook-Signature header
  * @returns {boolean} True if signature is valid
  */
-const verifyCashfreeWebhookSignature = (webhookData, signature) => {
+const verifyCashfreeWebhookSignature = (rawBody, timestamp, signature) => {
   try {
-    const { data } = webhookData;
-    
-    if (!data) {
-      logger.warn('No data in webhook');
+    if (!getAppSecret()) {
+      logger.error('CASHFREE_APP_SECRET is not configured');
       return false;
     }
 
-    // Cashfree signature verification
-    // signature = SHA256(orderId + orderAmount + orderCurrency + appSecret)
-    const signatureData = 
-      `${data.order?.order_id || ''}` +
-      `${data.order?.order_amount || ''}` +
-      `${data.order?.order_currency || ''}` +
-      CASHFREE_APP_SECRET;
-
-    const expectedSignature = generateCashfreeSignature(signatureData);
-    const isValid = expectedSignature === signature;
+    const expectedSignature = hmacSha256(getAppSecret(), `${timestamp}${rawBody}`, 'base64');
+    const isValid = safeEqual(expectedSignature, signature);
 
     if (!isValid) {
       logger.warn('Cashfree webhook signature mismatch');
@@ -187,18 +210,19 @@ const verifyCashfreeWebhookSignature = (webhookData, signature) => {
 
 /**
  * Handle Cashfree webhook
- * @param {object} webhookData 
- * @param {string} signature 
+ * @param {object} webhookData - Parsed body
+ * @param {object} auth - { signature, timestamp, rawBody }
  * @returns {Promise<object>} Validation result
  */
-export const handleCashfreeWebhook = async (webhookData, signature) => {
+export const handleCashfreeWebhook = async (webhookData, auth) => {
   try {
     logger.info('Handling Cashfree webhook', {
       orderId: webhookData?.data?.order?.order_id,
     });
 
     // Verify signature
-    const isValidSignature = verifyCashfreeWebhookSignature(webhookData, signature);
+    const { signature, timestamp, rawBody } = auth;
+    const isValidSignature = verifyCashfreeWebhookSignature(rawBody, timestamp, signature);
 
     if (!isValidSignature) {
       return { valid: false, message: 'Invalid signature' };
@@ -239,7 +263,7 @@ export const getCashfreePaymentDetails = async (orderId, paymentId) => {
       `/orders/${orderId}/payments/${paymentId}`,
       {
         headers: {
-          'x-api-key': CASHFREE_APP_SECRET,
+          'x-api-key': getAppSecret(),
         },
       }
     );
@@ -263,18 +287,19 @@ export const getCashfreePaymentDetails = async (orderId, paymentId) => {
 
 /**
  * Refund Cashfree payment
- * @param {object} params - { orderId, paymentId, amount }
+ * @param {object} params - { orderId, paymentId, amount, refundId, reason }
  * @returns {Promise<object>} Refund response
  */
 export const refundCashfreePayment = async (params) => {
   try {
-    const { orderId, paymentId, amount } = params;
+    const { orderId, paymentId, amount, refundId, reason } = params;
 
-    logger.info('Initiating Cashfree refund', { orderId, paymentId, amount });
+    logger.info('Initiating Cashfree refund', { orderId, paymentId, amount, refundId });
 
     const refundData = {
       refund_amount: parseFloat(amount),
-      refund_note: 'Course refund',
+      refund_note: reason || 'Course refund',
+      ...(refundId && { refund_id: refundId }),
     };
 
     const response = await cashfreeAPI.post(
@@ -282,8 +307,8 @@ export const refundCashfreePayment = async (params) => {
       refundData,
       {
         headers: {
-          'x-api-key': CASHFREE_APP_SECRET,
-          'x-idempotency-key': `${Date.now()}`,
+          'x-api-key': getAppSecret(),
+          'x-idempotency-key': refundId || `${Date.now()}`,
         },
       }
     );
@@ -310,10 +335,165 @@ export const refundCashfreePayment = async (params) => {
   }
 };
 
+/**
+ * Get Cashfree refund details
+ * @param {string} orderId
+ * @param {string} refundId - Merchant refund ID
+ * @returns {Promise<object>} Refund details
+ */
+export const getCashfreeRefundDetails = async (orderId, refundId) => {
+  try {
+    logger.info('Fetching Cashfree refund details', { orderId, refundId });
+
+    const response = await cashfreeAPI.get(`/orders/${orderId}/refunds/${refundId}`, {
+      headers: {
+        'x-api-key': getAppSecret(),
+      },
+    });
+
+    return {
+      refundId: response.data?.refund_id,
+      status: response.data?.refund_status,
+      amount: response.data?.refund_amount,
+      processedAt: response.data?.processed_at,
+    };
+  } catch (error) {
+    logger.error('Failed to fetch Cashfree refund details', {
+      orderId,
+      refundId,
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Cashfree adapter for the gateway registry
+ */
+export const cashfreeGateway = defineGateway({
+  id: 'cashfree',
+  name: 'Cashfree',
+  verifyFields: ['orderId', 'paymentId'],
+  isConfigured: () => Boolean(getAppId() && getAppSecret()),
+  methods: ['upi', 'card', 'netbanking', 'wallet'],
+  // Sandbox app IDs start with TEST; secret keys are cfsk_ma_test_... or cfsk_ma_prod_...
+  getKeyMode: () => {
+    if (/_test_/.test(getAppSecret() || '') || /^TEST/.test(getAppId() || '')) return PAYMENT_MODE.TEST;
+    if (/_prod_/.test(getAppSecret() || '')) return PAYMENT_MODE.LIVE;
+    return null;
+  },
+  checkCredentials: checkCashfreeCredentials,
+  statusMap: {
+    ACTIVE: 'pending',
+    PENDING: 'pending',
+    PAID: 'paid',
+    SUCCESS: 'paid',
+    FAILED: 'failed',
+    USER_DROPPED: 'failed',
+    CANCELLED: 'failed',
+    EXPIRED: 'failed',
+    TERMINATED: 'failed',
+  },
+
+  createOrder: async ({ orderId, amount, currency, customer, description }) => {
+    const order = await createCashfreeOrder({ amount, currency, customer, orderId, description });
+    return { order, gatewayOrderId: order.orderId };
+  },
+
+  verify: async ({ orderId, paymentId }) => {
+    const payment = await getCashfreePaymentDetails(orderId, paymentId);
+
+    const snapshot = {
+      reference: orderId,
+      gatewayStatus: payment.status,
+      paymentId: payment.paymentId ? `${payment.paymentId}` : undefined,
+      amount: payment.amount,
+      currency: 'INR',
+      // payment_method is an object keyed by method, e.g. { upi: {...} }
+      method: payment.method && typeof payment.method === 'object'
+        ? Object.keys(payment.method)[0]
+        : payment.method,
+      paidAt: payment.timestamp,
+      raw: payment,
+    };
+
+    if (payment.status !== 'SUCCESS') {
+      return { ...snapshot, success: false, error: 'Payment verification failed' };
+    }
+
+    return { ...snapshot, success: true };
+  },
+
+  getStatus: async (orderId) => {
+    const details = await getCashfreeOrderDetails(orderId);
+    const payment = details.payments?.find((p) => p.payment_status === 'SUCCESS');
+
+    return {
+      reference: details.orderId || orderId,
+      gatewayStatus: details.status,
+      paymentId: payment?.cf_payment_id ? `${payment.cf_payment_id}` : undefined,
+      amount: details.amount,
+      currency: details.currency,
+      method: payment?.payment_group,
+      paidAt: payment?.payment_completion_time,
+      raw: details,
+    };
+  },
+
+  refundStatusMap: {
+    PENDING: 'pending',
+    ONHOLD: 'pending',
+    SUCCESS: 'processed',
+    CANCELLED: 'failed',
+  },
+
+  refund: async ({ orderId, paymentId, amount, refundId, reason }) => {
+    const refund = await refundCashfreePayment({ orderId, paymentId, amount, refundId, reason });
+    return { gatewayRefundId: refund.refundId, gatewayStatus: refund.status, raw: refund };
+  },
+
+  getRefundStatus: async ({ orderId, gatewayRefundId }) => {
+    const refund = await getCashfreeRefundDetails(orderId, gatewayRefundId);
+    return { gatewayRefundId: refund.refundId, gatewayStatus: refund.status, raw: refund };
+  },
+
+  parseWebhook: async ({ body, rawBody, headers }) => {
+    const signature = headers['x-webhook-signature'];
+    const timestamp = headers['x-webhook-timestamp'];
+
+    if (!signature || !timestamp) {
+      logger.warn('Missing Cashfree webhook signature or timestamp');
+      return { valid: false, message: 'Missing signature' };
+    }
+
+    const result = await handleCashfreeWebhook(body, { signature, timestamp, rawBody });
+
+    if (!result.valid) {
+      return result;
+    }
+
+    const sentAt = Number(timestamp);
+
+    return {
+      valid: true,
+      event: result.type,
+      // Cashfree sends no event ID; the event log falls back to a payload hash
+      eventAt: Number.isFinite(sentAt) ? new Date(sentAt).toISOString() : body.event_time,
+      reference: result.orderId,
+      gatewayStatus: result.payment?.payment_status || result.status,
+      paymentId: result.payment?.cf_payment_id ? `${result.payment.cf_payment_id}` : undefined,
+      amount: result.payment?.payment_amount ?? result.amount,
+      data: result,
+    };
+  },
+});
+
 export default {
+  checkCashfreeCredentials,
   createCashfreeOrder,
   getCashfreeOrderDetails,
   handleCashfreeWebhook,
   getCashfreePaymentDetails,
   refundCashfreePayment,
+  getCashfreeRefundDetails,
 };
@@ -0,0 +1,112 @@
+/**
+ * PaymentGateway contract
+ * Every provider module exports one adapter that satisfies this shape.
+ * Routes only ever talk to adapters, never to provider functions directly.
+ *
+ * @typedef {object} PaymentGateway
+ * @property {string} id - Lowercase identifier used in URLs and requests, e.g. 'razorpay'
+ * @property {string} name - Display name, e.g. 'Razorpay'
+ * @property {string[]} verifyFields - Request fields verify() needs
+ * @property {() => boolean} isConfigured - Whether the credentials it needs are set;
+ *   checkout routing skips gateways that are not
+ * @property {string[]} methods - Ways to pay it offers ('upi', 'card', 'netbanking', 'wallet')
+ * @property {() => string|null} getKeyMode - Which PAYMENT_MODE its keys belong to ('test' or
+ *   'live'), or null when the keys do not tell; the server refuses to start on a mismatch.
+ *   Endpoints always follow getPaymentMode() (gateways/mode.js).
+ * @property {() => Promise<void>} [checkCredentials] - Optional; makes one cheap
+ *   authenticated call and throws if the gateway rejects the credentials (/health/deep)
+ * @property {object} statusMap - Raw gateway status -> ledger status
+ *   ('pending' | 'paid' | 'failed' | 'refunded')
+ * @property {(params: object) => Promise<object>} createOrder
+ *   ({ orderId, amount, currency, customer, description })
+ *   -> { order, gatewayOrderId }
+ * @property {(params: object) => Promise<object>} verify
+ *   (request body) -> { success, error?, ...PaymentSnapshot }
+ * @property {(reference: string) => Promise<PaymentSnapshot>} getStatus
+ * @property {string} statusReference - Ledger order field getStatus() takes
+ *   ('gatewayOrderId' or 'gatewayPaymentId')
+ * @property {(params: object) => Promise<object>} [capture]
+ *   Optional, for gateways that authorize first and collect later
+ *   ({ gatewayOrderId, paymentId, amount, currency }) -> { success, error?, ...PaymentSnapshot }
+ * @property {object} refundStatusMap - Raw gateway refund status -> refund status
+ *   ('pending' | 'processed' | 'failed')
+ * @property {(params: object) => Promise<object>} refund
+ *   ({ orderId, paymentId, amount, refundId, reason }) -> { gatewayRefundId, gatewayStatus, raw }
+ * @property {(params: object) => Promise<object>} getRefundStatus
+ *   ({ orderId, paymentId, gatewayRefundId }) -> { gatewayRefundId, gatewayStatus, raw }
+ * @property {(params: object) => Promise<object>} parseWebhook
+ *   ({ body, rawBody, headers })
+ *   -> { valid, status?, message?, event, eventId?, eventAt?, reference, gatewayStatus, paymentId, amount?,
+ *        data, subscription? }
+ *   A rejected webhook may set status (HTTP code, default 400), e.g. 401 for bad credentials.
+ *   amount (rupees) is what the gateway collected; an order is only marked paid if it matches.
+ *   Subscription events set subscription: { reference, gatewayStatus, paidCount?, payment? }
+ *   (payment is a PaymentSnapshot of the installment just charged) and no reference.
+ *
+ * Installments (optional, all or none): gateways that can charge a course in
+ * monthly installments also implement
+ * @property {object} [subscriptionStatusMap] - Raw gateway subscription status -> subscription
+ *   status ('created' | 'active' | 'pending' | 'halted' | 'cancelled' | 'completed')
+ * @property {(params: object) => Promise<object>} [createPlan]
+ *   ({ planId, name, amount, currency, period }) -> { gatewayPlanId, raw }
+ * @property {(params: object) => Promise<object>} [createSubscription]
+ *   ({ subscriptionId, gatewayPlanId, installments, customer, description })
+ *   -> { subscription, gatewaySubscriptionId, paymentLink? }
+ * @property {(params: object) => Promise<object>} [verifySubscription]
+ *   ({ gatewaySubscriptionId, paymentId, signature }) -> { success, error?, ...PaymentSnapshot }
+ * @property {(params: object) => Promise<object>} [cancelSubscription]
+ *   ({ gatewaySubscriptionId }) -> { gatewayStatus, raw }
+ *
+ * @typedef {object} PaymentSnapshot
+ * What a gateway reports about one payment, in gateway-neutral fields.
+ * Adapters leave a field undefined when the gateway does not report it.
+ * @property {string} reference - Gateway order reference the ledger knows
+ * @property {string} gatewayStatus - Raw gateway status (key of statusMap)
+ * @property {string} [paymentId] - Gateway payment/transaction ID
+ * @property {number} [amount] - Amount in rupees
+ * @property {string} [currency]
+ * @property {string} [method] - upi, card, netbanking, wallet, ...
+ * @property {string} [paidAt] - ISO timestamp of the payment attempt
+ * @property {object} raw - Untouched gateway response, for logs only
+ */
+
+const REQUIRED_METHODS = [
+  'createOrder',
+  'verify',
+  'getStatus',
+  'refund',
+  'getRefundStatus',
+  'parseWebhook',
+];
+
+/**
+ * Check an adapter against the PaymentGateway contract
+ * @param {PaymentGateway} adapter
+ * @returns {PaymentGateway} The same adapter, frozen
+ * @throws {Error} If the adapter is missing part of the contract
+ */
+export const defineGateway = (adapter) => {
+  if (!adapter?.id || adapter.id !== adapter.id.toLowerCase()) {
+    throw new Error('Payment gateway adapter needs a lowercase id');
+  }
+
+  const missing = REQUIRED_METHODS.filter((method) => typeof adapter[method] !== 'function');
+  if (missing.length) {
+    throw new Error(`Payment gateway "${adapter.id}" is missing: ${missing.join(', ')}`);
+  }
+
+  return Object.freeze({
+    name: adapter.id,
+    verifyFields: [],
+    isConfigured: () => true,
+    methods: [],
+    getKeyMode: () => null,
+    statusMap: {},
+    statusReference: 'gatewayOrderId',
+    refundStatusMap: {},
+    subscriptionStatusMap: {},
+    ...adapter,
+  });
+};
+
+export default defineGateway;
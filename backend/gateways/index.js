@@ -0,0 +1,91 @@
+import { defineGateway } from './contract.js';
+import { razorpayGateway } from './razorpay.js';
+import { phonepeGateway } from './phonepe.js';
+import { cashfreeGateway } from './cashfree.js';
+import { mockGateway, isMockGatewayEnabled } from './mock.js';
+import { getPaymentMode } from './mode.js';
+
+/**
+ * Gateway registry
+ * Adding a provider means writing its adapter and registering it here.
+ */
+
+const registry = new Map();
+
+// The mock gateway is registered like any other but hidden until opted in
+const isListed = (gateway) => gateway.id !== mockGateway.id || isMockGatewayEnabled();
+
+/**
+ * Register a payment gateway adapter
+ * @param {import('./contract.js').PaymentGateway} adapter
+ */
+export const registerGateway = (adapter) => {
+  const gateway = defineGateway(adapter);
+  registry.set(gateway.id, gateway);
+};
+
+/**
+ * Look up a gateway adapter
+ * @param {string} id - Gateway ID (case-insensitive)
+ * @returns {import('./contract.js').PaymentGateway|null}
+ */
+export const getGateway = (id) => {
+  const gateway = id ? registry.get(String(id).toLowerCase()) : null;
+  return gateway && isListed(gateway) ? gateway : null;
+};
+
+/**
+ * List registered gateway IDs
+ * @returns {string[]}
+ */
+export const listGatewayIds = () => listGateways().map((gateway) => gateway.id);
+
+/**
+ * List registered gateway adapters
+ * @returns {Array<import('./contract.js').PaymentGateway>}
+ */
+export const listGateways = () => [...registry.values()].filter(isListed);
+
+/**
+ * Whether the checkout may offer a gateway
+ * PAYMENT_GATEWAYS (comma-separated IDs) switches gateways off without removing
+ * their keys; unset means all of them. Webhooks, status checks and refunds for
+ * existing orders keep working either way.
+ * @param {string} id - Gateway ID
+ * @returns {boolean}
+ */
+export const isGatewayEnabled = (id) => {
+  const enabled = (process.env.PAYMENT_GATEWAYS || '')
+    .split(',')
+    .map((gateway) => gateway.trim().toLowerCase())
+    .filter(Boolean);
+
+  return !enabled.length || enabled.includes(String(id).toLowerCase());
+};
+
+/**
+ * Find configured gateways whose keys belong to the other payment mode
+ * e.g. rzp_test_ keys with PAYMENT_MODE=live, which would take no real money.
+ * @returns {string[]} One message per mismatch; empty when every gateway matches
+ * @throws {Error} If PAYMENT_MODE is invalid
+ */
+export const findPaymentModeMismatches = () => {
+  const mode = getPaymentMode();
+
+  return listGateways()
+    .filter((gateway) => gateway.isConfigured())
+    .map((gateway) => ({ gateway, keyMode: gateway.getKeyMode() }))
+    .filter(({ keyMode }) => keyMode && keyMode !== mode)
+    .map(({ gateway, keyMode }) => `${gateway.name} has ${keyMode} keys but PAYMENT_MODE is ${mode}`);
+};
+
+[razorpayGateway, phonepeGateway, cashfreeGateway, mockGateway].forEach(registerGateway);
+
+export default {
+  registerGateway,
+  getGateway,
+  listGatewayIds,
+  listGateways,
+  isGatewayEnabled,
+  findPaymentModeMismatches,
+};
@@ -0,0 +1,363 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import { hmacSha256, safeEqual } from '../utils/signatures.js';
+import { defineGateway } from './contract.js';
+import { isTestMode } from './mode.js';
+
+/**
+ * Mock gateway
+ * A stand-in provider for development and end-to-end tests: no keys, no
+ * network. create-order returns a link to the payment page the backend serves
+ * itself (routes/mockGateway.js), where a tester picks what happens:
+ *
+ *   success  - paid; a signed payment.succeeded webhook is delivered
+ *   failure  - failed; a signed payment.failed webhook is delivered
+ *   pending  - still processing; payment.pending is delivered and the page
+ *              can settle the payment later
+ *   timeout  - the gateway stops answering: no webhook, and status checks
+ *              fail until the payment is settled from the page
+ *
+ * Webhooks go to /api/webhook/mock like any provider's, signed with
+ * MOCK_GATEWAY_WEBHOOK_SECRET. Only there when MOCK_GATEWAY_ENABLED=true outside
+ * production, and only offered in PAYMENT_MODE=test.
+ */
+
+export const MOCK_OUTCOMES = ['success', 'failure', 'pending', 'timeout'];
+
+// Signs webhooks; no default, or anyone could sign a payment.succeeded
+const getWebhookSecret = () => process.env.MOCK_GATEWAY_WEBHOOK_SECRET;
+
+// Where the payment page and webhooks are served from
+const getBackendUrl = () => process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const mockPaymentsStore = () => getStore('mock_payments');
+
+/**
+ * Whether the mock gateway exists in this process
+ * Read on every lookup rather than at import, so it sees .env however late it loads.
+ * @returns {boolean}
+ */
+export const isMockGatewayEnabled = () =>
+  process.env.MOCK_GATEWAY_ENABLED === 'true' && process.env.NODE_ENV !== 'production' && isTestMode();
+
+const SETTLED_STATUSES = ['PAID', 'FAILED', 'REFUNDED'];
+
+/**
+ * Error from the mock gateway, with the HTTP status the payment page answers
+ */
+export class MockGatewayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MockGatewayError';
+    this.status = status;
+  }
+}
+
+const mockId = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Get a mock order
+ * @param {string} id - Mock order ID
+ * @returns {Promise<object|null>}
+ */
+export const getMockOrder = (id) => mockPaymentsStore().get(id);
+
+/**
+ * Create a mock order
+ * @param {object} params - { orderId, amount, currency, customer, description }
+ * @returns {Promise<object>} { orderId, paymentLink, status, amount, currency }
+ */
+export const createMockOrder = async ({ orderId, amount, currency = 'INR', customer, description }) => {
+  const now = new Date().toISOString();
+  const order = await mockPaymentsStore().insert({
+    id: mockId('mock_order'),
+    merchantOrderId: orderId,
+    amount: Number(amount),
+    currency,
+    customer: { name: customer.name, email: customer.email },
+    description: description || 'Payment for courses',
+    status: 'CREATED',
+    timedOut: false,
+    paymentId: null,
+    method: null,
+    paidAt: null,
+    refunds: [],
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  logger.info('Mock order created', { orderId: order.id, merchantOrderId: orderId, amount: order.amount });
+
+  return {
+    orderId: order.id,
+    paymentLink: `${getBackendUrl()}/mock-gateway/pay/${order.id}`,
+    status: order.status,
+    amount: order.amount,
+    currency: order.currency,
+  };
+};
+
+/**
+ * Build the payload the mock gateway sends with every webhook
+ * @param {string} event
+ * @param {object} order - Mock order
+ * @returns {object}
+ */
+const buildWebhookPayload = (event, order) => ({
+  id: mockId('mock_evt'),
+  event,
+  created_at: new Date().toISOString(),
+  payload: {
+    order: {
+      id: order.id,
+      merchant_order_id: order.merchantOrderId,
+      amount: order.amount,
+      currency: order.currency,
+      status: order.status,
+    },
+    payment: order.paymentId
+      ? { id: order.paymentId, status: order.status, method: order.method, amount: order.amount }
+      : null,
+  },
+});
+
+/**
+ * Sign a webhook body the way the mock gateway does
+ * signature = HMAC-SHA256(timestamp + '.' + rawBody, MOCK_GATEWAY_WEBHOOK_SECRET), hex
+ * @param {string} rawBody
+ * @param {string} timestamp - Milliseconds since the epoch
+ * @returns {string}
+ */
+export const signMockWebhook = (rawBody, timestamp) => hmacSha256(getWebhookSecret(), `${timestamp}.${rawBody}`);
+
+/**
+ * Deliver a signed webhook for a mock order to /api/webhook/mock
+ * A delivery that fails is logged, not thrown: the status page still finds
+ * the payment through the status endpoint.
+ * @param {string} event
+ * @param {object} order - Mock order
+ * @returns {Promise<boolean>} Whether the backend acknowledged it
+ */
+const deliverMockWebhook = async (event, order) => {
+  const rawBody = JSON.stringify(buildWebhookPayload(event, order));
+  const timestamp = `${Date.now()}`;
+
+  try {
+    await axios.post(`${getBackendUrl()}/api/webhook/mock`, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mock-Timestamp': timestamp,
+        'X-Mock-Signature': signMockWebhook(rawBody, timestamp),
+      },
+      timeout: 10000,
+    });
+    logger.info('Mock webhook delivered', { event, orderId: order.id });
+    return true;
+  } catch (error) {
+    logger.error('Mock webhook delivery failed', {
+      event,
+      orderId: order.id,
+      status: error.response?.status,
+      error: error.response?.data?.error || error.message,
+    });
+    return false;
+  }
+};
+
+/**
+ * Play out a tester's choice on the payment page
+ * @param {string} id - Mock order ID
+ * @param {object} params - { outcome: 'success' | 'failure' | 'pending' | 'timeout', method? }
+ * @returns {Promise<object>} { order, returnUrl, webhookDelivered } - returnUrl is where
+ *   the buyer goes next (payment-status page)
+ * @throws {MockGatewayError} If the order is unknown, already settled or the outcome is invalid
+ */
+export const completeMockPayment = async (id, { outcome, method = 'upi' }) => {
+  if (!MOCK_OUTCOMES.includes(outcome)) {
+    throw new MockGatewayError(`Invalid outcome. Use: ${MOCK_OUTCOMES.join(', ')}`);
+  }
+
+  const order = await getMockOrder(id);
+  if (!order) {
+    throw new MockGatewayError('Mock order not found', 404);
+  }
+  if (SETTLED_STATUSES.includes(order.status)) {
+    throw new MockGatewayError(`Mock order is already ${order.status.toLowerCase()}`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const paymentId = order.paymentId || mockId('mock_pay');
+
+  const patch = {
+    success: { status: 'PAID', timedOut: false, paymentId, method, paidAt: now },
+    failure: { status: 'FAILED', timedOut: false, paymentId, method, paidAt: now },
+    pending: { status: 'PENDING', timedOut: false, paymentId, method, paidAt: now },
+    timeout: { timedOut: true },
+  }[outcome];
+
+  const updated = await mockPaymentsStore().update(id, { ...patch, updatedAt: now });
+
+  logger.info('Mock payment outcome chosen', { orderId: id, outcome });
+
+  const event = {
+    success: 'payment.succeeded',
+    failure: 'payment.failed',
+    pending: 'payment.pending',
+  }[outcome];
+
+  const webhookDelivered = event ? await deliverMockWebhook(event, updated) : false;
+
+  return {
+    order: updated,
+    returnUrl: `${process.env.FRONTEND_URL}/payment-status?orderId=${id}`,
+    webhookDelivered,
+  };
+};
+
+/**
+ * Look up a mock order the way a status API would
+ * @param {string} id - Mock order ID
+ * @returns {Promise<object>} Mock order
+ * @throws {Error} If the order is unknown or the tester chose timeout
+ */
+const fetchMockOrder = async (id) => {
+  const order = await getMockOrder(id);
+
+  if (!order) {
+    throw new Error(`Mock order not found: ${id}`);
+  }
+  if (order.timedOut) {
+    throw new Error('Mock gateway timed out');
+  }
+
+  return order;
+};
+
+const toMockSnapshot = (order) => ({
+  reference: order.id,
+  gatewayStatus: order.status,
+  paymentId: order.paymentId || undefined,
+  amount: order.amount,
+  currency: order.currency,
+  method: order.method || undefined,
+  paidAt: order.paidAt || undefined,
+  raw: order,
+});
+
+/**
+ * Mock adapter for the gateway registry
+ */
+export const mockGateway = defineGateway({
+  id: 'mock',
+  name: 'Mock gateway',
+  verifyFields: ['orderId'],
+  // Takes no money, so never offered where real payments are expected
+  isConfigured: () => isTestMode() && Boolean(getWebhookSecret()),
+  methods: ['upi', 'card', 'netbanking', 'wallet'],
+  // Nothing to check: the gateway is this process
+  checkCredentials: async () => {},
+  statusMap: {
+    CREATED: 'pending',
+    PENDING: 'pending',
+    PAID: 'paid',
+    FAILED: 'failed',
+    REFUNDED: 'refunded',
+  },
+
+  createOrder: async ({ orderId, amount, currency, customer, description }) => {
+    const order = await createMockOrder({ orderId, amount, currency, customer, description });
+    return { order, gatewayOrderId: order.orderId };
+  },
+
+  verify: async ({ orderId }) => {
+    const snapshot = toMockSnapshot(await fetchMockOrder(orderId));
+
+    if (snapshot.gatewayStatus !== 'PAID') {
+      return { ...snapshot, success: false, error: 'Payment verification failed' };
+    }
+
+    return { ...snapshot, success: true };
+  },
+
+  getStatus: async (orderId) => toMockSnapshot(await fetchMockOrder(orderId)),
+
+  refundStatusMap: {
+    PROCESSED: 'processed',
+  },
+
+  // Refunds go through at once
+  refund: async ({ orderId, amount, refundId }) => {
+    const order = await fetchMockOrder(orderId);
+    const refund = { id: refundId, amount: Number(amount), status: 'PROCESSED', createdAt: new Date().toISOString() };
+    const refunds = [...order.refunds, refund];
+    const refundedAmount = refunds.reduce((sum, entry) => sum + entry.amount, 0);
+
+    await mockPaymentsStore().update(orderId, {
+      refunds,
+      ...(refundedAmount >= order.amount && { status: 'REFUNDED' }),
+      updatedAt: refund.createdAt,
+    });
+
+    logger.info('Mock refund processed', { orderId, refundId, amount: refund.amount });
+
+    return { gatewayRefundId: refundId, gatewayStatus: refund.status, raw: refund };
+  },
+
+  getRefundStatus: async ({ orderId, gatewayRefundId }) => {
+    const order = await fetchMockOrder(orderId);
+    const refund = order.refunds.find((entry) => entry.id === gatewayRefundId);
+
+    if (!refund) {
+      throw new Error(`Mock refund not found: ${gatewayRefundId}`);
+    }
+
+    return { gatewayRefundId, gatewayStatus: refund.status, raw: refund };
+  },
+
+  parseWebhook: async ({ body, rawBody, headers }) => {
+    if (!getWebhookSecret()) {
+      logger.error('MOCK_GATEWAY_WEBHOOK_SECRET is not configured');
+      return { valid: false, message: 'Webhook secret not configured' };
+    }
+
+    const signature = headers['x-mock-signature'];
+    const timestamp = headers['x-mock-timestamp'];
+
+    if (!signature || !timestamp) {
+      logger.warn('Missing mock webhook signature or timestamp');
+      return { valid: false, message: 'Missing signature' };
+    }
+
+    if (!safeEqual(signMockWebhook(rawBody, timestamp), signature)) {
+      logger.warn('Mock webhook signature mismatch');
+      return { valid: false, message: 'Invalid signature' };
+    }
+
+    const order = body.payload?.order || {};
+    const sentAt = Number(timestamp);
+
+    return {
+      valid: true,
+      event: body.event,
+      eventId: body.id,
+      eventAt: Number.isFinite(sentAt) ? new Date(sentAt).toISOString() : body.created_at,
+      reference: order.id,
+      gatewayStatus: order.status,
+      paymentId: body.payload?.payment?.id,
+      amount: order.amount,
+      data: { orderId: order.id, merchantOrderId: order.merchant_order_id, status: order.status },
+    };
+  },
+});
+
+export default {
+  MOCK_OUTCOMES,
+  MockGatewayError,
+  isMockGatewayEnabled,
+  getMockOrder,
+  createMockOrder,
+  signMockWebhook,
+  completeMockPayment,
+};
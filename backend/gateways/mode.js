@@ -0,0 +1,40 @@
+/**
+ * Payment mode
+ * PAYMENT_MODE=test sends every gateway to its sandbox with test keys;
+ * PAYMENT_MODE=live to production with live keys. Unset, it follows NODE_ENV:
+ * live in production, test everywhere else.
+ */
+
+export const PAYMENT_MODE = {
+  TEST: 'test',
+  LIVE: 'live',
+};
+
+/**
+ * Get the payment mode
+ * @returns {string} 'test' | 'live'
+ * @throws {Error} If PAYMENT_MODE is set to anything else
+ */
+export const getPaymentMode = () => {
+  const configured = (process.env.PAYMENT_MODE || '').trim().toLowerCase();
+
+  if (!configured) {
+    return process.env.NODE_ENV === 'production' ? PAYMENT_MODE.LIVE : PAYMENT_MODE.TEST;
+  }
+  if (!Object.values(PAYMENT_MODE).includes(configured)) {
+    throw new Error(`Invalid PAYMENT_MODE "${process.env.PAYMENT_MODE}". Use test or live`);
+  }
+  return configured;
+};
+
+/**
+ * Whether payments go to the gateways' sandboxes
+ * @returns {boolean}
+ */
+export const isTestMode = () => getPaymentMode() === PAYMENT_MODE.TEST;
+
+export default {
+  PAYMENT_MODE,
+  getPaymentMode,
+  isTestMode,
+};
@@ -1,34 +1,43 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { safeEqual } from '../utils/signatures.js';
+import { defineGateway } from './contract.js';
+import { PAYMENT_MODE, getPaymentMode } from './mode.js';
 
 /**
  * PhonePe v2 API Implementation
  * Uses OAuth token-based authentication
  */
 
-// Configuration - OAuth Credentials
-const PHONEPE_CLIENT_ID = process.env.PHONEPE_CLIENT_ID;
-const PHONEPE_CLIENT_SECRET = process.env.PHONEPE_CLIENT_SECRET;
-const PHONEPE_CLIENT_VERSION = process.env.PHONEPE_CLIENT_VERSION || '1';
-const NODE_ENV = process.env.NODE_ENV || 'production';
+// Configuration - OAuth Credentials, read on use so they follow .env however late it loads
+const getPhonePeCredentials = () => ({
+  clientId: process.env.PHONEPE_CLIENT_ID,
+  clientSecret: process.env.PHONEPE_CLIENT_SECRET,
+  clientVersion: process.env.PHONEPE_CLIENT_VERSION || '1',
+});
 
 // PhonePe v2 API Base URLs
 const PHONEPE_ENDPOINTS = {
   production: {
     oauth: 'https://api.phonepe.com/apis/identity-manager/v1/oauth/token',
     pay: 'https://api.phonepe.com/apis/pg/checkout/v2/pay',
-    status: 'https://api.phonepe.com/apis/pg/checkout/v2/order'
+    status: 'https://api.phonepe.com/apis/pg/checkout/v2/order',
+    refund: 'https://api.phonepe.com/apis/pg/payments/v2/refund',
+    refundStatus: 'https://api.phonepe.com/apis/pg/payments/v2/refund'
   },
   sandbox: {
     oauth: 'https://api-preprod.phonepe.com/apis/pg-sandbox/v1/oauth/token',
     pay: 'https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/pay',
-    status: 'https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/order'
+    status: 'https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/order',
+    refund: 'https://api-preprod.phonepe.com/apis/pg-sandbox/payments/v2/refund',
+    refundStatus: 'https://api-preprod.phonepe.com/apis/pg-sandbox/payments/v2/refund'
   }
 };
 
-// Get base URL based on environment
+// Sandbox in test mode, production in live mode (PAYMENT_MODE)
 const getApiEndpoints = () => {
-  return NODE_ENV === 'production' ? PHONEPE_ENDPOINTS.production : PHONEPE_ENDPOINTS.sandbox;
+  return getPaymentMode() === PAYMENT_MODE.LIVE ? PHONEPE_ENDPOINTS.production : PHONEPE_ENDPOINTS.sandbox;
 };
 
 // OAuth Token Cache
@@ -54,11 +63,12 @@ const getAccessToken = async () => {
     logger.info('Generating new PhonePe v2 OAuth access token');
 
     // Validate credentials exist
-    if (!PHONEPE_CLIENT_ID || !PHONEPE_CLIENT_SECRET) {
+    const { clientId, clientSecret, clientVersion } = getPhonePeCredentials();
+    if (!clientId || !clientSecret) {
       const error = 'PhonePe credentials not configured. Set PHONEPE_CLIENT_ID and PHONEPE_CLIENT_SECRET in .env';
       logger.error('PhonePe credentials check', {
-        has_client_id: !!PHONEPE_CLIENT_ID,
-        has_client_secret: !!PHONEPE_CLIENT_SECRET,
+        has_client_id: !!clientId,
+        has_client_secret: !!clientSecret,
         error: error
       });
       throw new Error(error);
@@ -66,24 +76,24 @@ const getAccessToken = async () => {
 
     const endpoints = getApiEndpoints();
     logger.info('PhonePe v2 credentials validated', {
-      has_client_id: !!PHONEPE_CLIENT_ID,
-      has_client_secret: !!PHONEPE_CLIENT_SECRET,
-      environment: NODE_ENV,
+      has_client_id: !!clientId,
+      has_client_secret: !!clientSecret,
+      mode: getPaymentMode(),
       oauth_endpoint: endpoints.oauth
     });
 
     // Request new token using form-body (v2 format)
     logger.info('Requesting PhonePe v2 OAuth token', {
       endpoint: endpoints.oauth,
-      environment: NODE_ENV
+      mode: getPaymentMode()
     });
 
     const response = await axios.post(
       endpoints.oauth,
       new URLSearchParams({
-        client_id: PHONEPE_CLIENT_ID,
-        client_secret: PHONEPE_CLIENT_SECRET,
-        client_version: PHONEPE_CLIENT_VERSION,
+        client_id: clientId,
+        client_secret: clientSecret,
+        client_version: clientVersion,
         grant_type: 'client_credentials',
       }).toString(),
       {
@@ -145,7 +155,7 @@ const getAccessToken = async () => {
 
 /**
  * Create PhonePe order using v2 Checkout API
- * @param {object} params - { amount, customer, orderId }
+ * @param {object} params - { amount, customer, orderId, description }
  * @returns {Promise<object>} PhonePe response with redirect URL
  */
 export const createPhonePeOrder = async (params) => {
@@ -165,7 +175,7 @@ export const createPhonePeOrder = async (params) => {
     const amountInPaise = Math.round(amount * 100);
 
     // PhonePe v2 payload format
-    const redirectUrl = `${process.env.FRONTEND_URL}/payment-success`;
+    const redirectUrl = `${process.env.FRONTEND_URL}/payment-status?orderId=${orderId}`;
     const payload = {
       merchantOrderId: orderId,
       amount: amountInPaise,
@@ -181,7 +191,7 @@ export const createPhonePeOrder = async (params) => {
     logger.info('PhonePe v2 API request details', {
       endpoint: endpoints.pay,
       method: 'POST',
-      environment: NODE_ENV,
+      mode: getPaymentMode(),
       payload: payload
     });
 
@@ -270,15 +280,15 @@ export const checkPhonePeTransactionStatus = async (orderId) => {
 };
 
 /**
- * Refund PhonePe payment using OAuth
- * @param {object} params - { transactionId, amount }
- * @returns {Promise<object>} Refund response
+ * Refund PhonePe payment using v2 API
+ * @param {object} params - { orderId, amount, refundId }; orderId is our merchantOrderId
+ * @returns {Promise<object>} Refund response ({ refundId, amount, state })
  */
 export const refundPhonePePayment = async (params) => {
   try {
-    const { transactionId, amount } = params;
+    const { orderId, amount } = params;
 
-    logger.info('Initiating PhonePe refund', { transactionId, amount });
+    logger.info('Initiating PhonePe refund', { orderId, amount });
 
     // Get valid access token
     const accessToken = await getAccessToken();
@@ -286,33 +296,32 @@ export const refundPhonePePayment = async (params) => {
     // Amount in paise
     const amountInPaise = Math.round(amount * 100);
 
-    // Create unique refund ID
-    const refundId = `REFUND_${Date.now()}`;
+    // Merchant refund ID (generated if the caller doesn't track one)
+    const refundId = params.refundId || `REFUND_${Date.now()}`;
 
     // Prepare refund request
     const payload = {
-      transactionId: transactionId,
+      merchantRefundId: refundId,
+      originalMerchantOrderId: orderId,
       amount: amountInPaise,
-      refundId: refundId,
     };
 
-    // Make API request with Bearer token
+    // Same environment as the order it refunds, with the O-Bearer token (v2 format)
     const response = await axios.post(
-      'https://api.phonepe.com/apis/hermes/pg/v1/refund',
+      getApiEndpoints().refund,
       payload,
       {
         headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'X-Client-Version': PHONEPE_CLIENT_VERSION,
           'Content-Type': 'application/json',
+          'Authorization': `O-Bearer ${accessToken}`,
         },
       }
     );
 
     logger.info('PhonePe refund initiated', {
-      transactionId,
+      orderId,
       refundId,
-      success: response.data?.success,
+      state: response.data?.state,
     });
 
     // Return PhonePe response directly
@@ -329,39 +338,122 @@ export const refundPhonePePayment = async (params) => {
   }
 };
 
+/**
+ * Check PhonePe refund status using v2 API
+ * @param {string} refundId - Merchant refund ID
+ * @returns {Promise<object>} PhonePe refund status
+ */
+export const getPhonePeRefundStatus = async (refundId) => {
+  try {
+    logger.info('Checking PhonePe refund status', { refundId });
+
+    const accessToken = await getAccessToken();
+    const endpoints = getApiEndpoints();
+
+    const response = await axios.get(
+      `${endpoints.refundStatus}/${refundId}/status`,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `O-Bearer ${accessToken}`,
+        },
+      }
+    );
+
+    logger.info('PhonePe refund status retrieved', {
+      refundId,
+      state: response.data?.state,
+    });
+
+    return response.data;
+  } catch (error) {
+    logger.error('PhonePe refund status check failed', {
+      refundId,
+      error: error.message,
+      response: error.response?.data,
+    });
+    throw new Error(`Failed to check PhonePe refund status: ${error.message}`);
+  }
+};
+
+/**
+ * Check the Authorization header PhonePe sends with webhooks
+ * PhonePe sets it to SHA256(username:password) of the credentials configured
+ * for the webhook in the PhonePe dashboard.
+ * @param {string} authorization - Authorization header
+ * @returns {boolean} True if the header matches the configured credentials
+ */
+const verifyPhonePeWebhookAuth = (authorization) => {
+  const username = process.env.PHONEPE_WEBHOOK_USER;
+  const password = process.env.PHONEPE_WEBHOOK_PASS;
+
+  if (!username || !password) {
+    logger.error('PHONEPE_WEBHOOK_USER / PHONEPE_WEBHOOK_PASS are not configured');
+    return false;
+  }
+
+  if (!authorization) return false;
+
+  const expected = crypto.createHash('sha256').update(`${username}:${password}`).digest('hex');
+  const received = authorization.replace(/^SHA256\s+/i, '').trim().toLowerCase();
+
+  return safeEqual(expected, received);
+};
+
 /**
  * Handle PhonePe webhook
- * PhonePe OAuth webhooks send payment status events
- * No authorization validation needed - just process the payload
+ * The callback is authenticated by its Authorization header, and the state it
+ * claims is only trusted once PhonePe's order status API confirms it.
  * @param {object} webhookData - Webhook payload from PhonePe
+ * @param {string} authorization - Authorization header
  * @returns {Promise<object>} Webhook processing result
  */
-export const handlePhonePeWebhook = async (webhookData) => {
+export const handlePhonePeWebhook = async (webhookData, authorization) => {
   try {
+    if (!verifyPhonePeWebhookAuth(authorization)) {
+      logger.warn('PhonePe webhook authorization failed');
+      return { processed: false, unauthorized: true, message: 'Unauthorized' };
+    }
+
+    // v2 callbacks carry the order in payload; older ones in data
+    const data = webhookData?.payload || webhookData?.data;
+
     logger.info('Processing PhonePe webhook', {
-      orderId: webhookData?.data?.merchantOrderId,
+      event: webhookData?.event,
+      orderId: data?.merchantOrderId,
     });
 
-    const { data, success } = webhookData || {};
-
-    if (!webhookData || !data) {
-      logger.warn('PhonePe webhook missing data field');
+    if (!data?.merchantOrderId) {
+      logger.warn('PhonePe webhook missing order details');
       return { processed: false, message: 'Invalid webhook format' };
     }
 
+    const orderId = data.merchantOrderId;
+    const status = await checkPhonePeTransactionStatus(orderId);
+    const confirmedState = (status.data || status).state;
+
+    if (confirmedState !== data.state) {
+      logger.warn('PhonePe webhook state does not match order status API', {
+        orderId,
+        claimed: data.state,
+        confirmed: confirmedState,
+      });
+    }
+
     logger.info('PhonePe webhook processed', {
-      orderId: data?.merchantOrderId,
-      status: data?.state,
-      success,
+      orderId,
+      status: confirmedState,
     });
 
-    // Return webhook data for processing by application
+    // Return the confirmed state for processing by application
     return {
       processed: true,
-      orderId: data?.merchantOrderId,
-      status: data?.state,
-      amount: data?.amount,
-      success: success,
+      event: webhookData.event,
+      orderId,
+      status: confirmedState,
+      claimedStatus: data.state,
+      amount: data.amount,
+      statusResponse: status,
     };
   } catch (error) {
     logger.error('PhonePe webhook processing error', { error: error.message });
@@ -380,10 +472,124 @@ export const clearTokenCache = () => {
   logger.info('PhonePe token cache cleared');
 };
 
+/**
+ * Check the PhonePe credentials by fetching a fresh OAuth token
+ * @returns {Promise<void>} Rejects if PhonePe refuses the client ID and secret
+ */
+export const checkPhonePeCredentials = async () => {
+  clearTokenCache();
+  await getAccessToken();
+};
+
+/**
+ * Map a PhonePe order status response to a payment snapshot
+ * @param {string} orderId - Merchant order ID
+ * @param {object} status - checkPhonePeTransactionStatus() response
+ * @returns {object} PaymentSnapshot
+ */
+const toPhonePeSnapshot = (orderId, status) => {
+  // v2 returns the order at the top level; older responses wrap it in data
+  const order = status.data || status;
+  const payment = order.paymentDetails?.[0];
+
+  return {
+    reference: orderId,
+    gatewayStatus: order.state,
+    paymentId: payment?.transactionId,
+    amount: order.amount !== undefined ? order.amount / 100 : undefined, // Paise to rupees
+    currency: 'INR',
+    method: payment?.paymentMode,
+    paidAt: payment?.timestamp ? new Date(payment.timestamp).toISOString() : undefined,
+    raw: status,
+  };
+};
+
+/**
+ * PhonePe adapter for the gateway registry
+ * PhonePe status and webhooks are keyed by our merchantOrderId.
+ */
+export const phonepeGateway = defineGateway({
+  id: 'phonepe',
+  name: 'PhonePe',
+  verifyFields: ['orderId'],
+  isConfigured: () => Boolean(process.env.PHONEPE_CLIENT_ID && process.env.PHONEPE_CLIENT_SECRET),
+  methods: ['upi', 'card', 'netbanking'],
+  // PhonePe's UAT client IDs start with TEST; live ones carry no marker
+  getKeyMode: () => (/^TEST/i.test(process.env.PHONEPE_CLIENT_ID || '') ? PAYMENT_MODE.TEST : null),
+  checkCredentials: checkPhonePeCredentials,
+  statusMap: {
+    PENDING: 'pending',
+    COMPLETED: 'paid',
+    FAILED: 'failed',
+  },
+
+  createOrder: async ({ orderId, amount, currency, customer, description }) => {
+    const order = await createPhonePeOrder({ amount, currency, customer, orderId, description });
+    return { order, gatewayOrderId: orderId };
+  },
+
+  verify: async ({ orderId }) => {
+    const snapshot = toPhonePeSnapshot(orderId, await checkPhonePeTransactionStatus(orderId));
+
+    if (snapshot.gatewayStatus !== 'COMPLETED') {
+      return { ...snapshot, success: false, error: 'Payment verification failed' };
+    }
+
+    return { ...snapshot, success: true };
+  },
+
+  getStatus: async (orderId) => toPhonePeSnapshot(orderId, await checkPhonePeTransactionStatus(orderId)),
+
+  refundStatusMap: {
+    PENDING: 'pending',
+    CONFIRMED: 'pending',
+    COMPLETED: 'processed',
+    FAILED: 'failed',
+  },
+
+  refund: async ({ orderId, paymentId, amount, refundId }) => {
+    const response = await refundPhonePePayment({ orderId, amount, refundId });
+    return {
+      // PhonePe refunds are tracked by our merchant refund ID
+      gatewayRefundId: refundId,
+      gatewayStatus: response?.state || response?.data?.state || 'PENDING',
+      raw: response,
+    };
+  },
+
+  getRefundStatus: async ({ gatewayRefundId }) => {
+    const response = await getPhonePeRefundStatus(gatewayRefundId);
+    return { gatewayRefundId, gatewayStatus: response.state, raw: response };
+  },
+
+  parseWebhook: async ({ body, headers }) => {
+    const result = await handlePhonePeWebhook(body, headers.authorization);
+
+    if (!result.processed) {
+      return { valid: false, status: result.unauthorized ? 401 : 400, message: result.message };
+    }
+
+    const { statusResponse, ...data } = result;
+    const snapshot = toPhonePeSnapshot(result.orderId, statusResponse);
+
+    return {
+      valid: true,
+      event: result.event,
+      reference: snapshot.reference,
+      gatewayStatus: snapshot.gatewayStatus,
+      paymentId: snapshot.paymentId,
+      amount: snapshot.amount,
+      data,
+    };
+  },
+});
+
 export default {
   createPhonePeOrder,
   checkPhonePeTransactionStatus,
   refundPhonePePayment,
+  getPhonePeRefundStatus,
   handlePhonePeWebhook,
   clearTokenCache,
+  checkPhonePeCredentials,
 };
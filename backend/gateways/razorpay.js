@@ -1,6 +1,8 @@
 import Razorpay from 'razorpay';
-import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { hmacSha256, safeEqual } from '../utils/signatures.js';
+import { defineGateway } from './contract.js';
+import { PAYMENT_MODE } from './mode.js';
 
 /**
  * Lazy initialize Razorpay client (only when needed)
@@ -22,14 +24,29 @@ const getRazorpayClient = () => {
   return razorpayClient;
 };
 
+/**
+ * Whether payments are captured as soon as they are authorized
+ * On by default; set RAZORPAY_AUTO_CAPTURE=false to capture by hand (admin console)
+ * @returns {boolean}
+ */
+export const isRazorpayAutoCaptureEnabled = () => process.env.RAZORPAY_AUTO_CAPTURE !== 'false';
+
+/**
+ * Check the Razorpay keys with the cheapest authenticated call there is
+ * @returns {Promise<void>} Rejects if Razorpay refuses the keys
+ */
+export const checkRazorpayCredentials = async () => {
+  await getRazorpayClient().orders.all({ count: 1 });
+};
+
 /**
  * Create Razorpay order
- * @param {object} params - { amount, currency, customer }
+ * @param {object} params - { amount, currency, customer, description, receipt }
  * @returns {Promise<object>} Order object with order ID
  */
 export const createRazorpayOrder = async (params) => {
   try {
-    const { amount, currency = 'INR', customer, description } = params;
+    const { amount, currency = 'INR', customer, description, receipt } = params;
 
     logger.info('Creating Razorpay order', { amount, customer: customer.email });
 
@@ -48,8 +65,10 @@ export const createRazorpayOrder = async (params) => {
     const orderData = {
       amount: orderAmount,  // Integer in paise
       currency: currency,
-      receipt: `receipt_${Date.now()}`,
+      receipt: receipt || `receipt_${Date.now()}`,
       description: description || 'Payment for courses',
+      // Authorized payments are captured by Razorpay, or left for captureRazorpayPayment()
+      payment_capture: isRazorpayAutoCaptureEnabled(),
       notes: {
         customer_email: customer.email,
         customer_phone: customer.phone,
@@ -106,18 +125,15 @@ export const verifyRazorpaySignature = async (params) => {
     logger.info('Verifying Razorpay signature', { orderId, paymentId });
 
     // Create the string to be verified
-    const generated_signature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${orderId}|${paymentId}`)
-      .digest('hex');
+    const generated_signature = hmacSha256(
+      process.env.RAZORPAY_KEY_SECRET,
+      `${orderId}|${paymentId}`
+    );
 
-    const isValid = generated_signature === signature;
+    const isValid = safeEqual(generated_signature, signature);
 
     if (!isValid) {
-      logger.warn('Razorpay signature verification failed', {
-        expected: generated_signature,
-        received: signature,
-      });
+      logger.warn('Razorpay signature verification failed', { orderId, paymentId });
     } else {
       logger.info('Razorpay signature verified successfully');
     }
@@ -149,22 +165,253 @@ export const getRazorpayPaymentDetails = async (paymentId) => {
   }
 };
 
+/**
+ * Fetch an order and every payment attempted against it
+ * @param {string} orderId - Razorpay order ID
+ * @returns {Promise<object>} { order, payments } (payments newest first)
+ */
+export const getRazorpayOrderDetails = async (orderId) => {
+  try {
+    const client = getRazorpayClient();
+    const [order, payments] = await Promise.all([
+      client.orders.fetch(orderId),
+      client.orders.fetchPayments(orderId),
+    ]);
+
+    return {
+      order,
+      payments: [...(payments.items || [])].sort((a, b) => b.created_at - a.created_at),
+    };
+  } catch (error) {
+    logger.error('Failed to fetch Razorpay order details', {
+      orderId,
+      error: error.message || error.error?.description,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Capture an authorized payment
+ * @param {object} params - { paymentId, amount, currency }
+ * @returns {Promise<object>} Captured payment entity
+ */
+export const captureRazorpayPayment = async (params) => {
+  try {
+    const { paymentId, amount, currency = 'INR' } = params;
+
+    logger.info('Capturing Razorpay payment', { paymentId, amount });
+
+    const payment = await getRazorpayClient().payments.capture(
+      paymentId,
+      Math.round(parseFloat(amount) * 100), // Rupees to paise
+      currency
+    );
+
+    logger.info('Razorpay payment captured', { paymentId, status: payment.status });
+
+    return payment;
+  } catch (error) {
+    logger.error('Razorpay capture failed', {
+      paymentId: params.paymentId,
+      error: error.message || error.error?.description,
+    });
+    throw new Error(`Razorpay capture failed: ${error.message || error.error?.description}`);
+  }
+};
+
+/**
+ * Refund a Razorpay payment (full or partial)
+ * @param {object} params - { paymentId, amount, refundId, notes }
+ * @returns {Promise<object>} Refund details
+ */
+export const refundRazorpayPayment = async (params) => {
+  try {
+    const { paymentId, amount, refundId, notes = {} } = params;
+
+    logger.info('Initiating Razorpay refund', { paymentId, amount, refundId });
+
+    const refund = await getRazorpayClient().payments.refund(paymentId, {
+      amount: Math.round(parseFloat(amount) * 100), // Rupees to paise
+      receipt: refundId,
+      notes,
+    });
+
+    logger.info('Razorpay refund initiated', {
+      paymentId,
+      refundId: refund.id,
+      status: refund.status,
+    });
+
+    return {
+      refundId: refund.id,
+      status: refund.status,
+      amount: refund.amount / 100,
+      paymentId,
+    };
+  } catch (error) {
+    logger.error('Razorpay refund failed', {
+      paymentId: params.paymentId,
+      error: error.message || error.error?.description,
+    });
+    throw new Error(`Razorpay refund failed: ${error.message || error.error?.description}`);
+  }
+};
+
+/**
+ * Fetch refund details from Razorpay
+ * @param {string} refundId
+ * @returns {Promise<object>} Refund entity
+ */
+export const getRazorpayRefundDetails = async (refundId) => {
+  try {
+    return await getRazorpayClient().refunds.fetch(refundId);
+  } catch (error) {
+    logger.error('Failed to fetch Razorpay refund details', {
+      refundId,
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a plan: a fixed amount charged every period
+ * Razorpay plans cannot be changed once created; a new price needs a new plan.
+ * @param {object} params - { planId, name, amount, currency, period }
+ * @returns {Promise<object>} Plan entity
+ */
+export const createRazorpayPlan = async (params) => {
+  try {
+    const { planId, name, amount, currency = 'INR', period = 'monthly' } = params;
+
+    logger.info('Creating Razorpay plan', { planId, amount, period });
+
+    const plan = await getRazorpayClient().plans.create({
+      period,
+      interval: 1,
+      item: {
+        name,
+        amount: Math.round(parseFloat(amount) * 100), // Rupees to paise
+        currency,
+      },
+      notes: { plan_id: planId },
+    });
+
+    logger.info('Razorpay plan created', { planId, razorpayPlanId: plan.id });
+
+    return plan;
+  } catch (error) {
+    logger.error('Razorpay plan creation failed', {
+      planId: params.planId,
+      error: error.message || error.error?.description,
+    });
+    throw new Error(`Razorpay plan creation failed: ${error.message || error.error?.description}`);
+  }
+};
+
+/**
+ * Create a subscription the learner authorizes in Razorpay Checkout
+ * The first installment is charged when they do; Razorpay charges the rest
+ * every period until totalCount payments have been made.
+ * @param {object} params - { planId, totalCount, customer, receipt }
+ * @returns {Promise<object>} Subscription entity
+ */
+export const createRazorpaySubscription = async (params) => {
+  try {
+    const { planId, totalCount, customer, receipt } = params;
+
+    logger.info('Creating Razorpay subscription', { planId, totalCount, customer: customer.email });
+
+    const subscription = await getRazorpayClient().subscriptions.create({
+      plan_id: planId,
+      total_count: totalCount,
+      quantity: 1,
+      customer_notify: 1,
+      notes: {
+        subscription_id: receipt,
+        customer_email: customer.email,
+        customer_phone: customer.phone,
+        customer_name: customer.name,
+      },
+    });
+
+    logger.info('Razorpay subscription created', { subscriptionId: subscription.id });
+
+    return subscription;
+  } catch (error) {
+    logger.error('Razorpay subscription creation failed', {
+      planId: params.planId,
+      error: error.message || error.error?.description,
+    });
+    throw new Error(`Razorpay subscription creation failed: ${error.message || error.error?.description}`);
+  }
+};
+
+/**
+ * Verify the signature Razorpay Checkout returns for a subscription payment
+ * Same as for orders, but the payment ID comes first: HMAC of "paymentId|subscriptionId".
+ * @param {object} params - { subscriptionId, paymentId, signature }
+ * @returns {Promise<boolean>} True if signature is valid
+ */
+export const verifyRazorpaySubscriptionSignature = async (params) => {
+  const { subscriptionId, paymentId, signature } = params;
+
+  const generated_signature = hmacSha256(
+    process.env.RAZORPAY_KEY_SECRET,
+    `${paymentId}|${subscriptionId}`
+  );
+
+  const isValid = safeEqual(generated_signature, signature);
+
+  if (!isValid) {
+    logger.warn('Razorpay subscription signature verification failed', { subscriptionId, paymentId });
+  }
+
+  return isValid;
+};
+
+/**
+ * Cancel a subscription right away; nothing more is charged
+ * @param {string} subscriptionId
+ * @returns {Promise<object>} Subscription entity
+ */
+export const cancelRazorpaySubscription = async (subscriptionId) => {
+  try {
+    logger.info('Cancelling Razorpay subscription', { subscriptionId });
+    return await getRazorpayClient().subscriptions.cancel(subscriptionId, false);
+  } catch (error) {
+    logger.error('Razorpay subscription cancellation failed', {
+      subscriptionId,
+      error: error.message || error.error?.description,
+    });
+    throw new Error(`Razorpay subscription cancellation failed: ${error.message || error.error?.description}`);
+  }
+};
+
 /**
  * Handle Razorpay webhook
- * @param {object} webhookData 
- * @param {string} webhookSignature 
+ * The signature is an HMAC of the exact request bytes, keyed with the webhook
+ * secret set in the Razorpay dashboard (not the API key secret).
+ * @param {object} webhookData - Parsed body
+ * @param {string} webhookSignature - X-Razorpay-Signature header
+ * @param {string} rawBody - Request body as received
  * @returns {Promise<object>} Validation result
  */
-export const handleRazorpayWebhook = async (webhookData, webhookSignature) => {
+export const handleRazorpayWebhook = async (webhookData, webhookSignature, rawBody) => {
   try {
     logger.info('Handling Razorpay webhook', { event: webhookData.event });
 
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      logger.error('RAZORPAY_WEBHOOK_SECRET is not configured');
+      return { valid: false, message: 'Webhook secret not configured' };
+    }
+
     // Verify webhook signature
-    const shasum = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET);
-    shasum.update(JSON.stringify(webhookData));
-    const digest = shasum.digest('hex');
+    const digest = hmacSha256(webhookSecret, rawBody);
 
-    if (digest !== webhookSignature) {
+    if (!safeEqual(digest, webhookSignature)) {
       logger.warn('Razorpay webhook signature mismatch');
       return { valid: false, message: 'Invalid signature' };
     }
@@ -176,6 +423,7 @@ export const handleRazorpayWebhook = async (webhookData, webhookSignature) => {
 
     switch (event) {
       case 'payment.authorized':
+        // Money is only held until the payment is captured; payment.captured follows
         logger.info('Payment authorized', {
           paymentId: payload.payment.entity.id,
         });
@@ -183,7 +431,9 @@ export const handleRazorpayWebhook = async (webhookData, webhookSignature) => {
           valid: true,
           event,
           paymentId: payload.payment.entity.id,
-          status: 'success',
+          orderId: payload.payment.entity.order_id,
+          paymentStatus: payload.payment.entity.status,
+          status: 'authorized',
         };
 
       case 'payment.failed':
@@ -195,6 +445,8 @@ export const handleRazorpayWebhook = async (webhookData, webhookSignature) => {
           valid: true,
           event,
           paymentId: payload.payment.entity.id,
+          orderId: payload.payment.entity.order_id,
+          paymentStatus: payload.payment.entity.status,
           status: 'failed',
           reason: payload.payment.entity.error_description,
         };
@@ -207,6 +459,8 @@ export const handleRazorpayWebhook = async (webhookData, webhookSignature) => {
           valid: true,
           event,
           paymentId: payload.payment.entity.id,
+          orderId: payload.payment.entity.order_id,
+          paymentStatus: payload.payment.entity.status,
           status: 'captured',
         };
 
@@ -219,9 +473,39 @@ export const handleRazorpayWebhook = async (webhookData, webhookSignature) => {
           valid: true,
           event,
           refundId: payload.refund.entity.id,
+          paymentId: payload.refund.entity.payment_id,
+          orderId: payload.payment?.entity?.order_id,
+          paymentStatus: payload.payment?.entity?.status,
           status: 'refunded',
         };
 
+      case 'subscription.authenticated':
+      case 'subscription.activated':
+      case 'subscription.charged':
+      case 'subscription.pending':
+      case 'subscription.halted':
+      case 'subscription.cancelled':
+      case 'subscription.completed':
+        // charged comes with the installment's payment; pending means a charge failed and
+        // Razorpay is retrying it, halted that it gave up
+        logger.info('Subscription updated', {
+          event,
+          subscriptionId: payload.subscription.entity.id,
+          subscriptionStatus: payload.subscription.entity.status,
+          paidCount: payload.subscription.entity.paid_count,
+        });
+        return {
+          valid: true,
+          event,
+          subscriptionId: payload.subscription.entity.id,
+          subscriptionStatus: payload.subscription.entity.status,
+          paidCount: payload.subscription.entity.paid_count,
+          paymentId: payload.payment?.entity?.id,
+          orderId: payload.payment?.entity?.order_id,
+          paymentStatus: payload.payment?.entity?.status,
+          status: payload.subscription.entity.status,
+        };
+
       default:
         logger.debug('Unknown Razorpay event', { event });
         return { valid: true, event, processed: false };
@@ -232,9 +516,294 @@ export const handleRazorpayWebhook = async (webhookData, webhookSignature) => {
   }
 };
 
+/**
+ * Map a Razorpay payment entity to a payment snapshot
+ * @param {object} payment - Razorpay payment entity
+ * @returns {object} PaymentSnapshot
+ */
+const toRazorpaySnapshot = (payment) => ({
+  // The ledger knows Razorpay orders, not payments
+  reference: payment.order_id,
+  gatewayStatus: payment.status,
+  paymentId: payment.id,
+  amount: payment.amount / 100, // Convert from paise to rupees
+  currency: payment.currency,
+  method: payment.method,
+  paidAt: new Date(payment.created_at * 1000).toISOString(),
+  raw: payment,
+});
+
+// Captured (or later refunded) beats authorized beats anything else; then newest first
+const PAYMENT_PRIORITY = ['captured', 'refunded', 'authorized'];
+
+const paymentRank = (payment) => {
+  const rank = PAYMENT_PRIORITY.indexOf(payment.status);
+  return rank === -1 ? PAYMENT_PRIORITY.length : rank;
+};
+
+/**
+ * Map a Razorpay order and its payments to a payment snapshot
+ * The order's most settled payment decides the status; an order nobody has
+ * paid for yet reports the order status ('created' or 'attempted').
+ * @param {object} details - { order, payments } from getRazorpayOrderDetails
+ * @returns {object} PaymentSnapshot
+ */
+const toRazorpayOrderSnapshot = ({ order, payments }) => {
+  const [payment] = [...payments].sort((a, b) => paymentRank(a) - paymentRank(b));
+
+  if (!payment) {
+    return {
+      reference: order.id,
+      gatewayStatus: order.status,
+      amount: order.amount / 100,
+      currency: order.currency,
+      raw: order,
+    };
+  }
+
+  // The order amount is what was agreed with the ledger at checkout
+  return { ...toRazorpaySnapshot(payment), amount: order.amount / 100 };
+};
+
+/**
+ * Razorpay adapter for the gateway registry
+ */
+export const razorpayGateway = defineGateway({
+  id: 'razorpay',
+  name: 'Razorpay',
+  verifyFields: ['orderId', 'paymentId', 'signature'],
+  isConfigured: () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET),
+  methods: ['upi', 'card', 'netbanking', 'wallet'],
+  // Razorpay has one endpoint; the key decides: rzp_test_... or rzp_live_...
+  getKeyMode: () => {
+    const keyId = process.env.RAZORPAY_KEY_ID || '';
+    if (keyId.startsWith('rzp_test_')) return PAYMENT_MODE.TEST;
+    if (keyId.startsWith('rzp_live_')) return PAYMENT_MODE.LIVE;
+    return null;
+  },
+  checkCredentials: checkRazorpayCredentials,
+  statusMap: {
+    created: 'pending',
+    attempted: 'pending',
+    // Authorized money is held, not collected: the order is paid once captured
+    authorized: 'pending',
+    captured: 'paid',
+    failed: 'failed',
+    refunded: 'refunded',
+  },
+
+  createOrder: async ({ orderId, amount, currency, customer, description }) => {
+    const order = await createRazorpayOrder({
+      amount,
+      currency,
+      customer,
+      description,
+      receipt: orderId,
+    });
+    return { order, gatewayOrderId: order.orderId };
+  },
+
+  verify: async ({ orderId, paymentId, signature }) => {
+    const isValid = await verifyRazorpaySignature({ orderId, paymentId, signature });
+
+    if (!isValid) {
+      return { success: false, error: 'Payment signature verification failed' };
+    }
+
+    // Look the payment up through the order so a valid payment cannot be replayed against another order
+    const { order, payments } = await getRazorpayOrderDetails(orderId);
+    let payment = payments.find((attempt) => attempt.id === paymentId);
+
+    if (!payment) {
+      logger.warn('Razorpay payment does not belong to order', { orderId, paymentId });
+      return { success: false, error: 'Payment does not belong to this order' };
+    }
+
+    if (payment.status === 'authorized' && isRazorpayAutoCaptureEnabled()) {
+      try {
+        payment = await captureRazorpayPayment({
+          paymentId,
+          amount: order.amount / 100,
+          currency: order.currency,
+        });
+      } catch (error) {
+        // Razorpay may have captured it in the meantime; report whatever it says now
+        payment = await getRazorpayPaymentDetails(paymentId);
+      }
+    }
+
+    return { success: true, ...toRazorpaySnapshot(payment), amount: order.amount / 100 };
+  },
+
+  // Payment IDs (pay_...) still work for links and bookmarks from before order-based lookups
+  getStatus: async (reference) =>
+    reference.startsWith('pay_')
+      ? toRazorpaySnapshot(await getRazorpayPaymentDetails(reference))
+      : toRazorpayOrderSnapshot(await getRazorpayOrderDetails(reference)),
+
+  capture: async ({ gatewayOrderId, paymentId, amount, currency }) => {
+    const { order, payments } = await getRazorpayOrderDetails(gatewayOrderId);
+    const payment = paymentId
+      ? payments.find((attempt) => attempt.id === paymentId)
+      : payments.find((attempt) => attempt.status === 'authorized');
+
+    if (!payment || payment.status !== 'authorized') {
+      return {
+        success: false,
+        error: payment ? `Payment is ${payment.status}, not authorized` : 'No authorized payment to capture',
+      };
+    }
+
+    if (Math.round(order.amount) !== Math.round(parseFloat(amount) * 100)) {
+      return { success: false, error: `Razorpay order is for ₹${order.amount / 100}, not ₹${amount}` };
+    }
+
+    const captured = await captureRazorpayPayment({ paymentId: payment.id, amount, currency });
+
+    return { success: true, ...toRazorpaySnapshot(captured), amount: order.amount / 100 };
+  },
+
+  refundStatusMap: {
+    pending: 'pending',
+    processed: 'processed',
+    failed: 'failed',
+  },
+
+  subscriptionStatusMap: {
+    created: 'created',
+    // The learner authorized the mandate and paid the first installment
+    authenticated: 'active',
+    active: 'active',
+    pending: 'pending',
+    halted: 'halted',
+    paused: 'halted',
+    cancelled: 'cancelled',
+    expired: 'cancelled',
+    completed: 'completed',
+  },
+
+  refund: async ({ paymentId, amount, refundId, reason }) => {
+    const refund = await refundRazorpayPayment({
+      paymentId,
+      amount,
+      refundId,
+      notes: { reason },
+    });
+    return { gatewayRefundId: refund.refundId, gatewayStatus: refund.status, raw: refund };
+  },
+
+  getRefundStatus: async ({ gatewayRefundId }) => {
+    const refund = await getRazorpayRefundDetails(gatewayRefundId);
+    return { gatewayRefundId: refund.id, gatewayStatus: refund.status, raw: refund };
+  },
+
+  createPlan: async ({ planId, name, amount, currency, period }) => {
+    const plan = await createRazorpayPlan({ planId, name, amount, currency, period });
+    return { gatewayPlanId: plan.id, raw: plan };
+  },
+
+  createSubscription: async ({ subscriptionId, gatewayPlanId, installments, customer }) => {
+    const subscription = await createRazorpaySubscription({
+      planId: gatewayPlanId,
+      totalCount: installments,
+      customer,
+      receipt: subscriptionId,
+    });
+    return {
+      subscription: {
+        subscriptionId: subscription.id,
+        status: subscription.status,
+        shortUrl: subscription.short_url,
+        // Return key for frontend to use
+        razorpayKey: process.env.RAZORPAY_KEY_ID,
+      },
+      gatewaySubscriptionId: subscription.id,
+      paymentLink: subscription.short_url,
+    };
+  },
+
+  verifySubscription: async ({ gatewaySubscriptionId, paymentId, signature }) => {
+    const isValid = await verifyRazorpaySubscriptionSignature({
+      subscriptionId: gatewaySubscriptionId,
+      paymentId,
+      signature,
+    });
+
+    if (!isValid) {
+      return { success: false, error: 'Payment signature verification failed' };
+    }
+
+    return { success: true, ...toRazorpaySnapshot(await getRazorpayPaymentDetails(paymentId)) };
+  },
+
+  cancelSubscription: async ({ gatewaySubscriptionId }) => {
+    const subscription = await cancelRazorpaySubscription(gatewaySubscriptionId);
+    return { gatewayStatus: subscription.status, raw: subscription };
+  },
+
+  parseWebhook: async ({ body, rawBody, headers }) => {
+    const signature = headers['x-razorpay-signature'];
+
+    if (!signature) {
+      logger.warn('Missing Razorpay webhook signature');
+      return { valid: false, message: 'Missing signature' };
+    }
+
+    const result = await handleRazorpayWebhook(body, signature, rawBody);
+
+    if (!result.valid) {
+      return result;
+    }
+
+    const eventAt = body.created_at ? new Date(body.created_at * 1000).toISOString() : undefined;
+
+    // Installments are matched to the ledger through the subscription, not an order
+    if (result.subscriptionId) {
+      const payment = body.payload.payment?.entity;
+      return {
+        valid: true,
+        event: result.event,
+        eventId: headers['x-razorpay-event-id'],
+        eventAt,
+        subscription: {
+          reference: result.subscriptionId,
+          gatewayStatus: result.subscriptionStatus,
+          paidCount: result.paidCount,
+          payment: payment ? toRazorpaySnapshot(payment) : null,
+        },
+        data: result,
+      };
+    }
+
+    const payment = body.payload?.payment?.entity;
+
+    return {
+      valid: true,
+      event: result.event,
+      eventId: headers['x-razorpay-event-id'],
+      eventAt,
+      reference: result.orderId || result.paymentId,
+      gatewayStatus: result.paymentStatus,
+      paymentId: result.paymentId,
+      amount: payment?.amount !== undefined ? payment.amount / 100 : undefined, // Paise to rupees
+      data: result,
+    };
+  },
+});
+
 export default {
+  checkRazorpayCredentials,
   createRazorpayOrder,
   verifyRazorpaySignature,
   getRazorpayPaymentDetails,
+  getRazorpayOrderDetails,
+  captureRazorpayPayment,
+  isRazorpayAutoCaptureEnabled,
+  refundRazorpayPayment,
+  getRazorpayRefundDetails,
+  createRazorpayPlan,
+  createRazorpaySubscription,
+  verifyRazorpaySubscriptionSignature,
+  cancelRazorpaySubscription,
   handleRazorpayWebhook,
 };
@@ -0,0 +1,24 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Console mail transport
+ * Prints every message to the log instead of sending it. Development only:
+ * messages (login codes included) end up in plain text in the server output.
+ */
+export const consoleTransport = {
+  id: 'console',
+
+  send: async (message) => {
+    logger.info('Email (console transport)', {
+      messageId: message.messageId,
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      attachments: message.attachments?.map((attachment) => attachment.filename),
+    });
+    return { messageId: message.messageId };
+  },
+};
+
+export default consoleTransport;
@@ -0,0 +1,30 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { getStorageDir } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * File mail transport
+ * Writes each message as a JSON file into an outbox directory, so local
+ * development and tests can read what would have been sent.
+ */
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || join(getStorageDir(), 'outbox');
+
+export const fileTransport = {
+  id: 'file',
+
+  send: async (message) => {
+    const dir = getOutboxDir();
+    await mkdir(dir, { recursive: true });
+
+    const file = join(dir, `${message.messageId}.json`);
+    await writeFile(file, JSON.stringify(message, null, 2));
+
+    logger.info('Email written to outbox', { messageId: message.messageId, to: message.to, file });
+
+    return { messageId: message.messageId };
+  },
+};
+
+export default fileTransport;
@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { consoleTransport } from './console.js';
+import { fileTransport } from './file.js';
+import { smtpTransport } from './smtp.js';
+
+/**
+ * Mail transports
+ * Services send email through sendMail() only. Which transport delivers it is
+ * chosen by MAIL_TRANSPORT; adding a provider means writing an object with
+ * { id, send(message) } and registering it here.
+ *
+ * @typedef {object} MailMessage
+ * @property {string} messageId
+ * @property {string} from
+ * @property {string} to
+ * @property {string} [replyTo]
+ * @property {string} subject
+ * @property {string} text
+ * @property {string} [html]
+ * @property {Array<MailAttachment>} [attachments]
+ *
+ * @typedef {object} MailAttachment
+ * @property {string} filename
+ * @property {string} contentType
+ * @property {string} content - Document body as text (e.g. rendered HTML)
+ *
+ * @typedef {object} MailTransport
+ * @property {string} id
+ * @property {(message: MailMessage) => Promise<{ messageId: string }>} send
+ */
+
+const transports = new Map();
+
+/**
+ * Register a mail transport
+ * @param {MailTransport} transport
+ */
+export const registerTransport = (transport) => {
+  if (!transport?.id || typeof transport.send !== 'function') {
+    throw new Error('Mail transport needs an id and a send() method');
+  }
+  transports.set(transport.id, transport);
+};
+
+/**
+ * Get the configured transport
+ * @returns {MailTransport}
+ * @throws {Error} If MAIL_TRANSPORT names an unknown transport
+ */
+export const getTransport = () => {
+  const id = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports.get(id);
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${id}. Registered: ${[...transports.keys()].join(', ')}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} params - { to, replyTo, subject, text, html, attachments }
+ * @returns {Promise<object>} { messageId, transport }
+ */
+export const sendMail = async ({ to, replyTo, subject, text, html, attachments }) => {
+  const transport = getTransport();
+
+  const message = {
+    messageId: `msg_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    from: process.env.MAIL_FROM || 'Shivam Codes <no-reply@shivamcodes.in>',
+    to,
+    ...(replyTo && { replyTo }),
+    subject,
+    text,
+    ...(html && { html }),
+    ...(attachments?.length && { attachments }),
+    createdAt: new Date().toISOString(),
+  };
+
+  const result = await transport.send(message);
+
+  logger.info('Email sent', { messageId: result.messageId, transport: transport.id, subject });
+
+  return { messageId: result.messageId, transport: transport.id };
+};
+
+[consoleTransport, fileTransport, smtpTransport].forEach(registerTransport);
+
+export default {
+  registerTransport,
+  getTransport,
+  sendMail,
+};
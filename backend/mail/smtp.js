@@ -0,0 +1,57 @@
+import nodemailer from 'nodemailer';
+import { logger } from '../utils/logger.js';
+
+/**
+ * SMTP mail transport
+ * Delivers through any SMTP server (Gmail, Zoho, SES, Mailgun...) configured
+ * with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS.
+ */
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP transport selected but SMTP_HOST is not configured');
+    }
+
+    const port = Number(process.env.SMTP_PORT) || 587;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      // 465 is implicit TLS; 587 and 25 upgrade with STARTTLS
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+      }),
+    });
+  }
+  return transporter;
+};
+
+export const smtpTransport = {
+  id: 'smtp',
+
+  send: async (message) => {
+    const info = await getTransporter().sendMail({
+      from: message.from,
+      to: message.to,
+      replyTo: message.replyTo,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments?.map(({ filename, contentType, content }) => ({
+        filename,
+        contentType,
+        content,
+      })),
+    });
+
+    logger.debug('SMTP server accepted email', { messageId: message.messageId, smtpMessageId: info.messageId });
+
+    return { messageId: message.messageId };
+  },
+};
+
+export default smtpTransport;
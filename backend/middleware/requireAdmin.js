@@ -0,0 +1,66 @@
+import { logger } from '../utils/logger.js';
+import { safeEqual } from '../utils/signatures.js';
+import * as auth from '../services/auth.js';
+import { SESSION_COOKIE, readCookie, isTrustedOrigin } from './requireLearner.js';
+
+/**
+ * Protect admin-only routes
+ * Expects either:
+ *   Authorization: Bearer <ADMIN_API_TOKEN>   (scripts, curl, the admin console)
+ *   the session cookie of a learner listed in ADMIN_EMAILS; with the cookie, requests
+ *   that change something must come from FRONTEND_URL (see isTrustedOrigin)
+ * Sets req.admin = { email } (email is null for the API token) so actions can be attributed.
+ */
+export const requireAdmin = async (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+
+  if (!adminToken && !process.env.ADMIN_EMAILS) {
+    logger.error('Admin route called but neither ADMIN_API_TOKEN nor ADMIN_EMAILS is configured', {
+      path: req.path,
+    });
+    return res.status(503).json({ error: 'Admin access is not configured' });
+  }
+
+  const header = req.headers.authorization || '';
+
+  if (header) {
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    if (!adminToken || !token || !safeEqual(token, adminToken)) {
+      logger.warn('Rejected admin request', { path: req.path, ip: req.ip });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    req.admin = { email: null };
+    return next();
+  }
+
+  try {
+    const session = await auth.getSessionFromCookie(readCookie(req, SESSION_COOKIE));
+
+    if (!session || !auth.isAdminEmail(session.email)) {
+      logger.warn('Rejected admin request', { path: req.path, ip: req.ip, session: !!session });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // The browser attaches the cookie wherever the request comes from
+    if (!isTrustedOrigin(req)) {
+      logger.warn('Rejected cross-site admin request', {
+        path: req.path,
+        ip: req.ip,
+        origin: req.headers.origin || req.headers.referer || null,
+      });
+      return res.status(403).json({ error: 'Cross-site request refused' });
+    }
+
+    req.admin = { email: session.email };
+    next();
+  } catch (error) {
+    logger.error('Error checking admin session', { error: error.message });
+    res.status(error instanceof auth.AuthError ? error.status : 500).json({
+      error: error.message || 'Failed to check session',
+    });
+  }
+};
+
+export default requireAdmin;
@@ -0,0 +1,92 @@
+import { logger } from '../utils/logger.js';
+import * as auth from '../services/auth.js';
+
+export const SESSION_COOKIE = 'sc_session';
+
+/**
+ * Options for the session cookie
+ * The site and the API live on different domains in production, so the cookie
+ * has to be SameSite=None (which browsers only accept together with Secure).
+ * @returns {object} Express cookie options
+ */
+export const sessionCookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax',
+    path: '/',
+  };
+};
+
+// Methods that change nothing, so another site may send them with the cookie
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Did the site itself send this request?
+ * The session cookie is SameSite=None in production, so a form on any site can
+ * POST with it. Browsers send Origin on such requests (Referer on some older
+ * ones); a state-changing request must come from FRONTEND_URL, and one that
+ * says nothing about where it came from is refused.
+ * @param {object} req
+ * @returns {boolean}
+ */
+export const isTrustedOrigin = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const source = req.headers.origin || req.headers.referer;
+  if (!source) return false;
+
+  try {
+    return new URL(source).origin === new URL(process.env.FRONTEND_URL || 'http://localhost:3000').origin;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Read one cookie from the Cookie header
+ * @param {object} req
+ * @param {string} name
+ * @returns {string|null}
+ */
+export const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Protect learner-only routes
+ * Expects the session cookie set by POST /api/auth/verify; sets req.learner = { email, sessionId }.
+ */
+export const requireLearner = async (req, res, next) => {
+  try {
+    const session = await auth.getSessionFromCookie(readCookie(req, SESSION_COOKIE));
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    req.learner = { email: session.email, sessionId: session.id };
+    next();
+  } catch (error) {
+    logger.error('Error checking learner session', { error: error.message });
+    res.status(error instanceof auth.AuthError ? error.status : 500).json({
+      error: error.message || 'Failed to check session',
+    });
+  }
+};
+
+export default requireLearner;
@@ -0,0 +1,350 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { sendMail } from '../mail/index.js';
+import { logger } from '../utils/logger.js';
+import { ORDER_STATUS } from '../services/orders.js';
+import { REFUND_STATUS } from '../services/refunds.js';
+import { getSellerDetails } from '../services/business.js';
+import * as templates from './templates.js';
+
+/**
+ * Payment lifecycle notifications
+ * Order, refund, installment, contact form and reconciliation events are turned into
+ * emails here. Every email is first written to the `notifications` collection
+ * under a key such as "payment_success:ord_123", so each event is sent at most
+ * once however many webhooks and status checks report it. A failed send stays
+ * queued and is retried with backoff by the worker (startNotificationWorker)
+ * until it goes out or runs out of attempts.
+ */
+
+export const NOTIFICATION_EVENT = {
+  ORDER_CREATED: 'order_created',
+  PAYMENT_SUCCESS: 'payment_success',
+  PAYMENT_FAILED: 'payment_failed',
+  REFUND_INITIATED: 'refund_initiated',
+  REFUND_COMPLETED: 'refund_completed',
+  // Installments: access suspended because one is overdue, or the plan was cancelled unpaid
+  INSTALLMENT_OVERDUE: 'installment_overdue',
+  SUBSCRIPTION_CANCELLED: 'subscription_cancelled',
+  // Contact form: one to the inbox, one back to the sender
+  LEAD_RECEIVED: 'lead_received',
+  LEAD_ACKNOWLEDGED: 'lead_acknowledged',
+  // Daily reconciliation found something off; to the seller
+  RECONCILIATION_REPORT: 'reconciliation_report',
+};
+
+export const NOTIFICATION_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  // Gave up after MAX_ATTEMPTS; needs someone to look at it
+  FAILED: 'failed',
+};
+
+const TEMPLATES = {
+  [NOTIFICATION_EVENT.ORDER_CREATED]: templates.orderCreated,
+  [NOTIFICATION_EVENT.PAYMENT_SUCCESS]: templates.paymentSuccess,
+  [NOTIFICATION_EVENT.PAYMENT_FAILED]: templates.paymentFailed,
+  [NOTIFICATION_EVENT.REFUND_INITIATED]: templates.refundInitiated,
+  [NOTIFICATION_EVENT.REFUND_COMPLETED]: templates.refundCompleted,
+  [NOTIFICATION_EVENT.INSTALLMENT_OVERDUE]: templates.installmentOverdue,
+  [NOTIFICATION_EVENT.SUBSCRIPTION_CANCELLED]: templates.subscriptionCancelled,
+  [NOTIFICATION_EVENT.LEAD_RECEIVED]: templates.leadReceived,
+  [NOTIFICATION_EVENT.LEAD_ACKNOWLEDGED]: templates.leadAcknowledged,
+  [NOTIFICATION_EVENT.RECONCILIATION_REPORT]: templates.reconciliationReport,
+};
+
+const MAX_ATTEMPTS = 6;
+// Wait after failed attempt N before trying again: 1m, 5m, 30m, 2h, 12h
+const RETRY_DELAYS_MS = [60, 300, 1800, 7200, 43200].map((seconds) => seconds * 1000);
+
+const notificationsStore = () => getStore('notifications');
+
+// Notifications being sent right now, so the worker never sends one twice in parallel
+const sending = new Set();
+
+// Check-then-insert must not interleave, or one event could be queued twice
+let enqueueQueue = Promise.resolve();
+
+/**
+ * Send one queued notification and record the outcome
+ * Never throws: a failure is stored on the record and retried later.
+ * @param {object} notification
+ * @returns {Promise<object>} Updated notification
+ */
+const deliver = async (notification) => {
+  if (sending.has(notification.id)) return notification;
+  sending.add(notification.id);
+
+  const attempts = notification.attempts + 1;
+
+  try {
+    const { messageId, transport } = await sendMail(notification.message);
+    const now = new Date().toISOString();
+
+    return await notificationsStore().update(notification.id, {
+      status: NOTIFICATION_STATUS.SENT,
+      attempts,
+      messageId,
+      transport,
+      sentAt: now,
+      nextAttemptAt: null,
+      lastError: null,
+      updatedAt: now,
+    });
+  } catch (error) {
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    const delay = RETRY_DELAYS_MS[Math.min(attempts, RETRY_DELAYS_MS.length) - 1];
+    const now = new Date();
+
+    logger[giveUp ? 'error' : 'warn']('Error sending notification', {
+      notificationId: notification.id,
+      event: notification.event,
+      attempts,
+      giveUp,
+      error: error.message,
+    });
+
+    return notificationsStore().update(notification.id, {
+      status: giveUp ? NOTIFICATION_STATUS.FAILED : NOTIFICATION_STATUS.QUEUED,
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: giveUp ? null : new Date(now.getTime() + delay).toISOString(),
+      updatedAt: now.toISOString(),
+    });
+  } finally {
+    sending.delete(notification.id);
+  }
+};
+
+/**
+ * Queue an email for an event and try to send it right away
+ * Notifying the same event for the same order, refund, lead or report again is a no-op;
+ * for a subscription, the same event at the same installment.
+ * @param {string} event - NOTIFICATION_EVENT value
+ * @param {object} params - { order, invoice, refund, lead, report, subscription, attachments, to, replyTo }
+ *   to defaults to the order's customer
+ * @returns {Promise<object|null>} Notification, or null if it was already queued
+ */
+export const notify = async (event, params) => {
+  const enqueue = async () => {
+    const { order, refund, lead, report, subscription, attachments } = params;
+    // A subscription can fall behind more than once, one installment at a time
+    const key = subscription
+      ? `${event}:${subscription.id}:${subscription.paidCount}`
+      : `${event}:${(refund || lead || report || order).id}`;
+
+    const existing = await notificationsStore().findOne((notification) => notification.key === key);
+    if (existing) {
+      logger.debug('Notification already queued', { notificationId: existing.id, key });
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const notification = {
+      id: `ntf_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      key,
+      event,
+      orderId: order?.id || null,
+      refundId: refund?.id || null,
+      leadId: lead?.id || null,
+      reportId: report?.id || null,
+      subscriptionId: subscription?.id || null,
+      message: {
+        to: params.to || order.customer.email,
+        ...(params.replyTo && { replyTo: params.replyTo }),
+        ...TEMPLATES[event](params),
+        ...(attachments?.length && { attachments }),
+      },
+      status: NOTIFICATION_STATUS.QUEUED,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await notificationsStore().insert(notification);
+
+    logger.info('Notification queued', { notificationId: notification.id, key });
+
+    return notification;
+  };
+
+  const queued = enqueueQueue.then(enqueue);
+  // Keep the queue going even if this enqueue fails
+  enqueueQueue = queued.catch(() => {});
+
+  const notification = await queued;
+  return notification ? deliver(notification) : null;
+};
+
+/**
+ * Email the learner about an order's current status
+ * pending → order created, paid → payment success, failed → payment failed.
+ * Orders that failed before reaching the gateway get nothing: the learner
+ * never got as far as paying.
+ * @param {object} order - Ledger order
+ * @param {object} extras - { invoice, attachments } for the payment success email
+ * @returns {Promise<object|null>} Notification, or null if the status has none
+ */
+export const notifyOrderUpdate = async (order, extras = {}) => {
+  switch (order.status) {
+    case ORDER_STATUS.PENDING:
+      return notify(NOTIFICATION_EVENT.ORDER_CREATED, { order });
+    case ORDER_STATUS.PAID:
+      return notify(NOTIFICATION_EVENT.PAYMENT_SUCCESS, { order, ...extras });
+    case ORDER_STATUS.FAILED:
+      if (!order.history.some((entry) => entry.to === ORDER_STATUS.PENDING)) return null;
+      return notify(NOTIFICATION_EVENT.PAYMENT_FAILED, { order });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Email the learner about a refund's current status
+ * pending → refund initiated, processed → refund completed.
+ * @param {object} refund - Refund record
+ * @param {object} order - The refunded order
+ * @returns {Promise<object|null>} Notification, or null if the status has none
+ */
+export const notifyRefundUpdate = async (refund, order) => {
+  switch (refund.status) {
+    case REFUND_STATUS.PENDING:
+      return notify(NOTIFICATION_EVENT.REFUND_INITIATED, { order, refund });
+    case REFUND_STATUS.PROCESSED:
+      return notify(NOTIFICATION_EVENT.REFUND_COMPLETED, { order, refund });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Email the inbox about a new contact form lead and acknowledge it to the sender
+ * The inbox is CONTACT_INBOX_EMAIL, or the seller's email.
+ * @param {object} lead
+ * @returns {Promise<Array<object|null>>} Both notifications
+ */
+export const notifyNewLead = async (lead) =>
+  Promise.all([
+    notify(NOTIFICATION_EVENT.LEAD_RECEIVED, {
+      lead,
+      to: process.env.CONTACT_INBOX_EMAIL || getSellerDetails().email,
+      replyTo: lead.email,
+    }),
+    notify(NOTIFICATION_EVENT.LEAD_ACKNOWLEDGED, { lead, to: lead.email }),
+  ]);
+
+/**
+ * Retry every queued notification that is due
+ * @returns {Promise<object>} { attempted, sent }
+ */
+export const processNotificationQueue = async () => {
+  const now = new Date().toISOString();
+  const due = await notificationsStore().find(
+    (notification) =>
+      notification.status === NOTIFICATION_STATUS.QUEUED &&
+      notification.nextAttemptAt <= now &&
+      !sending.has(notification.id)
+  );
+
+  let sent = 0;
+  for (const notification of due) {
+    const result = await deliver(notification);
+    if (result.status === NOTIFICATION_STATUS.SENT) sent += 1;
+  }
+
+  if (due.length > 0) {
+    logger.info('Notification queue processed', { attempted: due.length, sent });
+  }
+
+  return { attempted: due.length, sent };
+};
+
+/**
+ * Send a notification again, whatever happened to it before
+ * For support requests ("I never got the email"); the same message, with its
+ * attachments, goes out with a fresh set of attempts.
+ * @param {string} notificationId
+ * @returns {Promise<object|null>} Updated notification, or null if it does not exist
+ */
+export const resendNotification = async (notificationId) => {
+  const notification = await notificationsStore().get(notificationId);
+  if (!notification) return null;
+
+  const now = new Date().toISOString();
+  const requeued = await notificationsStore().update(notificationId, {
+    status: NOTIFICATION_STATUS.QUEUED,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    resendCount: (notification.resendCount || 0) + 1,
+    updatedAt: now,
+  });
+
+  logger.info('Notification resend requested', { notificationId, event: notification.event });
+
+  return deliver(requeued);
+};
+
+/**
+ * List notifications for an order, oldest first
+ * @param {string} orderId
+ * @returns {Promise<Array<object>>}
+ */
+export const listNotificationsForOrder = async (orderId) => {
+  const found = await notificationsStore().find((notification) => notification.orderId === orderId);
+  return found.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+let worker = null;
+
+/**
+ * Start retrying queued notifications in the background
+ * Runs every NOTIFICATION_RETRY_INTERVAL_SECONDS (default 60). Calling it twice is a no-op.
+ */
+export const startNotificationWorker = () => {
+  if (worker) return;
+
+  const intervalMs = (Number(process.env.NOTIFICATION_RETRY_INTERVAL_SECONDS) || 60) * 1000;
+  let running = false;
+
+  worker = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processNotificationQueue();
+    } catch (error) {
+      logger.error('Error processing notification queue', { error: error.message });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Never keep the process alive just for retries
+  worker.unref();
+
+  logger.info('Notification worker started', { intervalSeconds: intervalMs / 1000 });
+};
+
+/**
+ * Stop the background worker
+ */
+export const stopNotificationWorker = () => {
+  clearInterval(worker);
+  worker = null;
+};
+
+export default {
+  NOTIFICATION_EVENT,
+  NOTIFICATION_STATUS,
+  notify,
+  notifyOrderUpdate,
+  notifyRefundUpdate,
+  notifyNewLead,
+  processNotificationQueue,
+  resendNotification,
+  listNotificationsForOrder,
+  startNotificationWorker,
+  stopNotificationWorker,
+};
@@ -0,0 +1,182 @@
+import { getOrderItems, getOrderCourseIds } from '../services/orders.js';
+import { escapeHtml, formatAmount } from '../utils/format.js';
+
+/**
+ * Email templates for the payment lifecycle, the contact form and operations
+ * Each template takes { order, invoice?, refund?, lead?, report?, subscription? } and returns
+ * { subject, text, html }. Text and HTML carry the same content.
+ */
+
+// "A", "A and B", "A, B and C"
+const getCourseName = (order) => {
+  const names = getOrderItems(order).map((item) => item.name);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+};
+
+const siteUrl = (path) => `${process.env.FRONTEND_URL}${path}`;
+
+// Back to checkout with the same courses
+const checkoutUrl = (order) => siteUrl(`/checkout?id=${getOrderCourseIds(order).join(',')}`);
+
+/**
+ * Assemble an email from paragraphs
+ * @param {object} params - { subject, name, paragraphs, link }
+ *   paragraphs are plain text; link is { label, url }
+ * @returns {object} { subject, text, html }
+ */
+const compose = ({ subject, name, paragraphs, link }) => ({
+  subject,
+  text: [
+    `Hi ${name},`,
+    '',
+    ...paragraphs.flatMap((paragraph) => [paragraph, '']),
+    ...(link ? [`${link.label}: ${link.url}`, ''] : []),
+    '- Shivam Codes',
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    ${paragraphs.map((paragraph) => `<p style="white-space:pre-line">${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${link ? `<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>` : ''}
+    <p>- Shivam Codes</p>
+  `,
+});
+
+export const orderCreated = ({ order }) =>
+  compose({
+    subject: `Order received: ${getCourseName(order)}`,
+    name: order.customer.name,
+    paragraphs: [
+      `Thanks for choosing ${getCourseName(order)}. We have received your order for ${formatAmount(order.amount, order.currency)} (Order ID: ${order.id}).`,
+      "You will get a confirmation as soon as the payment goes through. If the payment window closed before you could pay, you can pick up where you left off.",
+    ],
+    link: { label: 'Complete payment', url: checkoutUrl(order) },
+  });
+
+export const paymentSuccess = ({ order, invoice }) =>
+  compose({
+    subject: `Payment confirmed: ${getCourseName(order)}`,
+    name: order.customer.name,
+    paragraphs: [
+      `We received your payment of ${formatAmount(order.amount, order.currency)} for ${getCourseName(order)}. You are now enrolled.`,
+      invoice
+        ? `Invoice ${invoice.invoiceNumber} is attached. Order ID: ${order.id}`
+        : `Order ID: ${order.id}`,
+    ],
+    link: { label: 'Go to My Courses', url: siteUrl('/dashboard') },
+  });
+
+export const paymentFailed = ({ order }) =>
+  compose({
+    subject: `Payment failed: ${getCourseName(order)}`,
+    name: order.customer.name,
+    paragraphs: [
+      `Your payment of ${formatAmount(order.amount, order.currency)} for ${getCourseName(order)} did not go through.`,
+      'If money was taken from your account, it will be returned by your bank or payment app, usually within 5-7 working days.',
+      `You can try again with the same or a different payment method. Order ID: ${order.id}`,
+    ],
+    link: { label: 'Try again', url: checkoutUrl(order) },
+  });
+
+export const refundInitiated = ({ order, refund }) =>
+  compose({
+    subject: `Refund initiated: ${getCourseName(order)}`,
+    name: order.customer.name,
+    paragraphs: [
+      `We have started a refund of ${formatAmount(refund.amount, order.currency)} for ${getCourseName(order)}.`,
+      'It usually reaches your account within 5-7 working days. We will email you again once it is complete.',
+      `Refund ID: ${refund.id}. Order ID: ${order.id}`,
+    ],
+  });
+
+export const refundCompleted = ({ order, refund }) =>
+  compose({
+    subject: `Refund completed: ${getCourseName(order)}`,
+    name: order.customer.name,
+    paragraphs: [
+      `Your refund of ${formatAmount(refund.amount, order.currency)} for ${getCourseName(order)} has been processed by the payment gateway.`,
+      'Depending on your bank it can take a few more days to show up in your statement.',
+      `Refund ID: ${refund.id}. Order ID: ${order.id}`,
+    ],
+  });
+
+export const installmentOverdue = ({ subscription }) =>
+  compose({
+    subject: `Installment overdue: ${subscription.courseName}`,
+    name: subscription.customer.name,
+    paragraphs: [
+      `We could not collect installment ${subscription.paidCount + 1} of ${subscription.installments} (${formatAmount(subscription.amount, subscription.currency)}) for ${subscription.courseName}, so your access to the course is paused.`,
+      `Update your payment method and the installment is charged again; your access comes back as soon as it goes through. Subscription ID: ${subscription.id}`,
+    ],
+    ...(subscription.paymentLink && { link: { label: 'Update payment method', url: subscription.paymentLink } }),
+  });
+
+export const subscriptionCancelled = ({ subscription }) =>
+  compose({
+    subject: `Installments cancelled: ${subscription.courseName}`,
+    name: subscription.customer.name,
+    paragraphs: [
+      `Your installment plan for ${subscription.courseName} was cancelled after ${subscription.paidCount} of ${subscription.installments} payments, so your access to the course is paused.`,
+      `Nothing more will be charged. Reply to this email if you would like to continue the course. Subscription ID: ${subscription.id}`,
+    ],
+  });
+
+export const leadReceived = ({ lead }) =>
+  compose({
+    subject: `New enquiry from ${lead.name}`,
+    name: 'Shivam',
+    paragraphs: [
+      `${lead.name} sent a message through the ${lead.source} contact form.`,
+      `Email: ${lead.email}`,
+      `Phone: ${lead.phone || '-'}`,
+      lead.message,
+    ],
+  });
+
+export const leadAcknowledged = ({ lead }) =>
+  compose({
+    subject: 'We received your message',
+    name: lead.name,
+    paragraphs: [
+      'Thanks for getting in touch. We have received your message and will reply within 1-2 working days.',
+      `Your message: "${lead.message}"`,
+    ],
+    link: { label: 'Browse courses', url: siteUrl('/courses') },
+  });
+
+export const reconciliationReport = ({ report }) => {
+  const describe = (entry) =>
+    [
+      `${entry.orderId} (${entry.gateway})`,
+      entry.type,
+      entry.ledgerStatus && `ledger ${entry.ledgerStatus}, gateway ${entry.gatewayStatus}`,
+      entry.detail,
+      entry.error,
+    ]
+      .filter(Boolean)
+      .join(' - ');
+
+  return compose({
+    subject: `Reconciliation ${report.from}: ${report.mismatches.length} mismatches, ${report.errors.length} errors`,
+    name: 'Shivam',
+    paragraphs: [
+      `Orders from ${report.from} were checked against the payment gateways. ${report.checked} checked, ${report.updated.length} updated, ${report.skipped} had nothing to look up yet.`,
+      ...(report.mismatches.length ? [`Mismatches:\n${report.mismatches.map(describe).join('\n')}`] : []),
+      ...(report.errors.length ? [`Could not check:\n${report.errors.map(describe).join('\n')}`] : []),
+      `Report ID: ${report.id}`,
+    ],
+    link: { label: 'Open the admin console', url: siteUrl('/admin') },
+  });
+};
+
+export default {
+  orderCreated,
+  paymentSuccess,
+  paymentFailed,
+  refundInitiated,
+  refundCompleted,
+  installmentOverdue,
+  subscriptionCancelled,
+  leadReceived,
+  leadAcknowledged,
+  reconciliationReport,
+};
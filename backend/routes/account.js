@@ -0,0 +1,174 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import * as orders from '../services/orders.js';
+import * as enrollments from '../services/enrollments.js';
+import * as receipts from '../services/receipts.js';
+import * as invoices from '../services/invoices.js';
+import * as subscriptions from '../services/subscriptions.js';
+import { toPaymentStatus } from '../services/paymentStatus.js';
+import { requireLearner } from '../middleware/requireLearner.js';
+
+const router = express.Router();
+
+// Everything here belongs to the logged-in learner
+router.use(requireLearner);
+
+/**
+ * GET /api/me
+ * The logged-in learner and the courses they can access
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "email": "learner@example.com",
+ *   "enrollments": [{ "courseId": 1, "courseName": "...", "grantedAt": "..." }]
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await enrollments.listEnrollments(req.learner.email);
+
+    res.status(200).json({
+      success: true,
+      email: req.learner.email,
+      enrollments: list.map(({ courseId, courseName, grantedAt }) => ({
+        courseId,
+        courseName,
+        grantedAt,
+      })),
+    });
+  } catch (error) {
+    logger.error('Error fetching learner profile', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch profile',
+    });
+  }
+});
+
+/**
+ * GET /api/me/orders
+ * The learner's payment history, newest first
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "orders": [{
+ *     "id": "ord_xyz", "courseId": 1, "courseIds": [1], "courseName": "...", "amount": 4999,
+ *     "currency": "INR", "gateway": "razorpay", "paymentStatus": "completed",
+ *     "refundedAmount": 0, "paidAt": "...", "createdAt": "...", "hasReceipt": true,
+ *     "invoiceId": "inv_abc"    // null until the invoice is issued
+ *   }]
+ * }
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const learnerOrders = await orders.findOrdersByEmail(req.learner.email);
+    // Orders that never reached the gateway are not payments
+    const payments = learnerOrders.filter((order) => order.status !== orders.ORDER_STATUS.CREATED);
+    const issued = await Promise.all(payments.map((order) => invoices.findInvoiceByOrder(order.id)));
+
+    res.status(200).json({
+      success: true,
+      orders: payments.map((order, index) => ({
+        id: order.id,
+        courseId: order.courseId,
+        courseIds: orders.getOrderCourseIds(order),
+        courseName: receipts.buildReceipt(order).item,
+        amount: order.amount,
+        currency: order.currency,
+        gateway: order.gateway,
+        paymentStatus: toPaymentStatus(order.status),
+        refundedAmount: order.refundedAmount || 0,
+        paidAt: orders.getPaidAt(order),
+        createdAt: order.createdAt,
+        hasReceipt: receipts.hasReceipt(order),
+        invoiceId: issued[index]?.id || null,
+      })),
+    });
+  } catch (error) {
+    logger.error('Error fetching learner orders', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch orders',
+    });
+  }
+});
+
+/**
+ * GET /api/me/subscriptions
+ * Courses the learner is paying for in installments, newest first
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "subscriptions": [{
+ *     "id": "subs_xyz", "courseId": 1, "courseName": "...", "status": "active",
+ *     "amount": 1667, "installments": 3, "paidCount": 1, "currency": "INR", "createdAt": "..."
+ *   }]
+ * }
+ */
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const found = await subscriptions.listSubscriptions({ email: req.learner.email });
+
+    res.status(200).json({
+      success: true,
+      // Checkouts that were never paid are not subscriptions yet
+      subscriptions: found
+        .filter((subscription) => subscription.orderIds.length > 0)
+        .map(({ id, courseId, courseName, status, amount, installments, paidCount, currency, createdAt }) => ({
+          id,
+          courseId,
+          courseName,
+          status,
+          amount,
+          installments,
+          paidCount,
+          currency,
+          createdAt,
+        })),
+    });
+  } catch (error) {
+    logger.error('Error fetching learner subscriptions', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch subscriptions',
+    });
+  }
+});
+
+/**
+ * GET /api/me/orders/:id/receipt
+ * Download the receipt for one of the learner's paid orders (HTML attachment)
+ */
+router.get('/orders/:id/receipt', async (req, res) => {
+  try {
+    const order = await orders.getOrder(req.params.id);
+
+    // Someone else's order is reported as missing, not forbidden
+    if (!order || order.customer.email !== req.learner.email) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (!receipts.hasReceipt(order)) {
+      return res.status(409).json({ success: false, error: 'This order has not been paid' });
+    }
+
+    const receipt = receipts.buildReceipt(order);
+
+    res
+      .status(200)
+      .type('html')
+      .attachment(`${receipt.receiptNumber}.html`)
+      .send(receipts.renderReceiptHtml(receipt));
+  } catch (error) {
+    logger.error('Error building receipt', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to build receipt',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,492 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import { toCsv } from '../utils/format.js';
+import { getGateway, listGateways } from '../gateways/index.js';
+import * as orders from '../services/orders.js';
+import * as coupons from '../services/coupons.js';
+import { getOrderTimeline } from '../services/orderTimeline.js';
+import { fulfilOrder } from '../services/fulfilment.js';
+import * as reconciliation from '../services/reconciliation.js';
+import { getGatewayHealth } from '../services/gatewayHealth.js';
+import * as notifications from '../notifications/index.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+
+const router = express.Router();
+
+// Everything here is for admins: API token or a session of an ADMIN_EMAILS learner
+router.use(requireAdmin);
+
+const MAX_ORDERS = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read order search filters from the query string
+ * @param {object} query - { gateway, status, email, coupon, from, to, limit }
+ * @returns {object} { valid, error?, filters? }
+ */
+const parseOrderFilters = (query) => {
+  const { gateway, status, email, coupon, from, to } = query;
+
+  if (gateway) {
+    const gatewayValidation = validators.validateGateway(gateway);
+    if (!gatewayValidation.valid) return gatewayValidation;
+  }
+
+  if (status && !Object.values(orders.ORDER_STATUS).includes(status)) {
+    return {
+      valid: false,
+      error: `Invalid status. Supported: ${Object.values(orders.ORDER_STATUS).join(', ')}`,
+    };
+  }
+
+  for (const date of [from, to]) {
+    if (date && !DATE_PATTERN.test(date)) {
+      return { valid: false, error: 'Dates must be YYYY-MM-DD or ISO timestamps' };
+    }
+  }
+
+  return {
+    valid: true,
+    filters: { gateway, status, email, couponCode: coupon ? coupons.normalizeCode(coupon) : undefined, from, to },
+  };
+};
+
+/**
+ * The order fields the console lists (the full history is in the detail view)
+ * @param {object} order
+ * @returns {object}
+ */
+const toOrderSummary = (order) => ({
+  id: order.id,
+  createdAt: order.createdAt,
+  paidAt: orders.getPaidAt(order),
+  courseId: order.courseId,
+  courseIds: orders.getOrderCourseIds(order),
+  courseName: orders.getOrderItems(order).map((item) => item.name).join(', '),
+  amount: order.amount,
+  originalAmount: order.originalAmount ?? order.amount,
+  bundleDiscount: order.bundleDiscount || 0,
+  discount: order.discount || 0,
+  couponCode: order.couponCode || null,
+  // { subscriptionId, number, count } for one installment of a course bought in installments
+  installment: order.installment || null,
+  currency: order.currency,
+  refundedAmount: order.refundedAmount || 0,
+  gateway: order.gateway,
+  status: order.status,
+  customer: order.customer,
+  gatewayOrderId: order.gatewayOrderId,
+  gatewayPaymentId: order.gatewayPaymentId,
+});
+
+const CSV_COLUMNS = [
+  ['Order ID', (order) => order.id],
+  ['Created At', (order) => order.createdAt],
+  ['Paid At', (order) => order.paidAt],
+  ['Status', (order) => order.status],
+  ['Gateway', (order) => order.gateway],
+  ['Gateway Order ID', (order) => order.gatewayOrderId],
+  ['Gateway Payment ID', (order) => order.gatewayPaymentId],
+  ['Course IDs', (order) => order.courseIds.join(' ')],
+  ['Course', (order) => order.courseName],
+  ['Amount', (order) => order.amount],
+  ['Coupon', (order) => order.couponCode],
+  ['Discount', (order) => order.discount],
+  ['Bundle Discount', (order) => order.bundleDiscount],
+  ['Refunded', (order) => order.refundedAmount],
+  ['Currency', (order) => order.currency],
+  ['Name', (order) => order.customer.name],
+  ['Email', (order) => order.customer.email],
+  ['Phone', (order) => order.customer.phone],
+  ['Business Name', (order) => order.customer.businessName],
+  ['GSTIN', (order) => order.customer.gstin],
+];
+
+/**
+ * GET /api/admin/me
+ * Who is signed in to the admin console
+ *
+ * Response: { "success": true, "email": "admin@example.com" }   // email is null for the API token
+ */
+router.get('/me', (req, res) => {
+  res.status(200).json({ success: true, email: req.admin.email });
+});
+
+/**
+ * GET /api/admin/orders?gateway=razorpay&status=paid&email=john&coupon=LAUNCH50&from=2026-10-01&to=2026-10-31&limit=100
+ * Search orders, newest first
+ *
+ * Query (all optional):
+ *   gateway, status   Exact match
+ *   email             Part of the customer's email
+ *   coupon            Coupon code used
+ *   from, to          Created between these dates (YYYY-MM-DD, Indian time, inclusive)
+ *   limit             Default 100, at most 500
+ *
+ * Response: { "success": true, "total": 240, "orders": [...] }
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const parsed = parseOrderFilters(req.query);
+    if (!parsed.valid) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 100, MAX_ORDERS);
+    const found = await orders.listOrders(parsed.filters);
+
+    res.status(200).json({
+      success: true,
+      total: found.length,
+      orders: found.slice(0, limit).map(toOrderSummary),
+    });
+  } catch (error) {
+    logger.error('Error listing orders', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list orders',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/orders/export
+ * Download the orders matching the same filters as GET /api/admin/orders as CSV
+ * Not limited: every matching order is exported.
+ */
+router.get('/orders/export', async (req, res) => {
+  try {
+    const parsed = parseOrderFilters(req.query);
+    if (!parsed.valid) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const found = await orders.listOrders(parsed.filters);
+
+    logger.info('Orders exported', { admin: req.admin.email, count: found.length, filters: parsed.filters });
+
+    res
+      .status(200)
+      .type('text/csv')
+      .attachment(`orders-${new Date().toISOString().slice(0, 10)}.csv`)
+      .send(toCsv(CSV_COLUMNS, found.map(toOrderSummary)));
+  } catch (error) {
+    logger.error('Error exporting orders', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to export orders',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/orders/:id
+ * One order with everything that happened to it
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "order": { ...ledger order, including history },
+ *   "timeline": [{ "type": "status" | "webhook" | "refund" | "invoice" | "email",
+ *                  "at": "...", "title": "...", "detail": "...", "id": "..." }],
+ *   "refunds": [...],
+ *   "invoice": { "id": "inv_abc", "invoiceNumber": "SC/2026-27/0001" } | null,
+ *   "canCapture": false,     // pending order on a gateway with manual capture
+ *   "notifications": [{ "id", "event", "status", "to", "subject", "attempts", "sentAt", "lastError" }]
+ * }
+ */
+router.get('/orders/:id', async (req, res) => {
+  try {
+    const order = await orders.getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const { timeline, refunds, invoice, notifications: sent } = await getOrderTimeline(order);
+
+    res.status(200).json({
+      success: true,
+      order: { ...toOrderSummary(order), history: order.history },
+      timeline,
+      refunds,
+      invoice: invoice && { id: invoice.id, invoiceNumber: invoice.invoiceNumber },
+      canCapture: Boolean(getGateway(order.gateway)?.capture) && order.status === orders.ORDER_STATUS.PENDING,
+      // The stored message (HTML, attachments) is too heavy to list
+      notifications: sent.map((notification) => ({
+        id: notification.id,
+        event: notification.event,
+        status: notification.status,
+        to: notification.message.to,
+        subject: notification.message.subject,
+        attempts: notification.attempts,
+        sentAt: notification.sentAt || null,
+        lastError: notification.lastError,
+      })),
+    });
+  } catch (error) {
+    logger.error('Error fetching order details', { orderId: req.params.id, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch order',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/orders/:id/reverify
+ * Ask the gateway for the order's current status and apply it, as the status
+ * endpoint would; a newly paid order is enrolled, invoiced and confirmed.
+ *
+ * Response: { "success": true, "gatewayStatus": "captured", "order": {...} }
+ */
+router.post('/orders/:id/reverify', async (req, res) => {
+  try {
+    const order = await orders.getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const adapter = getGateway(order.gateway);
+    const reference = order[adapter.statusReference];
+    if (!reference) {
+      return res.status(409).json({
+        success: false,
+        error: `${adapter.name} has no payment to check for this order yet`,
+      });
+    }
+
+    logger.info('Re-verifying order', { orderId: order.id, gateway: adapter.id, admin: req.admin.email });
+
+    const status = await adapter.getStatus(reference);
+
+    const updated = await orders.syncGatewayStatus({
+      gateway: adapter.id,
+      reference: status.reference || reference,
+      gatewayStatus: status.gatewayStatus,
+      source: 'admin-reverify',
+      fields: status.paymentId ? { gatewayPaymentId: status.paymentId } : {},
+      amount: status.amount,
+    });
+    await fulfilOrder(updated);
+
+    res.status(200).json({
+      success: true,
+      gatewayStatus: status.gatewayStatus,
+      order: toOrderSummary(updated || order),
+    });
+  } catch (error) {
+    logger.error('Error re-verifying order', { orderId: req.params.id, error: error.message });
+    res.status(error instanceof orders.PaymentAmountError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to re-verify order',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/orders/:id/capture
+ * Capture an authorized payment (Razorpay with RAZORPAY_AUTO_CAPTURE=false)
+ * The order's own amount is captured; the order then becomes paid and is fulfilled.
+ *
+ * Response: { "success": true, "gatewayStatus": "captured", "order": {...} }
+ */
+router.post('/orders/:id/capture', async (req, res) => {
+  try {
+    const order = await orders.getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const adapter = getGateway(order.gateway);
+    if (!adapter.capture) {
+      return res.status(400).json({
+        success: false,
+        error: `${adapter.name} payments are captured by the gateway`,
+      });
+    }
+
+    if (order.status !== orders.ORDER_STATUS.PENDING || !order.gatewayOrderId) {
+      return res.status(409).json({
+        success: false,
+        error: `Only pending orders can be captured (this one is ${order.status})`,
+      });
+    }
+
+    logger.info('Capturing payment', { orderId: order.id, gateway: adapter.id, admin: req.admin.email });
+
+    const capture = await adapter.capture({
+      gatewayOrderId: order.gatewayOrderId,
+      paymentId: order.gatewayPaymentId,
+      amount: order.amount,
+      currency: order.currency,
+    });
+
+    if (!capture.success) {
+      return res.status(409).json({ success: false, error: capture.error });
+    }
+
+    const updated = await orders.recordGatewayStatus({
+      gateway: adapter.id,
+      reference: capture.reference || order.gatewayOrderId,
+      gatewayStatus: capture.gatewayStatus,
+      source: 'admin-capture',
+      fields: capture.paymentId ? { gatewayPaymentId: capture.paymentId } : {},
+      amount: capture.amount,
+    });
+    await fulfilOrder(updated);
+
+    res.status(200).json({
+      success: true,
+      gatewayStatus: capture.gatewayStatus,
+      order: toOrderSummary(updated || order),
+    });
+  } catch (error) {
+    logger.error('Error capturing payment', { orderId: req.params.id, error: error.message });
+    res.status(error instanceof orders.PaymentAmountError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to capture payment',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/notifications/:id/resend
+ * Send an email again (e.g. the learner never got their confirmation)
+ *
+ * Response: { "success": true, "status": "sent" | "queued", "lastError": null }
+ */
+router.post('/notifications/:id/resend', async (req, res) => {
+  try {
+    const notification = await notifications.resendNotification(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    logger.info('Notification resent by admin', { notificationId: notification.id, admin: req.admin.email });
+
+    res.status(200).json({
+      success: true,
+      status: notification.status,
+      lastError: notification.lastError,
+    });
+  } catch (error) {
+    logger.error('Error resending notification', { notificationId: req.params.id, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to resend notification',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/gateways
+ * Whether each gateway is configured, and how its recent create-order and verify calls went
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "gateways": [{
+ *     "id": "razorpay", "name": "Razorpay", "configured": true,
+ *     "health": { "status": "degraded", "attempts": 4, "failures": 3,
+ *                 "lastError": "Request failed with status code 502", "lastFailureAt": "..." }
+ *   }]
+ * }
+ */
+router.get('/gateways', (req, res) => {
+  res.status(200).json({
+    success: true,
+    gateways: listGateways().map((adapter) => ({
+      id: adapter.id,
+      name: adapter.name,
+      configured: adapter.isConfigured(),
+      health: getGatewayHealth(adapter.id),
+    })),
+  });
+});
+
+/**
+ * GET /api/admin/reconciliation/reports?limit=30
+ * Stored reconciliation reports, newest first (daily ones and saved manual runs)
+ */
+router.get('/reconciliation/reports', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 30, 365);
+    const reports = await reconciliation.listReports({ limit });
+
+    res.status(200).json({ success: true, reports });
+  } catch (error) {
+    logger.error('Error listing reconciliation reports', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list reconciliation reports',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/reports/:id
+ * One stored report, e.g. recon_daily_2026-10-18
+ */
+router.get('/reconciliation/reports/:id', async (req, res) => {
+  try {
+    const report = await reconciliation.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    logger.error('Error fetching reconciliation report', { reportId: req.params.id, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch reconciliation report',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/reconciliation/run
+ * Reconcile now and store the report; answers when every order has been checked
+ *
+ * Request body:
+ * {
+ *   "since": "2026-10-01",     // required, YYYY-MM-DD (Indian time)
+ *   "until": "2026-10-19",     // optional
+ *   "includePaid": false,      // also compare paid and refunded orders
+ *   "dryRun": false
+ * }
+ */
+router.post('/reconciliation/run', async (req, res) => {
+  try {
+    const { since, until, includePaid, dryRun } = req.body;
+
+    if (!DAY_PATTERN.test(since || '') || (until && !DAY_PATTERN.test(until))) {
+      return res.status(400).json({ success: false, error: 'since (and until, if given) must be YYYY-MM-DD' });
+    }
+
+    logger.info('Reconciliation requested', { since, until, admin: req.admin.email });
+
+    const report = await reconciliation.saveReport(
+      await reconciliation.reconcileOrders({
+        from: since,
+        to: until,
+        includeSettled: includePaid === true,
+        dryRun: dryRun === true,
+      }),
+      { kind: 'manual' }
+    );
+
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    logger.error('Error running reconciliation', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to run reconciliation',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,113 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import * as auth from '../services/auth.js';
+import {
+  SESSION_COOKIE,
+  sessionCookieOptions,
+  readCookie,
+} from '../middleware/requireLearner.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/login
+ * Email a login code and magic link to a learner
+ *
+ * Request body:
+ * {
+ *   "email": "learner@example.com"   // the email used at checkout
+ * }
+ *
+ * Always answers the same way for known and unknown emails.
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const emailValidation = validators.validateEmail(email);
+    if (!emailValidation.valid) {
+      return res.status(400).json({ error: emailValidation.error });
+    }
+
+    await auth.requestLogin(email);
+
+    res.status(200).json({
+      success: true,
+      message: 'If this email has a purchase with us, a login code is on its way',
+    });
+  } catch (error) {
+    logger.error('Error requesting login', { error: error.message });
+    res.status(error instanceof auth.AuthError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to send login code',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Exchange a login code or magic link token for a session cookie
+ *
+ * Request body, either:
+ * { "email": "learner@example.com", "code": "123456" }
+ * { "token": "<token from the magic link>" }
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { email, code, token } = req.body;
+
+    if (!token) {
+      const emailValidation = validators.validateEmail(email);
+      if (!emailValidation.valid) {
+        return res.status(400).json({ error: emailValidation.error });
+      }
+
+      if (!/^\d{6}$/.test(String(code || ''))) {
+        return res.status(400).json({ error: 'Login code must be 6 digits' });
+      }
+    } else if (typeof token !== 'string') {
+      return res.status(400).json({ error: 'Invalid login link' });
+    }
+
+    const { session, cookieValue } = await auth.verifyLogin({ email, code, token });
+
+    res.cookie(SESSION_COOKIE, cookieValue, {
+      ...sessionCookieOptions(),
+      expires: new Date(session.expiresAt),
+    });
+
+    res.status(200).json({ success: true, email: session.email });
+  } catch (error) {
+    logger.error('Error verifying login', { error: error.message });
+    res.status(error instanceof auth.AuthError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to log in',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session and clear its cookie
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await auth.getSessionFromCookie(readCookie(req, SESSION_COOKIE));
+    if (session) {
+      await auth.revokeSession(session.id);
+    }
+
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+    res.status(200).json({ success: true });
+  } catch (error) {
+    logger.error('Error logging out', { error: error.message });
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+    res.status(error instanceof auth.AuthError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to log out',
+    });
+  }
+});
+
+export default router;
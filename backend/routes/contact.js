@@ -0,0 +1,116 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import * as leads from '../services/leads.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+
+const router = express.Router();
+
+// Hidden form field real visitors never see; bots fill in every field
+const HONEYPOT_FIELD = 'website';
+
+// Accept "98765 43210", "+91 98765-43210" and the like
+const normalizePhone = (phone) =>
+  phone ? String(phone).replace(/[\s()-]/g, '').replace(/^(\+91|0)(?=\d{10}$)/, '') : '';
+
+/**
+ * POST /api/contact
+ * Send a message through the site's contact forms
+ *
+ * Request body:
+ * {
+ *   "name": "John Doe",
+ *   "email": "john@example.com",
+ *   "phone": "9876543210",     // optional
+ *   "message": "I want to know more about...",
+ *   "source": "contact-us"     // optional: which form it came from
+ * }
+ *
+ * Response: { "success": true, "message": "..." }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, email, message, source } = req.body;
+    const phone = normalizePhone(req.body.phone);
+
+    if (req.body[HONEYPOT_FIELD]) {
+      // Look successful so the bot has no reason to try again
+      logger.warn('Contact form honeypot triggered', { ip: req.ip });
+      return res.status(200).json({ success: true, message: 'Thanks! We will get back to you soon.' });
+    }
+
+    const validation = validators.validateLead({ name, email, phone, message });
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    await leads.createLead({
+      name,
+      email,
+      phone,
+      message,
+      source: typeof source === 'string' ? source.trim().slice(0, 50) : undefined,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    res.status(200).json({ success: true, message: 'Thanks! We will get back to you soon.' });
+  } catch (error) {
+    logger.error('Error recording contact message', { error: error.message });
+    res.status(error instanceof leads.LeadError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to send message',
+    });
+  }
+});
+
+/**
+ * GET /api/contact/leads?status=new&limit=50
+ * List contact form leads, newest first (admin only)
+ *
+ * Headers: Authorization: Bearer <ADMIN_API_TOKEN>
+ */
+router.get('/leads', requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+    const list = await leads.listLeads({ status, limit });
+
+    res.status(200).json({
+      success: true,
+      // The IP hash only exists for rate limiting
+      leads: list.map(({ ipHash, ...lead }) => lead),
+    });
+  } catch (error) {
+    logger.error('Error listing leads', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list leads',
+    });
+  }
+});
+
+/**
+ * POST /api/contact/leads/:id/status
+ * Mark a lead as contacted or closed (admin only)
+ *
+ * Headers: Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Request body: { "status": "new" | "contacted" | "closed" }
+ */
+router.post('/leads/:id/status', requireAdmin, async (req, res) => {
+  try {
+    const { ipHash, ...lead } = await leads.updateLeadStatus(req.params.id, req.body.status);
+
+    res.status(200).json({ success: true, lead });
+  } catch (error) {
+    logger.error('Error updating lead', { leadId: req.params.id, error: error.message });
+    res.status(error instanceof leads.LeadError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to update lead',
+    });
+  }
+});
+
+export default router;
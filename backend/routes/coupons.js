@@ -0,0 +1,160 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import * as coupons from '../services/coupons.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/coupons/validate
+ * Check a coupon code at checkout and show what the cart would cost with it
+ * create-order applies the same code again, so this is for display only.
+ *
+ * Request body:
+ * {
+ *   "code": "LAUNCH50",
+ *   "courseIds": [1],              // or "courseId": 1
+ *   "email": "john@example.com"   // optional, also checks the per-buyer limit
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "coupon": { "code": "LAUNCH50", "description": "Launch offer", "type": "percent", "value": 50 },
+ *   "items": [{ "courseId": 1, "name": "...", "price": 4999, "amount": 2499, "bundleId": null }],
+ *   "originalAmount": 4999,
+ *   "bundleDiscount": 0,
+ *   "discount": 2500,
+ *   "amount": 2499
+ * }
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { code, courseId, courseIds, email } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ success: false, error: 'Coupon code is required' });
+    }
+
+    const courseValidation =
+      courseIds !== undefined ? validators.validateCourseIds(courseIds) : validators.validateCourseId(courseId);
+    if (!courseValidation.valid) {
+      return res.status(400).json({ success: false, error: courseValidation.error });
+    }
+
+    const applied = await coupons.applyCoupon({
+      code,
+      courseIds: courseIds ?? [courseId],
+      email: email && validators.validateEmail(email).valid ? email : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      coupon: {
+        code: applied.coupon.code,
+        description: applied.coupon.description,
+        type: applied.coupon.type,
+        value: applied.coupon.value,
+      },
+      items: applied.cart.items,
+      originalAmount: applied.originalAmount,
+      bundleDiscount: applied.bundleDiscount,
+      discount: applied.discount,
+      amount: applied.amount,
+    });
+  } catch (error) {
+    if (!(error instanceof coupons.CouponError)) {
+      logger.error('Error validating coupon', { error: error.message });
+    }
+    res.status(error instanceof coupons.CouponError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to check coupon',
+    });
+  }
+});
+
+/**
+ * GET /api/coupons
+ * List coupons with their use counts, newest first (admin only)
+ */
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json({ success: true, coupons: await coupons.listCoupons() });
+  } catch (error) {
+    logger.error('Error listing coupons', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list coupons',
+    });
+  }
+});
+
+/**
+ * POST /api/coupons
+ * Create a coupon (admin only)
+ *
+ * Request body:
+ * {
+ *   "code": "LAUNCH50",
+ *   "type": "percent" | "flat",
+ *   "value": 50,                  // percent off, or rupees off
+ *   "description": "Launch offer",
+ *   "courseIds": [1, 2],          // optional, default every course
+ *   "startsAt": "2026-10-20",     // optional, YYYY-MM-DD (Indian time) or ISO timestamp
+ *   "expiresAt": "2026-10-31",    // optional, inclusive
+ *   "maxUses": 100,               // optional, default unlimited
+ *   "maxUsesPerEmail": 1          // optional, default unlimited
+ * }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const validation = validators.validateCoupon(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const coupon = await coupons.createCoupon({
+      ...req.body,
+      createdBy: req.admin.email || 'api-token',
+    });
+
+    res.status(201).json({ success: true, coupon });
+  } catch (error) {
+    logger.error('Error creating coupon', { error: error.message });
+    res.status(error instanceof coupons.CouponError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to create coupon',
+    });
+  }
+});
+
+/**
+ * POST /api/coupons/:code
+ * Change a coupon: switch it off, extend it, raise its limits (admin only)
+ *
+ * Request body: any of description, active, startsAt, expiresAt, maxUses,
+ * maxUsesPerEmail, courseIds (null removes a limit). Type and value cannot change.
+ */
+router.post('/:code', requireAdmin, async (req, res) => {
+  try {
+    const validation = validators.validateCoupon(req.body, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    const coupon = await coupons.updateCoupon(req.params.code, req.body);
+
+    logger.info('Coupon changed by admin', { code: coupon.code, admin: req.admin.email });
+
+    res.status(200).json({ success: true, coupon });
+  } catch (error) {
+    logger.error('Error updating coupon', { code: req.params.code, error: error.message });
+    res.status(error instanceof coupons.CouponError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to update coupon',
+    });
+  }
+});
+
+export default router;
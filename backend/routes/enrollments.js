@@ -0,0 +1,148 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import * as enrollments from '../services/enrollments.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+
+const router = express.Router();
+
+/**
+ * Validate the { email, courseId } pair every enrollment endpoint takes
+ * @param {object} params
+ * @returns {object} { valid: boolean, error?: string }
+ */
+const validateLearnerCourse = ({ email, courseId }) => {
+  const emailValidation = validators.validateEmail(email);
+  if (!emailValidation.valid) return emailValidation;
+
+  return validators.validateCourseId(courseId);
+};
+
+/**
+ * GET /api/enrollments?email=learner@example.com
+ * List the courses a learner has access to (admin only; learners see their own
+ * through GET /api/me)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "email": "learner@example.com",
+ *   "enrollments": [
+ *     { "courseId": 1, "courseName": "...", "status": "active", "grantedAt": "...", "orderId": "ord_xyz" }
+ *   ]
+ * }
+ */
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { email } = req.query;
+
+    const emailValidation = validators.validateEmail(email);
+    if (!emailValidation.valid) {
+      return res.status(400).json({ error: emailValidation.error });
+    }
+
+    const list = await enrollments.listEnrollments(email);
+
+    res.status(200).json({
+      success: true,
+      email: email.toLowerCase(),
+      enrollments: list.map(({ courseId, courseName, status, grantedAt, orderId }) => ({
+        courseId,
+        courseName,
+        status,
+        grantedAt,
+        orderId,
+      })),
+    });
+  } catch (error) {
+    logger.error('Error listing enrollments', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list enrollments',
+    });
+  }
+});
+
+/**
+ * POST /api/enrollments/grant
+ * Give a learner access to a course by hand (admin only)
+ *
+ * Headers: Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Request body:
+ * {
+ *   "email": "learner@example.com",
+ *   "courseId": 1,
+ *   "note": "Paid by bank transfer"   // optional
+ * }
+ */
+router.post('/grant', requireAdmin, async (req, res) => {
+  try {
+    const { email, courseId, note } = req.body;
+
+    const validation = validateLearnerCourse({ email, courseId });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const enrollment = await enrollments.grantEnrollment({
+      email,
+      courseId,
+      source: 'admin',
+      note: typeof note === 'string' ? note.trim() : undefined,
+    });
+
+    res.status(200).json({ success: true, enrollment });
+  } catch (error) {
+    logger.error('Error granting enrollment', { error: error.message });
+    res.status(error instanceof enrollments.EnrollmentError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to grant enrollment',
+    });
+  }
+});
+
+/**
+ * POST /api/enrollments/revoke
+ * Take a learner's access to a course away (admin only)
+ *
+ * Headers: Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Request body:
+ * {
+ *   "email": "learner@example.com",
+ *   "courseId": 1,
+ *   "reason": "Chargeback"
+ * }
+ */
+router.post('/revoke', requireAdmin, async (req, res) => {
+  try {
+    const { email, courseId, reason } = req.body;
+
+    const validation = validateLearnerCourse({ email, courseId });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      return res.status(400).json({ error: 'Revoke reason is required' });
+    }
+
+    const enrollment = await enrollments.revokeEnrollment({
+      email,
+      courseId,
+      source: 'admin',
+      reason: reason.trim(),
+    });
+
+    res.status(200).json({ success: true, enrollment });
+  } catch (error) {
+    logger.error('Error revoking enrollment', { error: error.message });
+    res.status(error instanceof enrollments.EnrollmentError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to revoke enrollment',
+    });
+  }
+});
+
+export default router;
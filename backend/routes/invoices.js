@@ -0,0 +1,67 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import * as invoices from '../services/invoices.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+import { requireLearner, readCookie, SESSION_COOKIE } from '../middleware/requireLearner.js';
+import * as auth from '../services/auth.js';
+
+const router = express.Router();
+
+/**
+ * Admins send a Bearer token or the session cookie of an ADMIN_EMAILS address;
+ * anyone else's session cookie is a learner's
+ */
+const requireAdminOrLearner = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return requireAdmin(req, res, next);
+  }
+
+  try {
+    const session = await auth.getSessionFromCookie(readCookie(req, SESSION_COOKIE));
+    return session && auth.isAdminEmail(session.email)
+      ? requireAdmin(req, res, next)
+      : requireLearner(req, res, next);
+  } catch (error) {
+    logger.error('Error checking session', { error: error.message });
+    res.status(error instanceof auth.AuthError ? error.status : 500).json({
+      error: error.message || 'Failed to check session',
+    });
+  }
+};
+
+/**
+ * GET /api/invoices/:id
+ * Download a GST invoice (HTML attachment; open and print to save as PDF)
+ * Requires admin access (token or admin session), or the session of the learner it was issued to.
+ *
+ * Query:
+ *   format=json   Return the invoice record instead of the document
+ */
+router.get('/:id', requireAdminOrLearner, async (req, res) => {
+  try {
+    const invoice = await invoices.getInvoice(req.params.id);
+
+    // Someone else's invoice is reported as missing, not forbidden
+    if (!invoice || (req.learner && invoice.buyer.email !== req.learner.email)) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({ success: true, invoice });
+    }
+
+    res
+      .status(200)
+      .type('html')
+      .attachment(invoices.getInvoiceFilename(invoice))
+      .send(invoices.renderInvoiceHtml(invoice));
+  } catch (error) {
+    logger.error('Error fetching invoice', { invoiceId: req.params.id, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch invoice',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { escapeHtml, formatAmount } from '../utils/format.js';
+import { MOCK_OUTCOMES, MockGatewayError, getMockOrder, completeMockPayment } from '../gateways/mock.js';
+
+const router = express.Router();
+
+const OUTCOME_LABELS = {
+  success: 'Payment succeeds',
+  failure: 'Payment fails',
+  pending: 'Payment stays pending',
+  timeout: 'Gateway times out',
+};
+
+const METHOD_LABELS = {
+  upi: 'UPI',
+  card: 'Card',
+  netbanking: 'Netbanking',
+  wallet: 'Wallet',
+};
+
+/**
+ * Render the payment page for a mock order
+ * @param {object} order - Mock order
+ * @returns {string} HTML
+ */
+const renderPaymentPage = (order) => {
+  const settled = ['PAID', 'FAILED', 'REFUNDED'].includes(order.status);
+  const action = `/mock-gateway/pay/${encodeURIComponent(order.id)}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Mock gateway | ${escapeHtml(order.id)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f4f5; color: #18181b; margin: 0; padding: 2rem 1rem; }
+    main { max-width: 28rem; margin: 0 auto; background: #fff; border-radius: 0.75rem; padding: 1.5rem; box-shadow: 0 0.5rem 2rem rgba(0, 0, 0, 0.08); }
+    .banner { background: #fef3c7; color: #92400e; border-radius: 0.5rem; padding: 0.5rem 0.75rem; font-size: 0.85rem; margin-bottom: 1rem; }
+    h1 { font-size: 1.25rem; margin: 0 0 0.25rem; }
+    .amount { font-size: 2rem; font-weight: 700; margin: 0.5rem 0; }
+    dl { display: grid; grid-template-columns: auto 1fr; gap: 0.25rem 1rem; font-size: 0.9rem; color: #52525b; }
+    dd { margin: 0; word-break: break-all; }
+    label { display: block; font-size: 0.9rem; margin: 1rem 0 0.25rem; }
+    select { width: 100%; padding: 0.5rem; font-size: 1rem; }
+    .outcomes { display: grid; gap: 0.5rem; margin-top: 1rem; }
+    button { padding: 0.75rem; font-size: 1rem; border: 0; border-radius: 0.5rem; cursor: pointer; color: #fff; }
+    button[value="success"] { background: #16a34a; }
+    button[value="failure"] { background: #dc2626; }
+    button[value="pending"] { background: #2563eb; }
+    button[value="timeout"] { background: #52525b; }
+  </style>
+</head>
+<body>
+  <main>
+    <div class="banner">Mock gateway: no money moves. Pick what the gateway should do.</div>
+    <h1>${escapeHtml(order.description)}</h1>
+    <div class="amount">${escapeHtml(formatAmount(order.amount, order.currency))}</div>
+    <dl>
+      <dt>Order</dt><dd>${escapeHtml(order.merchantOrderId)}</dd>
+      <dt>Customer</dt><dd>${escapeHtml(order.customer.name)} (${escapeHtml(order.customer.email)})</dd>
+      <dt>Status</dt><dd>${escapeHtml(order.status)}${order.timedOut ? ' (timed out)' : ''}</dd>
+    </dl>
+    ${settled
+    ? '<p>This payment is settled. Nothing more to do here.</p>'
+    : `<form method="POST" action="${escapeHtml(action)}">
+      <label for="method">Pay with</label>
+      <select id="method" name="method">
+        ${Object.entries(METHOD_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <div class="outcomes">
+        ${MOCK_OUTCOMES.map((outcome) => `<button type="submit" name="outcome" value="${outcome}">${OUTCOME_LABELS[outcome]}</button>`).join('\n        ')}
+      </div>
+    </form>`}
+  </main>
+</body>
+</html>`;
+};
+
+/**
+ * GET /mock-gateway/pay/:id
+ * The mock gateway's payment page (the paymentLink create-order returns)
+ */
+router.get('/pay/:id', async (req, res) => {
+  try {
+    const order = await getMockOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Mock order not found' });
+    }
+
+    res.status(200).type('html').send(renderPaymentPage(order));
+  } catch (error) {
+    logger.error('Error rendering mock payment page', { error: error.message });
+    res.status(500).json({ success: false, error: error.message || 'Failed to load payment page' });
+  }
+});
+
+/**
+ * POST /mock-gateway/pay/:id
+ * Play out the tester's choice, deliver the webhook and send the buyer back
+ * to the payment status page
+ *
+ * Request body (form or JSON):
+ * {
+ *   "outcome": "success" | "failure" | "pending" | "timeout",
+ *   "method": "upi"               // optional: upi, card, netbanking or wallet
+ * }
+ *
+ * Response: 303 to payment-status, or with Accept: application/json
+ * { "success": true, "status": "PAID", "webhookDelivered": true, "returnUrl": "..." }
+ */
+router.post('/pay/:id', async (req, res) => {
+  try {
+    const { outcome, method } = req.body;
+
+    if (method !== undefined && !METHOD_LABELS[method]) {
+      return res.status(400).json({ success: false, error: `Invalid method. Use: ${Object.keys(METHOD_LABELS).join(', ')}` });
+    }
+
+    const { order, returnUrl, webhookDelivered } = await completeMockPayment(req.params.id, { outcome, method });
+
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(200).json({ success: true, status: order.status, timedOut: order.timedOut, webhookDelivered, returnUrl });
+    }
+
+    res.redirect(303, returnUrl);
+  } catch (error) {
+    logger.error('Error completing mock payment', { orderId: req.params.id, error: error.message });
+    res.status(error instanceof MockGatewayError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to complete mock payment',
+    });
+  }
+});
+
+export default router;
@@ -1,47 +1,375 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
 import { validators } from '../utils/validators.js';
-import * as razorpay from '../gateways/razorpay.js';
-import * as phonepe from '../gateways/phonepe.js';
-import * as cashfree from '../gateways/cashfree.js';
+import { getGateway, listGateways, isGatewayEnabled } from '../gateways/index.js';
+import { getPaymentMode } from '../gateways/mode.js';
+import * as catalog from '../services/catalog.js';
+import * as orders from '../services/orders.js';
+import * as coupons from '../services/coupons.js';
+import { buildPaymentStatus } from '../services/paymentStatus.js';
+import * as refunds from '../services/refunds.js';
+import { fulfilOrder } from '../services/fulfilment.js';
+import * as gatewayRouting from '../services/gatewayRouting.js';
+import { recordGatewayOutcome } from '../services/gatewayHealth.js';
+import * as notifications from '../notifications/index.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
 
 const router = express.Router();
 
+/**
+ * Enroll, invoice and confirm a paid order
+ * The payment already went through, so a fulfilment error is logged rather
+ * than reported as a failed payment; the next webhook or status check retries it.
+ * @param {object|null} order - Ledger order
+ */
+const fulfil = async (order) => {
+  try {
+    await fulfilOrder(order);
+  } catch (error) {
+    logger.error('Error fulfilling order', { orderId: order?.id, error: error.message });
+  }
+};
+
+/**
+ * Record an order in the ledger and open it with a gateway
+ * A gateway error marks the ledger order failed and counts against the
+ * gateway's health before it is rethrown.
+ * @param {object} adapter - Gateway adapter
+ * @param {object} params - Ledger order fields (see orders.createOrder), without gateway
+ * @returns {Promise<object>} { adapter, ledgerOrder, order, gatewayOrderId }
+ */
+const openGatewayOrder = async (adapter, params) => {
+  // Record the order before talking to the gateway so failed attempts are visible too
+  const ledgerOrder = await orders.createOrder({ ...params, gateway: adapter.id });
+
+  try {
+    const { order, gatewayOrderId } = await adapter.createOrder({
+      orderId: ledgerOrder.id,
+      amount: params.amount,
+      currency: params.currency,
+      customer: params.customer,
+      description: params.description,
+    });
+    recordGatewayOutcome(adapter.id, { operation: 'create-order', ok: true });
+
+    return { adapter, ledgerOrder, order, gatewayOrderId };
+  } catch (error) {
+    recordGatewayOutcome(adapter.id, { operation: 'create-order', ok: false, error: error.message });
+    await orders.transitionOrder(ledgerOrder.id, orders.ORDER_STATUS.FAILED, {
+      source: 'create-order',
+      note: error.message,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Read the cart from a request body: courseIds, or a single courseId
+ * @param {object} body
+ * @returns {object} { valid: boolean, error?: string, courseIds?: Array<number> }
+ */
+const readCourseIds = ({ courseIds, courseId }) => {
+  const validation =
+    courseIds !== undefined ? validators.validateCourseIds(courseIds) : validators.validateCourseId(courseId);
+
+  if (!validation.valid) return validation;
+
+  return { valid: true, courseIds: (courseIds ?? [courseId]).map(Number) };
+};
+
+/**
+ * Price a cart, with a coupon if one was given
+ * The client's amount is checked against the cart price before any coupon comes off.
+ * @param {object} params - { courseIds, amount, couponCode, email }
+ * @returns {Promise<object>} { valid, error?, cart, originalAmount, bundleDiscount, discount,
+ *   amount, coupon }
+ */
+const priceOrder = async ({ courseIds, amount, couponCode, email }) => {
+  const pricing = catalog.priceCart({ courseIds, amount });
+  if (!pricing.valid) return pricing;
+
+  const { cart } = pricing;
+
+  if (!couponCode) {
+    return {
+      valid: true,
+      cart,
+      originalAmount: cart.originalAmount,
+      bundleDiscount: cart.bundleDiscount,
+      discount: 0,
+      amount: cart.amount,
+      coupon: null,
+    };
+  }
+
+  try {
+    return { valid: true, ...(await coupons.applyCoupon({ code: couponCode, cart, email })) };
+  } catch (error) {
+    if (!(error instanceof coupons.CouponError)) throw error;
+    logger.warn('Coupon rejected', { couponCode, courseIds, error: error.message });
+    return { valid: false, error: error.message };
+  }
+};
+
+/**
+ * Price an order and open it with the first gateway that takes it
+ * Checkouts with the same coupon run one at a time (coupons.queueRedemption), so
+ * the coupon's use limits are checked against a ledger holding every earlier order.
+ * @param {object} params - { courseIds, requestedAmount, couponCode, gateway, paymentMethod, customer }
+ * @returns {Promise<object>} { pricing, route, attempt }, or { status, error } when the
+ *   order cannot be placed (400: pricing or coupon, 503: no gateway)
+ * @throws {Error} The last gateway's error when every gateway failed
+ */
+const placeOrder = ({ courseIds: requestedCourseIds, requestedAmount, couponCode, gateway, paymentMethod, customer }) =>
+  coupons.queueRedemption(couponCode, async () => {
+    const pricing = await priceOrder({
+      courseIds: requestedCourseIds,
+      amount: requestedAmount,
+      couponCode,
+      email: customer.email,
+    });
+    if (!pricing.valid) {
+      logger.warn('Cart pricing failed', { courseIds: requestedCourseIds, requestedAmount, error: pricing.error });
+      return { status: 400, error: pricing.error };
+    }
+
+    const { cart, amount, originalAmount, bundleDiscount, discount } = pricing;
+    const appliedCode = pricing.coupon?.code || null;
+    const courseIds = cart.items.map((item) => item.courseId);
+
+    const description =
+      cart.items.length === 1 ? `Payment for ${cart.items[0].name}` : `Payment for ${cart.items.length} courses`;
+
+    logger.info('Creating payment order', {
+      gateway,
+      courseIds,
+      amount,
+      ...(bundleDiscount && { bundleDiscount }),
+      ...(appliedCode && { couponCode: appliedCode, discount }),
+      customer: customer.email,
+    });
+
+    const route = gatewayRouting.planGatewayRoute({ gateway, amount, method: paymentMethod });
+    if (!route.gateways.length) {
+      logger.warn('No gateway can take the order', { gateway, amount, paymentMethod, rule: route.rule });
+      return { status: 503, error: 'No payment gateway is available for this order right now. Please try again later.' };
+    }
+
+    // Each attempt is its own ledger order, so failed gateways stay visible in the admin console
+    let lastError = null;
+
+    for (const gatewayId of route.gateways) {
+      try {
+        const attempt = await openGatewayOrder(getGateway(gatewayId), {
+          items: cart.items,
+          amount,
+          originalAmount,
+          bundleDiscount,
+          discount,
+          couponCode: appliedCode,
+          currency: cart.currency,
+          customer,
+          description,
+        });
+        return { pricing, route, attempt };
+      } catch (error) {
+        lastError = error;
+        logger.warn('Gateway could not create the order', { gateway: gatewayId, error: error.message });
+      }
+    }
+
+    throw lastError;
+  });
+
+/**
+ * POST /api/payment/quote
+ * Price a cart the way create-order will: bundles first, then any coupon
+ *
+ * Request body:
+ * {
+ *   "courseIds": [6, 4],
+ *   "couponCode": "LAUNCH50",       // optional
+ *   "email": "john@example.com"     // optional, also checks the coupon's per-buyer limit
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "items": [{ "courseId": 6, "name": "...", "price": 5999, "amount": 4941, "bundleId": "mern-mongodb" }, ...],
+ *   "bundles": [{ "id": "mern-mongodb", "name": "MERN Stack + MongoDB Design", "courseIds": [6, 4],
+ *                 "listPrice": 8498, "price": 6999, "saving": 1499 }],
+ *   "originalAmount": 8498,
+ *   "bundleDiscount": 1499,
+ *   "discount": 0,                   // coupon
+ *   "amount": 6999,
+ *   "currency": "INR",
+ *   "coupon": null                   // or { code, description, type, value }
+ * }
+ */
+router.post('/quote', async (req, res) => {
+  try {
+    const { couponCode, email } = req.body;
+
+    const cartValidation = readCourseIds(req.body);
+    if (!cartValidation.valid) {
+      return res.status(400).json({ success: false, error: cartValidation.error });
+    }
+
+    const quote = await priceOrder({
+      courseIds: cartValidation.courseIds,
+      couponCode,
+      email: email && validators.validateEmail(email).valid ? email : undefined,
+    });
+    if (!quote.valid) {
+      return res.status(400).json({ success: false, error: quote.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      items: quote.cart.items,
+      bundles: quote.cart.bundles,
+      originalAmount: quote.originalAmount,
+      bundleDiscount: quote.bundleDiscount,
+      discount: quote.discount,
+      amount: quote.amount,
+      currency: quote.cart.currency,
+      coupon: quote.coupon && {
+        code: quote.coupon.code,
+        description: quote.coupon.description,
+        type: quote.coupon.type,
+        value: quote.coupon.value,
+      },
+    });
+  } catch (error) {
+    logger.error('Error pricing cart', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to price cart',
+    });
+  }
+});
+
+/**
+ * GET /api/payment/methods
+ * The gateways the checkout can offer: switched on (PAYMENT_GATEWAYS) and configured.
+ * Public, so it only says what a buyer may see; no keys, URLs or errors.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "mode": "live",                  // PAYMENT_MODE: "test" means no real money moves
+ *   "gateways": [
+ *     { "id": "razorpay", "name": "Razorpay", "methods": ["upi", "card", "netbanking", "wallet"] },
+ *     { "id": "phonepe", "name": "PhonePe", "methods": ["upi", "card", "netbanking"] }
+ *   ]
+ * }
+ */
+router.get('/methods', (req, res) => {
+  const gateways = listGateways()
+    .filter((adapter) => isGatewayEnabled(adapter.id) && adapter.isConfigured())
+    .map((adapter) => ({
+      id: adapter.id,
+      name: adapter.name,
+      methods: adapter.methods,
+    }));
+
+  res.status(200).json({ success: true, mode: getPaymentMode(), gateways });
+});
+
+/**
+ * GET /api/payment/gateways?amount=6999&method=upi
+ * Which gateways the checkout should offer for an order of this amount
+ * (amount and method are optional)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "gateways": [
+ *     { "id": "razorpay", "name": "Razorpay", "enabled": true, "configured": true, "available": true, "health": "healthy" },
+ *     { "id": "phonepe", "name": "PhonePe", "enabled": true, "configured": true, "available": true, "health": "degraded" },
+ *     { "id": "cashfree", "name": "Cashfree", "enabled": true, "configured": false, "available": false, "health": "healthy" }
+ *   ]
+ * }
+ */
+router.get('/gateways', (req, res) => {
+  const { amount, method } = req.query;
+
+  if (amount !== undefined) {
+    const amountValidation = validators.validateAmount(amount);
+    if (!amountValidation.valid) {
+      return res.status(400).json({ success: false, error: amountValidation.error });
+    }
+  }
+
+  if (method !== undefined) {
+    const methodValidation = validators.validatePaymentMethod(method);
+    if (!methodValidation.valid) {
+      return res.status(400).json({ success: false, error: methodValidation.error });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    gateways: gatewayRouting.describeGatewayRoutes({
+      amount: amount === undefined ? undefined : Number(amount),
+      method: method?.toLowerCase(),
+    }),
+  });
+});
+
 /**
  * POST /api/payment/create-order
  * Create a payment order with the specified gateway
+ * The amount charged always comes from the backend course catalog, less any
+ * bundle saving and coupon. One payment enrolls the buyer in every course.
  * 
  * Request body:
  * {
- *   "amount": 499,
- *   "gateway": "razorpay" | "phonepe" | "cashfree",
+ *   "courseIds": [6, 4],       // or "courseId": 1 for a single course
+ *   "amount": 6999,            // optional, rejected if it differs from the catalog price of the cart
+ *   "couponCode": "LAUNCH50",  // optional, rejected (400) if it cannot be used
+ *   "gateway": "razorpay" | "phonepe" | "cashfree" (any registered gateway),
+ *   "method": "upi",           // optional: upi, card, netbanking or wallet, for routing rules
  *   "customer": {
  *     "name": "John Doe",
  *     "email": "john@example.com",
- *     "phone": "9876543210"
- *   },
- *   "description": "Full Stack Development Course"
+ *     "phone": "9876543210",
+ *     "businessName": "Acme Pvt Ltd",   // optional, with gstin, for a GST invoice
+ *     "gstin": "10ABCDE1234F1Z5"        // optional
+ *   }
  * }
  * 
- * Response: Gateway-specific order data
+ * Response: Gateway-specific order data, with "gateway" set to the gateway that took
+ * the order. Routing rules may send it elsewhere, and when the chosen gateway fails
+ * the next one is tried (see services/gatewayRouting.js); 503 if none can take it.
  */
 router.post('/create-order', async (req, res) => {
   try {
-    const { amount, gateway, customer, description } = req.body;
+    const { amount: requestedAmount, couponCode, gateway, method, customer } = req.body;
 
     logger.info('Received create-order request', {
-      amount,
+      courseIds: req.body.courseIds ?? req.body.courseId,
+      requestedAmount,
+      couponCode,
       gateway,
+      method,
       customer: customer?.email,
-      description,
       bodyKeys: Object.keys(req.body)
     });
 
     // Validate input
-    const amountValidation = validators.validateAmount(amount);
-    if (!amountValidation.valid) {
-      logger.warn('Amount validation failed', { amount, error: amountValidation.error });
-      return res.status(400).json({ error: amountValidation.error });
+    const cartValidation = readCourseIds(req.body);
+    if (!cartValidation.valid) {
+      logger.warn('Course validation failed', { courseIds: req.body.courseIds ?? req.body.courseId, error: cartValidation.error });
+      return res.status(400).json({ error: cartValidation.error });
+    }
+
+    if (requestedAmount !== undefined) {
+      const amountValidation = validators.validateAmount(requestedAmount);
+      if (!amountValidation.valid) {
+        logger.warn('Amount validation failed', { requestedAmount, error: amountValidation.error });
+        return res.status(400).json({ error: amountValidation.error });
+      }
     }
 
     const gatewayValidation = validators.validateGateway(gateway);
@@ -50,59 +378,77 @@ router.post('/create-order', async (req, res) => {
       return res.status(400).json({ error: gatewayValidation.error });
     }
 
+    if (method !== undefined) {
+      const methodValidation = validators.validatePaymentMethod(method);
+      if (!methodValidation.valid) {
+        return res.status(400).json({ error: methodValidation.error });
+      }
+    }
+    const paymentMethod = method?.toLowerCase();
+
     const customerValidation = validators.validateCustomer(customer);
     if (!customerValidation.valid) {
       logger.warn('Customer validation failed', { customer, error: customerValidation.error });
       return res.status(400).json({ error: customerValidation.error });
     }
 
-    logger.info('Creating payment order', { gateway, amount, customer: customer.email });
+    // Price comes from the catalog, never from the browser
+    const placed = await placeOrder({
+      courseIds: cartValidation.courseIds,
+      requestedAmount,
+      couponCode,
+      gateway,
+      paymentMethod,
+      customer,
+    });
+    if (placed.error) {
+      return res.status(placed.status).json({
+        ...(placed.status === 503 && { success: false }),
+        error: placed.error,
+      });
+    }
 
-    let order;
+    const { pricing, route, attempt } = placed;
+    const { cart, amount, originalAmount, bundleDiscount, discount } = pricing;
+    const appliedCode = pricing.coupon?.code || null;
+    const courseIds = cart.items.map((item) => item.courseId);
 
-    switch (gateway.toLowerCase()) {
-      case 'razorpay':
-        order = await razorpay.createRazorpayOrder({
-          amount,
-          currency: 'INR',
-          customer,
-          description,
-        });
-        break;
+    const { adapter, ledgerOrder, order, gatewayOrderId } = attempt;
 
-      case 'phonepe':
-        const phonepeOrderId = `order_${Date.now()}`;
-        logger.info('Calling PhonePe gateway', {
-          amount,
-          orderId: phonepeOrderId,
-          customer: customer.email
-        });
-        order = await phonepe.createPhonePeOrder({
-          amount,
-          currency: 'INR',
-          customer,
-          orderId: phonepeOrderId,
-        });
-        break;
+    if (adapter.id !== gateway.toLowerCase()) {
+      logger.warn('Order routed to another gateway', {
+        requested: gateway,
+        gateway: adapter.id,
+        rule: route.rule,
+        ledgerOrderId: ledgerOrder.id,
+      });
+    }
 
-      case 'cashfree':
-        order = await cashfree.createCashfreeOrder({
-          amount,
-          currency: 'INR',
-          customer,
-          orderId: `order_${Date.now()}`,
-        });
-        break;
+    const pendingOrder = await orders.transitionOrder(ledgerOrder.id, orders.ORDER_STATUS.PENDING, {
+      source: 'create-order',
+      gatewayOrderId,
+    });
 
-      default:
-        return res.status(400).json({ error: 'Unsupported gateway' });
-    }
+    // Not awaited: the buyer is waiting on this response to open the payment window
+    notifications.notifyOrderUpdate(pendingOrder).catch((error) => {
+      logger.error('Error queueing order created email', { orderId: ledgerOrder.id, error: error.message });
+    });
 
-    logger.info('Order created successfully', { gateway, orderId: order.orderId || order.transactionId });
+    logger.info('Order created successfully', { gateway: adapter.id, ledgerOrderId: ledgerOrder.id, gatewayOrderId });
 
     res.status(200).json({
       success: true,
-      gateway,
+      gateway: adapter.id,
+      requestedGateway: gateway.toLowerCase(),
+      ledgerOrderId: ledgerOrder.id,
+      courseId: ledgerOrder.courseId,
+      courseIds,
+      items: cart.items,
+      amount,
+      originalAmount,
+      bundleDiscount,
+      discount,
+      couponCode: appliedCode,
       order,
     });
   } catch (error) {
@@ -119,6 +465,9 @@ router.post('/create-order', async (req, res) => {
 /**
  * POST /api/payment/verify-payment
  * Verify payment authenticity using gateway signature
+ * Required fields come from the gateway adapter's verifyFields. The order is only
+ * marked paid when the gateway collected the order's amount (409 otherwise); an
+ * authorized but uncaptured Razorpay payment stays "pending".
  * 
  * Request body (varies by gateway):
  * 
@@ -133,8 +482,7 @@ router.post('/create-order', async (req, res) => {
  * PhonePe:
  * {
  *   "gateway": "phonepe",
- *   "transactionId": "TXN_xyz",
- *   "amount": 500
+ *   "orderId": "ord_xyz"          // merchantOrderId (our ledger order ID)
  * }
  * 
  * Cashfree:
@@ -146,7 +494,7 @@ router.post('/create-order', async (req, res) => {
  */
 router.post('/verify-payment', async (req, res) => {
   try {
-    const { gateway, orderId, paymentId, signature, transactionId, amount } = req.body;
+    const { gateway, orderId, transactionId } = req.body;
 
     // Validate gateway
     const gatewayValidation = validators.validateGateway(gateway);
@@ -154,114 +502,59 @@ router.post('/verify-payment', async (req, res) => {
       return res.status(400).json({ error: gatewayValidation.error });
     }
 
-    logger.info('Verifying payment', { gateway, orderId: orderId || transactionId });
+    const adapter = getGateway(gateway);
 
-    let verificationResult;
+    const missingFields = adapter.verifyFields.filter((field) => !req.body[field]);
+    if (missingFields.length) {
+      return res.status(400).json({
+        error: `Missing required ${missingFields.length > 1 ? 'fields' : 'field'}: ${missingFields.join(', ')}`,
+      });
+    }
 
-    switch (gateway.toLowerCase()) {
-      case 'razorpay':
-        if (!orderId || !paymentId || !signature) {
-          return res.status(400).json({
-            error: 'Missing required fields: orderId, paymentId, signature',
-          });
-        }
+    logger.info('Verifying payment', { gateway, orderId: orderId || transactionId });
 
-        const isValid = await razorpay.verifyRazorpaySignature({
-          orderId,
-          paymentId,
-          signature,
-        });
+    let verification;
+    try {
+      verification = await adapter.verify(req.body);
+      recordGatewayOutcome(adapter.id, { operation: 'verify', ok: true });
+    } catch (error) {
+      recordGatewayOutcome(adapter.id, { operation: 'verify', ok: false, error: error.message });
+      throw error;
+    }
+
+    let ledgerOrder = null;
+    if (verification.reference && verification.gatewayStatus) {
+      ledgerOrder = await orders.recordGatewayStatus({
+        gateway: adapter.id,
+        reference: verification.reference,
+        gatewayStatus: verification.gatewayStatus,
+        source: 'verify-payment',
+        fields: verification.paymentId ? { gatewayPaymentId: verification.paymentId } : {},
+        amount: verification.amount,
+      });
+      await fulfil(ledgerOrder);
+    }
 
-        if (!isValid) {
-          return res.status(400).json({
-            success: false,
-            error: 'Payment signature verification failed',
-          });
-        }
-
-        // Optionally fetch payment details from Razorpay
-        const paymentDetails = await razorpay.getRazorpayPaymentDetails(paymentId);
-
-        verificationResult = {
-          success: true,
-          gateway: 'razorpay',
-          orderId,
-          paymentId,
-          status: paymentDetails.status,
-          amount: paymentDetails.amount / 100, // Convert from paise to rupees
-          method: paymentDetails.method,
-          timestamp: new Date(paymentDetails.created_at * 1000).toISOString(),
-        };
-        break;
-
-      case 'phonepe':
-        if (!orderId) {
-          return res.status(400).json({
-            error: 'Missing required field: orderId',
-          });
-        }
-
-        const phonepeStatus = await phonepe.checkPhonePeTransactionStatus(orderId);
-
-        if (!phonepeStatus.success) {
-          return res.status(400).json({
-            success: false,
-            error: 'Payment verification failed',
-            status: phonepeStatus.data?.state,
-          });
-        }
-
-        verificationResult = {
-          success: true,
-          gateway: 'phonepe',
-          orderId,
-          status: phonepeStatus.data?.state,
-          amount: phonepeStatus.data?.amount,
-          responseCode: phonepeStatus.data?.responseCode,
-        };
-        break;
-
-      case 'cashfree':
-        if (!orderId || !paymentId) {
-          return res.status(400).json({
-            error: 'Missing required fields: orderId, paymentId',
-          });
-        }
-
-        const cashfreeDetails = await cashfree.getCashfreePaymentDetails(
-          orderId,
-          paymentId
-        );
-
-        if (cashfreeDetails.status !== 'SUCCESS') {
-          return res.status(400).json({
-            success: false,
-            error: 'Payment verification failed',
-            status: cashfreeDetails.status,
-          });
-        }
-
-        verificationResult = {
-          success: true,
-          gateway: 'cashfree',
-          orderId,
-          paymentId: cashfreeDetails.paymentId,
-          status: cashfreeDetails.status,
-          amount: cashfreeDetails.amount,
-          method: cashfreeDetails.method,
-          timestamp: cashfreeDetails.timestamp,
-        };
-        break;
-
-      default:
-        return res.status(400).json({ error: 'Unsupported gateway' });
+    if (!verification.success) {
+      return res.status(400).json({
+        success: false,
+        error: verification.error,
+        ...(verification.gatewayStatus &&
+          buildPaymentStatus({ gateway: adapter.id, snapshot: verification, order: ledgerOrder })),
+      });
     }
 
+    const verificationResult = {
+      success: true,
+      ...buildPaymentStatus({ gateway: adapter.id, snapshot: verification, order: ledgerOrder }),
+    };
+
     logger.info('Payment verified successfully', verificationResult);
     res.status(200).json(verificationResult);
   } catch (error) {
     logger.error('Error verifying payment', { error: error.message });
-    res.status(500).json({
+    const isLedgerConflict = error instanceof orders.OrderStateError || error instanceof orders.PaymentAmountError;
+    res.status(isLedgerConflict ? error.status : 500).json({
       success: false,
       error: error.message || 'Payment verification failed',
       ...(process.env.NODE_ENV === 'development' && { details: error }),
@@ -272,6 +565,26 @@ router.post('/verify-payment', async (req, res) => {
 /**
  * GET /api/payment/status/:gateway/:id
  * Get payment status by transaction/order ID
+ *
+ * :id is the Razorpay order ID (or a payment ID), the PhonePe merchantOrderId (our ledger
+ * order ID) or the Cashfree order ID.
+ *
+ * Response (same shape for every gateway, also returned by verify-payment):
+ * {
+ *   "success": true,
+ *   "gateway": "phonepe",
+ *   "ledgerOrderId": "ord_xyz",
+ *   "paymentStatus": "pending" | "completed" | "failed" | "refunded",
+ *   "gatewayStatus": "COMPLETED",
+ *   "amount": 4999,               // rupees
+ *   "currency": "INR",
+ *   "method": "UPI_INTENT",
+ *   "gatewayOrderId": "ord_xyz",
+ *   "gatewayPaymentId": "OM123",
+ *   "paidAt": "2024-01-01T12:00:00.000Z",
+ *   "createdAt": "2024-01-01T11:59:00.000Z",
+ *   "updatedAt": "2024-01-01T12:00:05.000Z"
+ * }
  */
 router.get('/status/:gateway/:id', async (req, res) => {
   try {
@@ -284,31 +597,114 @@ router.get('/status/:gateway/:id', async (req, res) => {
 
     logger.info('Fetching payment status', { gateway, id });
 
-    let status;
+    const adapter = getGateway(gateway);
+    const status = await adapter.getStatus(id);
 
-    switch (gateway.toLowerCase()) {
-      case 'phonepe':
-        status = await phonepe.checkPhonePeTransactionStatus(id);
-        break;
+    const ledgerOrder = await orders.syncGatewayStatus({
+      gateway: adapter.id,
+      reference: status.reference || id,
+      gatewayStatus: status.gatewayStatus,
+      source: 'status',
+      fields: status.paymentId ? { gatewayPaymentId: status.paymentId } : {},
+      amount: status.amount,
+    });
+    await fulfil(ledgerOrder);
 
-      case 'cashfree':
-        status = await cashfree.getCashfreeOrderDetails(id);
-        break;
+    res.status(200).json({
+      success: true,
+      ...buildPaymentStatus({ gateway: adapter.id, snapshot: status, order: ledgerOrder }),
+    });
+  } catch (error) {
+    logger.error('Error fetching payment status', { error: error.message });
+    res.status(error instanceof orders.PaymentAmountError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to fetch payment status',
+    });
+  }
+});
 
-      case 'razorpay':
-        status = await razorpay.getRazorpayPaymentDetails(id);
-        break;
+/**
+ * POST /api/payment/refund
+ * Refund a paid order, fully or partially (admin only)
+ *
+ * Headers: Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Request body:
+ * {
+ *   "orderId": "ord_xyz",          // ledger order ID
+ *   "amount": 1000,                // optional, defaults to everything not yet refunded
+ *   "reason": "Cancelled within 7 days",
+ *   "overridePolicy": false        // true to refund outside the 7-day window
+ * }
+ */
+router.post('/refund', requireAdmin, async (req, res) => {
+  try {
+    const { orderId, amount, reason, overridePolicy } = req.body;
 
-      default:
-        return res.status(400).json({ error: 'Unsupported gateway' });
+    if (!orderId) {
+      return res.status(400).json({ error: 'Order ID is required' });
     }
 
-    res.status(200).json({ success: true, status });
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      return res.status(400).json({ error: 'Refund reason is required' });
+    }
+
+    if (amount !== undefined) {
+      const amountValidation = validators.validateAmount(amount);
+      if (!amountValidation.valid) {
+        return res.status(400).json({ error: amountValidation.error });
+      }
+    }
+
+    logger.info('Refund requested', {
+      orderId,
+      amount,
+      reason,
+      overridePolicy: !!overridePolicy,
+      admin: req.admin.email,
+    });
+
+    const { refund, order } = await refunds.createRefund({
+      orderId,
+      amount,
+      reason: reason.trim(),
+      overridePolicy: overridePolicy === true,
+      requestedBy: req.admin.email || 'api-token',
+    });
+
+    res.status(200).json({
+      success: true,
+      refund,
+      orderStatus: order.status,
+      refundedAmount: order.refundedAmount,
+    });
   } catch (error) {
-    logger.error('Error fetching payment status', { error: error.message });
+    logger.error('Error creating refund', { error: error.message });
+    res.status(error instanceof refunds.RefundError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to create refund',
+    });
+  }
+});
+
+/**
+ * GET /api/payment/refund/:id
+ * Get refund status, refreshed from the gateway while pending (admin only)
+ */
+router.get('/refund/:id', requireAdmin, async (req, res) => {
+  try {
+    const refund = await refunds.getRefund(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({ success: false, error: 'Refund not found' });
+    }
+
+    res.status(200).json({ success: true, refund });
+  } catch (error) {
+    logger.error('Error fetching refund status', { error: error.message });
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to fetch payment status',
+      error: error.message || 'Failed to fetch refund status',
     });
   }
 });
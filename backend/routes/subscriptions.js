@@ -0,0 +1,236 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import * as catalog from '../services/catalog.js';
+import * as subscriptions from '../services/subscriptions.js';
+import { fulfilOrder } from '../services/fulfilment.js';
+import { toPaymentStatus } from '../services/paymentStatus.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+
+const router = express.Router();
+
+// What the browser and admin console see of a subscription
+const toSubscriptionSummary = (subscription) => ({
+  id: subscription.id,
+  planId: subscription.planId,
+  courseId: subscription.courseId,
+  courseName: subscription.courseName,
+  amount: subscription.amount,
+  installments: subscription.installments,
+  totalAmount: subscription.totalAmount,
+  currency: subscription.currency,
+  gateway: subscription.gateway,
+  gatewaySubscriptionId: subscription.gatewaySubscriptionId,
+  status: subscription.status,
+  paidCount: subscription.paidCount,
+  orderIds: subscription.orderIds,
+  createdAt: subscription.createdAt,
+});
+
+/**
+ * GET /api/subscriptions/plans?courseId=1
+ * Installment plans, for one course or all of them
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "plans": [{
+ *     "id": "fullstack-ai-3", "courseId": 1, "courseName": "...", "coursePrice": 4999,
+ *     "period": "monthly", "installments": 3, "amount": 1667, "totalAmount": 5001, "currency": "INR"
+ *   }]
+ * }
+ */
+router.get('/plans', (req, res) => {
+  const { courseId } = req.query;
+
+  if (courseId !== undefined) {
+    const courseIdValidation = validators.validateCourseId(courseId);
+    if (!courseIdValidation.valid) {
+      return res.status(400).json({ success: false, error: courseIdValidation.error });
+    }
+  }
+
+  res.status(200).json({ success: true, plans: catalog.listInstallmentPlans(courseId) });
+});
+
+/**
+ * POST /api/subscriptions/create
+ * Start buying a course in installments
+ * The learner authorizes the subscription in the gateway's checkout, which
+ * also charges the first installment; then call /verify.
+ *
+ * Request body:
+ * {
+ *   "planId": "fullstack-ai-3",
+ *   "gateway": "razorpay",        // optional; only gateways with installments
+ *   "customer": { "name": "John Doe", "email": "john@example.com", "phone": "9876543210" }
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "subscription": { "id": "subs_xyz", "status": "created", "amount": 1667, "installments": 3, ... },
+ *   "checkout": { "subscriptionId": "sub_xyz", "shortUrl": "...", "razorpayKey": "rzp_..." }
+ * }
+ */
+router.post('/create', async (req, res) => {
+  try {
+    const { planId, gateway = 'razorpay', customer } = req.body;
+
+    if (!planId || typeof planId !== 'string') {
+      return res.status(400).json({ success: false, error: 'Installment plan is required' });
+    }
+
+    const gatewayValidation = validators.validateGateway(gateway);
+    if (!gatewayValidation.valid) {
+      return res.status(400).json({ success: false, error: gatewayValidation.error });
+    }
+
+    const customerValidation = validators.validateCustomer(customer);
+    if (!customerValidation.valid) {
+      return res.status(400).json({ success: false, error: customerValidation.error });
+    }
+
+    const { subscription, checkout } = await subscriptions.createSubscription({
+      planId,
+      gateway: gateway.toLowerCase(),
+      customer,
+    });
+
+    res.status(200).json({
+      success: true,
+      subscription: toSubscriptionSummary(subscription),
+      checkout,
+    });
+  } catch (error) {
+    logger.error('Error creating subscription', { error: error.message });
+    res.status(error instanceof subscriptions.SubscriptionError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to create subscription',
+    });
+  }
+});
+
+/**
+ * POST /api/subscriptions/verify
+ * Check the first installment the learner just paid and enroll them
+ *
+ * Request body:
+ * {
+ *   "subscriptionId": "subs_xyz",   // ledger subscription ID
+ *   "paymentId": "pay_xyz",
+ *   "signature": "signature_xyz"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "subscription": { ... },
+ *   "ledgerOrderId": "ord_xyz",     // the installment's order; null until it is charged
+ *   "paymentStatus": "completed" | "pending",
+ *   "amount": 1667
+ * }
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { subscriptionId, paymentId, signature } = req.body;
+
+    if (!subscriptionId || !paymentId || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'subscriptionId, paymentId and signature are required',
+      });
+    }
+
+    const { verification, subscription, order } = await subscriptions.verifySubscriptionPayment({
+      subscriptionId,
+      paymentId,
+      signature,
+    });
+
+    if (!verification.success) {
+      return res.status(400).json({ success: false, error: verification.error });
+    }
+
+    try {
+      await fulfilOrder(order);
+    } catch (error) {
+      logger.error('Error fulfilling order', { orderId: order?.id, error: error.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      subscription: toSubscriptionSummary(subscription),
+      ledgerOrderId: order?.id || null,
+      paymentStatus: order ? toPaymentStatus(order.status) : 'pending',
+      amount: subscription.amount,
+    });
+  } catch (error) {
+    logger.error('Error verifying subscription payment', { error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Payment verification failed',
+    });
+  }
+});
+
+/**
+ * GET /api/subscriptions?status=halted&email=learner@example.com&courseId=1
+ * Search installment subscriptions, newest first (admin only)
+ */
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { status, email, courseId } = req.query;
+
+    if (status && !Object.values(subscriptions.SUBSCRIPTION_STATUS).includes(status)) {
+      return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+    }
+
+    const found = await subscriptions.listSubscriptions({ status, email, courseId });
+
+    res.status(200).json({
+      success: true,
+      subscriptions: found.map((subscription) => ({
+        ...toSubscriptionSummary(subscription),
+        customer: subscription.customer,
+        history: subscription.history,
+      })),
+    });
+  } catch (error) {
+    logger.error('Error listing subscriptions', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list subscriptions',
+    });
+  }
+});
+
+/**
+ * POST /api/subscriptions/:id/cancel
+ * Stop charging installments (admin only)
+ * If the course is not paid off, the learner's access is suspended.
+ *
+ * Request body: { "reason": "Asked to stop" }   // optional
+ */
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : undefined;
+
+    const subscription = await subscriptions.cancelSubscription(req.params.id, {
+      source: 'admin-cancel',
+      reason: reason || undefined,
+    });
+
+    logger.info('Subscription cancelled by admin', { subscriptionId: subscription.id, admin: req.admin.email });
+
+    res.status(200).json({ success: true, subscription: toSubscriptionSummary(subscription) });
+  } catch (error) {
+    logger.error('Error cancelling subscription', { subscriptionId: req.params.id, error: error.message });
+    res.status(error instanceof subscriptions.SubscriptionError ? error.status : 500).json({
+      success: false,
+      error: error.message || 'Failed to cancel subscription',
+    });
+  }
+});
+
+export default router;
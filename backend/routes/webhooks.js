@@ -1,120 +1,148 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
-import * as razorpay from '../gateways/razorpay.js';
-import * as phonepe from '../gateways/phonepe.js';
-import * as cashfree from '../gateways/cashfree.js';
+import { getGateway } from '../gateways/index.js';
+import * as orders from '../services/orders.js';
+import * as webhookEvents from '../services/webhookEvents.js';
+import * as subscriptions from '../services/subscriptions.js';
+import { fulfilOrder } from '../services/fulfilment.js';
 
 const router = express.Router();
 
 /**
- * POST /api/webhook/razorpay
- * Webhook endpoint for Razorpay payment notifications
- * 
- * Razorpay sends signed webhook data
- * Events: payment.authorized, payment.failed, payment.captured, refund.created, etc.
+ * Keep the exact bytes the gateway sent
+ * server.js mounts this router before express.json(), so the body is still unread here.
  */
-router.post('/razorpay', async (req, res) => {
-  try {
-    const webhookData = req.body;
-    const webhookSignature = req.headers['x-razorpay-signature'];
-
-    logger.info('Received Razorpay webhook', { event: webhookData.event });
-
-    if (!webhookSignature) {
-      logger.warn('Missing Razorpay webhook signature');
-      return res.status(400).json({ error: 'Missing signature' });
-    }
-
-    // Handle webhook
-    const result = await razorpay.handleRazorpayWebhook(webhookData, webhookSignature);
+router.use(express.raw({ type: '*/*', limit: '1mb' }));
+router.use((req, res, next) => {
+  req.rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
 
-    if (!result.valid) {
-      return res.status(400).json({ error: result.message });
-    }
-
-    // TODO: Here you would update your database with payment status
-    // Example:
-    // if (result.status === 'success') {
-    //   await updatePaymentInDatabase(result.paymentId, 'completed');
-    //   await sendConfirmationEmail(customer);
-    //   await enrollUserInCourse(userId);
-    // }
-
-    logger.info('Razorpay webhook processed', result);
-
-    // Always return 200 to acknowledge receipt
-    res.status(200).json({
-      success: true,
-      message: 'Webhook received',
-      data: result,
-    });
+  try {
+    req.body = req.rawBody ? JSON.parse(req.rawBody) : {};
   } catch (error) {
-    logger.error('Error processing Razorpay webhook', { error: error.message });
-    // Return 200 even on error to prevent Razorpay from retrying
-    res.status(200).json({
-      success: false,
-      error: error.message,
-    });
+    logger.warn('Webhook body is not valid JSON', { path: req.path });
+    return res.status(400).json({ error: 'Invalid JSON body' });
   }
+
+  next();
 });
 
 /**
- * POST /api/webhook/phonepe
- * Webhook endpoint for PhonePe OAuth API payment notifications
+ * POST /api/webhook/:gateway
+ * Webhook endpoint for payment notifications from any registered gateway
+ *
+ * Razorpay:  POST /api/webhook/razorpay  (X-Razorpay-Signature header)
+ *   Events: payment.authorized, payment.failed, payment.captured, refund.created,
+ *   subscription.charged, subscription.halted, etc.
+ * PhonePe:   POST /api/webhook/phonepe   (Authorization: SHA256(username:password))
+ * Cashfree:  POST /api/webhook/cashfree  (X-Webhook-Signature header)
+ *   Events: PAYMENT_SUCCESS, PAYMENT_FAILED, PAYMENT_USER_DROPPED, REFUND_FORWARD, etc.
+ * Mock:      POST /api/webhook/mock      (X-Mock-Signature header; development only)
+ *   Events: payment.succeeded, payment.failed, payment.pending
+ *
+ * Every verified delivery is stored in the webhook event log. Deliveries of an
+ * event that was already processed are acknowledged without re-processing; one
+ * that failed after it was logged gets a 500, so the gateway delivers it again.
  */
-router.post('/phonepe', async (req, res) => {
-  try {
-    const result = await phonepe.handlePhonePeWebhook(req.body);
-    res.status(200).json({ success: true, data: result });
-  } catch (e) {
-    res.status(200).json({ success: false });
+router.post('/:gateway', async (req, res) => {
+  const adapter = getGateway(req.params.gateway);
+
+  if (!adapter) {
+    return res.status(404).json({ error: `Unknown gateway: ${req.params.gateway}` });
   }
-});
 
-/**
- * POST /api/webhook/cashfree
- * Webhook endpoint for Cashfree payment notifications
- * 
- * Cashfree sends X-WEBHOOK-SIGNATURE header
- * Events: PAYMENT_SUCCESS, PAYMENT_FAILED, PAYMENT_USER_DROPPED, REFUND_FORWARD, etc.
- */
-router.post('/cashfree', async (req, res) => {
+  let eventLogId = null;
+
   try {
-    const webhookData = req.body;
-    const signature = req.headers['x-webhook-signature'];
+    logger.info(`Received ${adapter.name} webhook`, {
+      event: req.body?.event || req.body?.type,
+    });
 
-    logger.info('Received Cashfree webhook', { type: webhookData.type });
+    // Verify and parse the notification
+    const result = await adapter.parseWebhook({
+      body: req.body,
+      rawBody: req.rawBody,
+      headers: req.headers,
+    });
 
-    if (!signature) {
-      logger.warn('Missing Cashfree webhook signature');
-      return res.status(400).json({ error: 'Missing signature' });
+    if (!result.valid) {
+      return res.status(result.status || 400).json({ error: result.message });
     }
 
-    // Handle webhook
-    const result = await cashfree.handleCashfreeWebhook(webhookData, signature);
+    // Replay protection: signed but stale deliveries are refused
+    if (webhookEvents.isEventTooOld(result.eventAt)) {
+      logger.warn(`Rejected stale ${adapter.name} webhook`, {
+        event: result.event,
+        eventAt: result.eventAt,
+      });
+      return res.status(400).json({ error: 'Webhook event is too old' });
+    }
 
-    if (!result.valid) {
-      return res.status(400).json({ error: result.message });
+    const { event, duplicate } = await webhookEvents.recordWebhookEvent({
+      gateway: adapter.id,
+      eventId: result.eventId,
+      eventType: result.event,
+      eventAt: result.eventAt,
+      rawBody: req.rawBody,
+      headers: req.headers,
+    });
+
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: 'Duplicate webhook ignored',
+        duplicate: true,
+      });
+    }
+
+    eventLogId = event.id;
+
+    let ledgerOrder = null;
+    if (result.reference && result.gatewayStatus) {
+      ledgerOrder = await orders.syncGatewayStatus({
+        gateway: adapter.id,
+        reference: result.reference,
+        gatewayStatus: result.gatewayStatus,
+        source: `webhook:${result.event || adapter.id}`,
+        fields: result.paymentId ? { gatewayPaymentId: result.paymentId } : {},
+        amount: result.amount,
+      });
+      // Throws on failure: the event is marked failed and the 500 below gets it redelivered
+      await fulfilOrder(ledgerOrder);
+    }
+
+    // Installments: a charge becomes a paid order of its own, a halt suspends access
+    if (result.subscription) {
+      ({ order: ledgerOrder } = await subscriptions.recordSubscriptionUpdate({
+        gateway: adapter.id,
+        ...result.subscription,
+        source: `webhook:${result.event || adapter.id}`,
+      }));
+      await fulfilOrder(ledgerOrder);
     }
 
-    // TODO: Update database with payment status
-    // Example:
-    // if (result.success) {
-    //   await updatePaymentInDatabase(result.orderId, 'completed');
-    //   await sendConfirmationEmail(customer);
-    //   await enrollUserInCourse(userId);
-    // }
+    await webhookEvents.markWebhookProcessed(eventLogId, { orderId: ledgerOrder?.id || null });
 
-    logger.info('Cashfree webhook processed', result);
+    logger.info(`${adapter.name} webhook processed`, result.data);
 
+    // Always return 200 to acknowledge receipt
     res.status(200).json({
       success: true,
       message: 'Webhook received',
-      data: result,
+      data: result.data,
     });
   } catch (error) {
-    logger.error('Error processing Cashfree webhook', { error: error.message });
-    res.status(200).json({
+    logger.error(`Error processing ${adapter.name} webhook`, { error: error.message });
+
+    if (eventLogId) {
+      await webhookEvents.markWebhookFailed(eventLogId, error.message).catch(() => {});
+    }
+
+    // Once the event is logged, a failure (ledger, enrollment, invoice, email) is answered
+    // with 500 so the gateway redelivers it; the failed event is processed again then.
+    // Earlier failures, and a payment for the wrong amount, which no retry can fix, are
+    // acknowledged with 200 so the gateway does not retry.
+    const retry = eventLogId && !(error instanceof orders.PaymentAmountError);
+    res.status(retry ? 500 : 200).json({
       success: false,
       error: error.message,
     });
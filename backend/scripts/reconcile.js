@@ -0,0 +1,122 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+/**
+ * Reconcile the ledger with the payment gateways by hand
+ * Usage: node backend/scripts/reconcile.js --since 2026-10-01 [options]
+ *
+ *   --since YYYY-MM-DD   Orders created on or after this day (Indian time); required
+ *   --until YYYY-MM-DD   ...and on or before this day (default: today)
+ *   --include-paid       Also compare paid and refunded orders (reported, never changed)
+ *   --dry-run            Show what would change without changing anything
+ *   --save               Store the report for the admin API (the server always does)
+ *   --local              Work on STORAGE_DIR from this process; only while the server is stopped
+ *
+ * By default the running server does the work (POST /api/admin/reconciliation/run at
+ * BACKEND_URL, with ADMIN_API_TOKEN): it keeps the ledger in memory and would overwrite
+ * changes another process wrote to the same files.
+ *
+ * Exits with 1 when there are mismatches or errors, so it can run from cron.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Load .env before anything reads it (STORAGE_DIR, gateway keys, ADMIN_API_TOKEN)
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const { values: args } = parseArgs({
+  options: {
+    since: { type: 'string' },
+    until: { type: 'string' },
+    'include-paid': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    save: { type: 'boolean', default: false },
+    local: { type: 'boolean', default: false },
+  },
+});
+
+if (!args.since || !DATE_PATTERN.test(args.since) || (args.until && !DATE_PATTERN.test(args.until))) {
+  console.error('Usage: node backend/scripts/reconcile.js --since YYYY-MM-DD [--until YYYY-MM-DD] [--include-paid] [--dry-run] [--save] [--local]');
+  process.exit(2);
+}
+
+/**
+ * Have the running server reconcile and return its (stored) report
+ * @returns {Promise<object>}
+ */
+const runOnServer = async () => {
+  const backendUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  if (!process.env.ADMIN_API_TOKEN) {
+    console.error('ADMIN_API_TOKEN is not set, so the server cannot be asked. Set it, or stop the server and use --local.');
+    process.exit(2);
+  }
+
+  try {
+    const { data } = await axios.post(
+      `${backendUrl}/api/admin/reconciliation/run`,
+      {
+        since: args.since,
+        until: args.until,
+        includePaid: args['include-paid'],
+        dryRun: args['dry-run'],
+      },
+      { headers: { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` } }
+    );
+    return data.report;
+  } catch (error) {
+    if (!error.response) {
+      console.error(`No server at ${backendUrl} (${error.code || error.message}). Start it or set BACKEND_URL; with the server stopped, use --local.`);
+    } else {
+      console.error(`Server answered ${error.response.status}: ${error.response.data?.error || error.message}`);
+    }
+    process.exit(2);
+  }
+};
+
+/**
+ * Reconcile from this process, straight on STORAGE_DIR
+ * @returns {Promise<object>}
+ */
+const runLocally = async () => {
+  const reconciliation = await import('../services/reconciliation.js');
+
+  const report = await reconciliation.reconcileOrders({
+    from: args.since,
+    to: args.until,
+    includeSettled: args['include-paid'],
+    dryRun: args['dry-run'],
+  });
+
+  return args.save ? reconciliation.saveReport(report, { kind: 'manual' }) : report;
+};
+
+const report = args.local ? await runLocally() : await runOnServer();
+
+const describe = (entry) =>
+  [entry.orderId, entry.gateway, entry.type, `ledger=${entry.ledgerStatus}`, `gateway=${entry.gatewayStatus}`, entry.detail]
+    .filter(Boolean)
+    .join('  ');
+
+console.log(`Reconciled orders from ${args.since} to ${args.until || 'today'}${args['dry-run'] ? ' (dry run)' : ''}`);
+console.log(`  checked: ${report.checked}, nothing to look up: ${report.skipped}`);
+
+console.log(`\n${args['dry-run'] ? 'Would update' : 'Updated'} (${report.updated.length}):`);
+report.updated.forEach((entry) => console.log(`  ${entry.orderId}  ${entry.gateway}  ${entry.from} -> ${entry.to}`));
+
+console.log(`\nMismatches (${report.mismatches.length}):`);
+report.mismatches.forEach((entry) => console.log(`  ${describe(entry)}`));
+
+console.log(`\nErrors (${report.errors.length}):`);
+report.errors.forEach((entry) => console.log(`  ${entry.orderId}  ${entry.gateway}  ${entry.error}`));
+
+if (report.id) {
+  console.log(`\nSaved as ${report.id}`);
+}
+
+process.exit(report.mismatches.length || report.errors.length ? 1 : 0);
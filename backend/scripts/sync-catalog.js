@@ -0,0 +1,80 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+/**
+ * Build the backend price catalog from the storefront course list
+ * Usage: npm run sync:catalog
+ *
+ * courses/courses.json is what the website renders; data/catalog.json is
+ * what the backend charges. Run this whenever a course is added or repriced.
+ * Bundles and installment plans are edited in data/catalog.json by hand and
+ * kept as they are, but checked against the new prices.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const SOURCE_PATH = join(__dirname, '../../courses/courses.json');
+const TARGET_PATH = join(__dirname, '../data/catalog.json');
+
+// "₹4,999" -> 4999
+const parsePrice = (priceText) => Number(String(priceText).replace(/[^\d.]/g, ''));
+
+const courses = JSON.parse(readFileSync(SOURCE_PATH, 'utf8'));
+const current = existsSync(TARGET_PATH) ? JSON.parse(readFileSync(TARGET_PATH, 'utf8')) : {};
+const bundles = current.bundles || [];
+const installmentPlans = current.installmentPlans || [];
+
+const catalog = {
+  currency: 'INR',
+  courses: courses.map((course) => {
+    const price = parsePrice(course.price);
+
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`Course ${course.id} has an invalid price: ${course.price}`);
+    }
+
+    return {
+      id: course.id,
+      name: course.name,
+      price,
+    };
+  }),
+  bundles,
+  installmentPlans,
+};
+
+const prices = new Map(catalog.courses.map((course) => [course.id, course.price]));
+
+bundles.forEach((bundle) => {
+  const unknown = bundle.courseIds.filter((courseId) => !prices.has(courseId));
+  if (bundle.courseIds.length < 2 || unknown.length) {
+    throw new Error(`Bundle ${bundle.id} needs at least two known courses (unknown: ${unknown.join(', ') || 'none'})`);
+  }
+
+  const listPrice = bundle.courseIds.reduce((sum, courseId) => sum + prices.get(courseId), 0);
+  if (!(bundle.price > 0 && bundle.price < listPrice)) {
+    throw new Error(`Bundle ${bundle.id} must cost less than its courses bought separately (₹${listPrice})`);
+  }
+});
+
+installmentPlans.forEach((plan) => {
+  if (!prices.has(plan.courseId)) {
+    throw new Error(`Installment plan ${plan.id} is for an unknown course: ${plan.courseId}`);
+  }
+  if (plan.period !== 'monthly' || !Number.isInteger(plan.installments) || plan.installments < 2) {
+    throw new Error(`Installment plan ${plan.id} needs at least two monthly installments`);
+  }
+
+  // Paying in installments never costs less than paying in full
+  const price = prices.get(plan.courseId);
+  if (!(plan.amount > 0 && plan.amount * plan.installments >= price)) {
+    throw new Error(`Installment plan ${plan.id} must add up to at least the course price (₹${price})`);
+  }
+});
+
+writeFileSync(TARGET_PATH, `${JSON.stringify(catalog, null, 2)}\n`);
+
+console.log(
+  `Wrote ${catalog.courses.length} courses, ${bundles.length} bundles and ${installmentPlans.length} installment plans to ${TARGET_PATH}`
+);
@@ -25,11 +25,42 @@ if (!FRONTEND_URL) {
 // Import routes
 import paymentRoutes from './routes/payment.js';
 import webhookRoutes from './routes/webhooks.js';
+import enrollmentRoutes from './routes/enrollments.js';
+import authRoutes from './routes/auth.js';
+import accountRoutes from './routes/account.js';
+import invoiceRoutes from './routes/invoices.js';
+import contactRoutes from './routes/contact.js';
+import adminRoutes from './routes/admin.js';
+import couponRoutes from './routes/coupons.js';
+import subscriptionRoutes from './routes/subscriptions.js';
+import mockGatewayRoutes from './routes/mockGateway.js';
+import { startNotificationWorker } from './notifications/index.js';
+import { startReconciliationWorker } from './services/reconciliation.js';
+import { checkGatewayCredentials } from './services/gatewayHealth.js';
+import { requireAdmin } from './middleware/requireAdmin.js';
+import { findPaymentModeMismatches, getGateway } from './gateways/index.js';
+import { getPaymentMode } from './gateways/mode.js';
+import { logger } from './utils/logger.js';
+
+if (process.env.CASHFREE_API_URL) {
+  console.warn('[WARNING] CASHFREE_API_URL is no longer used: PAYMENT_MODE picks the Cashfree endpoint');
+}
+
+// Refuse to start with test keys in live mode (or live keys in test mode)
+const PAYMENT_MODE = getPaymentMode();
+const modeMismatches = findPaymentModeMismatches();
+if (modeMismatches.length) {
+  throw new Error(`Payment keys do not match PAYMENT_MODE: ${modeMismatches.join('; ')}`);
+}
 
 // Initialize Express
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Render (and most hosts) put one proxy in front of the app; trust it so
+// req.ip is the visitor's address, which rate limits depend on
+app.set('trust proxy', 1);
+
 // ==================== MIDDLEWARE ====================
 
 // CORS Configuration - Allow only frontend domain in production
@@ -39,20 +70,25 @@ const corsOptions = {
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  // Lets the admin console read download filenames
+  exposedHeaders: ['Content-Disposition'],
 };
 
 app.use(cors(corsOptions));
 
-// Body parser middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
-
 // Request logging middleware
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  logger.debug(`${req.method} ${req.path}`);
   next();
 });
 
+// Webhook routes read the raw body themselves, so they go before the body parsers
+app.use('/api/webhook', webhookRoutes);
+
+// Body parser middleware
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ limit: '10mb', extended: true }));
+
 // ==================== ROUTES ====================
 
 // Health check endpoint
@@ -63,25 +99,58 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Diagnostic endpoint to check Razorpay setup
-app.get('/health/razorpay', (req, res) => {
-  const hasKeyId = !!process.env.RAZORPAY_KEY_ID;
-  const hasKeySecret = !!process.env.RAZORPAY_KEY_SECRET;
-
-  res.status(200).json({
-    razorpay_configured: hasKeyId && hasKeySecret,
-    razorpay_key_id: hasKeyId ? 'SET' : 'MISSING',
-    razorpay_key_secret: hasKeySecret ? 'SET' : 'MISSING',
-    frontend_url: process.env.FRONTEND_URL || 'NOT SET',
-    environment: NODE_ENV,
-  });
+// Checks every gateway's credentials with the gateway itself (admin only);
+// 503 when one is rejected or none works, so monitors can alert on it
+app.get('/health/deep', requireAdmin, async (req, res) => {
+  try {
+    const { ok, gateways } = await checkGatewayCredentials();
+
+    res.status(ok ? 200 : 503).json({
+      status: ok ? 'ok' : 'degraded',
+      environment: NODE_ENV,
+      paymentMode: PAYMENT_MODE,
+      frontendUrl: FRONTEND_URL || null,
+      checkedAt: new Date().toISOString(),
+      gateways,
+    });
+  } catch (error) {
+    console.error('Error running deep health check:', error);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
 });
 
 // Payment routes
 app.use('/api/payment', paymentRoutes);
 
-// Webhook routes
-app.use('/api/webhook', webhookRoutes);
+// Enrollment routes
+app.use('/api/enrollments', enrollmentRoutes);
+
+// Learner auth and account routes
+app.use('/api/auth', authRoutes);
+app.use('/api/me', accountRoutes);
+
+// Invoice routes
+app.use('/api/invoices', invoiceRoutes);
+
+// Contact form and leads
+app.use('/api/contact', contactRoutes);
+
+// Coupon codes (checkout validation, admin management)
+app.use('/api/coupons', couponRoutes);
+
+// Installment plans and subscriptions
+app.use('/api/subscriptions', subscriptionRoutes);
+
+// Admin console (orders, timelines, exports)
+app.use('/api/admin', adminRoutes);
+
+// Mock gateway payment page, only with MOCK_GATEWAY_ENABLED=true outside production (gateways/mock.js)
+if (getGateway('mock')) {
+  app.use('/mock-gateway', mockGatewayRoutes);
+  if (!process.env.MOCK_GATEWAY_WEBHOOK_SECRET) {
+    console.warn('[WARNING] MOCK_GATEWAY_WEBHOOK_SECRET is not set: the mock gateway is not offered');
+  }
+}
 
 // 404 handler
 app.use((req, res) => {
@@ -102,15 +171,25 @@ app.use((err, req, res, next) => {
 
 // ==================== START SERVER ====================
 
-app.listen(PORT, () => {
-  console.log(`
+// Tests import the app and listen on a port of their own (tests/harness.js)
+if (NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    console.log(`
 ╔════════════════════════════════════════════════╗
 ║   Payment Gateway Backend Server Running       ║
 ║   Port: ${PORT}                                    ║
 ║   Environment: ${NODE_ENV}                         ║
+║   Payment mode: ${PAYMENT_MODE}                           ║
 ║   Frontend URL: ${FRONTEND_URL || 'Not configured'} ║
 ╚════════════════════════════════════════════════╝
-  `);
-});
+    `);
+
+    // Retry emails that failed to send
+    startNotificationWorker();
+
+    // Resolve stuck orders with the gateways and write the daily mismatch report
+    startReconciliationWorker();
+  });
+}
 
 export default app;
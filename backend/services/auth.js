@@ -0,0 +1,302 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { sendMail } from '../mail/index.js';
+import { logger } from '../utils/logger.js';
+import { hmacSha256, safeEqual } from '../utils/signatures.js';
+import * as orders from './orders.js';
+import * as enrollments from './enrollments.js';
+
+/**
+ * Learner authentication
+ * Passwordless: a learner asks for a login email at the address they used at
+ * checkout and gets a 6-digit code plus a magic link. Either one opens a
+ * session, which lives in the `sessions` collection and is referenced by a
+ * signed cookie. Codes and link tokens are stored hashed and work once.
+ */
+
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_LOGIN_REQUESTS = 5;
+const LOGIN_REQUEST_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Raised when a login step fails; carries the HTTP status to answer with
+ */
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const loginTokensStore = () => getStore('login_tokens');
+const sessionsStore = () => getStore('sessions');
+
+const getLoginCodeTtlMs = () => (Number(process.env.LOGIN_CODE_TTL_MINUTES) || 15) * 60 * 1000;
+const getSessionTtlMs = () => (Number(process.env.SESSION_TTL_DAYS) || 30) * 86400000;
+
+const getSessionSecret = () => {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    logger.error('Learner login used but SESSION_SECRET is not configured');
+    throw new AuthError('Login is not configured', 503);
+  }
+  return secret;
+};
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const hashSecret = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Is this email listed in ADMIN_EMAILS (comma-separated)?
+ * Admins log in like learners and their session opens the admin console.
+ * @param {string} email
+ * @returns {boolean}
+ */
+export const isAdminEmail = (email) =>
+  !!email &&
+  (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(normalizeEmail)
+    .includes(normalizeEmail(email));
+
+/**
+ * Has this email bought (or been given) anything?
+ * @param {string} email
+ * @returns {Promise<boolean>}
+ */
+const isKnownLearner = async (email) => {
+  const [learnerEnrollments, learnerOrders] = await Promise.all([
+    enrollments.listEnrollments(email, { includeRevoked: true }),
+    orders.findOrdersByEmail(email),
+  ]);
+  return learnerEnrollments.length > 0 || learnerOrders.length > 0;
+};
+
+/**
+ * Build the login email
+ * @param {object} params - { code, link, ttlMinutes }
+ * @returns {object} { subject, text, html }
+ */
+const buildLoginEmail = ({ code, link, ttlMinutes }) => ({
+  subject: `Your Shivam Codes login code: ${code}`,
+  text: [
+    `Your login code is ${code}`,
+    '',
+    `Or open this link to log in: ${link}`,
+    '',
+    `The code and link expire in ${ttlMinutes} minutes and work once.`,
+    "If you didn't ask to log in, you can ignore this email.",
+  ].join('\n'),
+  html: `
+    <p>Your login code is <strong style="font-size:20px;letter-spacing:3px">${code}</strong></p>
+    <p>Or <a href="${link}">click here to log in</a>.</p>
+    <p>The code and link expire in ${ttlMinutes} minutes and work once.</p>
+    <p>If you didn't ask to log in, you can ignore this email.</p>
+  `,
+});
+
+// Login requests per email (hashed) in the last LOGIN_REQUEST_WINDOW_MS, known or not
+const loginRequests = new Map();
+
+/**
+ * Count a login request against its email
+ * Every email counts the same, so a 429 says nothing about who is a student.
+ * @param {string} email - Normalized email
+ * @throws {AuthError} If the email asked for too many codes recently
+ */
+const countLoginRequest = (email) => {
+  const now = Date.now();
+
+  for (const [key, times] of loginRequests) {
+    const recent = times.filter((time) => time > now - LOGIN_REQUEST_WINDOW_MS);
+    if (recent.length) loginRequests.set(key, recent);
+    else loginRequests.delete(key);
+  }
+
+  const key = hashSecret(email);
+  const recent = loginRequests.get(key) || [];
+  if (recent.length >= MAX_LOGIN_REQUESTS) {
+    logger.warn('Too many login requests', { requests: recent.length });
+    throw new AuthError('Too many login requests. Please try again in a few minutes', 429);
+  }
+  loginRequests.set(key, [...recent, now]);
+};
+
+/**
+ * Create a login code and link for a learner or admin and email them
+ * @param {string} email - Normalized email
+ * @returns {Promise<boolean>} False for an unknown email, which gets nothing
+ */
+const sendLoginEmail = async (email) => {
+  if (!isAdminEmail(email) && !(await isKnownLearner(email))) {
+    logger.info('Login requested for unknown email');
+    return false;
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttlMs = getLoginCodeTtlMs();
+  const now = new Date();
+
+  const loginToken = await loginTokensStore().insert({
+    id: `lt_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    email,
+    codeHash: hashSecret(`${email}:${code}`),
+    tokenHash: hashSecret(token),
+    attempts: 0,
+    usedAt: null,
+    expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+    createdAt: now.toISOString(),
+  });
+
+  const link = `${process.env.FRONTEND_URL}/login?token=${token}`;
+  await sendMail({
+    to: email,
+    ...buildLoginEmail({ code, link, ttlMinutes: Math.round(ttlMs / 60000) }),
+  });
+
+  logger.info('Login code sent', { loginTokenId: loginToken.id });
+  return true;
+};
+
+/**
+ * Send a login code and magic link to a learner
+ * Unknown emails get nothing, but nothing the caller sees differs: the request
+ * limit applies to every email, and the lookup and email happen after the call
+ * returns, with failures only logged. So the endpoint cannot be used to find
+ * out who is a student.
+ * @param {string} email
+ * @returns {Promise<object>} { delivery } - settles to whether an email went out; callers answer without waiting for it
+ * @throws {AuthError} If the email asked for too many codes recently
+ */
+export const requestLogin = async (email) => {
+  const normalizedEmail = normalizeEmail(email);
+
+  countLoginRequest(normalizedEmail);
+
+  const delivery = sendLoginEmail(normalizedEmail).catch((error) => {
+    logger.error('Failed to send login email', { error: error.message });
+    return false;
+  });
+
+  return { delivery };
+};
+
+/**
+ * Open a session
+ * @param {string} email
+ * @returns {Promise<object>} { session, cookieValue }
+ */
+const createSession = async (email) => {
+  const secret = getSessionSecret();
+  const now = new Date();
+
+  const session = await sessionsStore().insert({
+    id: `sess_${crypto.randomBytes(24).toString('hex')}`,
+    email,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + getSessionTtlMs()).toISOString(),
+    revokedAt: null,
+  });
+
+  logger.info('Learner session created', { sessionId: session.id.slice(0, 12) });
+
+  return { session, cookieValue: `${session.id}.${hmacSha256(secret, session.id, 'base64url')}` };
+};
+
+/**
+ * Exchange a login code (with its email) or a magic link token for a session
+ * @param {object} params - { email, code } or { token }
+ * @returns {Promise<object>} { session, cookieValue }
+ * @throws {AuthError} If the code or token is wrong, used or expired
+ */
+export const verifyLogin = async ({ email, code, token }) => {
+  // Fail before using up the code if sessions cannot be signed
+  getSessionSecret();
+
+  const now = new Date().toISOString();
+  const invalid = new AuthError('Invalid or expired login code', 401);
+
+  let loginToken;
+  if (token) {
+    loginToken = await loginTokensStore().findOne(
+      (candidate) => candidate.tokenHash === hashSecret(String(token))
+    );
+  } else {
+    const normalizedEmail = normalizeEmail(email);
+    const candidates = await loginTokensStore().find(
+      (candidate) =>
+        candidate.email === normalizedEmail && !candidate.usedAt && candidate.expiresAt > now
+    );
+    // Only the newest code counts; asking for a new one retires the old ones
+    loginToken = candidates.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+
+    if (loginToken && loginToken.attempts < MAX_CODE_ATTEMPTS &&
+      !safeEqual(loginToken.codeHash, hashSecret(`${normalizedEmail}:${code}`))) {
+      await loginTokensStore().update(loginToken.id, { attempts: loginToken.attempts + 1 });
+      logger.warn('Wrong login code', { loginTokenId: loginToken.id, attempts: loginToken.attempts + 1 });
+      throw invalid;
+    }
+  }
+
+  if (!loginToken || loginToken.usedAt || loginToken.expiresAt <= now ||
+    loginToken.attempts >= MAX_CODE_ATTEMPTS) {
+    throw invalid;
+  }
+
+  await loginTokensStore().update(loginToken.id, { usedAt: now });
+
+  logger.info('Login verified', { loginTokenId: loginToken.id, method: token ? 'link' : 'code' });
+
+  return createSession(loginToken.email);
+};
+
+/**
+ * Resolve a session cookie to an active session
+ * @param {string} cookieValue - "<sessionId>.<signature>"
+ * @returns {Promise<object|null>} Session, or null if missing, forged, expired or revoked
+ */
+export const getSessionFromCookie = async (cookieValue) => {
+  if (!cookieValue) return null;
+
+  const separator = cookieValue.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const sessionId = cookieValue.slice(0, separator);
+  const signature = cookieValue.slice(separator + 1);
+
+  if (!safeEqual(hmacSha256(getSessionSecret(), sessionId, 'base64url'), signature)) {
+    return null;
+  }
+
+  const session = await sessionsStore().get(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date().toISOString()) {
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * End a session
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (sessionId) => {
+  const session = await sessionsStore().get(sessionId);
+  if (!session || session.revokedAt) return;
+
+  await sessionsStore().update(sessionId, { revokedAt: new Date().toISOString() });
+  logger.info('Learner session ended', { sessionId: sessionId.slice(0, 12) });
+};
+
+export default {
+  AuthError,
+  isAdminEmail,
+  requestLogin,
+  verifyLogin,
+  getSessionFromCookie,
+  revokeSession,
+};
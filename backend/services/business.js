@@ -0,0 +1,19 @@
+/**
+ * Seller details printed on receipts and invoices
+ * Defaults match the contact details on the website; GST details only come
+ * from the environment.
+ * @returns {object} { name, address, email, phone, gstin, stateCode }
+ */
+export const getSellerDetails = () => ({
+  name: process.env.SELLER_NAME || 'Shivam Codes',
+  address: process.env.SELLER_ADDRESS || 'Sohray, Pandaul, Madhubani, Bihar, India - 847234',
+  email: process.env.SELLER_EMAIL || 'shivam19e@gmail.com',
+  phone: process.env.SELLER_PHONE || '+918709356155',
+  gstin: process.env.SELLER_GSTIN ? process.env.SELLER_GSTIN.toUpperCase() : null,
+  // Bihar; overridden by the first two digits of SELLER_GSTIN when that is set
+  stateCode: process.env.SELLER_GSTIN ? process.env.SELLER_GSTIN.slice(0, 2) : '10',
+});
+
+export default {
+  getSellerDetails,
+};
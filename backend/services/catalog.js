@@ -0,0 +1,229 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Course price catalog
+ * The backend is the only source of truth for what a course costs.
+ * Prices live in data/catalog.json (generated by scripts/sync-catalog.js),
+ * together with bundles: sets of courses sold together for less, e.g.
+ * "MERN Stack + MongoDB Design", and installment plans: a course paid in
+ * monthly installments instead of all at once.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const CATALOG_PATH = join(__dirname, '../data/catalog.json');
+
+// Most courses one order may hold (also checked by validators.validateCourseIds)
+export const MAX_CART_ITEMS = 10;
+
+/**
+ * Lazy load catalog (only when needed)
+ */
+let catalogCache = null;
+
+const loadCatalog = () => {
+  if (!catalogCache) {
+    const catalog = JSON.parse(readFileSync(CATALOG_PATH, 'utf8'));
+    catalogCache = {
+      currency: catalog.currency || 'INR',
+      courses: new Map(catalog.courses.map((course) => [Number(course.id), course])),
+      bundles: catalog.bundles || [],
+      installmentPlans: catalog.installmentPlans || [],
+    };
+    logger.info('Course catalog loaded', {
+      courses: catalogCache.courses.size,
+      bundles: catalogCache.bundles.length,
+      installmentPlans: catalogCache.installmentPlans.length,
+    });
+  }
+  return catalogCache;
+};
+
+/**
+ * Get a course from the catalog
+ * @param {number|string} courseId
+ * @returns {object|null} { id, name, price, currency } or null if unknown
+ */
+export const getCourse = (courseId) => {
+  const catalog = loadCatalog();
+  const course = catalog.courses.get(Number(courseId));
+
+  if (!course) return null;
+
+  return { ...course, currency: catalog.currency };
+};
+
+/**
+ * List every course in the catalog
+ * @returns {Array<object>} Courses with id, name, price, currency
+ */
+export const listCourses = () => {
+  const catalog = loadCatalog();
+  return [...catalog.courses.values()].map((course) => ({
+    ...course,
+    currency: catalog.currency,
+  }));
+};
+
+/**
+ * List every bundle in the catalog
+ * @returns {Array<object>} Bundles with id, name, courseIds, price (what the set costs together),
+ *   listPrice (the courses bought separately) and currency
+ */
+export const listBundles = () => {
+  const catalog = loadCatalog();
+  return catalog.bundles.map((bundle) => ({
+    ...bundle,
+    listPrice: bundle.courseIds.reduce((sum, courseId) => sum + (getCourse(courseId)?.price || 0), 0),
+    currency: catalog.currency,
+  }));
+};
+
+// Adds what the learner sees: the course, its full price and the total over all installments
+const toInstallmentPlan = (plan) => {
+  const course = getCourse(plan.courseId);
+  return {
+    ...plan,
+    courseName: course?.name || `Course ${plan.courseId}`,
+    coursePrice: course?.price ?? null,
+    totalAmount: plan.amount * plan.installments,
+    currency: loadCatalog().currency,
+  };
+};
+
+/**
+ * List installment plans
+ * @param {number|string} [courseId] - Only the plans for this course
+ * @returns {Array<object>} Plans with id, courseId, period, installments, amount (per
+ *   installment), courseName, coursePrice, totalAmount and currency
+ */
+export const listInstallmentPlans = (courseId) =>
+  loadCatalog()
+    .installmentPlans.filter((plan) => courseId === undefined || plan.courseId === Number(courseId))
+    .map(toInstallmentPlan);
+
+/**
+ * Get an installment plan
+ * @param {string} planId
+ * @returns {object|null} See listInstallmentPlans, or null if unknown
+ */
+export const getInstallmentPlan = (planId) => {
+  const plan = loadCatalog().installmentPlans.find((candidate) => candidate.id === planId);
+  return plan ? toInstallmentPlan(plan) : null;
+};
+
+/**
+ * Split an amount into parts proportional to weights
+ * Whole rupees split into whole rupees, anything else into paise; either way
+ * the parts add up to the amount, and the last part takes the rounding.
+ * @param {number} amount - Rupees
+ * @param {Array<number>} weights
+ * @returns {Array<number>} Rupees, one part per weight
+ */
+export const splitAmount = (amount, weights) => {
+  const unit = Number.isInteger(amount) ? 100 : 1;
+  const totalUnits = Math.round((amount * 100) / unit);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let remaining = totalUnits;
+  return weights.map((weight, index) => {
+    const share =
+      index === weights.length - 1 ? remaining : Math.round((totalUnits * weight) / (totalWeight || 1));
+    remaining -= share;
+    return (share * unit) / 100;
+  });
+};
+
+/**
+ * Price a cart of courses
+ * Bundles are applied first, biggest saving first, and each course counts
+ * towards one bundle at most. A bundle's price is shared between its courses
+ * in proportion to their list prices, so every item knows what it costs.
+ * The client may send the amount it displayed; it must equal the cart price.
+ * @param {object} params - { courseIds, amount }
+ * @returns {object} { valid: boolean, error?: string, cart?: object }
+ *   cart is { items: [{ courseId, name, price, amount, bundleId }], bundles, originalAmount,
+ *   bundleDiscount, amount, currency }; price is the list price, amount what the item costs here
+ */
+export const priceCart = ({ courseIds, amount }) => {
+  const catalog = loadCatalog();
+  const ids = [...new Set((courseIds || []).map(Number))];
+
+  if (!ids.length) {
+    return { valid: false, error: 'The cart is empty' };
+  }
+  if (ids.length > MAX_CART_ITEMS) {
+    return { valid: false, error: `A cart can hold at most ${MAX_CART_ITEMS} courses` };
+  }
+
+  const unknown = ids.filter((courseId) => !catalog.courses.has(courseId));
+  if (unknown.length) {
+    return { valid: false, error: `Unknown course: ${unknown.join(', ')}` };
+  }
+
+  const items = ids.map((courseId) => {
+    const course = getCourse(courseId);
+    return { courseId, name: course.name, price: course.price, amount: course.price, bundleId: null };
+  });
+  const byCourse = new Map(items.map((item) => [item.courseId, item]));
+
+  const applied = [];
+  const candidates = listBundles()
+    .filter((bundle) => bundle.courseIds.every((courseId) => byCourse.has(Number(courseId))))
+    .sort((a, b) => b.listPrice - b.price - (a.listPrice - a.price));
+
+  for (const bundle of candidates) {
+    const bundleItems = bundle.courseIds.map((courseId) => byCourse.get(Number(courseId)));
+    if (bundleItems.some((item) => item.bundleId) || bundle.price >= bundle.listPrice) continue;
+
+    splitAmount(bundle.price, bundleItems.map((item) => item.price)).forEach((share, index) => {
+      bundleItems[index].amount = share;
+      bundleItems[index].bundleId = bundle.id;
+    });
+
+    applied.push({
+      id: bundle.id,
+      name: bundle.name,
+      courseIds: bundleItems.map((item) => item.courseId),
+      listPrice: bundle.listPrice,
+      price: bundle.price,
+      saving: bundle.listPrice - bundle.price,
+    });
+  }
+
+  const originalAmount = items.reduce((sum, item) => sum + item.price, 0);
+  const bundleDiscount = applied.reduce((sum, bundle) => sum + bundle.saving, 0);
+  const cart = {
+    items,
+    bundles: applied,
+    originalAmount,
+    bundleDiscount,
+    amount: originalAmount - bundleDiscount,
+    currency: catalog.currency,
+  };
+
+  if (amount !== undefined && amount !== null && Number(amount) !== cart.amount) {
+    return {
+      valid: false,
+      error: ids.length === 1
+        ? `Amount does not match course price (expected ₹${cart.amount})`
+        : `Amount does not match the cart price (expected ₹${cart.amount})`,
+    };
+  }
+
+  return { valid: true, cart };
+};
+
+export default {
+  MAX_CART_ITEMS,
+  getCourse,
+  listCourses,
+  listBundles,
+  listInstallmentPlans,
+  getInstallmentPlan,
+  splitAmount,
+  priceCart,
+};
@@ -0,0 +1,354 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import * as catalog from './catalog.js';
+import * as orders from './orders.js';
+
+/**
+ * Coupons
+ * Discount codes for launch offers and promotions, kept in the `coupons`
+ * collection and managed through the admin API. A coupon takes a percentage
+ * or a flat amount off the cart price, optionally only for some courses,
+ * between startsAt and expiresAt, up to maxUses times in total and
+ * maxUsesPerEmail times per buyer.
+ *
+ * Uses are counted from the order ledger: paid and refunded orders carrying
+ * the code, plus checkouts started within the last hour, so abandoned
+ * checkouts do not use a coupon up for good. The browser only ever sends the
+ * code; the discounted price is always worked out here.
+ */
+
+export const COUPON_TYPE = {
+  PERCENT: 'percent',
+  FLAT: 'flat',
+};
+
+// Gateways cannot take less than ₹1, so no coupon makes a course free
+const MIN_AMOUNT = 1;
+
+// A checkout in progress holds its use this long
+const RESERVATION_MS = 60 * 60 * 1000;
+
+const USED_STATUSES = [orders.ORDER_STATUS.PAID, orders.ORDER_STATUS.REFUNDED];
+const RESERVING_STATUSES = [orders.ORDER_STATUS.CREATED, orders.ORDER_STATUS.PENDING];
+
+// What an admin may change once a coupon exists; type and value are fixed
+const EDITABLE_FIELDS = ['description', 'active', 'startsAt', 'expiresAt', 'maxUses', 'maxUsesPerEmail', 'courseIds'];
+
+/**
+ * Raised when a coupon cannot be applied or saved; carries the HTTP status to answer with
+ */
+export class CouponError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = status;
+  }
+}
+
+const couponsStore = () => getStore('coupons');
+
+/**
+ * Codes are matched case-insensitively and stored in upper case
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// A YYYY-MM-DD date means that whole day in Indian time: from its start, or until its end
+const toBoundary = (value, endOfDay) => {
+  if (value === undefined || value === null || value === '') return null;
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+05:30`).toISOString()
+    : new Date(value).toISOString();
+};
+
+const toCourseIds = (courseIds) =>
+  Array.isArray(courseIds) && courseIds.length ? [...new Set(courseIds.map(Number))] : null;
+
+/**
+ * Get a coupon by its code
+ * @param {string} code
+ * @returns {Promise<object|null>}
+ */
+export const getCoupon = async (code) => {
+  const normalized = normalizeCode(code);
+  return normalized ? couponsStore().findOne((coupon) => coupon.code === normalized) : null;
+};
+
+/**
+ * Count how often a coupon has been used
+ * @param {string} code
+ * @param {string} [email] - Only this buyer's uses
+ * @returns {Promise<number>}
+ */
+export const countCouponUses = async (code, email) => {
+  const reservedSince = new Date(Date.now() - RESERVATION_MS).toISOString();
+  const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+
+  const withCode = await orders.listOrders({ couponCode: normalizeCode(code) });
+
+  return withCode.filter(
+    (order) =>
+      (!normalizedEmail || order.customer.email === normalizedEmail) &&
+      (USED_STATUSES.includes(order.status) ||
+        (RESERVING_STATUSES.includes(order.status) && order.createdAt >= reservedSince))
+  ).length;
+};
+
+const checkCourses = (courseIds) => {
+  const unknown = (courseIds || []).filter((courseId) => !catalog.getCourse(courseId));
+  if (unknown.length) {
+    throw new CouponError(`Unknown course: ${unknown.join(', ')}`);
+  }
+};
+
+const checkDates = ({ startsAt, expiresAt }) => {
+  if (startsAt && expiresAt && startsAt >= expiresAt) {
+    throw new CouponError('expiresAt must be after startsAt');
+  }
+};
+
+// Coupon codes must be unique, so coupons are saved one at a time
+let writeQueue = Promise.resolve();
+
+const queueWrite = (write) => {
+  const result = writeQueue.then(write);
+  // Keep the queue going even if this write fails
+  writeQueue = result.catch(() => {});
+  return result;
+};
+
+// Uses are counted from the ledger, so a checkout's check and its order have to be
+// done before the next checkout with the same code is checked
+const redemptionQueues = new Map();
+
+/**
+ * Run a checkout that uses a coupon after any other checkout with the same code
+ * @param {string} [code] - Coupon code; without one the task runs straight away
+ * @param {Function} task - Applies the coupon and records the order in the ledger
+ * @returns {Promise<*>} What the task returns
+ */
+export const queueRedemption = (code, task) => {
+  const key = normalizeCode(code);
+  if (!key) return task();
+
+  const result = (redemptionQueues.get(key) || Promise.resolve()).then(task);
+  // Keep the queue going even if this checkout fails, and forget the code once it is idle
+  const tail = result.catch(() => {});
+  redemptionQueues.set(key, tail);
+  tail.then(() => {
+    if (redemptionQueues.get(key) === tail) redemptionQueues.delete(key);
+  });
+  return result;
+};
+
+/**
+ * Create a coupon
+ * @param {object} params - { code, type, value, description, courseIds, startsAt, expiresAt,
+ *   maxUses, maxUsesPerEmail, createdBy }
+ *   Dates may be YYYY-MM-DD (Indian time; expiresAt covers that whole day) or ISO timestamps.
+ *   courseIds, maxUses and maxUsesPerEmail left out mean every course and no limit.
+ * @returns {Promise<object>} Coupon
+ * @throws {CouponError} If the code is taken or a course is unknown
+ */
+export const createCoupon = async (params) => {
+  const code = normalizeCode(params.code);
+  const courseIds = toCourseIds(params.courseIds);
+  const startsAt = toBoundary(params.startsAt, false);
+  const expiresAt = toBoundary(params.expiresAt, true);
+
+  checkCourses(courseIds);
+  checkDates({ startsAt, expiresAt });
+
+  return queueWrite(async () => {
+    if (await getCoupon(code)) {
+      throw new CouponError(`Coupon ${code} already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const coupon = await couponsStore().insert({
+      id: `cpn_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      code,
+      type: params.type,
+      value: Number(params.value),
+      description: params.description ? String(params.description).trim() : '',
+      courseIds,
+      startsAt,
+      expiresAt,
+      maxUses: params.maxUses ? Number(params.maxUses) : null,
+      maxUsesPerEmail: params.maxUsesPerEmail ? Number(params.maxUsesPerEmail) : null,
+      active: true,
+      createdBy: params.createdBy || null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    logger.info('Coupon created', { code, type: coupon.type, value: coupon.value, createdBy: coupon.createdBy });
+
+    return coupon;
+  });
+};
+
+/**
+ * Change a coupon, e.g. extend it or switch it off
+ * @param {string} code
+ * @param {object} changes - Any of description, active, startsAt, expiresAt, maxUses,
+ *   maxUsesPerEmail, courseIds (null clears a limit)
+ * @returns {Promise<object>} Updated coupon
+ * @throws {CouponError} If the coupon does not exist or the change is invalid
+ */
+export const updateCoupon = async (code, changes) => {
+  const coupon = await getCoupon(code);
+  if (!coupon) {
+    throw new CouponError('Coupon not found', 404);
+  }
+
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (changes[field] === undefined) continue;
+
+    switch (field) {
+      case 'startsAt':
+        updates.startsAt = toBoundary(changes.startsAt, false);
+        break;
+      case 'expiresAt':
+        updates.expiresAt = toBoundary(changes.expiresAt, true);
+        break;
+      case 'maxUses':
+      case 'maxUsesPerEmail':
+        updates[field] = changes[field] ? Number(changes[field]) : null;
+        break;
+      case 'courseIds':
+        updates.courseIds = toCourseIds(changes.courseIds);
+        break;
+      case 'active':
+        updates.active = changes.active === true;
+        break;
+      default:
+        updates[field] = String(changes[field] || '').trim();
+    }
+  }
+
+  checkCourses(updates.courseIds);
+  checkDates({ ...coupon, ...updates });
+
+  const updated = await couponsStore().update(coupon.id, {
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  });
+
+  logger.info('Coupon updated', { code: coupon.code, fields: Object.keys(updates) });
+
+  return updated;
+};
+
+/**
+ * List coupons, newest first, with how often each was used
+ * @returns {Promise<Array<object>>} Coupons with `uses`
+ */
+export const listCoupons = async () => {
+  const all = await couponsStore().all();
+  all.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return Promise.all(all.map(async (coupon) => ({ ...coupon, uses: await countCouponUses(coupon.code) })));
+};
+
+/**
+ * Work out a coupon's discount
+ * Percentages are rounded to whole rupees, and the total never drops below ₹1.
+ * @param {object} coupon
+ * @param {number} price - What the coupon applies to, in rupees
+ * @param {number} [total] - The whole cart, when the coupon only covers some of it
+ * @returns {number} Discount in rupees
+ */
+export const computeDiscount = (coupon, price, total = price) => {
+  const discount =
+    coupon.type === COUPON_TYPE.PERCENT ? Math.round((price * coupon.value) / 100) : coupon.value;
+
+  return Math.max(0, Math.min(discount, price, total - MIN_AMOUNT));
+};
+
+/**
+ * Apply a coupon to a cart for a buyer
+ * Used by the validate endpoint (email optional) and by create-order (email required).
+ * The coupon comes off the cart after bundle pricing; a coupon limited to some
+ * courses only comes off those. The discount is shared between the items it
+ * covers, so each item in the returned cart has its final amount.
+ * @param {object} params - { code, courseIds, email } (or courseId for a single course);
+ *   cart, when the caller already priced it (catalog.priceCart), is used instead of courseIds
+ * @returns {Promise<object>} { coupon, cart, originalAmount, bundleDiscount, discount, amount }
+ * @throws {CouponError} If the coupon does not exist or cannot be used here
+ */
+export const applyCoupon = async ({ code, courseIds, courseId, email, cart: pricedCart }) => {
+  const pricing = pricedCart
+    ? { valid: true, cart: pricedCart }
+    : catalog.priceCart({ courseIds: courseIds || [courseId] });
+  if (!pricing.valid) {
+    throw new CouponError(pricing.error);
+  }
+
+  const { cart } = pricing;
+
+  const coupon = await getCoupon(code);
+  // Switched-off coupons look the same as unknown ones
+  if (!coupon || !coupon.active) {
+    throw new CouponError('This coupon code is not valid', 404);
+  }
+
+  const now = new Date().toISOString();
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw new CouponError('This coupon is not active yet');
+  }
+  if (coupon.expiresAt && now > coupon.expiresAt) {
+    throw new CouponError('This coupon has expired', 410);
+  }
+
+  const covered = cart.items.filter((item) => !coupon.courseIds || coupon.courseIds.includes(item.courseId));
+  if (!covered.length) {
+    throw new CouponError(
+      cart.items.length === 1 ? 'This coupon does not apply to this course' : 'This coupon does not apply to these courses'
+    );
+  }
+
+  if (coupon.maxUses && (await countCouponUses(coupon.code)) >= coupon.maxUses) {
+    throw new CouponError('This coupon has been fully redeemed', 409);
+  }
+
+  if (email && coupon.maxUsesPerEmail && (await countCouponUses(coupon.code, email)) >= coupon.maxUsesPerEmail) {
+    throw new CouponError('You have already used this coupon', 409);
+  }
+
+  const coveredAmount = covered.reduce((sum, item) => sum + item.amount, 0);
+  const discount = computeDiscount(coupon, coveredAmount, cart.amount);
+
+  const shares = catalog.splitAmount(discount, covered.map((item) => item.amount));
+  const discountByCourse = new Map(covered.map((item, index) => [item.courseId, shares[index]]));
+  const items = cart.items.map((item) => ({
+    ...item,
+    amount: (Math.round(item.amount * 100) - Math.round((discountByCourse.get(item.courseId) || 0) * 100)) / 100,
+  }));
+
+  return {
+    coupon,
+    cart: { ...cart, items },
+    originalAmount: cart.originalAmount,
+    bundleDiscount: cart.bundleDiscount,
+    discount,
+    amount: cart.amount - discount,
+  };
+};
+
+export default {
+  COUPON_TYPE,
+  CouponError,
+  normalizeCode,
+  getCoupon,
+  countCouponUses,
+  createCoupon,
+  updateCoupon,
+  listCoupons,
+  computeDiscount,
+  applyCoupon,
+  queueRedemption,
+};
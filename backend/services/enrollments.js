@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import * as catalog from './catalog.js';
+import { ORDER_STATUS, getOrderCourseIds, getPaidAt } from './orders.js';
+
+/**
+ * Enrollments
+ * One record per learner (email) and course. A paid order grants access to
+ * every course in it, refunding that order takes it away again, and admins can grant or revoke
+ * access by hand. A course bought in installments is suspended while an
+ * installment is overdue and comes back when it is paid. Records are never
+ * deleted, only revoked, so the history of who had access and why stays on file.
+ */
+
+export const ENROLLMENT_STATUS = {
+  ACTIVE: 'active',
+  // An installment is overdue; paying it reactivates the enrollment
+  SUSPENDED: 'suspended',
+  REVOKED: 'revoked',
+};
+
+/**
+ * Raised when an enrollment change is not possible; carries the HTTP status to answer with
+ */
+export class EnrollmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EnrollmentError';
+    this.status = status;
+  }
+}
+
+const enrollmentsStore = () => getStore('enrollments');
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Find the enrollment for a learner and course, whatever its status
+ * @param {string} email
+ * @param {number|string} courseId
+ * @returns {Promise<object|null>}
+ */
+export const findEnrollment = async (email, courseId) => {
+  const normalizedEmail = normalizeEmail(email);
+  return enrollmentsStore().findOne(
+    (enrollment) =>
+      enrollment.email === normalizedEmail && enrollment.courseId === Number(courseId)
+  );
+};
+
+/**
+ * Give a learner access to a course
+ * Granting an active enrollment again is a no-op; a revoked or suspended one is reactivated.
+ * @param {object} params - { email, courseId, source, orderId, note }
+ * @returns {Promise<object>} Active enrollment
+ * @throws {EnrollmentError} If the course is not in the catalog
+ */
+export const grantEnrollment = async (params) => {
+  const { email, source = 'system', orderId = null, note } = params;
+  const courseId = Number(params.courseId);
+
+  const course = catalog.getCourse(courseId);
+  if (!course) {
+    throw new EnrollmentError(`Unknown course: ${params.courseId}`, 404);
+  }
+
+  const now = new Date().toISOString();
+  const entry = { action: 'granted', at: now, source, ...(orderId && { orderId }), ...(note && { note }) };
+  const existing = await findEnrollment(email, courseId);
+
+  if (existing?.status === ENROLLMENT_STATUS.ACTIVE) {
+    logger.debug('Enrollment already active', { enrollmentId: existing.id, source });
+    return existing;
+  }
+
+  if (existing) {
+    const reactivated = await enrollmentsStore().update(existing.id, {
+      status: ENROLLMENT_STATUS.ACTIVE,
+      source,
+      orderId,
+      grantedAt: now,
+      revokedAt: null,
+      revokeReason: null,
+      suspendedAt: null,
+      history: [...existing.history, entry],
+      updatedAt: now,
+    });
+    logger.info('Enrollment reactivated', { enrollmentId: existing.id, courseId, source });
+    return reactivated;
+  }
+
+  const enrollment = await enrollmentsStore().insert({
+    id: `enr_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    email: normalizeEmail(email),
+    courseId,
+    courseName: course.name,
+    status: ENROLLMENT_STATUS.ACTIVE,
+    source,
+    orderId,
+    grantedAt: now,
+    revokedAt: null,
+    revokeReason: null,
+    history: [entry],
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  logger.info('Enrollment granted', { enrollmentId: enrollment.id, courseId, source, orderId });
+
+  return enrollment;
+};
+
+/**
+ * Take a learner's access to a course away
+ * @param {object} params - { email, courseId, source, reason }
+ * @returns {Promise<object>} Revoked enrollment
+ * @throws {EnrollmentError} If the learner is not enrolled
+ */
+export const revokeEnrollment = async (params) => {
+  const { email, courseId, source = 'system', reason } = params;
+
+  const existing = await findEnrollment(email, courseId);
+  if (!existing || existing.status === ENROLLMENT_STATUS.REVOKED) {
+    throw new EnrollmentError(`No active enrollment for ${email} in course ${courseId}`, 404);
+  }
+
+  const now = new Date().toISOString();
+  const revoked = await enrollmentsStore().update(existing.id, {
+    status: ENROLLMENT_STATUS.REVOKED,
+    revokedAt: now,
+    revokeReason: reason || null,
+    history: [
+      ...existing.history,
+      { action: 'revoked', at: now, source, ...(reason && { note: reason }) },
+    ],
+    updatedAt: now,
+  });
+
+  logger.info('Enrollment revoked', { enrollmentId: existing.id, courseId: existing.courseId, source });
+
+  return revoked;
+};
+
+/**
+ * Pause a learner's access to a course until it is granted again
+ * @param {object} params - { email, courseId, source, reason }
+ * @returns {Promise<object>} Suspended enrollment
+ * @throws {EnrollmentError} If the learner is not actively enrolled
+ */
+export const suspendEnrollment = async (params) => {
+  const { email, courseId, source = 'system', reason } = params;
+
+  const existing = await findEnrollment(email, courseId);
+  if (existing?.status !== ENROLLMENT_STATUS.ACTIVE) {
+    throw new EnrollmentError(`No active enrollment for ${email} in course ${courseId}`, 404);
+  }
+
+  const now = new Date().toISOString();
+  const suspended = await enrollmentsStore().update(existing.id, {
+    status: ENROLLMENT_STATUS.SUSPENDED,
+    suspendedAt: now,
+    history: [
+      ...existing.history,
+      { action: 'suspended', at: now, source, ...(reason && { note: reason }) },
+    ],
+    updatedAt: now,
+  });
+
+  logger.info('Enrollment suspended', { enrollmentId: existing.id, courseId: existing.courseId, source });
+
+  return suspended;
+};
+
+/**
+ * Bring enrollments in line with a ledger order
+ * A paid order enrolls its customer in each of its courses; a refunded one
+ * revokes the access it granted. A suspension or revoke is only undone by a
+ * payment made after it, not by another look at an older paid order.
+ * Safe to call on every order update: it only acts on those two statuses.
+ * @param {object|null} order - Ledger order
+ * @returns {Promise<Array<object>>} Affected enrollments, empty if nothing changed
+ */
+export const syncEnrollmentForOrder = async (order) => {
+  if (!order) return [];
+
+  const courseIds = getOrderCourseIds(order);
+  const affected = [];
+
+  // One at a time: grants for the same learner must not race each other
+  for (const courseId of courseIds) {
+    if (order.status === ORDER_STATUS.PAID) {
+      const existing = await findEnrollment(order.customer.email, courseId);
+      const paidAt = getPaidAt(order);
+      if (
+        (existing?.status === ENROLLMENT_STATUS.SUSPENDED && paidAt < existing.suspendedAt) ||
+        (existing?.status === ENROLLMENT_STATUS.REVOKED && paidAt < existing.revokedAt)
+      ) {
+        continue;
+      }
+
+      affected.push(
+        await grantEnrollment({
+          email: order.customer.email,
+          courseId,
+          source: 'payment',
+          orderId: order.id,
+        })
+      );
+    }
+
+    if (order.status === ORDER_STATUS.REFUNDED) {
+      const existing = await findEnrollment(order.customer.email, courseId);
+
+      // Access granted by an admin or a later order is not this refund's to take away
+      if (existing?.status !== ENROLLMENT_STATUS.ACTIVE || existing.orderId !== order.id) {
+        continue;
+      }
+
+      affected.push(
+        await revokeEnrollment({
+          email: order.customer.email,
+          courseId,
+          source: 'refund',
+          reason: `Order ${order.id} refunded`,
+        })
+      );
+    }
+  }
+
+  return affected.filter(Boolean);
+};
+
+/**
+ * List a learner's enrollments
+ * @param {string} email
+ * @param {object} options - { includeRevoked }
+ * @returns {Promise<Array<object>>}
+ */
+export const listEnrollments = async (email, { includeRevoked = false } = {}) => {
+  const normalizedEmail = normalizeEmail(email);
+  return enrollmentsStore().find(
+    (enrollment) =>
+      enrollment.email === normalizedEmail &&
+      (includeRevoked || enrollment.status === ENROLLMENT_STATUS.ACTIVE)
+  );
+};
+
+export default {
+  ENROLLMENT_STATUS,
+  EnrollmentError,
+  findEnrollment,
+  grantEnrollment,
+  revokeEnrollment,
+  suspendEnrollment,
+  syncEnrollmentForOrder,
+  listEnrollments,
+};
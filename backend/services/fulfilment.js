@@ -0,0 +1,64 @@
+import * as notifications from '../notifications/index.js';
+import { ORDER_STATUS } from './orders.js';
+import * as enrollments from './enrollments.js';
+import * as invoices from './invoices.js';
+
+/**
+ * Order fulfilment
+ * What happens after the ledger says an order is paid: the learner is
+ * enrolled in every course of the order, the GST invoice is issued and the confirmation email (with the
+ * invoice attached) is queued. Failed payments get their email here too.
+ * Every step is idempotent, so fulfilOrder() can run on each webhook, verify
+ * call and status check for the same order.
+ */
+
+// Webhook and browser often report the same payment at once; share one run per order
+const inFlight = new Map();
+
+const runFulfilment = async (order) => {
+  const enrolled = await enrollments.syncEnrollmentForOrder(order);
+
+  if (order.status !== ORDER_STATUS.PAID) {
+    await notifications.notifyOrderUpdate(order);
+    return { enrollments: enrolled, invoice: null };
+  }
+
+  const invoice = await invoices.issueInvoiceForOrder(order);
+
+  await notifications.notifyOrderUpdate(order, {
+    invoice,
+    attachments: [
+      {
+        filename: invoices.getInvoiceFilename(invoice),
+        contentType: 'text/html',
+        content: invoices.renderInvoiceHtml(invoice),
+      },
+    ],
+  });
+
+  return { enrollments: enrolled, invoice };
+};
+
+/**
+ * Fulfil a ledger order
+ * Paid orders are enrolled, invoiced and confirmed by email; failed ones get
+ * the payment failed email; refunded ones lose the access they granted.
+ * @param {object|null} order - Ledger order
+ * @returns {Promise<object|null>} { enrollments, invoice }, or null without an order
+ */
+export const fulfilOrder = (order) => {
+  if (!order) return Promise.resolve(null);
+
+  if (!inFlight.has(order.id)) {
+    inFlight.set(
+      order.id,
+      runFulfilment(order).finally(() => inFlight.delete(order.id))
+    );
+  }
+
+  return inFlight.get(order.id);
+};
+
+export default {
+  fulfilOrder,
+};
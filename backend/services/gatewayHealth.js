@@ -0,0 +1,163 @@
+import { listGateways, isGatewayEnabled } from '../gateways/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Gateway health
+ * Remembers how recent create-order and verify calls to each gateway went.
+ * A gateway is degraded while at least GATEWAY_DEGRADED_FAILURES of its calls
+ * in the last GATEWAY_HEALTH_WINDOW_MINUTES failed, and they are at least half
+ * of its calls in that time. Checkout routing tries degraded gateways last, and
+ * once the failures are older than the window the gateway is healthy again.
+ *
+ * Only errors from the gateway count (network, credentials, 5xx); a payment
+ * that was declined or a signature that did not match says nothing about it.
+ * Kept in memory: a restart starts every gateway healthy.
+ *
+ * checkGatewayCredentials() goes further and calls every gateway the
+ * checkout may use, for /health/deep.
+ */
+
+export const GATEWAY_HEALTH = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+};
+
+// Outcomes kept per gateway, however recent
+const MAX_OUTCOMES = 50;
+
+// A credentials check slower than this counts as failed
+const CHECK_TIMEOUT_MS = 10000;
+
+const getWindowMs = () => (Number(process.env.GATEWAY_HEALTH_WINDOW_MINUTES) || 10) * 60 * 1000;
+const getDegradedFailures = () => Number(process.env.GATEWAY_DEGRADED_FAILURES) || 3;
+
+// gateway id -> [{ at, operation, ok, error }], oldest first
+const outcomes = new Map();
+
+const recentOutcomes = (gatewayId) => {
+  const since = Date.now() - getWindowMs();
+  return (outcomes.get(gatewayId) || []).filter((outcome) => outcome.at >= since);
+};
+
+/**
+ * Get a gateway's health
+ * @param {string} gatewayId
+ * @returns {object} { status: 'healthy' | 'degraded', attempts, failures, lastError, lastFailureAt }
+ *   counted over the health window
+ */
+export const getGatewayHealth = (gatewayId) => {
+  const recent = recentOutcomes(gatewayId);
+  const failed = recent.filter((outcome) => !outcome.ok);
+  const lastFailure = failed[failed.length - 1];
+
+  const degraded = failed.length >= getDegradedFailures() && failed.length * 2 >= recent.length;
+
+  return {
+    status: degraded ? GATEWAY_HEALTH.DEGRADED : GATEWAY_HEALTH.HEALTHY,
+    attempts: recent.length,
+    failures: failed.length,
+    lastError: lastFailure?.error || null,
+    lastFailureAt: lastFailure ? new Date(lastFailure.at).toISOString() : null,
+  };
+};
+
+/**
+ * Record how a call to a gateway went
+ * @param {string} gatewayId
+ * @param {object} outcome - { operation: 'create-order' | 'verify', ok: boolean, error?: string }
+ */
+export const recordGatewayOutcome = (gatewayId, { operation, ok, error }) => {
+  const wasDegraded = getGatewayHealth(gatewayId).status === GATEWAY_HEALTH.DEGRADED;
+
+  const list = outcomes.get(gatewayId) || [];
+  list.push({ at: Date.now(), operation, ok, error: ok ? null : error || 'Unknown error' });
+  outcomes.set(gatewayId, list.slice(-MAX_OUTCOMES));
+
+  const health = getGatewayHealth(gatewayId);
+  if (!wasDegraded && health.status === GATEWAY_HEALTH.DEGRADED) {
+    logger.warn('Payment gateway degraded', { gateway: gatewayId, ...health });
+  } else if (wasDegraded && health.status === GATEWAY_HEALTH.HEALTHY) {
+    logger.info('Payment gateway recovered', { gateway: gatewayId });
+  }
+};
+
+// Run one adapter's checkCredentials(), giving up after CHECK_TIMEOUT_MS
+const checkAdapter = async (adapter) => {
+  const startedAt = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      adapter.checkCredentials(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Timed out')), CHECK_TIMEOUT_MS);
+      }),
+    ]);
+    return { credentials: 'ok', error: null, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { credentials: 'failed', error: error.message, latencyMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Check every gateway's credentials against the gateway itself
+ * Gateways that are switched off or not configured are listed but not called.
+ * @returns {Promise<object>} { ok, gateways: [{ id, name, enabled, configured, keyMode, credentials,
+ *   error, latencyMs, health }] }; credentials is 'ok', 'failed', 'disabled', 'not_configured'
+ *   or 'unchecked' (the adapter has no checkCredentials); ok when at least one gateway
+ *   passed and none failed
+ */
+export const checkGatewayCredentials = async () => {
+  const gateways = await Promise.all(
+    listGateways().map(async (adapter) => {
+      const enabled = isGatewayEnabled(adapter.id);
+      const configured = adapter.isConfigured();
+
+      let check = { credentials: 'unchecked', error: null, latencyMs: null };
+      if (!enabled) {
+        check = { ...check, credentials: 'disabled' };
+      } else if (!configured) {
+        check = { ...check, credentials: 'not_configured' };
+      } else if (typeof adapter.checkCredentials === 'function') {
+        check = await checkAdapter(adapter);
+      }
+
+      if (check.credentials === 'failed') {
+        logger.warn('Gateway credentials check failed', { gateway: adapter.id, error: check.error });
+      }
+
+      return {
+        id: adapter.id,
+        name: adapter.name,
+        enabled,
+        configured,
+        keyMode: configured ? adapter.getKeyMode() : null,
+        ...check,
+        health: getGatewayHealth(adapter.id),
+      };
+    })
+  );
+
+  return {
+    ok: gateways.some((gateway) => gateway.credentials === 'ok') &&
+      !gateways.some((gateway) => gateway.credentials === 'failed'),
+    gateways,
+  };
+};
+
+/**
+ * Forget every recorded outcome
+ */
+export const resetGatewayHealth = () => {
+  outcomes.clear();
+};
+
+export default {
+  GATEWAY_HEALTH,
+  getGatewayHealth,
+  recordGatewayOutcome,
+  checkGatewayCredentials,
+  resetGatewayHealth,
+};
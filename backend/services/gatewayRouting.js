@@ -0,0 +1,147 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getGateway, listGatewayIds, isGatewayEnabled } from '../gateways/index.js';
+import { logger } from '../utils/logger.js';
+import { GATEWAY_HEALTH, getGatewayHealth } from './gatewayHealth.js';
+
+/**
+ * Checkout gateway routing
+ * Decides which gateways an order is offered to, and in what order they are
+ * tried when one fails to create it. Rules live in data/gateway-routing.json:
+ *
+ *   {
+ *     "failover": true,                          // try the next gateway when one fails
+ *     "order": ["razorpay", "cashfree", "phonepe"],  // preference when no rule matches
+ *     "rules": [
+ *       { "id": "upi", "method": "upi", "gateways": ["phonepe", "razorpay"] },
+ *       { "id": "large", "minAmount": 10000, "gateways": ["razorpay", "cashfree"] }
+ *     ]
+ *   }
+ *
+ * The first rule whose conditions (method, minAmount, maxAmount; all optional)
+ * all hold decides which gateways may take the order. The buyer's chosen
+ * gateway goes first when it may, then the rest in the rule's order. Gateways
+ * that are switched off (PAYMENT_GATEWAYS) or not configured are left out and
+ * degraded ones are tried last.
+ *
+ * The mock gateway (gateways/mock.js) sits outside the rules: it takes an
+ * order only when the buyer picks it, and is never a failover target.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const ROUTING_PATH = join(__dirname, '../data/gateway-routing.json');
+
+// Ways to pay a create-order request may ask to be routed by
+export const PAYMENT_METHODS = ['upi', 'card', 'netbanking', 'wallet'];
+
+const MOCK_GATEWAY_ID = 'mock';
+
+let routingCache = null;
+
+const loadRouting = () => {
+  if (!routingCache) {
+    const config = JSON.parse(readFileSync(ROUTING_PATH, 'utf8'));
+    const known = (ids) => (ids || []).map((id) => String(id).toLowerCase()).filter((id) => getGateway(id));
+
+    routingCache = {
+      failover: config.failover !== false,
+      order: known(config.order),
+      rules: (config.rules || []).map((rule) => {
+        const unknown = (rule.gateways || []).filter((id) => !getGateway(id));
+        if (unknown.length) {
+          logger.warn('Routing rule names unknown gateways', { rule: rule.id, unknown });
+        }
+        return { ...rule, gateways: known(rule.gateways) };
+      }),
+    };
+    logger.info('Gateway routing loaded', {
+      failover: routingCache.failover,
+      rules: routingCache.rules.length,
+    });
+  }
+  return routingCache;
+};
+
+const matchesRule = (rule, { amount, method }) =>
+  (rule.method === undefined || rule.method === method) &&
+  (rule.minAmount === undefined || Number(amount) >= rule.minAmount) &&
+  (rule.maxAmount === undefined || Number(amount) <= rule.maxAmount);
+
+/**
+ * Which gateways may take an order, in order of preference
+ * @param {object} params - { amount, method }
+ * @returns {object} { rule: string|null, gateways: string[] } (configured or not)
+ */
+const allowedGateways = ({ amount, method }) => {
+  const routing = loadRouting();
+  const rule = routing.rules.find((candidate) => matchesRule(candidate, { amount, method }));
+
+  if (rule) return { rule: rule.id || null, gateways: rule.gateways };
+
+  const rest = listGatewayIds().filter((id) => !routing.order.includes(id));
+  return { rule: null, gateways: [...routing.order, ...rest] };
+};
+
+/**
+ * Plan which gateways to try for an order
+ * @param {object} params - { gateway, amount, method }; gateway is the buyer's choice
+ * @returns {object} { rule: string|null, gateways: string[] } - gateways to try in order,
+ *   only the first when failover is off; empty when none can take the order
+ */
+export const planGatewayRoute = ({ gateway, amount, method }) => {
+  const requested = gateway ? String(gateway).toLowerCase() : null;
+  const isUsable = (id) => isGatewayEnabled(id) && getGateway(id).isConfigured();
+
+  if (requested === MOCK_GATEWAY_ID) {
+    return { rule: null, gateways: getGateway(requested) && isUsable(requested) ? [requested] : [] };
+  }
+
+  const allowed = allowedGateways({ amount, method });
+
+  const usable = allowed.gateways.filter((id) => id !== MOCK_GATEWAY_ID && isUsable(id));
+  const preferred = usable.includes(requested)
+    ? [requested, ...usable.filter((id) => id !== requested)]
+    : usable;
+
+  const isHealthy = (id) => getGatewayHealth(id).status === GATEWAY_HEALTH.HEALTHY;
+  const gateways = [...preferred.filter(isHealthy), ...preferred.filter((id) => !isHealthy(id))];
+
+  return {
+    rule: allowed.rule,
+    gateways: loadRouting().failover ? gateways : gateways.slice(0, 1),
+  };
+};
+
+/**
+ * What the checkout should offer for an order
+ * @param {object} params - { amount, method }
+ * @returns {Array<object>} One per registered gateway: { id, name, enabled, configured, available,
+ *   health }; available is false when the gateway is switched off, not configured or no rule
+ *   lets it take the order
+ */
+export const describeGatewayRoutes = ({ amount, method }) => {
+  const allowed = allowedGateways({ amount, method }).gateways;
+
+  return listGatewayIds().map((id) => {
+    const adapter = getGateway(id);
+    const enabled = isGatewayEnabled(id);
+    const configured = adapter.isConfigured();
+
+    return {
+      id,
+      name: adapter.name,
+      enabled,
+      configured,
+      available: enabled && configured && (id === MOCK_GATEWAY_ID || allowed.includes(id)),
+      health: getGatewayHealth(id).status,
+    };
+  });
+};
+
+export default {
+  PAYMENT_METHODS,
+  planGatewayRoute,
+  describeGatewayRoutes,
+};
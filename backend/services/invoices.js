@@ -0,0 +1,358 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import { escapeHtml, formatAmount, formatDate } from '../utils/format.js';
+import { getSellerDetails } from './business.js';
+import { ORDER_STATUS, getPaidAt, getOrderItems } from './orders.js';
+
+/**
+ * GST invoices
+ * Every paid order gets exactly one invoice. Numbers run sequentially within
+ * an Indian financial year (April-March), e.g. SC/2026-27/0001, as GST rules
+ * require. Course prices are GST-inclusive, so tax is worked backwards from
+ * the amount paid. A seller without SELLER_GSTIN is not GST-registered and
+ * issues a bill of supply with no tax instead.
+ */
+
+export const INVOICE_TYPE = {
+  TAX_INVOICE: 'tax-invoice',
+  BILL_OF_SUPPLY: 'bill-of-supply',
+};
+
+// SAC for online and distance education services
+const EDUCATION_SAC = '999293';
+
+// GST state codes, used to print the place of supply
+const GST_STATES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+  '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+  '97': 'Other Territory',
+};
+
+/**
+ * Raised when an invoice cannot be issued or found; carries the HTTP status to answer with
+ */
+export class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+const invoicesStore = () => getStore('invoices');
+
+const getGstRate = () => {
+  const rate = Number(process.env.GST_RATE ?? 18);
+  return Number.isFinite(rate) && rate >= 0 ? rate : 18;
+};
+
+/**
+ * Indian financial year an instant falls in, e.g. "2026-27"
+ * @param {string} iso
+ * @returns {string}
+ */
+export const getFinancialYear = (iso) => {
+  // Shift to IST so 31 March 11pm in India still counts towards the old year
+  const ist = new Date(Date.parse(iso) + 330 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax
+ * Same state as the seller means CGST + SGST; any other state means IGST.
+ * Works in paise so the parts always add up to the amount paid.
+ * @param {object} params - { amount, rate, sellerStateCode, buyerStateCode }
+ * @returns {object} { taxableValue, cgst, sgst, igst, totalTax, total } in rupees
+ */
+export const computeGstBreakup = ({ amount, rate, sellerStateCode, buyerStateCode }) => {
+  const totalPaise = Math.round(Number(amount) * 100);
+  const taxablePaise = Math.round((totalPaise * 100) / (100 + rate));
+  const taxPaise = totalPaise - taxablePaise;
+
+  let cgstPaise = 0;
+  let sgstPaise = 0;
+  let igstPaise = 0;
+
+  if (sellerStateCode === buyerStateCode) {
+    cgstPaise = Math.round(taxPaise / 2);
+    sgstPaise = taxPaise - cgstPaise;
+  } else {
+    igstPaise = taxPaise;
+  }
+
+  return {
+    taxableValue: taxablePaise / 100,
+    cgst: cgstPaise / 100,
+    sgst: sgstPaise / 100,
+    igst: igstPaise / 100,
+    totalTax: taxPaise / 100,
+    total: totalPaise / 100,
+  };
+};
+
+/**
+ * Get an invoice by its ID
+ * @param {string} invoiceId
+ * @returns {Promise<object|null>}
+ */
+export const getInvoice = async (invoiceId) => invoicesStore().get(invoiceId);
+
+/**
+ * Find the invoice issued for an order
+ * @param {string} orderId
+ * @returns {Promise<object|null>}
+ */
+export const findInvoiceByOrder = async (orderId) =>
+  invoicesStore().findOne((invoice) => invoice.orderId === orderId);
+
+/**
+ * Build the invoice record for an order (without number or ID)
+ * @param {object} order - Paid ledger order
+ * @param {string} issuedAt - ISO timestamp
+ * @returns {object}
+ */
+const buildInvoice = (order, issuedAt) => {
+  const seller = getSellerDetails();
+  const { customer } = order;
+
+  // Business buyers are billed at their registered state; consumers have no
+  // address on file, so the place of supply is the seller's state
+  const placeOfSupply = customer.gstin ? customer.gstin.slice(0, 2) : seller.stateCode;
+
+  const type = seller.gstin ? INVOICE_TYPE.TAX_INVOICE : INVOICE_TYPE.BILL_OF_SUPPLY;
+  const gstRate = type === INVOICE_TYPE.TAX_INVOICE ? getGstRate() : 0;
+
+  // One line per course, each taxed on what was paid for it; the totals add the lines up
+  const items = getOrderItems(order).map((item) => ({
+    description: item.name,
+    sac: EDUCATION_SAC,
+    quantity: 1,
+    ...computeGstBreakup({
+      amount: item.amount,
+      rate: gstRate,
+      sellerStateCode: seller.stateCode,
+      buyerStateCode: placeOfSupply,
+    }),
+  }));
+  const sum = (field) => items.reduce((paise, item) => paise + Math.round(item[field] * 100), 0) / 100;
+  const breakup = {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    totalTax: sum('totalTax'),
+    total: sum('total'),
+  };
+
+  return {
+    orderId: order.id,
+    type,
+    issuedAt,
+    financialYear: getFinancialYear(issuedAt),
+    seller,
+    buyer: {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      ...(customer.gstin && { businessName: customer.businessName, gstin: customer.gstin }),
+    },
+    placeOfSupply: { code: placeOfSupply, name: GST_STATES[placeOfSupply] || placeOfSupply },
+    items: items.map(({ description, sac, quantity, taxableValue, total }) => ({
+      description,
+      sac,
+      quantity,
+      taxableValue,
+      total,
+    })),
+    // Bundles and coupons lower the price before tax, so the tax above is on the discounted amount
+    discount: order.discount || order.bundleDiscount
+      ? {
+        couponCode: order.couponCode,
+        amount: order.discount || 0,
+        bundleAmount: order.bundleDiscount || 0,
+        originalAmount: order.originalAmount,
+      }
+      : null,
+    currency: order.currency,
+    gstRate,
+    ...breakup,
+    gateway: order.gateway,
+    gatewayPaymentId: order.gatewayPaymentId,
+    paidAt: getPaidAt(order),
+  };
+};
+
+// Numbers must have no gaps or duplicates, so invoices are issued one at a time
+let issueQueue = Promise.resolve();
+
+/**
+ * Issue the invoice for a paid order
+ * Issuing again returns the existing invoice, so it is safe to call on every update.
+ * @param {object} order - Ledger order
+ * @returns {Promise<object>} Invoice
+ * @throws {InvoiceError} If the order was never paid
+ */
+export const issueInvoiceForOrder = async (order) => {
+  if (order.status !== ORDER_STATUS.PAID && order.status !== ORDER_STATUS.REFUNDED) {
+    throw new InvoiceError(`Order ${order.id} has not been paid`, 409);
+  }
+
+  const issue = async () => {
+    const existing = await findInvoiceByOrder(order.id);
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    const draft = buildInvoice(order, now);
+
+    const sameYear = await invoicesStore().find((invoice) => invoice.financialYear === draft.financialYear);
+    const sequence = sameYear.reduce((max, invoice) => Math.max(max, invoice.sequence), 0) + 1;
+    const prefix = process.env.INVOICE_PREFIX || 'SC';
+
+    const invoice = {
+      id: `inv_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      invoiceNumber: `${prefix}/${draft.financialYear}/${String(sequence).padStart(4, '0')}`,
+      sequence,
+      ...draft,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await invoicesStore().insert(invoice);
+
+    logger.info('Invoice issued', { invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber, orderId: order.id });
+
+    return invoice;
+  };
+
+  const result = issueQueue.then(issue);
+  // Keep the queue going even if this issue fails
+  issueQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * File name for an invoice download or attachment, e.g. "SC-2026-27-0001.html"
+ * @param {object} invoice
+ * @returns {string}
+ */
+export const getInvoiceFilename = (invoice) => `${invoice.invoiceNumber.replace(/\//g, '-')}.html`;
+
+/**
+ * Render an invoice as a standalone HTML document
+ * Print styles are included so "Save as PDF" from the browser gives a clean PDF.
+ * @param {object} invoice
+ * @returns {string} HTML
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const isTaxInvoice = invoice.type === INVOICE_TYPE.TAX_INVOICE;
+  const title = isTaxInvoice ? 'Tax Invoice' : 'Bill of Supply';
+  const money = (amount) => formatAmount(amount, invoice.currency);
+  const halfRate = invoice.gstRate / 2;
+
+  const meta = [
+    ['Invoice No.', invoice.invoiceNumber],
+    ['Invoice Date', formatDate(invoice.issuedAt)],
+    ['Order ID', invoice.orderId],
+    ['Place of Supply', `${invoice.placeOfSupply.name} (${invoice.placeOfSupply.code})`],
+    ['Payment ID', invoice.gatewayPaymentId || '-'],
+  ];
+
+  const taxRows = !isTaxInvoice
+    ? []
+    : invoice.igst
+      ? [[`IGST @ ${invoice.gstRate}%`, invoice.igst]]
+      : [[`CGST @ ${halfRate}%`, invoice.cgst], [`SGST @ ${halfRate}%`, invoice.sgst]];
+
+  const buyer = invoice.buyer;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title} ${escapeHtml(invoice.invoiceNumber)}</title>
+<style>
+  body { font-family: 'Poppins', Arial, sans-serif; color: #0e2431; max-width: 800px; margin: 40px auto; padding: 0 20px; }
+  h1 { color: #2506ad; margin-bottom: 4px; }
+  .muted { color: #666; font-size: 14px; }
+  .parties { display: flex; gap: 40px; margin-top: 24px; }
+  .parties > div { flex: 1; }
+  table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  th, td { text-align: left; padding: 10px; border-bottom: 1px solid #eee; font-size: 14px; }
+  td.num, th.num { text-align: right; }
+  .total td { font-weight: 700; font-size: 16px; }
+  .note { margin-top: 32px; font-size: 12px; color: #888; }
+  @media print { body { margin: 0; max-width: none; } }
+</style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p class="muted">Original for recipient</p>
+
+  <div class="parties">
+    <div>
+      <h3>Sold By</h3>
+      <p>${escapeHtml(invoice.seller.name)}<br>${escapeHtml(invoice.seller.address)}<br>
+        ${escapeHtml(invoice.seller.email)} &middot; ${escapeHtml(invoice.seller.phone)}
+        ${invoice.seller.gstin ? `<br>GSTIN: ${escapeHtml(invoice.seller.gstin)}` : ''}</p>
+    </div>
+    <div>
+      <h3>Billed To</h3>
+      <p>${buyer.businessName ? `${escapeHtml(buyer.businessName)}<br>GSTIN: ${escapeHtml(buyer.gstin)}<br>Attn: ` : ''}${escapeHtml(buyer.name)}<br>
+        ${escapeHtml(buyer.email)}<br>${escapeHtml(buyer.phone)}</p>
+    </div>
+  </div>
+
+  <table>
+    ${meta.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+
+  <table>
+    <tr><th>Description</th><th>SAC</th><th class="num">Qty</th><th class="num">Taxable Value</th><th class="num">Amount</th></tr>
+    ${invoice.items
+      .map(
+        (item) =>
+          `<tr><td>${escapeHtml(item.description)}</td><td>${escapeHtml(item.sac)}</td><td class="num">${item.quantity}</td><td class="num">${money(item.taxableValue)}</td><td class="num">${money(item.total)}</td></tr>`
+      )
+      .join('\n    ')}
+  </table>
+
+  <table>
+    <tr><td>Taxable Value</td><td class="num">${money(invoice.taxableValue)}</td></tr>
+    ${taxRows.map(([label, amount]) => `<tr><td>${label}</td><td class="num">${money(amount)}</td></tr>`).join('\n    ')}
+    <tr class="total"><td>Total</td><td class="num">${money(invoice.total)}</td></tr>
+  </table>
+
+  <p class="note">
+    ${isTaxInvoice
+      ? 'Prices are inclusive of GST. Tax is not payable on reverse charge.'
+      : 'Supplier is not registered under GST; no GST has been charged.'}
+    ${invoice.discount ? `Includes ${[
+    invoice.discount.bundleAmount && `a bundle discount of ${money(invoice.discount.bundleAmount)}`,
+    invoice.discount.amount && `a discount of ${money(invoice.discount.amount)} (coupon ${escapeHtml(invoice.discount.couponCode)})`,
+  ].filter(Boolean).join(' and ')} on the list price of ${money(invoice.discount.originalAmount)}.` : ''}
+    Paid on ${escapeHtml(formatDate(invoice.paidAt))} via ${escapeHtml(invoice.gateway)}. This is a computer-generated invoice and needs no signature.
+  </p>
+</body>
+</html>
+`;
+};
+
+export default {
+  INVOICE_TYPE,
+  InvoiceError,
+  getFinancialYear,
+  computeGstBreakup,
+  getInvoice,
+  findInvoiceByOrder,
+  issueInvoiceForOrder,
+  getInvoiceFilename,
+  renderInvoiceHtml,
+};
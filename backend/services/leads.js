@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import * as notifications from '../notifications/index.js';
+
+/**
+ * Contact form leads
+ * Messages from the contact forms on the site are stored in the `leads`
+ * collection, the inbox is notified and the sender gets an acknowledgement.
+ * Each sender (by IP and by email) can submit a few messages an hour.
+ */
+
+export const LEAD_STATUS = {
+  NEW: 'new',
+  CONTACTED: 'contacted',
+  CLOSED: 'closed',
+};
+
+const MAX_LEADS_PER_WINDOW = 5;
+const LEAD_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Raised when a lead cannot be recorded or updated; carries the HTTP status to answer with
+ */
+export class LeadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LeadError';
+    this.status = status;
+  }
+}
+
+const leadsStore = () => getStore('leads');
+
+// Only needed to count submissions, so the address itself is not kept
+const hashIp = (ip) => crypto.createHash('sha256').update(String(ip || '')).digest('hex');
+
+/**
+ * Record a contact form submission and send its notifications
+ * @param {object} params - { name, email, phone, message, source, ip, userAgent }
+ * @returns {Promise<object>} Lead
+ * @throws {LeadError} If the sender has submitted too many messages recently
+ */
+export const createLead = async (params) => {
+  const { name, email, phone, message, source, ip, userAgent } = params;
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const ipHash = hashIp(ip);
+
+  const since = new Date(Date.now() - LEAD_WINDOW_MS).toISOString();
+  const recent = await leadsStore().find(
+    (lead) => lead.createdAt > since && (lead.ipHash === ipHash || lead.email === normalizedEmail)
+  );
+  if (recent.length >= MAX_LEADS_PER_WINDOW) {
+    logger.warn('Too many contact form submissions', { submissions: recent.length });
+    throw new LeadError('Too many messages. Please try again later', 429);
+  }
+
+  const now = new Date().toISOString();
+  const lead = await leadsStore().insert({
+    id: `lead_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    name: name.trim(),
+    email: normalizedEmail,
+    phone: phone || null,
+    message: message.trim(),
+    source: source || 'website',
+    status: LEAD_STATUS.NEW,
+    ipHash,
+    userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  logger.info('Lead recorded', { leadId: lead.id, source: lead.source });
+
+  // The lead is saved; email trouble is retried by the notification queue
+  await notifications.notifyNewLead(lead).catch((error) => {
+    logger.error('Error queueing lead emails', { leadId: lead.id, error: error.message });
+  });
+
+  return lead;
+};
+
+/**
+ * List leads, newest first
+ * @param {object} filters - { status, limit }
+ * @returns {Promise<Array<object>>}
+ */
+export const listLeads = async ({ status, limit = 100 } = {}) => {
+  const found = await leadsStore().find((lead) => !status || lead.status === status);
+  return found.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, limit);
+};
+
+/**
+ * Move a lead through the follow-up workflow
+ * @param {string} leadId
+ * @param {string} status - LEAD_STATUS value
+ * @returns {Promise<object>} Updated lead
+ * @throws {LeadError} If the lead or status is unknown
+ */
+export const updateLeadStatus = async (leadId, status) => {
+  if (!Object.values(LEAD_STATUS).includes(status)) {
+    throw new LeadError(`Invalid status. Supported: ${Object.values(LEAD_STATUS).join(', ')}`);
+  }
+
+  const lead = await leadsStore().get(leadId);
+  if (!lead) {
+    throw new LeadError(`Lead not found: ${leadId}`, 404);
+  }
+
+  return leadsStore().update(leadId, { status, updatedAt: new Date().toISOString() });
+};
+
+export default {
+  LEAD_STATUS,
+  LeadError,
+  createLead,
+  listLeads,
+  updateLeadStatus,
+};
@@ -0,0 +1,100 @@
+import { listWebhookEvents } from './webhookEvents.js';
+import { listRefundsForOrder } from './refunds.js';
+import { findInvoiceByOrder } from './invoices.js';
+import { listNotificationsForOrder } from '../notifications/index.js';
+
+/**
+ * Order timeline
+ * Everything that happened to one order, in time order, for support and the
+ * admin console: status changes from the ledger, gateway webhooks, refunds,
+ * the invoice and the emails sent about it. Each source keeps its own
+ * collection; this only stitches them together.
+ */
+
+export const TIMELINE_ENTRY = {
+  STATUS: 'status',
+  WEBHOOK: 'webhook',
+  REFUND: 'refund',
+  INVOICE: 'invoice',
+  EMAIL: 'email',
+};
+
+const fromHistory = (entry) => ({
+  type: TIMELINE_ENTRY.STATUS,
+  at: entry.at,
+  title: entry.from ? `${entry.from} → ${entry.to}` : entry.to,
+  detail: [entry.source, entry.note].filter(Boolean).join(': '),
+});
+
+const fromWebhook = (event) => ({
+  type: TIMELINE_ENTRY.WEBHOOK,
+  at: event.receivedAt,
+  id: event.id,
+  title: `${event.gateway} ${event.eventType || 'webhook'}`,
+  detail: [
+    event.status,
+    event.duplicateCount > 0 && `${event.duplicateCount} duplicate deliveries`,
+    event.error,
+  ]
+    .filter(Boolean)
+    .join(', '),
+});
+
+const fromRefund = (refund) => ({
+  type: TIMELINE_ENTRY.REFUND,
+  at: refund.createdAt,
+  id: refund.id,
+  title: `Refund of ₹${refund.amount} ${refund.status}`,
+  detail: [refund.reason, refund.requestedBy && `by ${refund.requestedBy}`].filter(Boolean).join(', '),
+});
+
+const fromInvoice = (invoice) => ({
+  type: TIMELINE_ENTRY.INVOICE,
+  at: invoice.issuedAt,
+  id: invoice.id,
+  title: `Invoice ${invoice.invoiceNumber} issued`,
+  detail: invoice.type,
+});
+
+const fromNotification = (notification) => ({
+  type: TIMELINE_ENTRY.EMAIL,
+  at: notification.sentAt || notification.createdAt,
+  id: notification.id,
+  title: `${notification.event} email ${notification.status}`,
+  detail: [
+    `to ${notification.message.to}`,
+    notification.attempts > 1 && `${notification.attempts} attempts`,
+    notification.lastError,
+  ]
+    .filter(Boolean)
+    .join(', '),
+});
+
+/**
+ * Build the timeline of an order, oldest first
+ * @param {object} order - Ledger order
+ * @returns {Promise<object>} { timeline, webhookEvents, refunds, invoice, notifications }
+ */
+export const getOrderTimeline = async (order) => {
+  const [webhookEvents, refunds, invoice, notifications] = await Promise.all([
+    listWebhookEvents({ orderId: order.id }),
+    listRefundsForOrder(order.id),
+    findInvoiceByOrder(order.id),
+    listNotificationsForOrder(order.id),
+  ]);
+
+  const timeline = [
+    ...order.history.map(fromHistory),
+    ...webhookEvents.map(fromWebhook),
+    ...refunds.map(fromRefund),
+    ...(invoice ? [fromInvoice(invoice)] : []),
+    ...notifications.map(fromNotification),
+  ].sort((a, b) => a.at.localeCompare(b.at));
+
+  return { timeline, webhookEvents, refunds, invoice, notifications };
+};
+
+export default {
+  TIMELINE_ENTRY,
+  getOrderTimeline,
+};
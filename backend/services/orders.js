@@ -0,0 +1,400 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { getGateway } from '../gateways/index.js';
+import { logger } from '../utils/logger.js';
+import * as catalog from './catalog.js';
+
+/**
+ * Order ledger
+ * Every checkout is recorded here and moves through an explicit state machine:
+ *
+ *   created ─→ pending ─→ paid ─→ refunded
+ *      │          │
+ *      └──────────┴─→ failed
+ */
+
+export const ORDER_STATUS = {
+  CREATED: 'created',
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+};
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  created: ['pending', 'failed'],
+  pending: ['paid', 'failed'],
+  // A failed attempt can be retried on the same gateway order and succeed
+  failed: ['paid'],
+  paid: ['refunded'],
+  refunded: [],
+};
+
+/**
+ * Raised when an order is asked to make a transition the state machine forbids
+ */
+export class OrderStateError extends Error {
+  constructor(order, nextStatus) {
+    super(`Illegal order transition for ${order.id}: ${order.status} -> ${nextStatus}`);
+    this.name = 'OrderStateError';
+    this.status = 409;
+    this.orderId = order.id;
+    this.from = order.status;
+    this.to = nextStatus;
+  }
+}
+
+/**
+ * Raised when a gateway reports a payment for a different amount than the order
+ */
+export class PaymentAmountError extends Error {
+  constructor(order, amount) {
+    super(`Payment amount for ${order.id} does not match: expected ₹${order.amount}, gateway reported ₹${amount}`);
+    this.name = 'PaymentAmountError';
+    this.status = 409;
+    this.orderId = order.id;
+    this.expected = order.amount;
+    this.reported = amount;
+  }
+}
+
+const ordersStore = () => getStore('orders');
+
+/**
+ * Check whether the state machine allows a transition
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Record a new order in the ledger
+ * @param {object} params - { items, amount, currency, gateway, customer, description,
+ *   originalAmount, bundleDiscount, discount, couponCode, installment }
+ *   items are the priced cart items ({ courseId, name, price, amount, bundleId }); amount is
+ *   what is charged, originalAmount the list price, bundleDiscount and discount (coupon) the
+ *   difference. installment ({ subscriptionId, number, count }) marks one payment of a course
+ *   bought in installments.
+ * @returns {Promise<object>} Order in "created" state
+ */
+export const createOrder = async (params) => {
+  const {
+    items,
+    amount,
+    currency = 'INR',
+    gateway,
+    customer,
+    description,
+    couponCode = null,
+    installment = null,
+  } = params;
+  const now = new Date().toISOString();
+
+  const order = {
+    id: `ord_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    // Kept for single-course orders, which is what older code and reports expect
+    courseId: items.length === 1 ? items[0].courseId : null,
+    items,
+    amount,
+    originalAmount: params.originalAmount ?? amount,
+    bundleDiscount: params.bundleDiscount || 0,
+    discount: params.discount || 0,
+    couponCode,
+    installment,
+    currency,
+    gateway,
+    description,
+    customer: {
+      name: customer.name,
+      email: customer.email.toLowerCase(),
+      phone: customer.phone,
+      // Business buyers: printed on the GST invoice
+      ...(customer.gstin && {
+        gstin: customer.gstin.trim().toUpperCase(),
+        businessName: customer.businessName.trim(),
+      }),
+    },
+    status: ORDER_STATUS.CREATED,
+    gatewayOrderId: null,
+    gatewayPaymentId: null,
+    history: [{ from: null, to: ORDER_STATUS.CREATED, at: now, source: 'create-order' }],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await ordersStore().insert(order);
+
+  logger.info('Order recorded', {
+    orderId: order.id,
+    gateway,
+    amount,
+    courseIds: items.map((item) => item.courseId),
+    ...(couponCode && { couponCode }),
+    ...(installment && { subscriptionId: installment.subscriptionId, installment: installment.number }),
+  });
+
+  return order;
+};
+
+/**
+ * The courses an order paid for
+ * Orders from before the cart have only a courseId; they get one item for it.
+ * @param {object} order - Ledger order
+ * @returns {Array<object>} [{ courseId, name, price, amount, bundleId }]
+ */
+export const getOrderItems = (order) => {
+  if (order.items?.length) return order.items;
+
+  return [
+    {
+      courseId: order.courseId,
+      name: catalog.getCourse(order.courseId)?.name || order.description || `Course ${order.courseId}`,
+      price: order.originalAmount ?? order.amount,
+      amount: order.amount,
+      bundleId: null,
+    },
+  ];
+};
+
+/**
+ * IDs of the courses an order paid for
+ * @param {object} order - Ledger order
+ * @returns {Array<number>}
+ */
+export const getOrderCourseIds = (order) =>
+  getOrderItems(order).map((item) => item.courseId).filter(Boolean);
+
+/**
+ * Get an order by its ledger ID
+ * @param {string} orderId
+ * @returns {Promise<object|null>}
+ */
+export const getOrder = async (orderId) => ordersStore().get(orderId);
+
+/**
+ * Find an order by any gateway reference (gateway order ID, payment ID or ledger ID)
+ * @param {string} gateway
+ * @param {string} reference
+ * @returns {Promise<object|null>}
+ */
+export const findOrderByGatewayRef = async (gateway, reference) => {
+  if (!reference) return null;
+
+  return ordersStore().findOne(
+    (order) =>
+      order.gateway === gateway &&
+      (order.id === reference ||
+        order.gatewayOrderId === reference ||
+        order.gatewayPaymentId === reference)
+  );
+};
+
+/**
+ * List a customer's orders, newest first
+ * @param {string} email
+ * @returns {Promise<Array<object>>}
+ */
+export const findOrdersByEmail = async (email) => {
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const found = await ordersStore().find((order) => order.customer.email === normalizedEmail);
+  return found.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// A YYYY-MM-DD date means that whole day in Indian time; anything else is used as given
+const toTimestamp = (value, endOfDay) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+05:30`).toISOString()
+    : value;
+
+/**
+ * Search the ledger, newest first
+ * @param {object} filters - { gateway, status, email (partial match), couponCode, from, to, limit }
+ *   from and to bound createdAt and may be dates (YYYY-MM-DD, both inclusive) or ISO timestamps
+ * @returns {Promise<Array<object>>}
+ */
+export const listOrders = async (filters = {}) => {
+  const { gateway, status, couponCode, limit } = filters;
+  const email = filters.email ? String(filters.email).trim().toLowerCase() : '';
+  const from = filters.from && toTimestamp(filters.from, false);
+  const to = filters.to && toTimestamp(filters.to, true);
+
+  const found = await ordersStore().find(
+    (order) =>
+      (!gateway || order.gateway === gateway) &&
+      (!status || order.status === status) &&
+      (!email || order.customer.email.includes(email)) &&
+      (!couponCode || order.couponCode === couponCode) &&
+      (!from || order.createdAt >= from) &&
+      (!to || order.createdAt <= to)
+  );
+
+  found.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return limit ? found.slice(0, limit) : found;
+};
+
+/**
+ * When did this order become paid?
+ * @param {object} order
+ * @returns {string|null} ISO timestamp
+ */
+export const getPaidAt = (order) =>
+  [...order.history].reverse().find((entry) => entry.to === ORDER_STATUS.PAID)?.at || null;
+
+/**
+ * Move an order to a new status
+ * Repeating the current status is a no-op, so duplicate notifications are harmless.
+ * @param {string} orderId
+ * @param {string} nextStatus
+ * @param {object} details - { source, note, ...fields to store on the order }
+ * @returns {Promise<object>} Updated order
+ * @throws {OrderStateError} If the transition is not allowed
+ */
+export const transitionOrder = async (orderId, nextStatus, details = {}) => {
+  const { source = 'system', note, ...fields } = details;
+
+  const order = await getOrder(orderId);
+  if (!order) {
+    throw new Error(`Order not found: ${orderId}`);
+  }
+
+  if (order.status === nextStatus) {
+    logger.debug('Order already in requested status', { orderId, status: nextStatus, source });
+    return Object.keys(fields).length ? updateOrderDetails(orderId, fields) : order;
+  }
+
+  if (!canTransition(order.status, nextStatus)) {
+    logger.warn('Rejected illegal order transition', {
+      orderId,
+      from: order.status,
+      to: nextStatus,
+      source,
+    });
+    throw new OrderStateError(order, nextStatus);
+  }
+
+  const now = new Date().toISOString();
+  const updated = await ordersStore().update(orderId, {
+    ...fields,
+    status: nextStatus,
+    history: [
+      ...order.history,
+      { from: order.status, to: nextStatus, at: now, source, ...(note && { note }) },
+    ],
+    updatedAt: now,
+  });
+
+  logger.info('Order status updated', { orderId, from: order.status, to: nextStatus, source });
+
+  return updated;
+};
+
+/**
+ * Attach gateway references to an order without changing its status
+ * @param {string} orderId
+ * @param {object} fields - e.g. { gatewayOrderId, gatewayPaymentId }
+ * @returns {Promise<object>} Updated order
+ */
+export const updateOrderDetails = async (orderId, fields) =>
+  ordersStore().update(orderId, { ...fields, updatedAt: new Date().toISOString() });
+
+/**
+ * Translate a raw gateway status into a ledger status
+ * @param {string} gateway
+ * @param {string} gatewayStatus
+ * @returns {string|null} Ledger status, or null if the gateway status is unknown
+ */
+export const toOrderStatus = (gateway, gatewayStatus) =>
+  getGateway(gateway)?.statusMap[gatewayStatus] || null;
+
+/**
+ * Apply a status reported by a gateway to the matching ledger order
+ * Used by verify-payment, status polling, webhooks, reconciliation and the admin
+ * console, each passing the amount the gateway reported.
+ * @param {object} params - { gateway, reference, gatewayStatus, source, fields, amount }
+ *   amount (rupees, optional) is what the gateway collected; an order is never marked
+ *   paid for a different amount
+ * @returns {Promise<object|null>} Updated order, or null if no order matches
+ * @throws {OrderStateError} If the reported status is not reachable from the current one
+ * @throws {PaymentAmountError} If a paid status comes with the wrong amount
+ */
+export const recordGatewayStatus = async (params) => {
+  const { gateway, reference, gatewayStatus, source, fields = {}, amount } = params;
+
+  const order = await findOrderByGatewayRef(gateway, reference);
+  if (!order) {
+    logger.warn('No ledger order for gateway reference', { gateway, reference, source });
+    return null;
+  }
+
+  const nextStatus = toOrderStatus(gateway, gatewayStatus);
+  if (!nextStatus) {
+    logger.debug('Gateway status has no ledger mapping', { gateway, gatewayStatus, source });
+    return Object.keys(fields).length ? updateOrderDetails(order.id, fields) : order;
+  }
+
+  if (
+    nextStatus === ORDER_STATUS.PAID &&
+    amount !== undefined &&
+    Math.round(Number(amount) * 100) !== Math.round(Number(order.amount) * 100)
+  ) {
+    logger.error('Gateway payment amount does not match order', {
+      orderId: order.id,
+      gateway,
+      expected: order.amount,
+      reported: amount,
+      source,
+    });
+    throw new PaymentAmountError(order, amount);
+  }
+
+  return transitionOrder(order.id, nextStatus, {
+    source,
+    note: `${gateway} reported ${gatewayStatus}`,
+    ...fields,
+  });
+};
+
+/**
+ * Same as recordGatewayStatus, but logs and ignores illegal transitions
+ * Gateways deliver stale and out-of-order notifications; those must not fail the request.
+ * @param {object} params - See recordGatewayStatus
+ * @returns {Promise<object|null>} Current order, or null if no order matches
+ */
+export const syncGatewayStatus = async (params) => {
+  try {
+    return await recordGatewayStatus(params);
+  } catch (error) {
+    if (error instanceof OrderStateError) {
+      logger.warn('Ignoring gateway status that conflicts with ledger', {
+        orderId: error.orderId,
+        from: error.from,
+        to: error.to,
+        source: params.source,
+      });
+      return getOrder(error.orderId);
+    }
+    throw error;
+  }
+};
+
+export default {
+  ORDER_STATUS,
+  OrderStateError,
+  PaymentAmountError,
+  canTransition,
+  createOrder,
+  getOrderItems,
+  getOrderCourseIds,
+  getOrder,
+  findOrderByGatewayRef,
+  findOrdersByEmail,
+  listOrders,
+  getPaidAt,
+  transitionOrder,
+  updateOrderDetails,
+  toOrderStatus,
+  recordGatewayStatus,
+  syncGatewayStatus,
+};
@@ -0,0 +1,64 @@
+import { toOrderStatus } from './orders.js';
+
+/**
+ * Normalized payment status
+ * The one response shape the frontend reads, whatever gateway took the payment.
+ */
+
+export const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+};
+
+// Ledger status -> public payment status
+const LEDGER_TO_PAYMENT_STATUS = {
+  created: PAYMENT_STATUS.PENDING,
+  pending: PAYMENT_STATUS.PENDING,
+  paid: PAYMENT_STATUS.COMPLETED,
+  failed: PAYMENT_STATUS.FAILED,
+  refunded: PAYMENT_STATUS.REFUNDED,
+};
+
+/**
+ * Translate a ledger status into the public payment status
+ * @param {string} ledgerStatus
+ * @returns {string}
+ */
+export const toPaymentStatus = (ledgerStatus) =>
+  LEDGER_TO_PAYMENT_STATUS[ledgerStatus] || PAYMENT_STATUS.PENDING;
+
+/**
+ * Build the normalized payment status
+ * The ledger order wins when there is one; the gateway snapshot fills the rest.
+ * @param {object} params - { gateway, snapshot, order }
+ * @returns {object} {
+ *   gateway, ledgerOrderId, paymentStatus, gatewayStatus, amount, currency, method,
+ *   gatewayOrderId, gatewayPaymentId, paidAt, createdAt, updatedAt
+ * }
+ */
+export const buildPaymentStatus = ({ gateway, snapshot = {}, order = null }) => {
+  const ledgerStatus = order?.status || toOrderStatus(gateway, snapshot.gatewayStatus);
+
+  return {
+    gateway,
+    ledgerOrderId: order?.id || null,
+    paymentStatus: toPaymentStatus(ledgerStatus),
+    gatewayStatus: snapshot.gatewayStatus || null,
+    amount: snapshot.amount ?? order?.amount ?? null,
+    currency: snapshot.currency || order?.currency || 'INR',
+    method: snapshot.method || null,
+    gatewayOrderId: snapshot.reference || order?.gatewayOrderId || null,
+    gatewayPaymentId: snapshot.paymentId || order?.gatewayPaymentId || null,
+    paidAt: snapshot.paidAt || null,
+    createdAt: order?.createdAt || null,
+    updatedAt: order?.updatedAt || null,
+  };
+};
+
+export default {
+  PAYMENT_STATUS,
+  toPaymentStatus,
+  buildPaymentStatus,
+};
@@ -0,0 +1,108 @@
+import { ORDER_STATUS, getPaidAt, getOrderItems } from './orders.js';
+import { getSellerDetails } from './business.js';
+import { escapeHtml, formatAmount, formatDate } from '../utils/format.js';
+
+/**
+ * Payment receipts
+ * A receipt confirms what a learner paid for one ledger order, course by
+ * course. It is rendered as a standalone HTML document they can download,
+ * print or save as PDF.
+ */
+
+/**
+ * Can this order have a receipt?
+ * Only orders that were actually paid (including ones refunded later) can.
+ * @param {object} order
+ * @returns {boolean}
+ */
+export const hasReceipt = (order) =>
+  order.status === ORDER_STATUS.PAID || order.status === ORDER_STATUS.REFUNDED;
+
+/**
+ * Collect the data shown on an order's receipt
+ * @param {object} order - Paid or refunded ledger order
+ * @returns {object} Receipt data
+ */
+export const buildReceipt = (order) => ({
+  receiptNumber: `RCPT-${order.id.replace(/^ord_/, '')}`,
+  orderId: order.id,
+  issuedTo: order.customer,
+  items: getOrderItems(order).map(({ courseId, name, price }) => ({ courseId, name, price })),
+  item: getOrderItems(order).map((item) => item.name).join(', '),
+  amount: order.amount,
+  // Older orders have no coupon or bundle fields
+  originalAmount: order.originalAmount ?? order.amount,
+  bundleDiscount: order.bundleDiscount || 0,
+  discount: order.discount || 0,
+  couponCode: order.couponCode || null,
+  currency: order.currency,
+  refundedAmount: order.refundedAmount || 0,
+  status: order.status,
+  gateway: order.gateway,
+  gatewayPaymentId: order.gatewayPaymentId,
+  paidAt: getPaidAt(order),
+  seller: getSellerDetails(),
+});
+
+/**
+ * Render a receipt as a standalone HTML document
+ * @param {object} receipt - buildReceipt() result
+ * @returns {string} HTML
+ */
+export const renderReceiptHtml = (receipt) => {
+  const rows = [
+    ['Receipt No.', receipt.receiptNumber],
+    ['Order ID', receipt.orderId],
+    ['Paid On', formatDate(receipt.paidAt)],
+    ['Payment Gateway', receipt.gateway],
+    ['Payment ID', receipt.gatewayPaymentId || '-'],
+    ['Status', receipt.status === ORDER_STATUS.REFUNDED ? 'Refunded' : 'Paid'],
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+<style>
+  body { font-family: 'Poppins', Arial, sans-serif; color: #0e2431; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+  h1 { color: #2506ad; margin-bottom: 4px; }
+  .muted { color: #666; font-size: 14px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  th, td { text-align: left; padding: 10px; border-bottom: 1px solid #eee; font-size: 14px; }
+  .total td { font-weight: 700; font-size: 16px; }
+  .note { margin-top: 32px; font-size: 12px; color: #888; }
+</style>
+</head>
+<body>
+  <h1>Payment Receipt</h1>
+  <p class="muted">${escapeHtml(receipt.seller.name)} &middot; ${escapeHtml(receipt.seller.address)}<br>
+    ${escapeHtml(receipt.seller.email)} &middot; ${escapeHtml(receipt.seller.phone)}</p>
+
+  <h3>Billed To</h3>
+  <p>${escapeHtml(receipt.issuedTo.name)}<br>${escapeHtml(receipt.issuedTo.email)}<br>${escapeHtml(receipt.issuedTo.phone)}</p>
+
+  <table>
+    ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+
+  <table>
+    <tr><th>Item</th><th>Amount</th></tr>
+    ${receipt.items.map((item) => `<tr><td>${escapeHtml(item.name)}</td><td>${formatAmount(item.price, receipt.currency)}</td></tr>`).join('\n    ')}
+    ${receipt.bundleDiscount ? `<tr><td>Bundle discount</td><td>-${formatAmount(receipt.bundleDiscount, receipt.currency)}</td></tr>` : ''}
+    ${receipt.discount ? `<tr><td>Discount (coupon ${escapeHtml(receipt.couponCode)})</td><td>-${formatAmount(receipt.discount, receipt.currency)}</td></tr>` : ''}
+    ${receipt.refundedAmount ? `<tr><td>Refunded</td><td>-${formatAmount(receipt.refundedAmount, receipt.currency)}</td></tr>` : ''}
+    <tr class="total"><td>Total Paid</td><td>${formatAmount((Math.round(receipt.amount * 100) - Math.round(receipt.refundedAmount * 100)) / 100, receipt.currency)}</td></tr>
+  </table>
+
+  <p class="note">This is a payment receipt, not a tax invoice. Generated ${escapeHtml(formatDate(new Date().toISOString()))}.</p>
+</body>
+</html>
+`;
+};
+
+export default {
+  hasReceipt,
+  buildReceipt,
+  renderReceiptHtml,
+};
@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { getGateway } from '../gateways/index.js';
+import { logger } from '../utils/logger.js';
+import * as orders from './orders.js';
+import { fulfilOrder } from './fulfilment.js';
+import { getSellerDetails } from './business.js';
+import * as notifications from '../notifications/index.js';
+
+/**
+ * Payment reconciliation
+ * Compares the ledger with what each gateway reports (via the adapters'
+ * getStatus: getRazorpayPaymentDetails, checkPhonePeTransactionStatus and
+ * getCashfreeOrderDetails) so orders do not stay pending just because nobody
+ * had payment-status.html open.
+ *
+ * Orders that can still move (created, pending, failed) get the gateway's
+ * status applied and are fulfilled like any other update. Paid and refunded
+ * orders are only compared: a disagreement there goes in the report for a
+ * person to look at, since acting on it means refunds or revoked access.
+ *
+ * The worker sweeps recent open orders every RECONCILIATION_INTERVAL_MINUTES
+ * and once a day writes a report of the previous day (Indian time) to the
+ * `reconciliation_reports` collection, emailing it when something is off.
+ */
+
+export const MISMATCH_TYPE = {
+  // Gateway status leads somewhere the ledger cannot (or, for settled orders, should not) go
+  STATUS: 'status_conflict',
+  AMOUNT: 'amount_mismatch',
+  // Gateway answered with a status the adapter's statusMap does not know
+  UNKNOWN_STATUS: 'unknown_status',
+};
+
+const OPEN_STATUSES = [orders.ORDER_STATUS.CREATED, orders.ORDER_STATUS.PENDING, orders.ORDER_STATUS.FAILED];
+const SETTLED_STATUSES = [orders.ORDER_STATUS.PAID, orders.ORDER_STATUS.REFUNDED];
+
+const reportsStore = () => getStore('reconciliation_reports');
+
+// Younger orders are still in the buyer's hands; leave them to the browser flow
+const getMinAgeMs = () => (Number(process.env.RECONCILIATION_MIN_AGE_MINUTES) || 15) * 60 * 1000;
+const getLookbackDays = () => Number(process.env.RECONCILIATION_LOOKBACK_DAYS) || 3;
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+// YYYY-MM-DD in Indian time, offset by whole days
+const istDate = (offsetDays = 0) =>
+  new Date(Date.now() + 5.5 * 3600000 + offsetDays * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Check one order against its gateway
+ * @param {object} order - Ledger order
+ * @param {object} options - { dryRun }
+ * @returns {Promise<object>} { outcome: 'skipped' | 'unchanged' | 'updated' | 'mismatch' | 'error', ... }
+ */
+const reconcileOrder = async (order, { dryRun }) => {
+  const adapter = getGateway(order.gateway);
+  const reference = adapter && order[adapter.statusReference];
+
+  // Never reached the gateway, so there is nothing to look up
+  if (!reference) {
+    return { outcome: 'skipped' };
+  }
+
+  let snapshot;
+  try {
+    snapshot = await adapter.getStatus(reference);
+  } catch (error) {
+    return { outcome: 'error', error: error.message };
+  }
+
+  const base = {
+    orderId: order.id,
+    gateway: order.gateway,
+    ledgerStatus: order.status,
+    gatewayStatus: snapshot.gatewayStatus,
+  };
+
+  const nextStatus = orders.toOrderStatus(adapter.id, snapshot.gatewayStatus);
+  if (!nextStatus) {
+    return { outcome: 'mismatch', ...base, type: MISMATCH_TYPE.UNKNOWN_STATUS };
+  }
+
+  if (snapshot.amount !== undefined && toPaise(snapshot.amount) !== toPaise(order.amount)) {
+    return {
+      outcome: 'mismatch',
+      ...base,
+      type: MISMATCH_TYPE.AMOUNT,
+      detail: `ledger ₹${order.amount}, gateway ₹${snapshot.amount}`,
+    };
+  }
+
+  if (nextStatus === order.status) {
+    return { outcome: 'unchanged' };
+  }
+
+  // A pending gateway order behind a failed ledger order is a retry in progress
+  if (nextStatus === orders.ORDER_STATUS.PENDING && order.status === orders.ORDER_STATUS.FAILED) {
+    return { outcome: 'unchanged' };
+  }
+
+  // PhonePe and Cashfree orders stay paid after a refund; refunds are tracked separately
+  if (nextStatus === orders.ORDER_STATUS.PAID && order.status === orders.ORDER_STATUS.REFUNDED) {
+    return { outcome: 'unchanged' };
+  }
+
+  if (SETTLED_STATUSES.includes(order.status) || !orders.canTransition(order.status, nextStatus)) {
+    return { outcome: 'mismatch', ...base, type: MISMATCH_TYPE.STATUS };
+  }
+
+  if (dryRun) {
+    return { outcome: 'updated', ...base, from: order.status, to: nextStatus };
+  }
+
+  const updated = await orders.recordGatewayStatus({
+    gateway: adapter.id,
+    reference: snapshot.reference || reference,
+    gatewayStatus: snapshot.gatewayStatus,
+    source: 'reconciliation',
+    fields: snapshot.paymentId ? { gatewayPaymentId: snapshot.paymentId } : {},
+    amount: snapshot.amount,
+  });
+
+  try {
+    await fulfilOrder(updated);
+  } catch (error) {
+    // The ledger is right now; fulfilment is retried by the next status update
+    logger.error('Error fulfilling reconciled order', { orderId: order.id, error: error.message });
+  }
+
+  return { outcome: 'updated', ...base, from: order.status, to: updated.status };
+};
+
+/**
+ * Reconcile the orders created in a date range
+ * @param {object} options
+ *   - from, to: dates (YYYY-MM-DD, Indian time, inclusive) or ISO timestamps
+ *   - includeSettled: also compare paid and refunded orders (report only)
+ *   - dryRun: report what would change without changing it
+ * @returns {Promise<object>} Report:
+ *   { from, to, dryRun, checked, skipped, updated: [...], mismatches: [...], errors: [...],
+ *     startedAt, finishedAt }
+ */
+export const reconcileOrders = async (options = {}) => {
+  const { from, to, includeSettled = false, dryRun = false } = options;
+  const startedAt = new Date().toISOString();
+  const youngest = new Date(Date.now() - getMinAgeMs()).toISOString();
+
+  const statuses = includeSettled ? [...OPEN_STATUSES, ...SETTLED_STATUSES] : OPEN_STATUSES;
+  const candidates = (await orders.listOrders({ from, to })).filter(
+    (order) => statuses.includes(order.status) && order.createdAt <= youngest
+  );
+
+  const report = {
+    from: from || null,
+    to: to || null,
+    includeSettled,
+    dryRun,
+    checked: 0,
+    skipped: 0,
+    updated: [],
+    mismatches: [],
+    errors: [],
+    startedAt,
+    finishedAt: null,
+  };
+
+  // One at a time: gateways rate-limit status APIs
+  for (const order of candidates) {
+    let result;
+    try {
+      result = await reconcileOrder(order, { dryRun });
+    } catch (error) {
+      result = { outcome: 'error', error: error.message };
+    }
+
+    const { outcome, ...entry } = result;
+    switch (outcome) {
+      case 'skipped':
+        report.skipped += 1;
+        break;
+      case 'updated':
+        report.updated.push(entry);
+        break;
+      case 'mismatch':
+        report.mismatches.push(entry);
+        break;
+      case 'error':
+        report.errors.push({ orderId: order.id, gateway: order.gateway, error: entry.error });
+        break;
+      default:
+        break;
+    }
+    if (outcome !== 'skipped') report.checked += 1;
+  }
+
+  report.finishedAt = new Date().toISOString();
+
+  logger[report.mismatches.length || report.errors.length ? 'warn' : 'info']('Reconciliation finished', {
+    from,
+    to,
+    dryRun,
+    checked: report.checked,
+    skipped: report.skipped,
+    updated: report.updated.length,
+    mismatches: report.mismatches.length,
+    errors: report.errors.length,
+  });
+
+  return report;
+};
+
+/**
+ * Store a report so it can be looked at later (admin API)
+ * @param {object} report - From reconcileOrders
+ * @param {object} details - { id, kind: 'daily' | 'manual' }
+ * @returns {Promise<object>} Stored report
+ */
+export const saveReport = async (report, { id, kind = 'manual' } = {}) =>
+  reportsStore().insert({
+    id: id || `recon_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    kind,
+    ...report,
+    createdAt: new Date().toISOString(),
+  });
+
+/**
+ * Get a stored report
+ * @param {string} reportId
+ * @returns {Promise<object|null>}
+ */
+export const getReport = async (reportId) => reportsStore().get(reportId);
+
+/**
+ * List stored reports, newest first
+ * @param {object} filters - { limit }
+ * @returns {Promise<Array<object>>}
+ */
+export const listReports = async ({ limit = 30 } = {}) => {
+  const all = await reportsStore().all();
+  return all.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, limit);
+};
+
+/**
+ * Reconcile yesterday (Indian time), store the report and email it if anything is off
+ * Runs once per day: a report that already exists is returned as is.
+ * @returns {Promise<object>} Stored report
+ */
+export const runDailyReconciliation = async () => {
+  const day = istDate(-1);
+  const id = `recon_daily_${day}`;
+
+  const existing = await getReport(id);
+  if (existing) return existing;
+
+  const report = await saveReport(
+    await reconcileOrders({ from: day, to: day, includeSettled: true }),
+    { id, kind: 'daily' }
+  );
+
+  if (report.mismatches.length || report.errors.length) {
+    await notifications
+      .notify(notifications.NOTIFICATION_EVENT.RECONCILIATION_REPORT, {
+        report,
+        to: process.env.RECONCILIATION_REPORT_EMAIL || getSellerDetails().email,
+      })
+      .catch((error) => {
+        logger.error('Error queueing reconciliation report', { reportId: id, error: error.message });
+      });
+  }
+
+  return report;
+};
+
+let worker = null;
+
+/**
+ * Start reconciling in the background
+ * Every RECONCILIATION_INTERVAL_MINUTES (default 30; 0 turns it off) open orders from the
+ * last RECONCILIATION_LOOKBACK_DAYS (default 3) are swept, and the daily report is
+ * written if it is missing. Calling it twice is a no-op.
+ */
+export const startReconciliationWorker = () => {
+  if (worker) return;
+
+  const configured = process.env.RECONCILIATION_INTERVAL_MINUTES;
+  const intervalMinutes = configured === undefined || configured === '' ? 30 : Number(configured);
+  if (!(intervalMinutes > 0)) {
+    logger.info('Reconciliation worker disabled');
+    return;
+  }
+
+  let running = false;
+
+  worker = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reconcileOrders({ from: istDate(-getLookbackDays()) });
+      await runDailyReconciliation();
+    } catch (error) {
+      logger.error('Error running reconciliation', { error: error.message });
+    } finally {
+      running = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Never keep the process alive just for reconciliation
+  worker.unref();
+
+  logger.info('Reconciliation worker started', { intervalMinutes });
+};
+
+/**
+ * Stop the background worker
+ */
+export const stopReconciliationWorker = () => {
+  clearInterval(worker);
+  worker = null;
+};
+
+export default {
+  MISMATCH_TYPE,
+  reconcileOrders,
+  saveReport,
+  getReport,
+  listReports,
+  runDailyReconciliation,
+  startReconciliationWorker,
+  stopReconciliationWorker,
+};
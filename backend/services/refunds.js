@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { getGateway } from '../gateways/index.js';
+import { logger } from '../utils/logger.js';
+import * as orders from './orders.js';
+import * as enrollments from './enrollments.js';
+import * as notifications from '../notifications/index.js';
+
+/**
+ * Refunds
+ * Every refund is recorded before the gateway is called and is checked against
+ * what the order actually captured and the cancellation policy
+ * (cancellation-refunds.html: refunds within 7 days of purchase).
+ */
+
+export const REFUND_STATUS = {
+  PENDING: 'pending',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+};
+
+/**
+ * Raised when a refund request is not allowed; carries the HTTP status to answer with
+ */
+export class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+const refundsStore = () => getStore('refunds');
+
+const getRefundWindowDays = () => Number(process.env.REFUND_WINDOW_DAYS) || 7;
+
+// Work in paise so partial refunds never drift by floating point
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Email the learner about a refund; the refund stands even if that fails
+ * @param {object} refund
+ * @param {object} order
+ */
+const notifyRefund = async (refund, order) => {
+  try {
+    await notifications.notifyRefundUpdate(refund, order);
+  } catch (error) {
+    logger.error('Error queueing refund email', { refundId: refund.id, error: error.message });
+  }
+};
+
+/**
+ * Sum of refunds against an order that have not failed
+ * @param {string} orderId
+ * @returns {Promise<number>} Amount in rupees
+ */
+export const getRefundedAmount = async (orderId) => {
+  const refunds = await refundsStore().find(
+    (refund) => refund.orderId === orderId && refund.status !== REFUND_STATUS.FAILED
+  );
+  return refunds.reduce((total, refund) => total + toPaise(refund.amount), 0) / 100;
+};
+
+/**
+ * Check a refund against the captured amount and the cancellation policy
+ * @param {object} params - { order, amount, refundedAmount, overridePolicy }
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export const checkRefundEligibility = ({ order, amount, refundedAmount, overridePolicy = false }) => {
+  if (order.status !== orders.ORDER_STATUS.PAID) {
+    return { valid: false, error: `Only paid orders can be refunded (order is ${order.status})` };
+  }
+
+  const refundablePaise = toPaise(order.amount) - toPaise(refundedAmount);
+  if (toPaise(amount) > refundablePaise) {
+    return {
+      valid: false,
+      error: `Refund of ₹${amount} exceeds the refundable amount (₹${refundablePaise / 100} of ₹${order.amount})`,
+    };
+  }
+
+  const windowDays = getRefundWindowDays();
+  const paidAt = orders.getPaidAt(order);
+  const daysSincePayment = paidAt ? (Date.now() - new Date(paidAt).getTime()) / 86400000 : 0;
+
+  if (daysSincePayment > windowDays && !overridePolicy) {
+    return {
+      valid: false,
+      error: `Refund window of ${windowDays} days has passed (paid ${paidAt}). Set overridePolicy to refund anyway`,
+    };
+  }
+
+  return { valid: true };
+};
+
+// Refunds of one order go one at a time, so each sees what the previous ones took
+const orderQueues = new Map();
+
+const serializeForOrder = (orderId, task) => {
+  const key = String(orderId);
+  const run = (orderQueues.get(key) || Promise.resolve()).then(task);
+  // Keep the queue going even if this refund fails, and forget the order once it is idle
+  const tail = run.catch(() => {});
+  orderQueues.set(key, tail);
+  tail.then(() => {
+    if (orderQueues.get(key) === tail) orderQueues.delete(key);
+  });
+  return run;
+};
+
+/**
+ * Refund an order, fully or partially
+ * Runs after any other refund of the same order has finished, so two admins
+ * refunding at once cannot return more than was captured.
+ * @param {object} params - { orderId, amount, reason, overridePolicy, requestedBy }
+ *   amount defaults to everything not yet refunded; requestedBy names the admin
+ * @returns {Promise<object>} { refund, order }
+ * @throws {RefundError} If the refund is not allowed
+ */
+export const createRefund = (params) => serializeForOrder(params.orderId, () => refundOrder(params));
+
+const refundOrder = async (params) => {
+  const { orderId, reason, overridePolicy = false, requestedBy = null } = params;
+
+  const order = await orders.getOrder(orderId);
+  if (!order) {
+    throw new RefundError(`Order not found: ${orderId}`, 404);
+  }
+
+  if (!order.gatewayPaymentId && !order.gatewayOrderId) {
+    throw new RefundError('Order has no gateway payment to refund', 409);
+  }
+
+  const refundedAmount = await getRefundedAmount(order.id);
+  const amount = params.amount !== undefined
+    ? Number(params.amount)
+    : (toPaise(order.amount) - toPaise(refundedAmount)) / 100;
+
+  const eligibility = checkRefundEligibility({ order, amount, refundedAmount, overridePolicy });
+  if (!eligibility.valid) {
+    throw new RefundError(eligibility.error, 422);
+  }
+
+  const adapter = getGateway(order.gateway);
+  const now = new Date().toISOString();
+
+  const refund = await refundsStore().insert({
+    id: `rfnd_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    orderId: order.id,
+    gateway: order.gateway,
+    amount,
+    reason,
+    type: toPaise(amount) === toPaise(order.amount) ? 'full' : 'partial',
+    policyOverridden: overridePolicy,
+    requestedBy,
+    status: REFUND_STATUS.PENDING,
+    gatewayRefundId: null,
+    gatewayStatus: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  logger.info('Refund recorded', { refundId: refund.id, orderId: order.id, amount });
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await adapter.refund({
+      orderId: order.gatewayOrderId,
+      paymentId: order.gatewayPaymentId,
+      amount,
+      refundId: refund.id,
+      reason,
+    });
+  } catch (error) {
+    await refundsStore().update(refund.id, {
+      status: REFUND_STATUS.FAILED,
+      error: error.message,
+      updatedAt: new Date().toISOString(),
+    });
+    throw error;
+  }
+
+  const updatedRefund = await refundsStore().update(refund.id, {
+    gatewayRefundId: gatewayRefund.gatewayRefundId,
+    gatewayStatus: gatewayRefund.gatewayStatus,
+    status: adapter.refundStatusMap[gatewayRefund.gatewayStatus] || REFUND_STATUS.PENDING,
+    updatedAt: new Date().toISOString(),
+  });
+
+  // The order is refunded once nothing refundable is left
+  const totalRefunded = (toPaise(refundedAmount) + toPaise(amount)) / 100;
+  const updatedOrder = toPaise(totalRefunded) >= toPaise(order.amount)
+    ? await orders.transitionOrder(order.id, orders.ORDER_STATUS.REFUNDED, {
+      source: 'refund',
+      note: `Refund ${refund.id}`,
+      refundedAmount: totalRefunded,
+    })
+    : await orders.updateOrderDetails(order.id, { refundedAmount: totalRefunded });
+
+  // A fully refunded order no longer pays for the course; the refund itself stands either way
+  await enrollments.syncEnrollmentForOrder(updatedOrder).catch((error) => {
+    logger.error('Error revoking enrollment after refund', { orderId: order.id, error: error.message });
+  });
+
+  await notifyRefund(updatedRefund, updatedOrder);
+
+  return { refund: updatedRefund, order: updatedOrder };
+};
+
+/**
+ * Get a refund, refreshing its status from the gateway while it is pending
+ * @param {string} refundId
+ * @returns {Promise<object|null>} Refund record, or null if unknown
+ */
+export const getRefund = async (refundId) => {
+  const refund = await refundsStore().get(refundId);
+
+  if (!refund || refund.status !== REFUND_STATUS.PENDING || !refund.gatewayRefundId) {
+    return refund;
+  }
+
+  const order = await orders.getOrder(refund.orderId);
+  const adapter = getGateway(refund.gateway);
+
+  const gatewayRefund = await adapter.getRefundStatus({
+    orderId: order.gatewayOrderId,
+    paymentId: order.gatewayPaymentId,
+    gatewayRefundId: refund.gatewayRefundId,
+  });
+
+  const status = adapter.refundStatusMap[gatewayRefund.gatewayStatus] || REFUND_STATUS.PENDING;
+
+  if (status === refund.status) {
+    return refund;
+  }
+
+  const updated = await refundsStore().update(refund.id, {
+    status,
+    gatewayStatus: gatewayRefund.gatewayStatus,
+    updatedAt: new Date().toISOString(),
+  });
+
+  logger.info('Refund status updated', { refundId, from: refund.status, to: status });
+
+  await notifyRefund(updated, order);
+
+  if (status === REFUND_STATUS.FAILED) {
+    const refundedAmount = await getRefundedAmount(order.id);
+    await orders.updateOrderDetails(order.id, { refundedAmount });
+    if (order.status === orders.ORDER_STATUS.REFUNDED) {
+      // The ledger cannot move back to paid on its own; someone has to look at it
+      logger.error('Refund failed on an order already marked refunded', {
+        refundId,
+        orderId: order.id,
+        refundedAmount,
+      });
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * List refunds for an order
+ * @param {string} orderId
+ * @returns {Promise<Array<object>>}
+ */
+export const listRefundsForOrder = async (orderId) =>
+  refundsStore().find((refund) => refund.orderId === orderId);
+
+export default {
+  REFUND_STATUS,
+  RefundError,
+  getRefundedAmount,
+  checkRefundEligibility,
+  createRefund,
+  getRefund,
+  listRefundsForOrder,
+};
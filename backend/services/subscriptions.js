@@ -0,0 +1,541 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { getGateway } from '../gateways/index.js';
+import { logger } from '../utils/logger.js';
+import * as notifications from '../notifications/index.js';
+import * as catalog from './catalog.js';
+import * as orders from './orders.js';
+import * as enrollments from './enrollments.js';
+
+/**
+ * Installment subscriptions
+ * A course on an installment plan (data/catalog.json) is paid in monthly
+ * installments through a gateway subscription. Every installment the gateway
+ * charges becomes a paid ledger order of its own, so it is invoiced, emailed
+ * and reconciled like any other payment, and the first one enrolls the learner.
+ * When the gateway gives up on an overdue installment (halted) the enrollment
+ * is suspended; paying it brings the access back.
+ *
+ *   created ─→ active ⇄ pending ─→ halted ─→ active
+ *      │          │         │         │
+ *      └──────────┴─────────┴─────────┴─→ cancelled / completed
+ */
+
+export const SUBSCRIPTION_STATUS = {
+  CREATED: 'created',
+  ACTIVE: 'active',
+  // A charge failed and the gateway is retrying it
+  PENDING: 'pending',
+  // The gateway stopped retrying; access is suspended until it is paid
+  HALTED: 'halted',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+};
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  created: ['active', 'pending', 'halted', 'cancelled', 'completed'],
+  active: ['pending', 'halted', 'cancelled', 'completed'],
+  pending: ['active', 'halted', 'cancelled', 'completed'],
+  halted: ['active', 'cancelled', 'completed'],
+  cancelled: [],
+  completed: [],
+};
+
+// A subscription in one of these already pays for its course
+const OPEN_STATUSES = [SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.PENDING, SUBSCRIPTION_STATUS.HALTED];
+
+/**
+ * Raised when a subscription cannot be created or changed; carries the HTTP status to answer with
+ */
+export class SubscriptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.status = status;
+  }
+}
+
+const subscriptionsStore = () => getStore('subscriptions');
+const gatewayPlansStore = () => getStore('gateway_plans');
+
+// Webhook and browser often report the same installment at once; handle one update at a time
+let updateQueue = Promise.resolve();
+
+const serialize = (task) => {
+  const run = updateQueue.then(task);
+  // Keep the queue going even if this update fails
+  updateQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Whether a gateway can charge installments
+ * @param {object|null} adapter - Gateway adapter
+ * @returns {boolean}
+ */
+export const supportsInstallments = (adapter) => typeof adapter?.createSubscription === 'function';
+
+/**
+ * Get the gateway's copy of an installment plan, creating it the first time
+ * Gateway plans cannot be changed, so a repriced plan gets a new one.
+ * @param {object} adapter - Gateway adapter
+ * @param {object} plan - Installment plan from the catalog
+ * @returns {Promise<object>} { id, gateway, planId, gatewayPlanId, amount, period }
+ */
+export const ensureGatewayPlan = async (adapter, plan) => {
+  const id = `${adapter.id}:${plan.id}`;
+  const existing = await gatewayPlansStore().get(id);
+
+  if (existing && existing.amount === plan.amount && existing.period === plan.period) {
+    return existing;
+  }
+
+  const { gatewayPlanId } = await adapter.createPlan({
+    planId: plan.id,
+    name: `${plan.courseName} (${plan.installments} installments)`,
+    amount: plan.amount,
+    currency: plan.currency,
+    period: plan.period,
+  });
+
+  const record = {
+    gateway: adapter.id,
+    planId: plan.id,
+    gatewayPlanId,
+    amount: plan.amount,
+    period: plan.period,
+    createdAt: new Date().toISOString(),
+  };
+
+  logger.info('Gateway plan created', { id, gatewayPlanId, replaces: existing?.gatewayPlanId });
+
+  return existing ? gatewayPlansStore().update(id, record) : gatewayPlansStore().insert({ id, ...record });
+};
+
+/**
+ * Get a subscription by its ledger ID
+ * @param {string} subscriptionId
+ * @returns {Promise<object|null>}
+ */
+export const getSubscription = async (subscriptionId) => subscriptionsStore().get(subscriptionId);
+
+/**
+ * Find a subscription by its gateway subscription ID (or ledger ID)
+ * @param {string} gateway
+ * @param {string} reference
+ * @returns {Promise<object|null>}
+ */
+export const findSubscriptionByGatewayRef = async (gateway, reference) => {
+  if (!reference) return null;
+
+  return subscriptionsStore().findOne(
+    (subscription) =>
+      subscription.gateway === gateway &&
+      (subscription.id === reference || subscription.gatewaySubscriptionId === reference)
+  );
+};
+
+/**
+ * Search subscriptions, newest first
+ * @param {object} filters - { status, email (exact), courseId }
+ * @returns {Promise<Array<object>>}
+ */
+export const listSubscriptions = async (filters = {}) => {
+  const { status, courseId } = filters;
+  const email = filters.email ? String(filters.email).trim().toLowerCase() : '';
+
+  const found = await subscriptionsStore().find(
+    (subscription) =>
+      (!status || subscription.status === status) &&
+      (!email || subscription.customer.email === email) &&
+      (!courseId || subscription.courseId === Number(courseId))
+  );
+  return found.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Move a subscription to a new status
+ * Repeating the current status only stores the fields; out-of-order gateway
+ * reports (e.g. "active" after "completed") are logged and ignored.
+ * @param {object} subscription
+ * @param {string} nextStatus
+ * @param {object} details - { source, note, ...fields to store on the subscription }
+ * @returns {Promise<object>} Updated subscription
+ */
+const transitionSubscription = async (subscription, nextStatus, details = {}) => {
+  const { source = 'system', note, ...fields } = details;
+  const now = new Date().toISOString();
+
+  if (subscription.status === nextStatus || !(TRANSITIONS[subscription.status] || []).includes(nextStatus)) {
+    if (subscription.status !== nextStatus) {
+      logger.warn('Ignoring subscription status that conflicts with ledger', {
+        subscriptionId: subscription.id,
+        from: subscription.status,
+        to: nextStatus,
+        source,
+      });
+    }
+    return Object.keys(fields).length
+      ? subscriptionsStore().update(subscription.id, { ...fields, updatedAt: now })
+      : subscription;
+  }
+
+  const updated = await subscriptionsStore().update(subscription.id, {
+    ...fields,
+    status: nextStatus,
+    history: [
+      ...subscription.history,
+      { from: subscription.status, to: nextStatus, at: now, source, ...(note && { note }) },
+    ],
+    updatedAt: now,
+  });
+
+  logger.info('Subscription status updated', {
+    subscriptionId: subscription.id,
+    from: subscription.status,
+    to: nextStatus,
+    source,
+  });
+
+  return updated;
+};
+
+/**
+ * Start paying for a course in installments
+ * Records the subscription, then asks the gateway for one the learner
+ * authorizes at checkout (which also pays the first installment).
+ * @param {object} params - { planId, gateway, customer }
+ * @returns {Promise<object>} { subscription, checkout } - checkout is the gateway's data for the browser
+ * @throws {SubscriptionError} Unknown plan, gateway without installments, or already paying
+ */
+export const createSubscription = async (params) => {
+  const { planId, gateway = 'razorpay', customer } = params;
+
+  const plan = catalog.getInstallmentPlan(planId);
+  if (!plan) {
+    throw new SubscriptionError(`Unknown installment plan: ${planId}`, 404);
+  }
+
+  const adapter = getGateway(gateway);
+  if (!supportsInstallments(adapter)) {
+    throw new SubscriptionError(`${adapter?.name || gateway} does not support installments`);
+  }
+
+  const email = customer.email.toLowerCase();
+  const open = await subscriptionsStore().findOne(
+    (subscription) =>
+      subscription.customer.email === email &&
+      subscription.courseId === plan.courseId &&
+      OPEN_STATUSES.includes(subscription.status)
+  );
+  if (open) {
+    throw new SubscriptionError(`You are already paying for ${plan.courseName} in installments`, 409);
+  }
+
+  const gatewayPlan = await ensureGatewayPlan(adapter, plan);
+  const now = new Date().toISOString();
+
+  // Recorded before the gateway is called so failed attempts are visible too
+  const subscription = await subscriptionsStore().insert({
+    id: `subs_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    planId: plan.id,
+    courseId: plan.courseId,
+    courseName: plan.courseName,
+    amount: plan.amount,
+    installments: plan.installments,
+    totalAmount: plan.totalAmount,
+    currency: plan.currency,
+    period: plan.period,
+    gateway: adapter.id,
+    gatewayPlanId: gatewayPlan.gatewayPlanId,
+    gatewaySubscriptionId: null,
+    paymentLink: null,
+    customer: {
+      name: customer.name,
+      email,
+      phone: customer.phone,
+      ...(customer.gstin && {
+        gstin: customer.gstin.trim().toUpperCase(),
+        businessName: customer.businessName.trim(),
+      }),
+    },
+    status: SUBSCRIPTION_STATUS.CREATED,
+    paidCount: 0,
+    orderIds: [],
+    history: [{ from: null, to: SUBSCRIPTION_STATUS.CREATED, at: now, source: 'create-subscription' }],
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  let created;
+  try {
+    created = await adapter.createSubscription({
+      subscriptionId: subscription.id,
+      gatewayPlanId: gatewayPlan.gatewayPlanId,
+      installments: plan.installments,
+      customer: subscription.customer,
+      description: `${plan.courseName} in ${plan.installments} installments`,
+    });
+  } catch (error) {
+    await transitionSubscription(subscription, SUBSCRIPTION_STATUS.CANCELLED, {
+      source: 'create-subscription',
+      note: error.message,
+    });
+    throw error;
+  }
+
+  const updated = await subscriptionsStore().update(subscription.id, {
+    gatewaySubscriptionId: created.gatewaySubscriptionId,
+    paymentLink: created.paymentLink || null,
+    updatedAt: new Date().toISOString(),
+  });
+
+  logger.info('Subscription created', {
+    subscriptionId: subscription.id,
+    planId,
+    gateway: adapter.id,
+    gatewaySubscriptionId: created.gatewaySubscriptionId,
+  });
+
+  return { subscription: updated, checkout: created.subscription };
+};
+
+/**
+ * Record a charged installment as a paid ledger order
+ * Reporting the same payment again returns the order already recorded for it.
+ * @param {object} subscription
+ * @param {object} payment - PaymentSnapshot of the installment
+ * @param {string} source
+ * @returns {Promise<object>} { subscription, order }
+ */
+const recordInstallment = async (subscription, payment, source) => {
+  const recorded = await orders.findOrderByGatewayRef(subscription.gateway, payment.paymentId);
+  if (recorded) {
+    return { subscription, order: recorded };
+  }
+
+  const number = subscription.orderIds.length + 1;
+  const course = catalog.getCourse(subscription.courseId);
+  const name = `${course?.name || subscription.courseName} (installment ${number} of ${subscription.installments})`;
+
+  const order = await orders.createOrder({
+    // Each installment is invoiced at what it costs, with no discount against the course price
+    items: [{ courseId: subscription.courseId, name, price: subscription.amount, amount: subscription.amount, bundleId: null }],
+    amount: subscription.amount,
+    currency: subscription.currency,
+    gateway: subscription.gateway,
+    customer: subscription.customer,
+    description: `Payment for ${name}`,
+    installment: { subscriptionId: subscription.id, number, count: subscription.installments },
+  });
+
+  // Linked straight away, so a redelivery finds this order even if the amount check below fails
+  await subscriptionsStore().update(subscription.id, {
+    orderIds: [...subscription.orderIds, order.id],
+    updatedAt: new Date().toISOString(),
+  });
+
+  await orders.transitionOrder(order.id, orders.ORDER_STATUS.PENDING, {
+    source,
+    gatewayOrderId: payment.reference || null,
+    gatewayPaymentId: payment.paymentId,
+  });
+
+  // Checks the amount, like every other payment
+  const paid = await orders.recordGatewayStatus({
+    gateway: subscription.gateway,
+    reference: payment.paymentId,
+    gatewayStatus: payment.gatewayStatus,
+    source,
+    amount: payment.amount,
+  });
+
+  const updated = await subscriptionsStore().update(subscription.id, {
+    paidCount: Math.max(subscription.paidCount, number),
+    updatedAt: new Date().toISOString(),
+  });
+
+  return { subscription: updated, order: paid };
+};
+
+/**
+ * Suspend the access this subscription paid for, and tell the learner
+ * Access granted by an admin or another order is not the subscription's to take away.
+ * @param {object} subscription
+ * @param {string} source
+ * @returns {Promise<object|null>} Suspended enrollment, or null if there was nothing to suspend
+ */
+const suspendAccess = async (subscription, source) => {
+  const { email } = subscription.customer;
+  const existing = await enrollments.findEnrollment(email, subscription.courseId);
+
+  if (existing?.status !== enrollments.ENROLLMENT_STATUS.ACTIVE || !subscription.orderIds.includes(existing.orderId)) {
+    return null;
+  }
+
+  const suspended = await enrollments.suspendEnrollment({
+    email,
+    courseId: subscription.courseId,
+    source,
+    reason: `Installment ${subscription.paidCount + 1} of ${subscription.installments} is overdue (${subscription.id})`,
+  });
+
+  const event =
+    subscription.status === SUBSCRIPTION_STATUS.HALTED
+      ? notifications.NOTIFICATION_EVENT.INSTALLMENT_OVERDUE
+      : notifications.NOTIFICATION_EVENT.SUBSCRIPTION_CANCELLED;
+
+  await notifications.notify(event, { subscription, to: email }).catch((error) => {
+    logger.error('Error queueing subscription email', {
+      subscriptionId: subscription.id,
+      error: error.message,
+    });
+  });
+
+  return suspended;
+};
+
+/**
+ * Apply what a gateway reports about a subscription
+ * Used by the checkout verify call and by webhooks. A charged installment is
+ * recorded as a paid order (fulfil it to enroll and invoice); a halted
+ * subscription, or one cancelled before it was paid off, suspends the access.
+ * @param {object} params - { gateway, reference, gatewayStatus, paidCount, payment, source }
+ *   reference is the gateway subscription ID; gatewayStatus and payment (PaymentSnapshot) are optional
+ * @returns {Promise<object>} { subscription, order } - either may be null
+ */
+export const recordSubscriptionUpdate = (params) =>
+  serialize(async () => {
+    const { gateway, reference, gatewayStatus, payment, source } = params;
+
+    let subscription = await findSubscriptionByGatewayRef(gateway, reference);
+    if (!subscription) {
+      logger.warn('No subscription for gateway reference', { gateway, reference, source });
+      return { subscription: null, order: null };
+    }
+
+    let order = null;
+    if (payment?.paymentId && orders.toOrderStatus(gateway, payment.gatewayStatus) === orders.ORDER_STATUS.PAID) {
+      ({ subscription, order } = await recordInstallment(subscription, payment, source));
+    }
+
+    // A paid installment brings a pending or halted subscription back
+    const reported = getGateway(gateway)?.subscriptionStatusMap[gatewayStatus];
+    const nextStatus = reported || (order ? SUBSCRIPTION_STATUS.ACTIVE : null);
+
+    const fields = {};
+    if (Number.isInteger(params.paidCount) && params.paidCount > subscription.paidCount) {
+      fields.paidCount = params.paidCount;
+    }
+
+    if (nextStatus) {
+      subscription = await transitionSubscription(subscription, nextStatus, {
+        source,
+        note: gatewayStatus ? `${gateway} reported ${gatewayStatus}` : undefined,
+        ...fields,
+      });
+    } else if (Object.keys(fields).length) {
+      subscription = await subscriptionsStore().update(subscription.id, {
+        ...fields,
+        updatedAt: new Date().toISOString(),
+      });
+    }
+
+    const unpaid = subscription.paidCount < subscription.installments;
+    if (
+      subscription.status === SUBSCRIPTION_STATUS.HALTED ||
+      (subscription.status === SUBSCRIPTION_STATUS.CANCELLED && unpaid)
+    ) {
+      await suspendAccess(subscription, source);
+    }
+
+    return { subscription, order };
+  });
+
+/**
+ * Check the payment the learner just made at checkout and record it
+ * @param {object} params - { subscriptionId, paymentId, signature }
+ * @returns {Promise<object>} { verification, subscription, order }
+ * @throws {SubscriptionError} If the subscription does not exist
+ */
+export const verifySubscriptionPayment = async (params) => {
+  const { subscriptionId, paymentId, signature } = params;
+
+  const subscription = await getSubscription(subscriptionId);
+  if (!subscription?.gatewaySubscriptionId) {
+    throw new SubscriptionError('Subscription not found', 404);
+  }
+
+  const adapter = getGateway(subscription.gateway);
+  const verification = await adapter.verifySubscription({
+    gatewaySubscriptionId: subscription.gatewaySubscriptionId,
+    paymentId,
+    signature,
+  });
+
+  if (!verification.success) {
+    return { verification, subscription, order: null };
+  }
+
+  const result = await recordSubscriptionUpdate({
+    gateway: subscription.gateway,
+    reference: subscription.gatewaySubscriptionId,
+    payment: verification,
+    source: 'verify-subscription',
+  });
+
+  return { verification, ...result };
+};
+
+/**
+ * Stop a subscription: the gateway charges nothing more
+ * Access the learner has not paid for yet is suspended.
+ * @param {string} subscriptionId
+ * @param {object} options - { source, reason }
+ * @returns {Promise<object>} Cancelled subscription
+ * @throws {SubscriptionError} If it does not exist or has already ended
+ */
+export const cancelSubscription = async (subscriptionId, { source = 'admin', reason } = {}) => {
+  const subscription = await getSubscription(subscriptionId);
+  if (!subscription) {
+    throw new SubscriptionError('Subscription not found', 404);
+  }
+  if (!(TRANSITIONS[subscription.status] || []).includes(SUBSCRIPTION_STATUS.CANCELLED)) {
+    throw new SubscriptionError(`Subscription is ${subscription.status}`, 409);
+  }
+
+  if (subscription.gatewaySubscriptionId) {
+    await getGateway(subscription.gateway).cancelSubscription({
+      gatewaySubscriptionId: subscription.gatewaySubscriptionId,
+    });
+  }
+
+  return serialize(async () => {
+    const cancelled = await transitionSubscription(
+      await getSubscription(subscriptionId),
+      SUBSCRIPTION_STATUS.CANCELLED,
+      { source, note: reason }
+    );
+
+    if (cancelled.paidCount < cancelled.installments) {
+      await suspendAccess(cancelled, source);
+    }
+
+    return cancelled;
+  });
+};
+
+export default {
+  SUBSCRIPTION_STATUS,
+  SubscriptionError,
+  supportsInstallments,
+  ensureGatewayPlan,
+  getSubscription,
+  findSubscriptionByGatewayRef,
+  listSubscriptions,
+  createSubscription,
+  recordSubscriptionUpdate,
+  verifySubscriptionPayment,
+  cancelSubscription,
+};
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { getStore } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Webhook event log
+ * Every verified delivery is stored with its raw body. Deliveries of an event
+ * we have already processed are acknowledged without being processed again.
+ */
+
+export const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+};
+
+// Headers that carry credentials are never written to disk
+const REDACTED_HEADERS = ['authorization', 'cookie'];
+
+const eventsStore = () => getStore('webhook_events');
+
+// Razorpay retries failed deliveries for up to 24 hours with the original created_at
+const getMaxEventAgeSeconds = () => Number(process.env.WEBHOOK_MAX_AGE_SECONDS) || 24 * 60 * 60;
+
+/**
+ * Hash a raw webhook body (used when the gateway sends no event ID)
+ * @param {string} rawBody
+ * @returns {string} SHA256 hex digest
+ */
+export const hashPayload = (rawBody) =>
+  crypto.createHash('sha256').update(rawBody || '').digest('hex');
+
+/**
+ * Check whether an event is older than we accept
+ * @param {string} eventAt - ISO timestamp reported by the gateway
+ * @returns {boolean}
+ */
+export const isEventTooOld = (eventAt) => {
+  if (!eventAt) return false;
+  const ageSeconds = (Date.now() - new Date(eventAt).getTime()) / 1000;
+  return ageSeconds > getMaxEventAgeSeconds();
+};
+
+/**
+ * Store a webhook delivery, or detect that it was already handled
+ * @param {object} params - { gateway, eventId, eventType, eventAt, rawBody, headers }
+ * @returns {Promise<object>} { event, duplicate }
+ */
+export const recordWebhookEvent = async (params) => {
+  const { gateway, eventId, eventType, eventAt, rawBody, headers = {} } = params;
+
+  const payloadHash = hashPayload(rawBody);
+  const id = `${gateway}:${eventId || payloadHash}`;
+  const now = new Date().toISOString();
+
+  const existing = await eventsStore().get(id);
+
+  // A failed attempt is retried; anything else has been (or is being) handled
+  if (existing && existing.status !== WEBHOOK_EVENT_STATUS.FAILED) {
+    const event = await eventsStore().update(id, {
+      duplicateCount: (existing.duplicateCount || 0) + 1,
+      lastDuplicateAt: now,
+    });
+    logger.info('Duplicate webhook event acknowledged', { id, status: existing.status });
+    return { event, duplicate: true };
+  }
+
+  const storedHeaders = Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !REDACTED_HEADERS.includes(name.toLowerCase()))
+  );
+
+  if (existing) {
+    const event = await eventsStore().update(id, {
+      status: WEBHOOK_EVENT_STATUS.RECEIVED,
+      attempts: (existing.attempts || 1) + 1,
+      rawBody,
+      headers: storedHeaders,
+      receivedAt: now,
+    });
+    return { event, duplicate: false };
+  }
+
+  try {
+    const event = await eventsStore().insert({
+      id,
+      gateway,
+      eventId: eventId || null,
+      eventType: eventType || null,
+      eventAt: eventAt || null,
+      payloadHash,
+      rawBody,
+      headers: storedHeaders,
+      status: WEBHOOK_EVENT_STATUS.RECEIVED,
+      attempts: 1,
+      duplicateCount: 0,
+      receivedAt: now,
+      processedAt: null,
+      error: null,
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    // Two deliveries of the same event raced; the other one owns it
+    if (await eventsStore().get(id)) {
+      return { event: await eventsStore().get(id), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark an event as fully processed
+ * @param {string} id
+ * @param {object} details - e.g. { orderId }
+ * @returns {Promise<object>}
+ */
+export const markWebhookProcessed = async (id, details = {}) =>
+  eventsStore().update(id, {
+    ...details,
+    status: WEBHOOK_EVENT_STATUS.PROCESSED,
+    processedAt: new Date().toISOString(),
+    error: null,
+  });
+
+/**
+ * Mark an event as failed so the next delivery processes it again
+ * @param {string} id
+ * @param {string} errorMessage
+ * @returns {Promise<object>}
+ */
+export const markWebhookFailed = async (id, errorMessage) =>
+  eventsStore().update(id, {
+    status: WEBHOOK_EVENT_STATUS.FAILED,
+    error: errorMessage,
+  });
+
+/**
+ * List stored events, newest first
+ * @param {object} filter - { gateway, orderId }
+ * @returns {Promise<Array<object>>}
+ */
+export const listWebhookEvents = async (filter = {}) => {
+  const events = await eventsStore().find(
+    (event) =>
+      (!filter.gateway || event.gateway === filter.gateway) &&
+      (!filter.orderId || event.orderId === filter.orderId)
+  );
+  return events.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+};
+
+export default {
+  WEBHOOK_EVENT_STATUS,
+  hashPayload,
+  isEventTooOld,
+  recordWebhookEvent,
+  markWebhookProcessed,
+  markWebhookFailed,
+  listWebhookEvents,
+};
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as auth from '../services/auth.js';
+import { startServer, stopServer, request, uniqueId } from './harness.js';
+
+before(startServer);
+after(stopServer);
+
+const ADMIN_EMAIL = 'ops@example.com';
+
+const askForLogin = (email) => request('POST', '/api/auth/login', { body: { email } });
+
+describe('POST /api/auth/login', () => {
+  it('answers an unknown email exactly like a known one', async () => {
+    const unknown = await askForLogin(`${uniqueId('nobody')}@example.com`);
+    const known = await askForLogin(ADMIN_EMAIL);
+
+    assert.equal(unknown.status, 200);
+    assert.equal(known.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+  });
+
+  it('limits requests for an unknown email like a known one', async () => {
+    const email = `${uniqueId('nobody')}@example.com`;
+
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await askForLogin(email)).status, 200);
+    }
+    const limited = await askForLogin(email);
+
+    assert.equal(limited.status, 429);
+  });
+
+  it('logs a failed login email instead of failing the request', async () => {
+    process.env.MAIL_TRANSPORT = 'broken';
+    try {
+      const { delivery } = await auth.requestLogin(ADMIN_EMAIL);
+
+      assert.equal(await delivery, false);
+    } finally {
+      process.env.MAIL_TRANSPORT = 'file';
+    }
+  });
+});
@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { hmacSha256 } from '../utils/signatures.js';
+import { getStore } from '../db/index.js';
+import { resetGatewayHealth } from '../services/gatewayHealth.js';
+import { stubRequest, resetRequests } from './stubs/axios.js';
+import { stubRazorpay, resetRazorpay } from './stubs/razorpay.js';
+
+/**
+ * Test harness
+ * Boots server.js in this process and talks to it over HTTP, with gateways
+ * answered from the recorded responses in tests/fixtures. The ledger and
+ * other collections live in a temporary STORAGE_DIR for the whole test file
+ * (tests/setup.js), so each test makes its own orders rather than relying on
+ * a clean slate.
+ */
+
+export const ADMIN_TOKEN = process.env.ADMIN_API_TOKEN;
+
+export const CUSTOMER = {
+  name: 'Asha Verma',
+  email: 'asha@example.com',
+  phone: '9876543210',
+};
+
+// Course 1 in data/catalog.json
+export const COURSE = { id: 1, price: 4999 };
+
+export const PHONEPE_URLS = {
+  oauth: 'https://api-preprod.phonepe.com/apis/pg-sandbox/v1/oauth/token',
+  pay: 'https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/pay',
+  status: /^https:\/\/api-preprod\.phonepe\.com\/apis\/pg-sandbox\/checkout\/v2\/order\/([^/]+)\/status$/,
+  refund: 'https://api-preprod.phonepe.com/apis/pg-sandbox/payments/v2/refund',
+};
+
+export const CASHFREE_URL = 'https://sandbox.cashfree.com/pg';
+
+let server = null;
+let baseUrl = null;
+
+/**
+ * Import server.js and listen on a free port
+ * server.js does not listen by itself when NODE_ENV=test.
+ */
+export const startServer = async () => {
+  const { default: app } = await import('../server.js');
+
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+export const stopServer = () => new Promise((resolve) => server.close(resolve));
+
+/**
+ * Forget gateway stubs, recorded calls and gateway health between tests
+ */
+export const resetGateways = () => {
+  resetRequests();
+  resetRazorpay();
+  resetGatewayHealth();
+};
+
+/**
+ * Call the server
+ * @param {string} method
+ * @param {string} path
+ * @param {object} options - { body (sent as JSON), rawBody (sent as is), headers }
+ * @returns {Promise<object>} { status, body (parsed JSON or null), text, headers }
+ */
+export const request = async (method, path, { body, rawBody, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...((body !== undefined || rawBody !== undefined) && { 'Content-Type': 'application/json' }),
+      ...headers,
+    },
+    body: rawBody ?? (body === undefined ? undefined : JSON.stringify(body)),
+  });
+
+  const text = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    // Not JSON (e.g. an HTML page); text has it
+  }
+
+  return { status: response.status, body: json, text, headers: response.headers };
+};
+
+export const asAdmin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+/**
+ * Log in an ADMIN_EMAILS user the way POST /api/auth/verify does
+ * @returns {Promise<string>} Cookie header value carrying the session
+ */
+export const adminSessionCookie = async () => {
+  const now = new Date();
+  const session = await getStore('sessions').insert({
+    id: uniqueId('sess'),
+    email: process.env.ADMIN_EMAILS,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
+  });
+
+  return `sc_session=${session.id}.${hmacSha256(process.env.SESSION_SECRET, session.id, 'base64url')}`;
+};
+
+/**
+ * Load a recorded gateway response
+ * @param {string} name - Path under tests/fixtures without .json, e.g. 'razorpay/order'
+ * @returns {object} A fresh copy
+ */
+export const fixture = (name) =>
+  JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+/**
+ * A gateway-style ID no other test uses
+ * @param {string} prefix - e.g. 'order', 'pay'
+ * @returns {string}
+ */
+export const uniqueId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+
+/**
+ * POST /api/payment/create-order for course 1 with a valid customer
+ * @param {string} gateway
+ * @param {object} overrides - Request body fields to add or replace
+ * @returns {Promise<object>} Response
+ */
+export const createOrder = (gateway, overrides = {}) =>
+  request('POST', '/api/payment/create-order', {
+    body: { courseId: COURSE.id, gateway, customer: CUSTOMER, ...overrides },
+  });
+
+// ==================== RAZORPAY ====================
+
+/**
+ * Razorpay creates every order it is asked for, each with a new ID
+ */
+export const acceptRazorpayOrders = () => {
+  stubRazorpay('orders.create', (data) => ({
+    ...fixture('razorpay/order'),
+    id: uniqueId('order'),
+    amount: data.amount,
+    amount_due: data.amount,
+    receipt: data.receipt,
+    notes: data.notes,
+  }));
+};
+
+/**
+ * Razorpay reports one payment against an order
+ * @param {string} orderId - Razorpay order ID
+ * @param {object} overrides - Payment fields, e.g. { status: 'failed' }; orderAmount (paise)
+ *   changes what Razorpay says the order was for
+ * @returns {object} The payment entity
+ */
+export const stubRazorpayPayment = (orderId, { orderAmount = COURSE.price * 100, ...overrides } = {}) => {
+  const payment = {
+    ...fixture('razorpay/payment-captured'),
+    id: uniqueId('pay'),
+    order_id: orderId,
+    amount: orderAmount,
+    ...overrides,
+  };
+
+  stubRazorpay('orders.fetch', {
+    ...fixture('razorpay/order-paid'),
+    id: orderId,
+    amount: orderAmount,
+    amount_paid: payment.status === 'captured' ? orderAmount : 0,
+  });
+  stubRazorpay('orders.fetchPayments', { entity: 'collection', count: 1, items: [payment] });
+
+  return payment;
+};
+
+/**
+ * The signature Razorpay Checkout hands the browser after a payment
+ * @param {string} orderId
+ * @param {string} paymentId
+ * @returns {string}
+ */
+export const signRazorpayPayment = (orderId, paymentId) =>
+  hmacSha256(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`);
+
+/**
+ * Create a Razorpay order and verify a captured payment for it
+ * @returns {Promise<object>} { ledgerOrderId, gatewayOrderId, payment }
+ */
+export const payWithRazorpay = async () => {
+  acceptRazorpayOrders();
+  const created = await createOrder('razorpay');
+  const gatewayOrderId = created.body.order.orderId;
+  const payment = stubRazorpayPayment(gatewayOrderId);
+
+  const verified = await request('POST', '/api/payment/verify-payment', {
+    body: {
+      gateway: 'razorpay',
+      orderId: gatewayOrderId,
+      paymentId: payment.id,
+      signature: signRazorpayPayment(gatewayOrderId, payment.id),
+    },
+  });
+  if (verified.status !== 200) {
+    throw new Error(`Razorpay payment did not verify: ${verified.text}`);
+  }
+
+  return { ledgerOrderId: created.body.ledgerOrderId, gatewayOrderId, payment };
+};
+
+// ==================== PHONEPE ====================
+
+/**
+ * PhonePe issues tokens and creates every order it is asked for
+ */
+export const acceptPhonePeOrders = () => {
+  stubRequest('post', PHONEPE_URLS.oauth, { data: fixture('phonepe/token') });
+  stubRequest('post', PHONEPE_URLS.pay, () => ({
+    data: { ...fixture('phonepe/pay'), orderId: uniqueId('OMO') },
+  }));
+};
+
+/**
+ * PhonePe's order status API answers with a recorded status for every order
+ * @param {string} name - 'completed' or 'failed'
+ */
+export const stubPhonePeStatus = (name) => {
+  stubRequest('post', PHONEPE_URLS.oauth, { data: fixture('phonepe/token') });
+  stubRequest('get', PHONEPE_URLS.status, { data: fixture(`phonepe/order-status-${name}`) });
+};
+
+/**
+ * The Authorization header PhonePe sends with webhooks
+ * @returns {string}
+ */
+export const phonePeWebhookAuth = () =>
+  crypto
+    .createHash('sha256')
+    .update(`${process.env.PHONEPE_WEBHOOK_USER}:${process.env.PHONEPE_WEBHOOK_PASS}`)
+    .digest('hex');
+
+// ==================== CASHFREE ====================
+
+/**
+ * Cashfree creates every order it is asked for, under the ID it was sent
+ */
+export const acceptCashfreeOrders = () => {
+  stubRequest('post', `${CASHFREE_URL}/orders`, ({ data }) => ({
+    data: { ...fixture('cashfree/order'), order_id: data.order_id, order_amount: data.order_amount },
+  }));
+};
+
+/**
+ * Cashfree reports a payment of an order
+ * @param {string} orderId - Cashfree order ID
+ * @param {string} name - 'success' or 'failed'
+ * @returns {object} The payment entity
+ */
+export const stubCashfreePayment = (orderId, name) => {
+  const payment = { ...fixture(`cashfree/payment-${name}`), order_id: orderId };
+  stubRequest('get', `${CASHFREE_URL}/orders/${orderId}/payments/${payment.cf_payment_id}`, { data: payment });
+  return payment;
+};
+
+/**
+ * Sign a Cashfree webhook body
+ * @param {string} rawBody
+ * @param {string} timestamp - Milliseconds since the epoch
+ * @returns {string}
+ */
+export const signCashfreeWebhook = (rawBody, timestamp) =>
+  hmacSha256(process.env.CASHFREE_APP_SECRET, `${timestamp}${rawBody}`, 'base64');
@@ -0,0 +1,20 @@
+/**
+ * Module resolution hook for tests (registered by tests/setup.js)
+ * The backend's own imports of these packages get the stubs instead; the
+ * packages themselves (node_modules) are left alone.
+ */
+
+const STUBS = {
+  axios: new URL('./stubs/axios.js', import.meta.url).href,
+  razorpay: new URL('./stubs/razorpay.js', import.meta.url).href,
+};
+
+export const resolve = async (specifier, context, nextResolve) => {
+  const stub = STUBS[specifier];
+
+  if (stub && !context.parentURL?.includes('/node_modules/')) {
+    return { url: stub, shortCircuit: true };
+  }
+
+  return nextResolve(specifier, context);
+};
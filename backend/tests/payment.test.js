@@ -0,0 +1,757 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as orders from '../services/orders.js';
+import * as enrollments from '../services/enrollments.js';
+import * as invoices from '../services/invoices.js';
+import { requests, stubRequest } from './stubs/axios.js';
+import { razorpayCalls, stubRazorpay, razorpayError } from './stubs/razorpay.js';
+import {
+  startServer,
+  stopServer,
+  resetGateways,
+  request,
+  asAdmin,
+  adminSessionCookie,
+  fixture,
+  uniqueId,
+  createOrder,
+  CUSTOMER,
+  COURSE,
+  PHONEPE_URLS,
+  CASHFREE_URL,
+  acceptRazorpayOrders,
+  stubRazorpayPayment,
+  signRazorpayPayment,
+  payWithRazorpay,
+  acceptPhonePeOrders,
+  stubPhonePeStatus,
+  acceptCashfreeOrders,
+  stubCashfreePayment,
+} from './harness.js';
+
+before(startServer);
+after(stopServer);
+beforeEach(resetGateways);
+
+const verifyPayment = (body) => request('POST', '/api/payment/verify-payment', { body });
+
+describe('POST /api/payment/quote', () => {
+  it('prices a course from the catalog', async () => {
+    const response = await request('POST', '/api/payment/quote', { body: { courseIds: [COURSE.id] } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.amount, COURSE.price);
+    assert.equal(response.body.discount, 0);
+    assert.equal(response.body.items[0].courseId, COURSE.id);
+  });
+
+  it('rejects an empty cart', async () => {
+    const response = await request('POST', '/api/payment/quote', { body: { courseIds: [] } });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'courseIds must be a non-empty list of course IDs');
+  });
+
+  it('rejects a coupon that does not exist', async () => {
+    const response = await request('POST', '/api/payment/quote', {
+      body: { courseIds: [COURSE.id], couponCode: 'NOSUCHCODE' },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+  });
+});
+
+describe('GET /api/payment/methods', () => {
+  it('lists every configured gateway in test mode', async () => {
+    const response = await request('GET', '/api/payment/methods');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.mode, 'test');
+    assert.deepEqual(
+      response.body.gateways.map((gateway) => gateway.id),
+      ['razorpay', 'phonepe', 'cashfree', 'mock']
+    );
+  });
+
+  it('follows gateway keys set after the server started, as from .env', async () => {
+    const keys = { PHONEPE_CLIENT_ID: process.env.PHONEPE_CLIENT_ID, CASHFREE_APP_ID: process.env.CASHFREE_APP_ID };
+    delete process.env.PHONEPE_CLIENT_ID;
+    delete process.env.CASHFREE_APP_ID;
+    try {
+      const without = await request('GET', '/api/payment/methods');
+      assert.deepEqual(
+        without.body.gateways.map((gateway) => gateway.id),
+        ['razorpay', 'mock']
+      );
+    } finally {
+      Object.assign(process.env, keys);
+    }
+
+    const restored = await request('GET', '/api/payment/methods');
+    assert.deepEqual(
+      restored.body.gateways.map((gateway) => gateway.id),
+      ['razorpay', 'phonepe', 'cashfree', 'mock']
+    );
+  });
+
+  it('leaves the mock gateway out unless MOCK_GATEWAY_ENABLED is true', async () => {
+    process.env.MOCK_GATEWAY_ENABLED = '';
+    try {
+      const response = await request('GET', '/api/payment/methods');
+
+      assert.equal(response.status, 200);
+      assert.ok(!response.body.gateways.some((gateway) => gateway.id === 'mock'));
+    } finally {
+      process.env.MOCK_GATEWAY_ENABLED = 'true';
+    }
+  });
+});
+
+describe('GET /api/payment/gateways', () => {
+  it('offers every gateway for an order', async () => {
+    const response = await request('GET', '/api/payment/gateways?amount=4999&method=card');
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.gateways.every((gateway) => gateway.available && gateway.health === 'healthy'));
+  });
+
+  it('rejects an invalid amount', async () => {
+    const response = await request('GET', '/api/payment/gateways?amount=-1');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Amount must be a positive number');
+  });
+
+  it('rejects an unknown payment method', async () => {
+    const response = await request('GET', '/api/payment/gateways?method=crypto');
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /^Invalid payment method/);
+  });
+});
+
+describe('POST /api/payment/create-order', () => {
+  describe('validation', () => {
+    const cases = [
+      ['no course', { courseId: undefined }, 'Course ID is required'],
+      ['a course ID that is not a positive integer', { courseId: 'abc' }, 'Course ID must be a positive integer'],
+      ['an empty cart', { courseId: undefined, courseIds: [] }, 'courseIds must be a non-empty list of course IDs'],
+      ['a negative amount', { amount: -10 }, 'Amount must be a positive number'],
+      ['no gateway', { gateway: undefined }, 'Gateway is required'],
+      ['an unknown gateway', { gateway: 'paypal' }, /^Invalid gateway/],
+      ['an unknown payment method', { method: 'crypto' }, /^Invalid payment method/],
+      ['no customer', { customer: undefined }, 'Customer object is required'],
+      ['no customer name', { customer: { ...CUSTOMER, name: ' ' } }, 'Customer name is required'],
+      ['an invalid email', { customer: { ...CUSTOMER, email: 'asha@' } }, 'Invalid email format'],
+      ['an invalid phone', { customer: { ...CUSTOMER, phone: '12345' } }, /^Invalid phone number/],
+      ['an invalid GSTIN', { customer: { ...CUSTOMER, gstin: 'BAD', businessName: 'Acme' } }, 'Invalid GSTIN format'],
+      ['a GSTIN without a business name', { customer: { ...CUSTOMER, gstin: '10ABCDE1234F1Z5' } }, 'Business name is required with a GSTIN'],
+    ];
+
+    for (const [label, overrides, error] of cases) {
+      it(`rejects ${label}`, async () => {
+        const response = await createOrder('razorpay', overrides);
+
+        assert.equal(response.status, 400);
+        if (error instanceof RegExp) {
+          assert.match(response.body.error, error);
+        } else {
+          assert.equal(response.body.error, error);
+        }
+        assert.equal(razorpayCalls.length, 0);
+      });
+    }
+
+    it('rejects an amount that differs from the catalog price', async () => {
+      const response = await createOrder('razorpay', { amount: 100 });
+
+      assert.equal(response.status, 400);
+      assert.equal(razorpayCalls.length, 0);
+    });
+
+    it('rejects an amount that differs from the catalog price even with a coupon', async () => {
+      const coupon = await request('POST', '/api/coupons', {
+        body: { code: uniqueId('TEST'), type: 'percent', value: 10 },
+        headers: asAdmin,
+      });
+      assert.equal(coupon.status, 201);
+
+      const response = await createOrder('razorpay', { amount: 100, couponCode: coupon.body.coupon.code });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, /^Amount does not match course price/);
+      assert.equal(razorpayCalls.length, 0);
+    });
+
+    it('rejects a coupon that does not exist', async () => {
+      const response = await createOrder('razorpay', { couponCode: 'NOSUCHCODE' });
+
+      assert.equal(response.status, 400);
+      assert.equal(razorpayCalls.length, 0);
+    });
+
+    it('redeems a single-use coupon once when checkouts use it at the same time', async () => {
+      acceptRazorpayOrders();
+      const coupon = await request('POST', '/api/coupons', {
+        body: { code: uniqueId('TEST'), type: 'percent', value: 10, maxUses: 1 },
+        headers: asAdmin,
+      });
+      const couponCode = coupon.body.coupon.code;
+
+      const responses = await Promise.all([1, 2, 3, 4].map(() => createOrder('razorpay', { couponCode })));
+
+      assert.deepEqual(responses.map((response) => response.status).sort(), [200, 400, 400, 400]);
+      assert.equal(responses.find((response) => response.status === 400).body.error, 'This coupon has been fully redeemed');
+    });
+  });
+
+  it('opens a Razorpay order for the catalog price', async () => {
+    acceptRazorpayOrders();
+
+    const response = await createOrder('razorpay');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.gateway, 'razorpay');
+    assert.equal(response.body.amount, COURSE.price);
+    assert.match(response.body.order.orderId, /^order_/);
+    assert.equal(response.body.order.razorpayKey, process.env.RAZORPAY_KEY_ID);
+
+    const [{ args: [orderData] }] = razorpayCalls;
+    assert.equal(orderData.amount, COURSE.price * 100);
+    assert.equal(orderData.receipt, response.body.ledgerOrderId);
+
+    const ledgerOrder = await orders.getOrder(response.body.ledgerOrderId);
+    assert.equal(ledgerOrder.status, 'pending');
+    assert.equal(ledgerOrder.gatewayOrderId, response.body.order.orderId);
+  });
+
+  it('opens a PhonePe order keyed by the ledger order ID', async () => {
+    acceptPhonePeOrders();
+
+    const response = await createOrder('phonepe');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.gateway, 'phonepe');
+    assert.match(response.body.order.redirectUrl, /^https:\/\/mercury-uat\.phonepe\.com\//);
+
+    const pay = requests.find((call) => call.url === PHONEPE_URLS.pay);
+    assert.equal(pay.data.merchantOrderId, response.body.ledgerOrderId);
+    assert.equal(pay.data.amount, COURSE.price * 100);
+    assert.equal(pay.headers.Authorization, `O-Bearer ${fixture('phonepe/token').access_token}`);
+  });
+
+  it('opens a Cashfree order in the sandbox', async () => {
+    acceptCashfreeOrders();
+
+    const response = await createOrder('cashfree');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.gateway, 'cashfree');
+    assert.match(response.body.order.orderId, /^ORD_TEST_FIXTURE_APP_/);
+    assert.ok(response.body.order.paymentSessionId);
+
+    const [call] = requests;
+    assert.equal(call.url, `${CASHFREE_URL}/orders`);
+    assert.equal(call.data.order_amount, COURSE.price);
+    assert.equal(call.headers['x-api-key'], process.env.CASHFREE_APP_SECRET);
+  });
+
+  it('fails over to the next gateway when the chosen one errors', async () => {
+    stubRazorpay('orders.create', () => {
+      throw razorpayError(500, 'We are facing some trouble completing your request', 'SERVER_ERROR');
+    });
+    acceptCashfreeOrders();
+
+    const response = await createOrder('razorpay');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.gateway, 'cashfree');
+    assert.equal(response.body.requestedGateway, 'razorpay');
+
+    // The Razorpay attempt stays in the ledger as a failed order
+    const failed = await orders.listOrders({ gateway: 'razorpay', status: 'failed' });
+    assert.ok(failed.some((order) => order.customer.email === CUSTOMER.email));
+  });
+
+  it('answers 500 when every gateway errors', async () => {
+    stubRazorpay('orders.create', () => {
+      throw razorpayError(500, 'We are facing some trouble completing your request', 'SERVER_ERROR');
+    });
+    stubRequest('post', `${CASHFREE_URL}/orders`, { status: 401, data: { message: 'authentication Failed' } });
+    stubRequest('post', PHONEPE_URLS.oauth, { networkError: 'ECONNRESET' });
+
+    const response = await createOrder('razorpay');
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.success, false);
+  });
+
+  it('answers 503 when no gateway may take the order', async () => {
+    process.env.PAYMENT_GATEWAYS = 'mock';
+    try {
+      const response = await createOrder('razorpay');
+
+      assert.equal(response.status, 503);
+      assert.equal(razorpayCalls.length, 0);
+    } finally {
+      process.env.PAYMENT_GATEWAYS = '';
+    }
+  });
+});
+
+describe('POST /api/payment/verify-payment', () => {
+  it('rejects an unknown gateway', async () => {
+    const response = await verifyPayment({ gateway: 'paypal', orderId: 'order_x' });
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /^Invalid gateway/);
+  });
+
+  it('asks for the fields the gateway needs', async () => {
+    const response = await verifyPayment({ gateway: 'razorpay', orderId: 'order_x' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Missing required fields: paymentId, signature');
+  });
+
+  it('marks a Razorpay order paid and enrolls the buyer', async () => {
+    // A buyer of their own, so the enrollment can only have come from this order
+    const customer = { ...CUSTOMER, email: `${uniqueId('buyer')}@example.com` };
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay', { customer });
+    const orderId = created.body.order.orderId;
+    const payment = stubRazorpayPayment(orderId);
+
+    const response = await verifyPayment({
+      gateway: 'razorpay',
+      orderId,
+      paymentId: payment.id,
+      signature: signRazorpayPayment(orderId, payment.id),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.paymentStatus, 'completed');
+    assert.equal(response.body.ledgerOrderId, created.body.ledgerOrderId);
+    assert.equal(response.body.gatewayPaymentId, payment.id);
+    assert.equal(response.body.amount, COURSE.price);
+
+    const ledgerOrder = await orders.getOrder(created.body.ledgerOrderId);
+    assert.equal(ledgerOrder.status, 'paid');
+
+    const enrollment = await enrollments.findEnrollment(customer.email, COURSE.id);
+    assert.equal(enrollment.status, 'active');
+    assert.equal(enrollment.orderId, ledgerOrder.id);
+  });
+
+  it('rejects a Razorpay signature that does not match', async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+    const orderId = created.body.order.orderId;
+    const payment = stubRazorpayPayment(orderId);
+
+    const response = await verifyPayment({
+      gateway: 'razorpay',
+      orderId,
+      paymentId: payment.id,
+      signature: signRazorpayPayment(orderId, 'pay_someoneelse'),
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Payment signature verification failed');
+    assert.ok(!razorpayCalls.some((call) => call.method === 'orders.fetch'));
+    assert.equal((await orders.getOrder(created.body.ledgerOrderId)).status, 'pending');
+  });
+
+  it('rejects a Razorpay payment made against another order', async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+    const orderId = created.body.order.orderId;
+    stubRazorpayPayment(orderId);
+    const otherPaymentId = uniqueId('pay');
+
+    const response = await verifyPayment({
+      gateway: 'razorpay',
+      orderId,
+      paymentId: otherPaymentId,
+      signature: signRazorpayPayment(orderId, otherPaymentId),
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Payment does not belong to this order');
+  });
+
+  it('captures an authorized Razorpay payment', async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+    const orderId = created.body.order.orderId;
+    const payment = stubRazorpayPayment(orderId, { status: 'authorized', captured: false });
+    stubRazorpay('payments.capture', (paymentId, amount) => ({ ...payment, status: 'captured', captured: true, amount }));
+
+    const response = await verifyPayment({
+      gateway: 'razorpay',
+      orderId,
+      paymentId: payment.id,
+      signature: signRazorpayPayment(orderId, payment.id),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.paymentStatus, 'completed');
+    const capture = razorpayCalls.find((call) => call.method === 'payments.capture');
+    assert.deepEqual(capture.args, [payment.id, COURSE.price * 100, 'INR']);
+  });
+
+  it('refuses to mark an order paid when the gateway collected another amount', async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+    const orderId = created.body.order.orderId;
+    const payment = stubRazorpayPayment(orderId, { orderAmount: 100 });
+
+    const response = await verifyPayment({
+      gateway: 'razorpay',
+      orderId,
+      paymentId: payment.id,
+      signature: signRazorpayPayment(orderId, payment.id),
+    });
+
+    assert.equal(response.status, 409);
+    assert.equal((await orders.getOrder(created.body.ledgerOrderId)).status, 'pending');
+  });
+
+  it('answers 500 when Razorpay cannot be reached', async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+    const orderId = created.body.order.orderId;
+    stubRazorpay('orders.fetch', () => {
+      throw razorpayError(503, 'Service unavailable', 'SERVER_ERROR');
+    });
+    stubRazorpay('orders.fetchPayments', { entity: 'collection', count: 0, items: [] });
+
+    const response = await verifyPayment({
+      gateway: 'razorpay',
+      orderId,
+      paymentId: 'pay_x',
+      signature: signRazorpayPayment(orderId, 'pay_x'),
+    });
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.success, false);
+  });
+
+  it('marks a PhonePe order paid once its status API says COMPLETED', async () => {
+    acceptPhonePeOrders();
+    const created = await createOrder('phonepe');
+    stubPhonePeStatus('completed');
+
+    const response = await verifyPayment({ gateway: 'phonepe', orderId: created.body.ledgerOrderId });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.paymentStatus, 'completed');
+    assert.equal(response.body.gatewayPaymentId, fixture('phonepe/order-status-completed').paymentDetails[0].transactionId);
+    assert.ok(requests.some((call) => call.url === `${PHONEPE_URLS.pay.replace('/pay', '/order')}/${created.body.ledgerOrderId}/status`));
+  });
+
+  it('reports a failed PhonePe payment', async () => {
+    acceptPhonePeOrders();
+    const created = await createOrder('phonepe');
+    stubPhonePeStatus('failed');
+
+    const response = await verifyPayment({ gateway: 'phonepe', orderId: created.body.ledgerOrderId });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.paymentStatus, 'failed');
+    assert.equal((await orders.getOrder(created.body.ledgerOrderId)).status, 'failed');
+  });
+
+  it('marks a Cashfree order paid', async () => {
+    acceptCashfreeOrders();
+    const created = await createOrder('cashfree');
+    const orderId = created.body.order.orderId;
+    const payment = stubCashfreePayment(orderId, 'success');
+
+    const response = await verifyPayment({ gateway: 'cashfree', orderId, paymentId: `${payment.cf_payment_id}` });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.paymentStatus, 'completed');
+    assert.equal(response.body.method, 'upi');
+    assert.equal((await orders.getOrder(created.body.ledgerOrderId)).status, 'paid');
+  });
+
+  it('reports a failed Cashfree payment', async () => {
+    acceptCashfreeOrders();
+    const created = await createOrder('cashfree');
+    const orderId = created.body.order.orderId;
+    const payment = stubCashfreePayment(orderId, 'failed');
+
+    const response = await verifyPayment({ gateway: 'cashfree', orderId, paymentId: `${payment.cf_payment_id}` });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Payment verification failed');
+    assert.equal(response.body.paymentStatus, 'failed');
+  });
+});
+
+describe('GET /api/payment/status/:gateway/:id', () => {
+  it('rejects an unknown gateway', async () => {
+    const response = await request('GET', '/api/payment/status/paypal/order_x');
+
+    assert.equal(response.status, 400);
+  });
+
+  it('reports and records a paid Razorpay order', async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+    const orderId = created.body.order.orderId;
+    stubRazorpayPayment(orderId);
+
+    const response = await request('GET', `/api/payment/status/razorpay/${orderId}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.paymentStatus, 'completed');
+    assert.equal(response.body.ledgerOrderId, created.body.ledgerOrderId);
+    assert.equal((await orders.getOrder(created.body.ledgerOrderId)).status, 'paid');
+  });
+
+  it('refuses to mark an order paid when the gateway collected another amount', async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+    const orderId = created.body.order.orderId;
+    stubRazorpayPayment(orderId, { orderAmount: 100 });
+
+    const response = await request('GET', `/api/payment/status/razorpay/${orderId}`);
+
+    assert.equal(response.status, 409);
+    assert.equal((await orders.getOrder(created.body.ledgerOrderId)).status, 'pending');
+  });
+
+  it('does not give back a course an admin revoked after the payment', async () => {
+    const customer = { ...CUSTOMER, email: `${uniqueId('buyer')}@example.com` };
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay', { customer });
+    const orderId = created.body.order.orderId;
+    stubRazorpayPayment(orderId);
+    await request('GET', `/api/payment/status/razorpay/${orderId}`);
+
+    const revoked = await request('POST', '/api/enrollments/revoke', {
+      body: { email: customer.email, courseId: COURSE.id, reason: 'Chargeback' },
+      headers: asAdmin,
+    });
+    assert.equal(revoked.status, 200);
+
+    const response = await request('GET', `/api/payment/status/razorpay/${orderId}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.paymentStatus, 'completed');
+    assert.equal((await enrollments.findEnrollment(customer.email, COURSE.id)).status, 'revoked');
+  });
+
+  it('reports a paid Cashfree order', async () => {
+    acceptCashfreeOrders();
+    const created = await createOrder('cashfree');
+    const orderId = created.body.order.orderId;
+    stubRequest('get', `${CASHFREE_URL}/orders/${orderId}`, {
+      data: { ...fixture('cashfree/order-paid'), order_id: orderId },
+    });
+
+    const response = await request('GET', `/api/payment/status/cashfree/${orderId}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.paymentStatus, 'completed');
+    assert.equal(response.body.gatewayStatus, 'PAID');
+  });
+
+  it('answers 500 when the gateway errors', async () => {
+    stubRequest('get', /^https:\/\/sandbox\.cashfree\.com\/pg\/orders\//, {
+      status: 500,
+      data: { message: 'Internal server error', code: 'internal_error' },
+    });
+
+    const response = await request('GET', '/api/payment/status/cashfree/ORD_TEST_FIXTURE_APP_0');
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.success, false);
+  });
+});
+
+describe('POST /api/payment/refund', () => {
+  const refund = (body, headers = asAdmin) => request('POST', '/api/payment/refund', { body, headers });
+
+  it('requires the admin token', async () => {
+    const response = await refund({ orderId: 'ord_x', reason: 'Test' }, {});
+
+    assert.equal(response.status, 401);
+  });
+
+  const cases = [
+    ['no order ID', { reason: 'Test' }, 'Order ID is required'],
+    ['no reason', { orderId: 'ord_x', reason: ' ' }, 'Refund reason is required'],
+    ['an invalid amount', { orderId: 'ord_x', reason: 'Test', amount: 'lots' }, 'Amount must be a positive number'],
+  ];
+
+  for (const [label, body, error] of cases) {
+    it(`rejects ${label}`, async () => {
+      const response = await refund(body);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, error);
+    });
+  }
+
+  it('refuses an admin session cookie sent from another site', async () => {
+    const { ledgerOrderId } = await payWithRazorpay();
+    const cookie = await adminSessionCookie();
+
+    const forged = await refund({ orderId: ledgerOrderId, reason: 'Test' }, {
+      Cookie: cookie,
+      Origin: 'https://evil.example',
+    });
+    const unlabelled = await refund({ orderId: ledgerOrderId, reason: 'Test' }, { Cookie: cookie });
+
+    assert.equal(forged.status, 403);
+    assert.equal(unlabelled.status, 403);
+    assert.ok(!razorpayCalls.some((call) => call.method === 'payments.refund'));
+  });
+
+  it('accepts an admin session cookie from the site itself', async () => {
+    const response = await refund({ orderId: 'ord_missing', reason: 'Test' }, {
+      Cookie: await adminSessionCookie(),
+      Origin: process.env.FRONTEND_URL,
+    });
+
+    assert.equal(response.status, 404);
+  });
+
+  it('answers 404 for an unknown order', async () => {
+    const response = await refund({ orderId: 'ord_missing', reason: 'Test' });
+
+    assert.equal(response.status, 404);
+  });
+
+  it('refuses to refund an order that was never paid', async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+
+    const response = await refund({ orderId: created.body.ledgerOrderId, reason: 'Test' });
+
+    assert.equal(response.status, 422);
+    assert.ok(!razorpayCalls.some((call) => call.method === 'payments.refund'));
+  });
+
+  it('refunds a paid order in full', async () => {
+    const { ledgerOrderId, payment } = await payWithRazorpay();
+    stubRazorpay('payments.refund', (paymentId, { amount, receipt }) => ({
+      ...fixture('razorpay/refund'),
+      id: uniqueId('rfnd'),
+      payment_id: paymentId,
+      amount,
+      receipt,
+    }));
+
+    const response = await refund({ orderId: ledgerOrderId, reason: 'Cancelled within 7 days' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.refund.status, 'processed');
+    assert.equal(response.body.orderStatus, 'refunded');
+    assert.equal(response.body.refundedAmount, COURSE.price);
+
+    const call = razorpayCalls.find((entry) => entry.method === 'payments.refund');
+    assert.equal(call.args[0], payment.id);
+    assert.equal(call.args[1].amount, COURSE.price * 100);
+  });
+
+  it('refunds part of a paid order', async () => {
+    const { ledgerOrderId } = await payWithRazorpay();
+    stubRazorpay('payments.refund', (paymentId, { amount }) => ({
+      ...fixture('razorpay/refund'),
+      id: uniqueId('rfnd'),
+      payment_id: paymentId,
+      amount,
+    }));
+
+    const response = await refund({ orderId: ledgerOrderId, reason: 'Partial', amount: 1000 });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.refund.type, 'partial');
+    assert.equal(response.body.orderStatus, 'paid');
+    assert.equal(response.body.refundedAmount, 1000);
+  });
+
+  it('refunds an order once when two admins refund it in full at the same time', async () => {
+    const { ledgerOrderId } = await payWithRazorpay();
+    stubRazorpay('payments.refund', (paymentId, { amount }) => ({
+      ...fixture('razorpay/refund'),
+      id: uniqueId('rfnd'),
+      payment_id: paymentId,
+      amount,
+    }));
+
+    const responses = await Promise.all([
+      refund({ orderId: ledgerOrderId, reason: 'Duplicate' }),
+      refund({ orderId: ledgerOrderId, reason: 'Duplicate' }),
+    ]);
+
+    assert.deepEqual(responses.map((response) => response.status).sort(), [200, 422]);
+    assert.equal(razorpayCalls.filter((call) => call.method === 'payments.refund').length, 1);
+  });
+
+  it('answers 500 when the gateway rejects the refund', async () => {
+    const { ledgerOrderId } = await payWithRazorpay();
+    stubRazorpay('payments.refund', () => {
+      throw razorpayError(400, 'The amount is invalid');
+    });
+
+    const response = await refund({ orderId: ledgerOrderId, reason: 'Test' });
+
+    assert.equal(response.status, 500);
+    assert.match(response.body.error, /The amount is invalid/);
+    assert.equal((await orders.getOrder(ledgerOrderId)).status, 'paid');
+  });
+});
+
+describe('GET /api/payment/refund/:id', () => {
+  it('requires the admin token', async () => {
+    const response = await request('GET', '/api/payment/refund/rfnd_x');
+
+    assert.equal(response.status, 401);
+  });
+
+  it('answers 404 for an unknown refund', async () => {
+    const response = await request('GET', '/api/payment/refund/rfnd_missing', { headers: asAdmin });
+
+    assert.equal(response.status, 404);
+  });
+
+  it('returns a refund', async () => {
+    const { ledgerOrderId } = await payWithRazorpay();
+    stubRazorpay('payments.refund', (paymentId, { amount }) => ({
+      ...fixture('razorpay/refund'),
+      id: uniqueId('rfnd'),
+      payment_id: paymentId,
+      amount,
+    }));
+    const created = await request('POST', '/api/payment/refund', {
+      body: { orderId: ledgerOrderId, reason: 'Test' },
+      headers: asAdmin,
+    });
+
+    const response = await request('GET', `/api/payment/refund/${created.body.refund.id}`, { headers: asAdmin });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.refund.orderId, ledgerOrderId);
+    assert.equal(response.body.refund.status, 'processed');
+  });
+});
+
+describe('GET /api/invoices/:id', () => {
+  it("lets an admin session open any learner's invoice", async () => {
+    const { ledgerOrderId } = await payWithRazorpay();
+    const invoice = await invoices.issueInvoiceForOrder(await orders.getOrder(ledgerOrderId));
+
+    const response = await request('GET', `/api/invoices/${invoice.id}?format=json`, {
+      headers: { Cookie: await adminSessionCookie() },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.invoice.id, invoice.id);
+  });
+});
@@ -0,0 +1,46 @@
+import { register } from 'node:module';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Test process setup (npm test loads it with --import, before any test file)
+ * Gives every test file a throwaway storage directory and fixed gateway keys,
+ * and swaps axios and the razorpay SDK for the stubs in tests/stubs, so no
+ * test can reach a real gateway.
+ */
+
+const storageDir = mkdtempSync(join(tmpdir(), 'payment-backend-test-'));
+process.on('exit', () => rmSync(storageDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  PAYMENT_MODE: 'test',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+  STORAGE_DIR: storageDir,
+  MAIL_TRANSPORT: 'file',
+  FRONTEND_URL: 'http://localhost:3000',
+  BACKEND_URL: 'http://localhost:5000',
+  ADMIN_API_TOKEN: 'test_admin_token',
+  ADMIN_EMAILS: 'ops@example.com',
+  SESSION_SECRET: 'test_session_secret',
+  PAYMENT_GATEWAYS: '',
+
+  RAZORPAY_KEY_ID: 'rzp_test_fixture',
+  RAZORPAY_KEY_SECRET: 'razorpay_test_secret',
+  RAZORPAY_WEBHOOK_SECRET: 'razorpay_webhook_secret',
+  RAZORPAY_AUTO_CAPTURE: 'true',
+
+  PHONEPE_CLIENT_ID: 'TEST_FIXTURE_CLIENT',
+  PHONEPE_CLIENT_SECRET: 'phonepe_test_secret',
+  PHONEPE_WEBHOOK_USER: 'phonepe_webhook_user',
+  PHONEPE_WEBHOOK_PASS: 'phonepe_webhook_pass',
+
+  CASHFREE_APP_ID: 'TEST_FIXTURE_APP',
+  CASHFREE_APP_SECRET: 'cfsk_ma_test_fixture_secret',
+
+  MOCK_GATEWAY_ENABLED: 'true',
+  MOCK_GATEWAY_WEBHOOK_SECRET: 'mock_webhook_secret',
+});
+
+register('./loader.js', import.meta.url);
@@ -0,0 +1,118 @@
+/**
+ * axios stand-in for tests
+ * Requests are answered from replies registered with stubRequest(); one that
+ * nothing matches fails like a refused connection, so no test reaches the
+ * network. Every request is recorded in `requests` for assertions.
+ *
+ *   stubRequest('post', 'https://sandbox.cashfree.com/pg/orders', { data: fixture('cashfree/order') });
+ *   stubRequest('get', /\/orders\/.+\/status$/, (request) => ({ status: 500, data: { message: 'Down' } }));
+ */
+
+const routes = [];
+
+// { method, url, headers, data } of every request made, oldest first
+export const requests = [];
+
+/**
+ * Answer matching requests
+ * Later stubs win over earlier ones for the same request.
+ * @param {string} method - 'get', 'post', ...
+ * @param {string|RegExp} url - Full URL, or a pattern
+ * @param {object|Function} reply - { status = 200, data, headers } or { networkError: 'ECONNRESET' },
+ *   or a function of the request returning one
+ */
+export const stubRequest = (method, url, reply) => {
+  routes.unshift({ method: method.toLowerCase(), url, reply });
+};
+
+/**
+ * Forget every stub and recorded request
+ */
+export const resetRequests = () => {
+  routes.length = 0;
+  requests.length = 0;
+};
+
+const matches = (route, request) =>
+  route.method === request.method &&
+  (route.url instanceof RegExp ? route.url.test(request.url) : route.url === request.url);
+
+const buildUrl = ({ baseURL, url, params }) => {
+  const full = baseURL && !/^https?:\/\//.test(url) ? `${baseURL.replace(/\/$/, '')}${url}` : url;
+  return params ? `${full}?${new URLSearchParams(params)}` : full;
+};
+
+// Reject the way axios does, so adapters read error.response the usual way
+const axiosError = (message, { config, response, code }) =>
+  Object.assign(new Error(message), { isAxiosError: true, config, response, code });
+
+const dispatch = async (config) => {
+  const request = {
+    method: (config.method || 'get').toLowerCase(),
+    url: buildUrl(config),
+    headers: config.headers || {},
+    data: config.data,
+  };
+  requests.push(request);
+
+  const route = routes.find((candidate) => matches(candidate, request));
+  if (!route) {
+    throw axiosError(`connect ECONNREFUSED (no stub for ${request.method.toUpperCase()} ${request.url})`, {
+      config,
+      code: 'ECONNREFUSED',
+    });
+  }
+
+  const reply = typeof route.reply === 'function' ? await route.reply(request) : route.reply;
+
+  if (reply.networkError) {
+    throw axiosError(`${reply.networkError} ${request.url}`, { config, code: reply.networkError });
+  }
+
+  const response = {
+    status: reply.status || 200,
+    data: reply.data === undefined ? '' : structuredClone(reply.data),
+    headers: reply.headers || {},
+    config,
+  };
+
+  if (response.status >= 400) {
+    throw axiosError(`Request failed with status code ${response.status}`, { config, response });
+  }
+
+  return response;
+};
+
+const createInstance = (defaults = {}) => {
+  const interceptors = [];
+
+  const request = async (config) => {
+    let merged = { ...defaults, ...config, headers: { ...defaults.headers, ...config.headers } };
+    for (const interceptor of interceptors) {
+      merged = await interceptor(merged);
+    }
+    return dispatch(merged);
+  };
+
+  return {
+    defaults,
+    interceptors: {
+      request: { use: (interceptor) => interceptors.push(interceptor) },
+      response: { use: () => {} },
+    },
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    delete: (url, config = {}) => request({ ...config, method: 'delete', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+    patch: (url, data, config = {}) => request({ ...config, method: 'patch', url, data }),
+  };
+};
+
+const axios = {
+  ...createInstance(),
+  create: (defaults) => createInstance(defaults),
+  isAxiosError: (error) => Boolean(error?.isAxiosError),
+};
+
+export default axios;
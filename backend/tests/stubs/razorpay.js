@@ -0,0 +1,71 @@
+/**
+ * razorpay SDK stand-in for tests
+ * client.<resource>.<method>(...args) answers with the reply registered for
+ * '<resource>.<method>' with stubRazorpay(), or rejects the way the SDK does
+ * when nothing is registered. Every call is recorded in `razorpayCalls`.
+ *
+ *   stubRazorpay('orders.create', (data) => ({ ...fixture('razorpay/order'), amount: data.amount }));
+ *   stubRazorpay('payments.refund', () => { throw razorpayError(400, 'The amount is invalid'); });
+ */
+
+const replies = new Map();
+
+// { method: 'orders.create', args } of every call made, oldest first
+export const razorpayCalls = [];
+
+/**
+ * Answer calls to one SDK method
+ * @param {string} method - e.g. 'orders.create'
+ * @param {object|Function} reply - The resolved value, or a function of the call's
+ *   arguments returning it (throw to reject)
+ */
+export const stubRazorpay = (method, reply) => {
+  replies.set(method, reply);
+};
+
+/**
+ * Forget every stub and recorded call
+ */
+export const resetRazorpay = () => {
+  replies.clear();
+  razorpayCalls.length = 0;
+};
+
+/**
+ * An error shaped like the ones the SDK rejects with
+ * @param {number} statusCode
+ * @param {string} description
+ * @param {string} code
+ * @returns {object}
+ */
+export const razorpayError = (statusCode, description, code = 'BAD_REQUEST_ERROR') => ({
+  statusCode,
+  error: { code, description },
+});
+
+const call = async (method, args) => {
+  razorpayCalls.push({ method, args });
+
+  const reply = replies.get(method);
+  if (reply === undefined) {
+    throw razorpayError(502, `No stub for razorpay.${method}`, 'GATEWAY_ERROR');
+  }
+
+  return typeof reply === 'function' ? reply(...args) : structuredClone(reply);
+};
+
+// Any method of a resource, e.g. client.orders.fetchPayments
+const resource = (name) =>
+  new Proxy({}, { get: (target, method) => (...args) => call(`${name}.${String(method)}`, args) });
+
+export default class Razorpay {
+  constructor({ key_id: keyId, key_secret: keySecret }) {
+    this.key_id = keyId;
+    this.key_secret = keySecret;
+    this.orders = resource('orders');
+    this.payments = resource('payments');
+    this.refunds = resource('refunds');
+    this.plans = resource('plans');
+    this.subscriptions = resource('subscriptions');
+  }
+}
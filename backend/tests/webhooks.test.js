@@ -0,0 +1,316 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as orders from '../services/orders.js';
+import { signMockWebhook } from '../gateways/mock.js';
+import { hmacSha256 } from '../utils/signatures.js';
+import { requests, stubRequest } from './stubs/axios.js';
+import {
+  startServer,
+  stopServer,
+  resetGateways,
+  request,
+  fixture,
+  uniqueId,
+  createOrder,
+  PHONEPE_URLS,
+  acceptRazorpayOrders,
+  acceptPhonePeOrders,
+  stubPhonePeStatus,
+  phonePeWebhookAuth,
+  acceptCashfreeOrders,
+  signCashfreeWebhook,
+} from './harness.js';
+
+before(startServer);
+after(stopServer);
+beforeEach(resetGateways);
+
+const deliver = (gateway, rawBody, headers = {}) =>
+  request('POST', `/api/webhook/${gateway}`, { rawBody, headers });
+
+describe('POST /api/webhook/:gateway', () => {
+  it('answers 404 for a gateway that is not registered', async () => {
+    const response = await deliver('paypal', '{}');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Unknown gateway: paypal');
+  });
+
+  it('rejects a body that is not JSON', async () => {
+    const response = await deliver('razorpay', '{"event":');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid JSON body');
+  });
+});
+
+describe('Razorpay webhooks', () => {
+  /**
+   * A signed Razorpay delivery for one of this test's orders
+   * @param {string} name - Fixture under razorpay/
+   * @param {string} orderId - Razorpay order ID
+   * @param {object} options - { createdAt (seconds), eventId, amount (paise) }
+   * @returns {object} { rawBody, headers }
+   */
+  const razorpayDelivery = (
+    name,
+    orderId,
+    { createdAt = Math.floor(Date.now() / 1000), eventId = uniqueId('evt'), amount } = {}
+  ) => {
+    const event = fixture(`razorpay/${name}`);
+    event.payload.payment.entity.order_id = orderId;
+    event.payload.payment.entity.id = uniqueId('pay');
+    if (amount !== undefined) event.payload.payment.entity.amount = amount;
+    event.created_at = createdAt;
+
+    const rawBody = JSON.stringify(event);
+    return {
+      rawBody,
+      headers: {
+        'X-Razorpay-Signature': hmacSha256(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody),
+        'X-Razorpay-Event-Id': eventId,
+      },
+    };
+  };
+
+  const openRazorpayOrder = async () => {
+    acceptRazorpayOrders();
+    const created = await createOrder('razorpay');
+    return { ledgerOrderId: created.body.ledgerOrderId, orderId: created.body.order.orderId };
+  };
+
+  it('rejects a delivery without a signature', async () => {
+    const { rawBody } = razorpayDelivery('webhook-payment-captured', 'order_x');
+
+    const response = await deliver('razorpay', rawBody);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Missing signature');
+  });
+
+  it('rejects a delivery whose signature does not match the body', async () => {
+    const { ledgerOrderId, orderId } = await openRazorpayOrder();
+    const { rawBody, headers } = razorpayDelivery('webhook-payment-captured', orderId);
+
+    const response = await deliver('razorpay', rawBody.replace('"captured"', '"refunded"'), headers);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid signature');
+    assert.equal((await orders.getOrder(ledgerOrderId)).status, 'pending');
+  });
+
+  it('marks the order paid on payment.captured', async () => {
+    const { ledgerOrderId, orderId } = await openRazorpayOrder();
+    const { rawBody, headers } = razorpayDelivery('webhook-payment-captured', orderId);
+
+    const response = await deliver('razorpay', rawBody, headers);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+
+    const ledgerOrder = await orders.getOrder(ledgerOrderId);
+    assert.equal(ledgerOrder.status, 'paid');
+    assert.equal(ledgerOrder.gatewayPaymentId, JSON.parse(rawBody).payload.payment.entity.id);
+  });
+
+  it('leaves the order unpaid, without asking for a retry, when the captured amount differs', async () => {
+    const { ledgerOrderId, orderId } = await openRazorpayOrder();
+    const { rawBody, headers } = razorpayDelivery('webhook-payment-captured', orderId, { amount: 100 });
+
+    const response = await deliver('razorpay', rawBody, headers);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, false);
+    assert.equal((await orders.getOrder(ledgerOrderId)).status, 'pending');
+  });
+
+  it('marks the order failed on payment.failed', async () => {
+    const { ledgerOrderId, orderId } = await openRazorpayOrder();
+    const { rawBody, headers } = razorpayDelivery('webhook-payment-failed', orderId);
+
+    const response = await deliver('razorpay', rawBody, headers);
+
+    assert.equal(response.status, 200);
+    assert.equal((await orders.getOrder(ledgerOrderId)).status, 'failed');
+  });
+
+  it('acknowledges a redelivered event without processing it again', async () => {
+    const { orderId } = await openRazorpayOrder();
+    const { rawBody, headers } = razorpayDelivery('webhook-payment-captured', orderId);
+
+    const first = await deliver('razorpay', rawBody, headers);
+    const second = await deliver('razorpay', rawBody, headers);
+
+    assert.equal(first.body.duplicate, undefined);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.duplicate, true);
+  });
+
+  it('refuses a signed event older than the replay window', async () => {
+    const { ledgerOrderId, orderId } = await openRazorpayOrder();
+    const { rawBody, headers } = razorpayDelivery('webhook-payment-captured', orderId, {
+      createdAt: Math.floor(Date.now() / 1000) - 7 * 24 * 60 * 60,
+    });
+
+    const response = await deliver('razorpay', rawBody, headers);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Webhook event is too old');
+    assert.equal((await orders.getOrder(ledgerOrderId)).status, 'pending');
+  });
+});
+
+describe('PhonePe webhooks', () => {
+  const phonePeDelivery = (merchantOrderId) => {
+    const event = fixture('phonepe/webhook-order-completed');
+    event.payload.merchantOrderId = merchantOrderId;
+    return JSON.stringify(event);
+  };
+
+  it('rejects a delivery with the wrong credentials', async () => {
+    const response = await deliver('phonepe', phonePeDelivery('ord_x'), { Authorization: 'not-the-hash' });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, 'Unauthorized');
+  });
+
+  it('marks the order paid once the status API confirms it', async () => {
+    acceptPhonePeOrders();
+    const { body: created } = await createOrder('phonepe');
+    stubPhonePeStatus('completed');
+
+    const response = await deliver('phonepe', phonePeDelivery(created.ledgerOrderId), {
+      Authorization: phonePeWebhookAuth(),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    // The callback's own state is never trusted; PhonePe is asked
+    assert.ok(requests.some((call) => PHONEPE_URLS.status.test(call.url) && call.url.includes(created.ledgerOrderId)));
+    assert.equal((await orders.getOrder(created.ledgerOrderId)).status, 'paid');
+  });
+
+  it('acknowledges the delivery but leaves the order alone when the status API is down', async () => {
+    acceptPhonePeOrders();
+    const { body: created } = await createOrder('phonepe');
+    stubRequest('get', PHONEPE_URLS.status, { status: 503, data: { code: 'SERVICE_UNAVAILABLE' } });
+
+    const response = await deliver('phonepe', phonePeDelivery(created.ledgerOrderId), {
+      Authorization: phonePeWebhookAuth(),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, false);
+    assert.equal((await orders.getOrder(created.ledgerOrderId)).status, 'pending');
+  });
+});
+
+describe('Cashfree webhooks', () => {
+  const cashfreeDelivery = (orderId, timestamp = `${Date.now()}`) => {
+    const event = fixture('cashfree/webhook-payment-success');
+    event.data.order.order_id = orderId;
+
+    const rawBody = JSON.stringify(event);
+    return {
+      rawBody,
+      headers: {
+        'X-Webhook-Signature': signCashfreeWebhook(rawBody, timestamp),
+        'X-Webhook-Timestamp': timestamp,
+      },
+    };
+  };
+
+  it('rejects a delivery without a signature', async () => {
+    const { rawBody } = cashfreeDelivery('ORD_TEST_FIXTURE_APP_0');
+
+    const response = await deliver('cashfree', rawBody);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Missing signature');
+  });
+
+  it('rejects a delivery signed with another timestamp', async () => {
+    const { rawBody, headers } = cashfreeDelivery('ORD_TEST_FIXTURE_APP_0');
+
+    const response = await deliver('cashfree', rawBody, {
+      ...headers,
+      'X-Webhook-Timestamp': `${Date.now() + 1000}`,
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid signature');
+  });
+
+  it('leaves the order unpaid when Cashfree collected another amount', async () => {
+    acceptCashfreeOrders();
+    const { body: created } = await createOrder('cashfree');
+    const event = fixture('cashfree/webhook-payment-success');
+    event.data.order.order_id = created.order.orderId;
+    event.data.payment.payment_amount = 1;
+    const rawBody = JSON.stringify(event);
+    const timestamp = `${Date.now()}`;
+
+    const response = await deliver('cashfree', rawBody, {
+      'X-Webhook-Signature': signCashfreeWebhook(rawBody, timestamp),
+      'X-Webhook-Timestamp': timestamp,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, false);
+    assert.equal((await orders.getOrder(created.ledgerOrderId)).status, 'pending');
+  });
+
+  it('marks the order paid on PAYMENT_SUCCESS_WEBHOOK', async () => {
+    acceptCashfreeOrders();
+    const { body: created } = await createOrder('cashfree');
+    const { rawBody, headers } = cashfreeDelivery(created.order.orderId);
+
+    const response = await deliver('cashfree', rawBody, headers);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+
+    const ledgerOrder = await orders.getOrder(created.ledgerOrderId);
+    assert.equal(ledgerOrder.status, 'paid');
+    assert.equal(ledgerOrder.gatewayPaymentId, `${fixture('cashfree/payment-success').cf_payment_id}`);
+  });
+});
+
+describe('Mock gateway webhooks', () => {
+  const mockDelivery = (orderId, ledgerOrderId, status) => {
+    const timestamp = `${Date.now()}`;
+    const rawBody = JSON.stringify({
+      id: uniqueId('mock_evt'),
+      event: status === 'PAID' ? 'payment.succeeded' : 'payment.failed',
+      created_at: new Date().toISOString(),
+      payload: {
+        order: { id: orderId, merchant_order_id: ledgerOrderId, amount: 4999, currency: 'INR', status },
+        payment: { id: uniqueId('mock_pay'), method: 'upi' },
+      },
+    });
+
+    return {
+      rawBody,
+      headers: { 'X-Mock-Timestamp': timestamp, 'X-Mock-Signature': signMockWebhook(rawBody, timestamp) },
+    };
+  };
+
+  it('rejects a delivery whose signature does not match the body', async () => {
+    const { rawBody, headers } = mockDelivery('mock_order_x', 'ord_x', 'PAID');
+
+    const response = await deliver('mock', rawBody, { ...headers, 'X-Mock-Signature': 'deadbeef' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid signature');
+  });
+
+  it('marks the order paid on payment.succeeded', async () => {
+    const { body: created } = await createOrder('mock');
+    const { rawBody, headers } = mockDelivery(created.order.orderId, created.ledgerOrderId, 'PAID');
+
+    const response = await deliver('mock', rawBody, headers);
+
+    assert.equal(response.status, 200);
+    assert.equal((await orders.getOrder(created.ledgerOrderId)).status, 'paid');
+  });
+});
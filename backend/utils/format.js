@@ -0,0 +1,69 @@
+// Formatting helpers for server-rendered documents (receipts, invoices, emails, CSV exports)
+
+/**
+ * Escape a value for use in HTML text or attributes
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Format an amount in rupees, e.g. 4999 -> "₹4,999.00"
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+export const formatAmount = (amount, currency = 'INR') =>
+  `${currency === 'INR' ? '₹' : `${currency} `}${Number(amount).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * Format an ISO timestamp in Indian time, e.g. "19 Oct 2026, 3:30 pm"
+ * @param {string} iso
+ * @returns {string} Formatted date, or "-" if missing
+ */
+export const formatDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Kolkata' })
+    : '-';
+
+/**
+ * Quote a value for a CSV cell
+ * Cells that a spreadsheet would run as a formula (=, +, -, @) get a leading
+ * apostrophe, since exported names and emails come from buyers.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCsv = (value) => {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<[string, Function]>} columns - [header, (row) => value] pairs
+ * @param {Array<object>} rows
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = (columns, rows) =>
+  [
+    columns.map(([header]) => escapeCsv(header)).join(','),
+    ...rows.map((row) => columns.map(([, value]) => escapeCsv(value(row))).join(',')),
+  ].join('\r\n') + '\r\n';
+
+export default {
+  escapeHtml,
+  formatAmount,
+  formatDate,
+  escapeCsv,
+  toCsv,
+};
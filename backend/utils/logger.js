@@ -7,7 +7,19 @@ const LOG_LEVELS = {
   debug: 'DEBUG',
 };
 
+// Most severe first; LOG_LEVEL keeps that level and the ones above it (default: everything)
+const LEVEL_ORDER = ['error', 'warn', 'info', 'debug'];
+
+const isEnabled = (level) => {
+  const threshold = (process.env.LOG_LEVEL || 'debug').toLowerCase();
+  if (threshold === 'silent') return false;
+  const limit = LEVEL_ORDER.indexOf(threshold);
+  return limit === -1 || LEVEL_ORDER.indexOf(level) <= limit;
+};
+
 const log = (level, message, data = null) => {
+  if (!isEnabled(level)) return;
+
   const timestamp = new Date().toISOString();
   const logMessage = `[${timestamp}] [${LOG_LEVELS[level]}] ${message}`;
   
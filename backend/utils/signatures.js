@@ -0,0 +1,30 @@
+// Signature helpers shared by gateway adapters and auth middleware
+import crypto from 'crypto';
+
+/**
+ * Compute an HMAC-SHA256 digest
+ * @param {string} secret
+ * @param {string|Buffer} data
+ * @param {string} encoding - 'hex' or 'base64'
+ * @returns {string} Digest
+ */
+export const hmacSha256 = (secret, data, encoding = 'hex') =>
+  crypto.createHmac('sha256', secret).update(data).digest(encoding);
+
+/**
+ * Constant-time string comparison
+ * Hashing first gives both sides the same length, as timingSafeEqual requires.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export const safeEqual = (a, b) =>
+  crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(a)).digest(),
+    crypto.createHash('sha256').update(String(b)).digest()
+  );
+
+export default {
+  hmacSha256,
+  safeEqual,
+};
@@ -1,4 +1,6 @@
 // Validation utilities for request data
+import { listGatewayIds } from '../gateways/index.js';
+import { PAYMENT_METHODS } from '../services/gatewayRouting.js';
 
 export const validators = {
   /**
@@ -18,15 +20,50 @@ export const validators = {
     return { valid: true };
   },
 
+  /**
+   * Validate course ID (must be a positive integer)
+   * @param {number|string} courseId
+   * @returns {object} { valid: boolean, error?: string }
+   */
+  validateCourseId: (courseId) => {
+    if (courseId === undefined || courseId === null || courseId === '') {
+      return { valid: false, error: 'Course ID is required' };
+    }
+    const courseIdNum = Number(courseId);
+    if (!Number.isInteger(courseIdNum) || courseIdNum <= 0) {
+      return { valid: false, error: 'Course ID must be a positive integer' };
+    }
+    return { valid: true };
+  },
+
+  /**
+   * Validate the course IDs of a cart (1 to 10 positive integers)
+   * @param {Array<number|string>} courseIds
+   * @returns {object} { valid: boolean, error?: string }
+   */
+  validateCourseIds: (courseIds) => {
+    if (!Array.isArray(courseIds) || courseIds.length === 0) {
+      return { valid: false, error: 'courseIds must be a non-empty list of course IDs' };
+    }
+    if (courseIds.length > 10) {
+      return { valid: false, error: 'A cart can hold at most 10 courses' };
+    }
+    for (const courseId of courseIds) {
+      const courseIdValidation = validators.validateCourseId(courseId);
+      if (!courseIdValidation.valid) return courseIdValidation;
+    }
+    return { valid: true };
+  },
+
   /**
    * Validate payment gateway
    * @param {string} gateway 
    * @returns {object} { valid: boolean, error?: string }
    */
   validateGateway: (gateway) => {
-    const validGateways = ['razorpay', 'phonepe', 'cashfree'];
+    const validGateways = listGatewayIds();
     if (!gateway) return { valid: false, error: 'Gateway is required' };
-    if (!validGateways.includes(gateway.toLowerCase())) {
+    if (typeof gateway !== 'string' || !validGateways.includes(gateway.toLowerCase())) {
       return { 
         valid: false, 
         error: `Invalid gateway. Supported: ${validGateways.join(', ')}` 
@@ -35,6 +72,18 @@ export const validators = {
     return { valid: true };
   },
 
+  /**
+   * Validate the way the buyer wants to pay (used for gateway routing)
+   * @param {string} method
+   * @returns {object} { valid: boolean, error?: string }
+   */
+  validatePaymentMethod: (method) => {
+    if (typeof method !== 'string' || !PAYMENT_METHODS.includes(method.toLowerCase())) {
+      return { valid: false, error: `Invalid payment method. Supported: ${PAYMENT_METHODS.join(', ')}` };
+    }
+    return { valid: true };
+  },
+
   /**
    * Validate email format
    * @param {string} email 
@@ -63,8 +112,24 @@ export const validators = {
     return { valid: true };
   },
 
+  /**
+   * Validate a GSTIN (15 characters: state code, PAN, entity number, "Z", check character)
+   * @param {string} gstin
+   * @returns {object} { valid: boolean, error?: string }
+   */
+  validateGstin: (gstin) => {
+    const gstinRegex = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+    if (!gstin) return { valid: false, error: 'GSTIN is required' };
+    if (typeof gstin !== 'string' || !gstinRegex.test(gstin.trim().toUpperCase())) {
+      return { valid: false, error: 'Invalid GSTIN format' };
+    }
+    return { valid: true };
+  },
+
   /**
    * Validate customer details
+   * Business buyers may add { gstin, businessName } to get a GST invoice in
+   * their company's name; both must be given together.
    * @param {object} customer 
    * @returns {object} { valid: boolean, error?: string }
    */
@@ -73,7 +138,7 @@ export const validators = {
       return { valid: false, error: 'Customer object is required' };
     }
 
-    const { name, email, phone } = customer;
+    const { name, email, phone, gstin, businessName } = customer;
 
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
       return { valid: false, error: 'Customer name is required' };
@@ -85,6 +150,127 @@ export const validators = {
     const phoneValidation = validators.validatePhone(phone);
     if (!phoneValidation.valid) return phoneValidation;
 
+    if (gstin || businessName) {
+      const gstinValidation = validators.validateGstin(gstin);
+      if (!gstinValidation.valid) return gstinValidation;
+
+      if (!businessName || typeof businessName !== 'string' || businessName.trim().length === 0) {
+        return { valid: false, error: 'Business name is required with a GSTIN' };
+      }
+      if (businessName.trim().length > 100) {
+        return { valid: false, error: 'Business name must be at most 100 characters' };
+      }
+    }
+
+    return { valid: true };
+  },
+
+  /**
+   * Validate a contact form submission
+   * Phone is optional here, but must be a valid number if given.
+   * @param {object} lead - { name, email, phone, message }
+   * @returns {object} { valid: boolean, error?: string }
+   */
+  validateLead: (lead) => {
+    if (!lead || typeof lead !== 'object') {
+      return { valid: false, error: 'Contact details are required' };
+    }
+
+    const { name, email, phone, message } = lead;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return { valid: false, error: 'Name is required' };
+    }
+    if (name.trim().length > 100) {
+      return { valid: false, error: 'Name must be at most 100 characters' };
+    }
+
+    const emailValidation = validators.validateEmail(email);
+    if (!emailValidation.valid) return emailValidation;
+    // Anyone can post a lead and the admin console links the address; no markup in it
+    if (/["'<>]/.test(email)) {
+      return { valid: false, error: 'Invalid email format' };
+    }
+
+    if (phone) {
+      const phoneValidation = validators.validatePhone(phone);
+      if (!phoneValidation.valid) return phoneValidation;
+    }
+
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return { valid: false, error: 'Message is required' };
+    }
+    if (message.trim().length > 5000) {
+      return { valid: false, error: 'Message must be at most 5000 characters' };
+    }
+
+    return { valid: true };
+  },
+
+  /**
+   * Validate a coupon being created, or (partial) the fields of one being changed
+   * @param {object} coupon - { code, type, value, description, courseIds, startsAt, expiresAt,
+   *   maxUses, maxUsesPerEmail, active }
+   * @param {object} options - { partial: only check the fields present }
+   * @returns {object} { valid: boolean, error?: string }
+   */
+  validateCoupon: (coupon, { partial = false } = {}) => {
+    if (!coupon || typeof coupon !== 'object') {
+      return { valid: false, error: 'Coupon details are required' };
+    }
+
+    const { code, type, value, description, courseIds, startsAt, expiresAt, active } = coupon;
+    const present = (field) => !partial || coupon[field] !== undefined;
+
+    if (!partial) {
+      if (!code || typeof code !== 'string' || !/^[A-Za-z0-9_-]{3,30}$/.test(code.trim())) {
+        return { valid: false, error: 'Code must be 3-30 letters, digits, - or _' };
+      }
+      if (!['percent', 'flat'].includes(type)) {
+        return { valid: false, error: 'Type must be percent or flat' };
+      }
+      const valueNum = Number(value);
+      if (!Number.isFinite(valueNum) || valueNum <= 0) {
+        return { valid: false, error: 'Value must be a positive number' };
+      }
+      if (type === 'percent' && valueNum > 100) {
+        return { valid: false, error: 'A percentage cannot be more than 100' };
+      }
+    }
+
+    if (present('description') && description !== undefined && description !== null) {
+      if (typeof description !== 'string' || description.trim().length > 200) {
+        return { valid: false, error: 'Description must be at most 200 characters' };
+      }
+    }
+
+    if (present('courseIds') && courseIds !== undefined && courseIds !== null) {
+      if (!Array.isArray(courseIds) || !courseIds.every((id) => validators.validateCourseId(id).valid)) {
+        return { valid: false, error: 'courseIds must be a list of course IDs' };
+      }
+    }
+
+    for (const [field, date] of [['startsAt', startsAt], ['expiresAt', expiresAt]]) {
+      if (present(field) && date !== undefined && date !== null && date !== '') {
+        if (typeof date !== 'string' || Number.isNaN(Date.parse(date))) {
+          return { valid: false, error: `${field} must be YYYY-MM-DD or an ISO timestamp` };
+        }
+      }
+    }
+
+    for (const field of ['maxUses', 'maxUsesPerEmail']) {
+      const limit = coupon[field];
+      if (present(field) && limit !== undefined && limit !== null && limit !== '') {
+        if (!Number.isInteger(Number(limit)) || Number(limit) < 1) {
+          return { valid: false, error: `${field} must be a positive whole number` };
+        }
+      }
+    }
+
+    if (partial && active !== undefined && typeof active !== 'boolean') {
+      return { valid: false, error: 'active must be true or false' };
+    }
+
     return { valid: true };
   },
 };
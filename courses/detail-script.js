@@ -132,6 +132,12 @@ function displayCourseDetail(course) {
 
   const buyBtnLarge = document.getElementById('buyBtnLarge');
   if (buyBtnLarge) buyBtnLarge.onclick = () => handleBuyNow(course);
+
+  const addToCartBtn = document.getElementById('addToCartBtn');
+  if (addToCartBtn) {
+    addToCartBtn.onclick = () => handleAddToCart(course);
+    updateAddToCartButton(course);
+  }
 }
 
 function toggleCurriculum(element) {
@@ -152,6 +158,30 @@ function handleBuyNow(course) {
   window.location.href = `/checkout?id=${course.id}`;
 }
 
+// In the cart already: the button takes the learner to the cart instead
+function handleAddToCart(course) {
+  if (Cart.has(course.id)) {
+    window.location.href = '/checkout?cart=1';
+    return;
+  }
+
+  if (!Cart.add(course.id)) {
+    alert(`Your cart can hold up to ${Cart.MAX_ITEMS} courses.`);
+    return;
+  }
+  updateAddToCartButton(course);
+}
+
+function updateAddToCartButton(course) {
+  const button = document.getElementById('addToCartBtn');
+  const inCart = Cart.has(course.id);
+
+  button.classList.toggle('in-cart', inCart);
+  button.innerHTML = inCart
+    ? '<i class="fas fa-check"></i> In Cart: View Cart'
+    : '<i class="fas fa-cart-plus"></i> Add to Cart';
+}
+
 // Disable developer mode
 document.onkeydown = function (e) {
   if (e.keyCode == 123) {
@@ -92,12 +92,35 @@ function displayCourses(courses) {
             </span>
           </div>
         </div>
-        <button class="course-card-btn" onclick="event.stopPropagation(); navigateToCourseDetail(${course.id})">Course Preview ></button>
+        <div class="course-card-actions">
+          <button class="course-card-btn" onclick="event.stopPropagation(); navigateToCourseDetail(${course.id})">Course Preview ></button>
+          <button class="course-card-cart-btn" data-course-id="${course.id}" onclick="event.stopPropagation(); toggleCartItem(${course.id})"></button>
+        </div>
       </div>
     `;
   });
 
   container.innerHTML = html;
+  updateCartButtons();
+}
+
+function toggleCartItem(courseId) {
+  if (Cart.has(courseId)) {
+    Cart.remove(courseId);
+  } else if (!Cart.add(courseId)) {
+    alert(`Your cart can hold up to ${Cart.MAX_ITEMS} courses.`);
+  }
+  updateCartButtons();
+}
+
+function updateCartButtons() {
+  document.querySelectorAll('.course-card-cart-btn').forEach(button => {
+    const inCart = Cart.has(button.dataset.courseId);
+    button.classList.toggle('in-cart', inCart);
+    button.innerHTML = inCart
+      ? '<i class="fas fa-check"></i> In Cart'
+      : '<i class="fas fa-cart-plus"></i> Add to Cart';
+  });
 }
 
 function navigateToCourseDetail(courseId) {
@@ -0,0 +1,247 @@
+// API Configuration
+const API_BASE_URL = (() => {
+  const hostname = window.location.hostname;
+  // Use localhost for local development
+  if (hostname === 'localhost' || hostname === '127.0.0.1') {
+    return 'http://localhost:5000';
+  }
+  // Use render backend for all other environments (production, Builder.io preview, etc)
+  return 'https://shivam-codessite.onrender.com';
+})();
+
+$(document).ready(function () {
+
+  $('#menu').click(function () {
+    $(this).toggleClass('fa-times');
+    $('.navbar').toggleClass('nav-toggle');
+  });
+
+  $(window).on('scroll load', function () {
+    $('#menu').removeClass('fa-times');
+    $('.navbar').removeClass('nav-toggle');
+
+    if (window.scrollY > 60) {
+      document.querySelector('#scroll-top').classList.add('active');
+    } else {
+      document.querySelector('#scroll-top').classList.remove('active');
+    }
+  });
+
+  $('#logoutBtn').click(logout);
+
+  loadDashboard();
+});
+
+// Session cookie lives on the API domain, so every call must send credentials
+function apiFetch(path, options = {}) {
+  return fetch(`${API_BASE_URL}${path}`, { credentials: 'include', ...options })
+    .then(response => {
+      if (response.status === 401) {
+        window.location.href = '/login';
+        throw new Error('Not logged in');
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response;
+    });
+}
+
+// For HTML text and attribute values (like utils/format.js on the server)
+function escapeHtml(value) {
+  return (value == null ? '' : String(value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function loadDashboard() {
+  Promise.all([
+    apiFetch('/api/me').then(response => response.json()),
+    apiFetch('/api/me/orders').then(response => response.json()),
+    fetch('/courses/courses.json').then(response => response.json()),
+  ])
+    .then(([me, history, courses]) => {
+      document.getElementById('dashboardEmail').textContent = me.email;
+
+      // Enrollment drives access; courses.json supplies image, duration and syllabus
+      const enrolled = me.enrollments
+        .map(enrollment => courses.find(course => course.id === enrollment.courseId))
+        .filter(Boolean);
+
+      displayEnrolledCourses(enrolled);
+      displayPaymentHistory(history.orders);
+    })
+    .catch(error => {
+      if (error.message === 'Not logged in') return;
+      console.error('Error loading dashboard:', error);
+      document.getElementById('enrolledCourses').innerHTML = '<p class="dashboard-empty">Error loading your dashboard. Please try again later.</p>';
+    });
+}
+
+function displayEnrolledCourses(courses) {
+  const container = document.getElementById('enrolledCourses');
+
+  if (courses.length === 0) {
+    container.innerHTML = '<p class="dashboard-empty">You are not enrolled in any course yet. <a href="/courses">Browse courses</a></p>';
+    return;
+  }
+
+  let html = '';
+
+  courses.forEach(course => {
+    html += `
+      <div class="course-card" data-course-id="${course.id}" onclick="showSyllabus(${course.id})">
+        <img src="${course.image}" alt="${course.name}" class="course-card-image">
+        <div class="course-card-content">
+          <h3>${course.name}</h3>
+          <p class="course-card-instructor">${course.instructor}</p>
+
+          <p class="course-card-description">${course.shortDesc}</p>
+
+          <div class="course-card-footer">
+            <span class="course-card-duration">
+              <i class="fas fa-clock"></i> ${course.duration}
+            </span>
+            <span class="course-card-duration">
+              <i class="fas fa-layer-group"></i> ${course.syllabus.length} modules
+            </span>
+          </div>
+        </div>
+        <button class="course-card-btn" onclick="event.stopPropagation(); showSyllabus(${course.id})">View Course Content ></button>
+      </div>
+    `;
+  });
+
+  container.innerHTML = html;
+  container.coursesById = new Map(courses.map(course => [course.id, course]));
+
+  showSyllabus(courses[0].id, { scroll: false });
+}
+
+function showSyllabus(courseId, { scroll = true } = {}) {
+  const course = document.getElementById('enrolledCourses').coursesById.get(courseId);
+  if (!course) return;
+
+  document.querySelectorAll('#enrolledCourses .course-card').forEach(card => {
+    card.classList.toggle('selected', Number(card.dataset.courseId) === courseId);
+  });
+
+  document.getElementById('syllabusTitle').textContent = `${course.name} - Course Content`;
+
+  // Curriculum section (same accordion as the course detail page)
+  let curriculumHtml = '';
+  course.syllabus.forEach((section, index) => {
+    let topicsHtml = '';
+    section.topics.forEach(topic => {
+      topicsHtml += `<li>${topic}</li>`;
+    });
+    curriculumHtml += `
+      <div class="curriculum-item">
+        <div class="curriculum-header" onclick="toggleCurriculum(this)">
+          <span class="curriculum-title">${section.section}</span>
+          <i class="fas fa-chevron-down ${index === 0 ? 'rotate' : ''}"></i>
+        </div>
+        <ul class="curriculum-topics" style="display: ${index === 0 ? 'block' : 'none'};">
+          ${topicsHtml}
+        </ul>
+      </div>
+    `;
+  });
+  document.getElementById('curriculumList').innerHTML = curriculumHtml;
+
+  const panel = document.getElementById('syllabusPanel');
+  panel.hidden = false;
+  if (scroll) {
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+}
+
+function toggleCurriculum(element) {
+  const list = element.nextElementSibling;
+  const icon = element.querySelector('i');
+
+  if (list.style.display === 'none') {
+    list.style.display = 'block';
+    icon.classList.add('rotate');
+  } else {
+    list.style.display = 'none';
+    icon.classList.remove('rotate');
+  }
+}
+
+function displayPaymentHistory(orders) {
+  const tbody = document.getElementById('paymentHistory');
+
+  if (orders.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="dashboard-empty">No payments yet.</td></tr>';
+    return;
+  }
+
+  let html = '';
+
+  orders.forEach(order => {
+    const date = new Date(order.paidAt || order.createdAt).toLocaleDateString('en-IN', {
+      day: 'numeric', month: 'short', year: 'numeric',
+    });
+    const refunded = order.refundedAmount > 0 && order.paymentStatus !== 'refunded'
+      ? ` <small>(₹${order.refundedAmount} refunded)</small>`
+      : '';
+
+    html += `
+      <tr>
+        <td>${date}</td>
+        <td>${escapeHtml(order.courseName)}</td>
+        <td>₹${order.amount}${refunded}</td>
+        <td><span class="payment-status-badge ${order.paymentStatus}">${order.paymentStatus}</span></td>
+        <td>
+          ${order.hasReceipt
+            ? `<button class="receipt-btn" onclick="downloadReceipt('${order.id}')"><i class="fas fa-download"></i> Receipt</button>`
+            : '-'}
+          ${order.invoiceId
+            ? `<button class="receipt-btn" onclick="downloadInvoice('${order.invoiceId}')"><i class="fas fa-file-invoice"></i> Invoice</button>`
+            : ''}
+        </td>
+      </tr>
+    `;
+  });
+
+  tbody.innerHTML = html;
+}
+
+function downloadDocument(path, filename, label) {
+  apiFetch(path)
+    .then(response => response.blob())
+    .then(blob => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    })
+    .catch(error => {
+      console.error(`Error downloading ${label}:`, error);
+      alert(`Could not download the ${label}. Please try again.`);
+    });
+}
+
+function downloadReceipt(orderId) {
+  downloadDocument(`/api/me/orders/${encodeURIComponent(orderId)}/receipt`, `receipt-${orderId}.html`, 'receipt');
+}
+
+function downloadInvoice(invoiceId) {
+  downloadDocument(`/api/invoices/${encodeURIComponent(invoiceId)}`, `invoice-${invoiceId}.html`, 'invoice');
+}
+
+function logout() {
+  fetch(`${API_BASE_URL}/api/auth/logout`, { method: 'POST', credentials: 'include' })
+    .catch(error => console.error('Logout failed:', error))
+    .finally(() => {
+      window.location.href = '/login';
+    });
+}